@@ -2,6 +2,21 @@ import request from 'supertest';
 import express from 'express';
 import cors from 'cors';
 import { jest } from '@jest/globals';
+import { validateExpenseInput, validateBudgetInput, validateRecurringInput, validateCredentials, validateTokenInput, validateMemberInput, validateLedgerInput, validateSplitInput, validateIncomeInput, validateAccountInput, validateTransferInput, validateRatesImport, validateProfileInput, isStrictMode, DEFAULT_CATEGORY } from '../validation.js';
+import { parseExpenseFilters, buildExpenseWhere, buildIncomeWhere } from '../filters.js';
+import { parsePageParams, bindSearchRank, appendKeysetCondition, buildOrderBy, paginate, encodeCursor, decodeCursor, parseSort } from '../pagination.js';
+import { parseBudgetMonth, currentMonth } from '../budgets.js';
+import { dueOccurrences, nthOccurrence } from '../recurring.js';
+import { hashPassword, verifyPassword, hashToken, parseBearerToken, generateApiToken, isApiToken, scopeAllows, DUMMY_PASSWORD_HASH } from '../auth.js';
+import { roleAllows, canManageMembers, isLastOwner } from '../ledgers.js';
+import { allocateCents, computeShares, rescaleShares, settleUp } from '../splits.js';
+import { normaliseCurrency, rateToHome } from '../currency.js';
+import { EXPORT_BATCH_SIZE, escapeCsvField, toCsvRow, parseCsv } from '../csv.js';
+import { readImportRow } from '../imports.js';
+import { detectStatementFormat, parseOfx, parseQif, parseStatement } from '../statements.js';
+import { SMS_PROVIDERS, splitSmsMessages, parseSmsMessages, readSmsDate } from '../sms.js';
+import { parseReportParams, periodStart, listPeriods, summariseSpending, MAX_REPORT_PERIODS, parseComparePeriods, compareCategories, describeChange } from '../reports.js';
+import { detectAnomaly, MIN_ANOMALY_HISTORY, MAX_ANOMALY_HISTORY } from '../anomalies.js';
 
 // Mock the database pool
 const mockPool = {
@@ -13,9 +28,80 @@ const mockPool = {
 jest.unstable_mockModule('pg', () => ({
   default: {
     Pool: jest.fn(() => mockPool),
+    types: { setTypeParser: jest.fn(), builtins: { DATE: 1082 } },
   },
 }));
 
+// The real routes are tested without starting OpenTelemetry
+jest.unstable_mockModule('../telemetry.js', () => ({}));
+
+// The app from index.js, running against mockPool
+const { app: server, postRecurringExpenses } = await import('../index.js');
+
+// Category names seeded by init.sql
+const seededCategories = ['Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Other'];
+
+// Session of Sam (user 7) and an API token of theirs, as sent in the
+// Authorization header to the real app
+const SESSION = 'Bearer session-token';
+const API_TOKEN = 'Bearer sw_pat_read-token';
+
+/**
+ * Answer the real app's pool queries by their SQL: the session or API
+ * token (`scope`) of `userId` (default 7), their ledger 9 with `role`, the seeded
+ * categories, then the first of `handlers` ([pattern, (params) => result])
+ * whose pattern matches. Anything else finds no rows.
+ */
+const routePoolQueries = (handlers = [], { role = 'owner', scope = 'read-write', userId = 7 } = {}) => {
+  const sam = { id: userId, email: 'sam@example.com', home_currency: 'GHS' };
+
+  mockPool.query.mockImplementation(async (sql, params) => {
+    const handler = handlers.find(([pattern]) => pattern.test(sql));
+
+    if (handler) return handler[1](params, sql);
+    if (sql.includes('FROM sessions s')) return { rows: [{ session_id: 1, ...sam }] };
+    if (sql.includes('UPDATE api_tokens t')) return { rows: [{ scope, ...sam }] };
+    if (sql.includes('FROM ledger_members m')) {
+      return { rows: params[1] === null || params[1] === 9 ? [{ id: 9, name: 'Household', role, member_count: 2 }] : [] };
+    }
+    if (sql.startsWith('SELECT name FROM categories')) return { rows: seededCategories.map((name) => ({ name })) };
+    if (sql.includes('WITH history AS')) return { rows: [{ count: 0, median: null, mad: null }] };
+    return { rows: [] };
+  });
+};
+
+// The pooled client the routes take for their transactions
+const mockClient = {
+  query: jest.fn(),
+  release: jest.fn(),
+};
+
+// Clients handed out by mockPool.connect during the current test
+let clientsTaken = 0;
+
+/**
+ * Hand out mockClient from mockPool.connect and answer its queries with
+ * `respond(sql, params)` (default: no rows).
+ */
+const useMockClient = (respond = async () => ({ rows: [] })) => {
+  mockPool.connect = jest.fn(async () => {
+    clientsTaken += 1;
+    return mockClient;
+  });
+  mockClient.query.mockReset();
+  mockClient.query.mockImplementation(respond);
+};
+
+// Every client a route takes goes back to the pool, even after a 400 or 500
+afterEach(() => {
+  const taken = clientsTaken;
+  const released = mockClient.release.mock.calls.length;
+
+  clientsTaken = 0;
+  mockClient.release.mockClear();
+  expect(released).toBe(taken);
+});
+
 describe('User Story 1: Log Expense - POST /api/expenses', () => {
   let app;
 
@@ -953,3 +1039,3701 @@ describe('User Story 5: Filter by Category', () => {
     });
   });
 });
+
+describe('User Story 6: Edit Expense - PUT/PATCH /api/expenses/:id', () => {
+  // Runs against the real routes in index.js
+
+  // The transaction answers the UPDATE with `rows` and everything else with none
+  const updateReturns = (rows) => {
+    useMockClient(async (sql) => ({ rows: sql.startsWith('UPDATE expenses') ? rows : [] }));
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    routePoolQueries();
+    updateReturns([]);
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  const updateCalls = () => mockClient.query.mock.calls.filter(([sql]) => sql.startsWith('UPDATE expenses'));
+
+  describe('PATCH updates only the provided fields', () => {
+    test('should update the item name only', async () => {
+      updateReturns([{ id: 1, item_name: 'Lunch', amount: '25.50', category: 'Food' }]);
+
+      const response = await request(server)
+        .patch('/api/expenses/1')
+        .set('Authorization', SESSION)
+        .send({ itemName: '  Lunch  ' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.message).toBe('Expense updated successfully');
+      expect(response.body.expense.item_name).toBe('Lunch');
+      expect(updateCalls()).toEqual([
+        ['UPDATE expenses SET item_name = $1 WHERE id = $2 AND ledger_id = $3 RETURNING *', ['Lunch', 1, 9]],
+      ]);
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    test('should update amount and category together', async () => {
+      updateReturns([{ id: 2, item_name: 'Bus fare', amount: '7.00', category: 'Transport' }]);
+
+      const response = await request(server)
+        .patch('/api/expenses/2')
+        .set('Authorization', SESSION)
+        .send({ amount: '7', category: 'Transport' });
+
+      expect(response.status).toBe(200);
+      expect(updateCalls()).toEqual([
+        ['UPDATE expenses SET amount = $1, category = $2 WHERE id = $3 AND ledger_id = $4 RETURNING *', [7, 'Transport', 2, 9]],
+      ]);
+    });
+
+    test('should reject an empty body', async () => {
+      const response = await request(server)
+        .patch('/api/expenses/1')
+        .set('Authorization', SESSION)
+        .send({});
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('At least one of itemName, amount, category, spentOn, accountId or currency must be provided');
+      expect(updateCalls()).toHaveLength(0);
+    });
+  });
+
+  describe('PUT replaces the whole expense', () => {
+    test('should require item name and amount', async () => {
+      const response = await request(server)
+        .put('/api/expenses/1')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Coffee' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Amount is required');
+      expect(updateCalls()).toHaveLength(0);
+    });
+
+    test('should reset every omitted field to its default', async () => {
+      updateReturns([{ id: 3, item_name: 'Coffee', amount: '8.75', category: 'Other' }]);
+
+      const response = await request(server)
+        .put('/api/expenses/3')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Coffee', amount: 8.75 });
+
+      expect(response.status).toBe(200);
+      expect(updateCalls()).toEqual([
+        [
+          'UPDATE expenses SET item_name = $1, amount = $2, category = $3, spent_on = COALESCE($4::date, CURRENT_DATE), account_id = $5, currency = $6 WHERE id = $7 AND ledger_id = $8 RETURNING *',
+          ['Coffee', 8.75, 'Other', null, null, 'GHS', 3, 9],
+        ],
+      ]);
+    });
+
+    test('should keep the date, account and currency it is given', async () => {
+      routePoolQueries([[/FROM accounts/, () => ({ rows: [{ id: 4 }] })]]);
+      updateReturns([{ id: 3, item_name: 'Coffee', amount: '8.75', category: 'Food' }]);
+
+      const response = await request(server)
+        .put('/api/expenses/3')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Coffee', amount: 8.75, category: 'Food', spentOn: '2026-03-02', accountId: 4, currency: 'usd' });
+
+      expect(response.status).toBe(200);
+      expect(updateCalls()[0][1]).toEqual(['Coffee', 8.75, 'Food', '2026-03-02', 4, 'USD', 3, 9]);
+    });
+  });
+
+  describe('Validation reuses the POST rules', () => {
+    test('should reject whitespace-only item name', async () => {
+      const response = await request(server)
+        .patch('/api/expenses/1')
+        .set('Authorization', SESSION)
+        .send({ itemName: '   ' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Item name is required and cannot be empty');
+    });
+
+    test('should reject negative amount', async () => {
+      const response = await request(server)
+        .patch('/api/expenses/1')
+        .set('Authorization', SESSION)
+        .send({ amount: -3 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Amount must be a positive number');
+    });
+
+    test('should reject invalid expense ID', async () => {
+      const response = await request(server)
+        .patch('/api/expenses/abc')
+        .set('Authorization', SESSION)
+        .send({ amount: 3 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid expense ID');
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should reject an account from another ledger', async () => {
+      const response = await request(server)
+        .patch('/api/expenses/1')
+        .set('Authorization', SESSION)
+        .send({ accountId: 4 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unknown account');
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Ledger and role checks', () => {
+    test('should require a login', async () => {
+      const response = await request(server)
+        .patch('/api/expenses/1')
+        .send({ amount: 10 });
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Authentication required');
+    });
+
+    test('should refuse a read-only API token', async () => {
+      routePoolQueries([], { scope: 'read' });
+
+      const response = await request(server)
+        .patch('/api/expenses/1')
+        .set('Authorization', API_TOKEN)
+        .send({ amount: 10 });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('This API token is read-only');
+    });
+
+    test('should refuse a viewer of the ledger', async () => {
+      routePoolQueries([], { role: 'viewer' });
+
+      const response = await request(server)
+        .put('/api/expenses/1')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Lunch', amount: 25 });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You have view-only access to this ledger');
+      expect(updateCalls()).toHaveLength(0);
+    });
+
+    test('should not reach a ledger the user is not a member of', async () => {
+      const response = await request(server)
+        .patch('/api/expenses/1?ledger=3')
+        .set('Authorization', SESSION)
+        .send({ amount: 10 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Ledger not found');
+      expect(updateCalls()).toHaveLength(0);
+    });
+  });
+
+  describe('Missing expenses and errors', () => {
+    test('should return 404 if expense does not exist in the ledger', async () => {
+      const response = await request(server)
+        .patch('/api/expenses/999')
+        .set('Authorization', SESSION)
+        .send({ amount: 10 });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Expense not found');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+    });
+
+    test('should handle database errors gracefully', async () => {
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('UPDATE expenses')) throw new Error('Database connection failed');
+        return { rows: [] };
+      });
+
+      const response = await request(server)
+        .put('/api/expenses/1')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Lunch', amount: 25 });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Failed to update expense in database');
+    });
+  });
+});
+
+describe('User Story 7: Expense Date - spent_on', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Define the POST endpoint (same logic as in index.js)
+    app.post('/api/expenses', async (req, res) => {
+      const validation = validateExpenseInput(req.body, { categories: seededCategories });
+
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+      }
+
+      const { itemName, amount, category, spentOn = null } = validation.values;
+
+      try {
+        const result = await mockPool.query(
+          'INSERT INTO expenses (item_name, amount, category, spent_on) VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE)) RETURNING *',
+          [itemName, amount, category, spentOn]
+        );
+
+        res.status(201).json({
+          message: 'Expense added successfully',
+          expense: result.rows[0]
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to add expense to database' });
+      }
+    });
+
+    // Define the GET endpoint ordered by spent_on
+    app.get('/api/expenses', async (req, res) => {
+      try {
+        const result = await mockPool.query(
+          'SELECT * FROM expenses ORDER BY spent_on DESC, created_at DESC',
+          []
+        );
+
+        res.status(200).json({ expenses: result.rows });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch expenses from database' });
+      }
+    });
+
+    jest.clearAllMocks();
+  });
+
+  describe('POST accepts a user-chosen date', () => {
+    test('should save the given spentOn date', async () => {
+      mockPool.query.mockResolvedValue({
+        rows: [{ id: 1, item_name: 'Bus fare', amount: '5.00', category: 'Transport', spent_on: '2026-02-04' }]
+      });
+
+      const response = await request(app)
+        .post('/api/expenses')
+        .send({ itemName: 'Bus fare', amount: 5, category: 'Transport', spentOn: '2026-02-04' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.expense.spent_on).toBe('2026-02-04');
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('COALESCE($4::date, CURRENT_DATE)'),
+        ['Bus fare', 5, 'Transport', '2026-02-04']
+      );
+    });
+
+    test('should default to today when spentOn is omitted', async () => {
+      mockPool.query.mockResolvedValue({ rows: [{ id: 2 }] });
+
+      const response = await request(app)
+        .post('/api/expenses')
+        .send({ itemName: 'Coffee', amount: 8.75 });
+
+      expect(response.status).toBe(201);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.any(String),
+        ['Coffee', 8.75, 'Other', null]
+      );
+    });
+
+    test('should reject malformed dates', async () => {
+      const response = await request(app)
+        .post('/api/expenses')
+        .send({ itemName: 'Coffee', amount: 8.75, spentOn: '04/02/2026' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Spent on must be a valid date (YYYY-MM-DD)');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject impossible calendar dates', async () => {
+      const response = await request(app)
+        .post('/api/expenses')
+        .send({ itemName: 'Coffee', amount: 8.75, spentOn: '2026-02-30' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Spent on must be a valid date (YYYY-MM-DD)');
+    });
+  });
+
+  describe('GET orders by spent_on', () => {
+    test('should order by spent_on then created_at', async () => {
+      mockPool.query.mockResolvedValue({
+        rows: [
+          { id: 2, item_name: 'Lunch', spent_on: '2026-02-05' },
+          { id: 1, item_name: 'Bus fare', spent_on: '2026-02-04' }
+        ]
+      });
+
+      const response = await request(app).get('/api/expenses');
+
+      expect(response.status).toBe(200);
+      expect(response.body.expenses[0].spent_on).toBe('2026-02-05');
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT * FROM expenses ORDER BY spent_on DESC, created_at DESC',
+        []
+      );
+    });
+  });
+});
+
+describe('User Story 8: Filter by Date Range', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Define GET endpoint with category and date range filters (same logic as in index.js)
+    app.get('/api/expenses', async (req, res) => {
+      const parsed = parseExpenseFilters(req.query, { categories: seededCategories });
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      try {
+        const params = [];
+        let query = 'SELECT * FROM expenses' + buildExpenseWhere(parsed.filters, params);
+
+        query += ' ORDER BY spent_on DESC, created_at DESC';
+
+        const result = await mockPool.query(query, params);
+
+        res.status(200).json({ expenses: result.rows });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch expenses from database' });
+      }
+    });
+
+    // Define GET total endpoint with the same filters
+    app.get('/api/expenses/total', async (req, res) => {
+      const parsed = parseExpenseFilters(req.query, { categories: seededCategories });
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      try {
+        const params = [];
+        const query = 'SELECT COALESCE(SUM(amount), 0) as total FROM expenses' + buildExpenseWhere(parsed.filters, params);
+
+        const result = await mockPool.query(query, params);
+
+        res.status(200).json({ total: parseFloat(result.rows[0].total) });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to calculate total spending' });
+      }
+    });
+
+    jest.clearAllMocks();
+  });
+
+  describe('List endpoint', () => {
+    test('should filter by from and to dates', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/expenses?from=2026-03-01&to=2026-03-31');
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT * FROM expenses WHERE spent_on >= $1 AND spent_on <= $2 ORDER BY spent_on DESC, created_at DESC',
+        ['2026-03-01', '2026-03-31']
+      );
+    });
+
+    test('should combine category with an open-ended range', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      await request(app).get('/api/expenses?category=Food&from=2026-03-01');
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT * FROM expenses WHERE category = $1 AND spent_on >= $2 ORDER BY spent_on DESC, created_at DESC',
+        ['Food', '2026-03-01']
+      );
+    });
+
+    test('should keep the unfiltered query when no filters are given', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      await request(app).get('/api/expenses');
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT * FROM expenses ORDER BY spent_on DESC, created_at DESC',
+        []
+      );
+    });
+  });
+
+  describe('Total endpoint', () => {
+    test('should sum within the range and category', async () => {
+      mockPool.query.mockResolvedValue({ rows: [{ total: '42.00' }] });
+
+      const response = await request(app)
+        .get('/api/expenses/total?category=Transport&from=2026-03-01&to=2026-03-31');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(42);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT COALESCE(SUM(amount), 0) as total FROM expenses WHERE category = $1 AND spent_on >= $2 AND spent_on <= $3',
+        ['Transport', '2026-03-01', '2026-03-31']
+      );
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject a malformed from date', async () => {
+      const response = await request(app).get('/api/expenses?from=March');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid from date, expected YYYY-MM-DD');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject a malformed to date on the total endpoint', async () => {
+      const response = await request(app).get('/api/expenses/total?to=2026-13-01');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid to date, expected YYYY-MM-DD');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject a range that ends before it starts', async () => {
+      const response = await request(app).get('/api/expenses?from=2026-03-31&to=2026-03-01');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('from date must be on or before to date');
+    });
+  });
+});
+
+describe('User Story 9: Paginate Expense List - GET /api/expenses', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Define the paginated GET endpoint (same logic as in index.js)
+    app.get('/api/expenses', async (req, res) => {
+      const parsed = parseExpenseFilters(req.query, { categories: seededCategories });
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      const paging = parsePageParams(req.query);
+
+      if (paging.error) {
+        return res.status(400).json({ error: paging.error });
+      }
+
+      const { page } = paging;
+
+      try {
+        const params = [];
+        const where = appendKeysetCondition(buildExpenseWhere(parsed.filters, params), page, params);
+
+        params.push(page.limit + 1);
+        const query = `SELECT *, ${page.sort.expression}::text AS sort_value FROM expenses${where}`
+          + `${buildOrderBy(page.sort)} LIMIT $${params.length}`;
+
+        const result = await mockPool.query(query, params);
+        const { rows, nextCursor } = paginate(result.rows, page);
+
+        res.status(200).json({ expenses: rows, nextCursor: nextCursor });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch expenses from database' });
+      }
+    });
+
+    jest.clearAllMocks();
+  });
+
+  const makeRows = (count) => Array.from({ length: count }, (_, index) => ({
+    id: 100 - index,
+    item_name: `Item ${index}`,
+    amount: '1.00',
+    spent_on: '2026-03-10',
+    sort_value: '2026-03-10'
+  }));
+
+  describe('First page', () => {
+    test('should apply the default page size of 50', async () => {
+      mockPool.query.mockResolvedValue({ rows: makeRows(3) });
+
+      const response = await request(app).get('/api/expenses');
+
+      expect(response.status).toBe(200);
+      expect(response.body.expenses).toHaveLength(3);
+      expect(response.body.nextCursor).toBeNull();
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT *, spent_on::text AS sort_value FROM expenses ORDER BY spent_on DESC, id DESC LIMIT $1',
+        [51]
+      );
+    });
+
+    test('should return a nextCursor when more rows exist', async () => {
+      mockPool.query.mockResolvedValue({ rows: makeRows(3) });
+
+      const response = await request(app).get('/api/expenses?limit=2');
+
+      expect(response.status).toBe(200);
+      expect(response.body.expenses).toHaveLength(2);
+      expect(response.body.expenses[0]).not.toHaveProperty('sort_value');
+      expect(decodeCursor(response.body.nextCursor, parseSort('-spent_on'))).toEqual({ value: '2026-03-10', id: 99 });
+    });
+  });
+
+  describe('Following pages', () => {
+    test('should continue after the cursor and keep filters', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+      const cursor = encodeCursor({ sort_value: '2026-03-10', id: 99 }, parseSort('-spent_on'));
+
+      const response = await request(app)
+        .get(`/api/expenses?category=Food&limit=2&cursor=${cursor}`);
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT *, spent_on::text AS sort_value FROM expenses WHERE category = $1 AND (spent_on, id) < ($2, $3) ORDER BY spent_on DESC, id DESC LIMIT $4',
+        ['Food', '2026-03-10', 99, 3]
+      );
+    });
+  });
+
+  describe('Validation', () => {
+    test.each(['0', '101', '2.5', 'ten'])('should reject limit=%s', async (limit) => {
+      const response = await request(app).get(`/api/expenses?limit=${limit}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Limit must be an integer between 1 and 100');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject a tampered cursor', async () => {
+      const response = await request(app).get('/api/expenses?cursor=not-a-cursor');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid cursor');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('User Story 10: Sort Expense List - GET /api/expenses?sort=', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Define the sorted, paginated GET endpoint (same logic as in index.js)
+    app.get('/api/expenses', async (req, res) => {
+      const paging = parsePageParams(req.query);
+
+      if (paging.error) {
+        return res.status(400).json({ error: paging.error });
+      }
+
+      const { page } = paging;
+
+      try {
+        const params = [];
+        const where = appendKeysetCondition('', page, params);
+
+        params.push(page.limit + 1);
+        const query = `SELECT *, ${page.sort.expression}::text AS sort_value FROM expenses${where}`
+          + `${buildOrderBy(page.sort)} LIMIT $${params.length}`;
+
+        const result = await mockPool.query(query, params);
+        const { rows, nextCursor } = paginate(result.rows, page);
+
+        res.status(200).json({ expenses: rows, nextCursor: nextCursor });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch expenses from database' });
+      }
+    });
+
+    jest.clearAllMocks();
+  });
+
+  describe('Whitelisted sort fields', () => {
+    test('should sort by amount descending with id tie-break', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      const response = await request(app).get('/api/expenses?sort=-amount');
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT *, amount::text AS sort_value FROM expenses ORDER BY amount DESC, id DESC LIMIT $1',
+        [51]
+      );
+    });
+
+    test('should sort by item name ascending, ignoring case', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      await request(app).get('/api/expenses?sort=item_name');
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT *, LOWER(item_name)::text AS sort_value FROM expenses ORDER BY LOWER(item_name) ASC, id ASC LIMIT $1',
+        [51]
+      );
+    });
+
+    test('should page through an ascending sort with ">"', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+      const cursor = encodeCursor({ sort_value: 'Food', id: 7 }, parseSort('category'));
+
+      await request(app).get(`/api/expenses?sort=category&cursor=${cursor}`);
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        "SELECT *, COALESCE(category, '')::text AS sort_value FROM expenses WHERE (COALESCE(category, ''), id) > ($1, $2) ORDER BY COALESCE(category, '') ASC, id ASC LIMIT $3",
+        ['Food', 7, 51]
+      );
+    });
+
+    test('should encode the sort value of the last row in nextCursor', async () => {
+      mockPool.query.mockResolvedValue({
+        rows: [
+          { id: 3, amount: '900.00', sort_value: '900.00' },
+          { id: 9, amount: '120.00', sort_value: '120.00' },
+          { id: 4, amount: '120.00', sort_value: '120.00' }
+        ]
+      });
+
+      const response = await request(app).get('/api/expenses?sort=-amount&limit=2');
+
+      expect(decodeCursor(response.body.nextCursor, parseSort('-amount'))).toEqual({ value: '120.00', id: 9 });
+    });
+  });
+
+  describe('Validation', () => {
+    test('should reject a sort field outside the whitelist', async () => {
+      const response = await request(app).get('/api/expenses?sort=amount;DROP TABLE expenses');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid sort, expected one of spent_on, created_at, amount, item_name, category (prefix with - for descending) or relevance');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject a cursor issued for a different sort', async () => {
+      const cursor = encodeCursor({ sort_value: '2026-03-10', id: 99 }, parseSort('-spent_on'));
+
+      const response = await request(app).get(`/api/expenses?sort=-amount&cursor=${cursor}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid cursor');
+    });
+  });
+});
+
+describe('User Story 11: Search Expenses - GET /api/expenses?q=', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Define the searchable GET endpoint (same logic as in index.js)
+    app.get('/api/expenses', async (req, res) => {
+      const parsed = parseExpenseFilters(req.query, { categories: seededCategories });
+
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+
+      const paging = parsePageParams(req.query, { search: parsed.filters.q });
+
+      if (paging.error) {
+        return res.status(400).json({ error: paging.error });
+      }
+
+      try {
+        const params = [];
+        const page = { ...paging.page, sort: bindSearchRank(paging.page.sort, parsed.filters.q, params) };
+        const where = appendKeysetCondition(buildExpenseWhere(parsed.filters, params), page, params);
+
+        params.push(page.limit + 1);
+        const query = `SELECT *, ${page.sort.expression}::text AS sort_value FROM expenses${where}`
+          + `${buildOrderBy(page.sort)} LIMIT $${params.length}`;
+
+        const result = await mockPool.query(query, params);
+        const { rows, nextCursor } = paginate(result.rows, page);
+
+        res.status(200).json({ expenses: rows, nextCursor: nextCursor });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to fetch expenses from database' });
+      }
+    });
+
+    jest.clearAllMocks();
+  });
+
+  describe('Ranked search', () => {
+    test('should match item names and rank by relevance', async () => {
+      mockPool.query.mockResolvedValue({
+        rows: [{ id: 4, item_name: 'Uber ride', sort_value: '1' }]
+      });
+
+      const response = await request(app).get('/api/expenses?q=uber');
+
+      expect(response.status).toBe(200);
+      expect(response.body.expenses).toEqual([{ id: 4, item_name: 'Uber ride' }]);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT *, word_similarity($1, item_name)::text AS sort_value FROM expenses WHERE item_name ILIKE $2'
+          + ' ORDER BY word_similarity($1, item_name) DESC, id DESC LIMIT $3',
+        ['uber', '%uber%', 51]
+      );
+    });
+
+    test('should still honour the category filter', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      await request(app).get('/api/expenses?q=uber&category=Transport');
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT *, word_similarity($1, item_name)::text AS sort_value FROM expenses WHERE category = $2 AND item_name ILIKE $3'
+          + ' ORDER BY word_similarity($1, item_name) DESC, id DESC LIMIT $4',
+        ['uber', 'Transport', '%uber%', 51]
+      );
+    });
+
+    test('should allow an explicit sort while searching', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      await request(app).get('/api/expenses?q=uber&sort=-amount');
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT *, amount::text AS sort_value FROM expenses WHERE item_name ILIKE $1 ORDER BY amount DESC, id DESC LIMIT $2',
+        ['%uber%', 51]
+      );
+    });
+
+    test('should continue a ranked search from its cursor', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+      const cursor = encodeCursor({ sort_value: '0.5', id: 12 }, parseSort('relevance'));
+
+      await request(app).get(`/api/expenses?q=uber&cursor=${cursor}`);
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT *, word_similarity($1, item_name)::text AS sort_value FROM expenses WHERE item_name ILIKE $2'
+          + ' AND (word_similarity($1, item_name), id) < ($3, $4)'
+          + ' ORDER BY word_similarity($1, item_name) DESC, id DESC LIMIT $5',
+        ['uber', '%uber%', '0.5', 12, 51]
+      );
+    });
+  });
+
+  describe('Search term handling', () => {
+    test('should escape LIKE wildcards in the search term', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      await request(app).get('/api/expenses?q=100%25_off&sort=-spent_on');
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.any(String),
+        ['%100\\%\\_off%', 51]
+      );
+    });
+
+    test('should ignore a blank search term', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      await request(app).get('/api/expenses?q=%20%20');
+
+      expect(mockPool.query).toHaveBeenCalledWith(
+        'SELECT *, spent_on::text AS sort_value FROM expenses ORDER BY spent_on DESC, id DESC LIMIT $1',
+        [51]
+      );
+    });
+
+    test('should reject relevance sort without a search term', async () => {
+      const response = await request(app).get('/api/expenses?sort=relevance');
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Sorting by relevance requires a q search term');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject overly long search terms', async () => {
+      const response = await request(app).get(`/api/expenses?q=${'a'.repeat(101)}`);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Search term must be at most 100 characters');
+    });
+  });
+});
+
+describe('User Story 12: Categories - /api/categories', () => {
+  // Runs against the real routes in index.js
+
+  // Answers the merge transaction: the two categories, then row counts
+  const routeMerge = (categories, { expenses = 0, recurring = 0, fail = null } = {}) => {
+    useMockClient(async (sql) => {
+      if (fail && fail.test(sql)) throw new Error('Database connection failed');
+      if (sql.startsWith('SELECT * FROM categories')) return { rows: categories };
+      if (sql.startsWith('UPDATE expenses')) return { rowCount: expenses };
+      if (sql.startsWith('UPDATE recurring_expenses')) return { rowCount: recurring };
+      return { rows: [], rowCount: 0 };
+    });
+  };
+
+  beforeEach(() => {
+    useMockClient();
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  describe('Creating categories', () => {
+    test('should create a category with a colour and icon', async () => {
+      routePoolQueries([[/^INSERT INTO categories/, () => ({ rows: [{ id: 7, name: 'Health', color: '#10b981', icon: '💊' }] })]]);
+
+      const response = await request(server)
+        .post('/api/categories')
+        .set('Authorization', SESSION)
+        .send({ name: '  Health ', color: '#10B981', icon: '💊' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.category.name).toBe('Health');
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO categories'),
+        ['Health', '#10b981', '💊', 9]
+      );
+    });
+
+    test('should list only the ledger\'s categories', async () => {
+      routePoolQueries([[/^SELECT \* FROM categories/, () => ({ rows: [{ id: 12, name: 'Food' }] })]]);
+
+      const response = await request(server).get('/api/categories').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenCalledWith('SELECT * FROM categories WHERE ledger_id = $1 ORDER BY id', [9]);
+    });
+
+    test('should not let a viewer change the ledger\'s categories', async () => {
+      routePoolQueries([], { role: 'viewer' });
+
+      const response = await request(server)
+        .post('/api/categories')
+        .set('Authorization', SESSION)
+        .send({ name: 'Health' });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You have view-only access to this ledger');
+      expect(mockPool.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO categories'), expect.anything());
+    });
+
+    test('should not let a read-only API token change categories', async () => {
+      routePoolQueries([], { scope: 'read' });
+
+      const response = await request(server)
+        .delete('/api/categories/7')
+        .set('Authorization', API_TOKEN);
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('This API token is read-only');
+    });
+
+    test('should return 404 for a ledger the user is not a member of', async () => {
+      routePoolQueries();
+
+      const response = await request(server)
+        .patch('/api/categories/7?ledger=3')
+        .set('Authorization', SESSION)
+        .send({ name: 'Trips' });
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Ledger not found');
+    });
+
+    test('should reject an invalid colour', async () => {
+      routePoolQueries();
+
+      const response = await request(server)
+        .post('/api/categories')
+        .set('Authorization', SESSION)
+        .send({ name: 'Health', color: 'green' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Color must be a hex value like #4f46e5');
+      expect(mockPool.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO categories'), expect.anything());
+    });
+
+    test('should return 409 for a duplicate name', async () => {
+      routePoolQueries([[/^INSERT INTO categories/, () => {
+        throw Object.assign(new Error('duplicate key'), { code: '23505' });
+      }]]);
+
+      const response = await request(server)
+        .post('/api/categories')
+        .set('Authorization', SESSION)
+        .send({ name: 'Food' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('A category with that name already exists');
+    });
+  });
+
+  describe('Merging categories', () => {
+    test('should move expenses and delete the source in one transaction', async () => {
+      routePoolQueries();
+      routeMerge([{ id: 2, name: 'Transport' }, { id: 7, name: 'Travel' }], { expenses: 3 });
+
+      const response = await request(server)
+        .post('/api/categories/7/merge')
+        .set('Authorization', SESSION)
+        .send({ into: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.movedExpenses).toBe(3);
+      expect(mockClient.query).toHaveBeenCalledWith(
+        'SELECT * FROM categories WHERE id = ANY($1) AND ledger_id = $2 FOR UPDATE',
+        [[7, 2], 9]
+      );
+      expect(mockClient.query).toHaveBeenCalledWith(
+        'UPDATE expenses SET category = $1 WHERE category = $2 AND ledger_id = $3',
+        ['Transport', 'Travel', 9]
+      );
+      expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM categories WHERE id = $1', [7]);
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    test('should move recurring templates and budgets before deleting the source', async () => {
+      routePoolQueries();
+      routeMerge([{ id: 2, name: 'Transport' }, { id: 7, name: 'Travel' }], { recurring: 2 });
+
+      const response = await request(server)
+        .post('/api/categories/7/merge')
+        .set('Authorization', SESSION)
+        .send({ into: 2 });
+
+      expect(response.status).toBe(200);
+      expect(response.body.movedRecurring).toBe(2);
+      const statements = mockClient.query.mock.calls.map(([sql]) => sql.trim().split(/\s+/).slice(0, 2).join(' '));
+      expect(statements.indexOf('UPDATE recurring_expenses')).toBeLessThan(statements.indexOf('DELETE FROM'));
+      expect(statements.indexOf('UPDATE budgets')).toBeLessThan(statements.indexOf('DELETE FROM'));
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringMatching(/^UPDATE budgets SET category = \$1 WHERE category = \$2 AND ledger_id = \$3\s+AND NOT EXISTS/),
+        ['Transport', 'Travel', 9]
+      );
+    });
+
+    test('should roll back when the move fails', async () => {
+      routePoolQueries();
+      routeMerge([{ id: 2, name: 'Transport' }, { id: 7, name: 'Travel' }], { fail: /^UPDATE expenses/ });
+
+      const response = await request(server)
+        .post('/api/categories/7/merge')
+        .set('Authorization', SESSION)
+        .send({ into: 2 });
+
+      expect(response.status).toBe(500);
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    test('should not merge the default category away', async () => {
+      routePoolQueries();
+      routeMerge([{ id: 6, name: 'Other' }, { id: 1, name: 'Food' }]);
+
+      const response = await request(server)
+        .post('/api/categories/6/merge')
+        .set('Authorization', SESSION)
+        .send({ into: 1 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('The Other category cannot be merged away');
+    });
+
+    test('should reject merging a category into itself', async () => {
+      routePoolQueries();
+
+      const response = await request(server)
+        .post('/api/categories/3/merge')
+        .set('Authorization', SESSION)
+        .send({ into: 3 });
+
+      expect(response.status).toBe(400);
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Deleting categories', () => {
+    const usage = (expenseCount, recurringCount) => [
+      /^SELECT c.name/, () => ({ rows: [{ name: 'Travel', expense_count: expenseCount, recurring_count: recurringCount }] })
+    ];
+
+    test('should delete an unused category', async () => {
+      routePoolQueries([usage(0, 0)]);
+
+      const response = await request(server).delete('/api/categories/7').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenCalledWith(expect.stringContaining('FROM categories c WHERE c.id = $1 AND c.ledger_id = $2'), [7, 9]);
+      expect(mockPool.query).toHaveBeenCalledWith('DELETE FROM categories WHERE id = $1 AND ledger_id = $2', [7, 9]);
+    });
+
+    test('should refuse to delete a category that is still used', async () => {
+      routePoolQueries([usage(2, 0)]);
+
+      const response = await request(server).delete('/api/categories/7').set('Authorization', SESSION);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Category is used by 2 expense(s); merge it into another category instead');
+      expect(mockPool.query).not.toHaveBeenCalledWith('DELETE FROM categories WHERE id = $1 AND ledger_id = $2', [7, 9]);
+    });
+
+    test('should refuse to delete a category a recurring template uses', async () => {
+      routePoolQueries([usage(0, 1)]);
+
+      const response = await request(server).delete('/api/categories/7').set('Authorization', SESSION);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Category is used by 1 recurring expense(s); merge it into another category instead');
+      expect(mockPool.query).not.toHaveBeenCalledWith('DELETE FROM categories WHERE id = $1 AND ledger_id = $2', [7, 9]);
+    });
+
+    test('should return 409 when the category comes into use before the delete', async () => {
+      routePoolQueries([usage(0, 0), [/^DELETE FROM categories/, () => {
+        throw Object.assign(new Error('foreign key violation'), { code: '23503' });
+      }]]);
+
+      const response = await request(server).delete('/api/categories/7').set('Authorization', SESSION);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Category is in use; merge it into another category instead');
+    });
+
+    test('should return 404 for a missing category', async () => {
+      routePoolQueries([[/^SELECT c.name/, () => ({ rows: [] })]]);
+
+      const response = await request(server).delete('/api/categories/99').set('Authorization', SESSION);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Category not found');
+    });
+  });
+
+  describe('Expense input uses stored categories', () => {
+    test('should keep a user-defined category', () => {
+      const result = validateExpenseInput(
+        { itemName: 'Flight', amount: 300, category: 'Travel' },
+        { categories: [...seededCategories, 'Travel'] }
+      );
+
+      expect(result.values.category).toBe('Travel');
+    });
+
+    test('should fall back to Other for an unknown category when not strict', () => {
+      const result = validateExpenseInput(
+        { itemName: 'Flight', amount: 300, category: 'Travel' },
+        { categories: seededCategories, strict: false }
+      );
+
+      expect(result.values.category).toBe(DEFAULT_CATEGORY);
+    });
+  });
+});
+
+describe('User Story 13: Strict Categories', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Category validation options (same logic as in index.js)
+    const getCategoryRules = async (req) => {
+      const result = await mockPool.query('SELECT name FROM categories ORDER BY id');
+      return { categories: result.rows.map((row) => row.name), strict: isStrictMode(req.query) };
+    };
+
+    // Define the POST endpoint (same logic as in index.js)
+    app.post('/api/expenses', async (req, res) => {
+      try {
+        const validation = validateExpenseInput(req.body, await getCategoryRules(req));
+
+        if (validation.error) {
+          return res.status(400).json({ error: validation.error, allowed: validation.allowed });
+        }
+
+        const { itemName, amount, category, spentOn = null } = validation.values;
+
+        const result = await mockPool.query(
+          'INSERT INTO expenses (item_name, amount, category, spent_on) VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE)) RETURNING *',
+          [itemName, amount, category, spentOn]
+        );
+
+        res.status(201).json({ message: 'Expense added successfully', expense: result.rows[0] });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to add expense to database' });
+      }
+    });
+
+    // Define the total endpoint (same logic as in index.js)
+    app.get('/api/expenses/total', async (req, res) => {
+      try {
+        const parsed = parseExpenseFilters(req.query, await getCategoryRules(req));
+
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error, allowed: parsed.allowed });
+        }
+
+        const params = [];
+        const query = 'SELECT COALESCE(SUM(amount), 0) as total FROM expenses' + buildExpenseWhere(parsed.filters, params);
+
+        const result = await mockPool.query(query, params);
+
+        res.status(200).json({ total: parseFloat(result.rows[0].total) });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to calculate total spending' });
+      }
+    });
+
+    jest.clearAllMocks();
+    mockPool.query.mockReset();
+    mockPool.query.mockResolvedValueOnce({ rows: seededCategories.map((name) => ({ name })) });
+  });
+
+  describe('Expense input', () => {
+    test('should reject an unknown category and list the allowed values', async () => {
+      const response = await request(app)
+        .post('/api/expenses')
+        .send({ itemName: 'Taxi', amount: 12, category: 'Transprot' });
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({
+        error: 'Unknown category "Transprot"',
+        allowed: seededCategories
+      });
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should still default a missing category to Other', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1, category: 'Other' }] });
+
+      const response = await request(app)
+        .post('/api/expenses')
+        .send({ itemName: 'Taxi', amount: 12 });
+
+      expect(response.status).toBe(201);
+      expect(mockPool.query).toHaveBeenLastCalledWith(expect.any(String), ['Taxi', 12, 'Other', null]);
+    });
+
+    test('should file an unknown category under Other with strict=false', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1, category: 'Other' }] });
+
+      const response = await request(app)
+        .post('/api/expenses?strict=false')
+        .send({ itemName: 'Taxi', amount: 12, category: 'Transprot' });
+
+      expect(response.status).toBe(201);
+      expect(mockPool.query).toHaveBeenLastCalledWith(expect.any(String), ['Taxi', 12, 'Other', null]);
+    });
+  });
+
+  describe('Category filter', () => {
+    test('should reject an unknown category filter', async () => {
+      const response = await request(app).get('/api/expenses/total?category=Foo');
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ error: 'Unknown category "Foo"', allowed: seededCategories });
+    });
+
+    test('should match nothing for an unknown category with strict=false', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ total: '0' }] });
+
+      const response = await request(app).get('/api/expenses/total?category=Foo&strict=false');
+
+      expect(response.status).toBe(200);
+      expect(response.body.total).toBe(0);
+      expect(mockPool.query).toHaveBeenLastCalledWith(
+        'SELECT COALESCE(SUM(amount), 0) as total FROM expenses WHERE category = $1',
+        ['Foo']
+      );
+    });
+  });
+
+  describe('isStrictMode', () => {
+    test('should be strict unless strict=false is passed', () => {
+      expect(isStrictMode({})).toBe(true);
+      expect(isStrictMode({ strict: 'true' })).toBe(true);
+      expect(isStrictMode({ strict: 'false' })).toBe(false);
+      expect(isStrictMode({ strict: 'FALSE' })).toBe(false);
+    });
+  });
+});
+
+describe('User Story 14: Monthly Budgets - /api/budgets', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Define the PUT endpoint (same logic as in index.js)
+    app.put('/api/budgets', async (req, res) => {
+      const validation = validateBudgetInput(req.body, { categories: seededCategories });
+
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error, allowed: validation.allowed });
+      }
+
+      const { category, amount } = validation.values;
+
+      try {
+        const result = await mockPool.query(
+          `INSERT INTO budgets (category, amount) VALUES ($1, $2)
+           ON CONFLICT ((COALESCE(category, ''))) DO UPDATE SET amount = EXCLUDED.amount
+           RETURNING *`,
+          [category, amount]
+        );
+
+        res.status(200).json({ message: 'Budget saved successfully', budget: result.rows[0] });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to save budget to database' });
+      }
+    });
+
+    jest.clearAllMocks();
+  });
+
+  describe('Setting budgets', () => {
+    test('should set a category budget', async () => {
+      mockPool.query.mockResolvedValue({ rows: [{ id: 1, category: 'Food', amount: '300.00' }] });
+
+      const response = await request(app)
+        .put('/api/budgets')
+        .send({ category: 'Food', amount: '300' });
+
+      expect(response.status).toBe(200);
+      expect(mockPool.query).toHaveBeenCalledWith(expect.stringContaining('ON CONFLICT'), ['Food', 300]);
+    });
+
+    test('should set the overall budget when no category is given', async () => {
+      mockPool.query.mockResolvedValue({ rows: [{ id: 2, category: null, amount: '1000.00' }] });
+
+      await request(app)
+        .put('/api/budgets')
+        .send({ amount: 1000 });
+
+      expect(mockPool.query).toHaveBeenCalledWith(expect.any(String), [null, 1000]);
+    });
+
+    test('should reject a zero amount', async () => {
+      const response = await request(app)
+        .put('/api/budgets')
+        .send({ category: 'Food', amount: 0 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Budget amount must be greater than zero');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should reject an unknown category', async () => {
+      const response = await request(app)
+        .put('/api/budgets')
+        .send({ category: 'Fod', amount: 50 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.allowed).toEqual(seededCategories);
+    });
+  });
+
+  describe('Budget status', () => {
+    // Runs against the real route in index.js
+    const statusQuery = () => mockPool.query.mock.calls.find(([sql]) => /^WITH spending AS/.test(sql));
+
+    afterEach(() => {
+      mockPool.query.mockReset();
+    });
+
+    test('should report spending against each budget for the month', async () => {
+      routePoolQueries([[/^WITH spending AS/, () => ({
+        rows: [
+          { id: 2, category: null, amount: '1000.00', spent: '420.50', unconverted: [] },
+          { id: 1, category: 'Food', amount: '300.00', spent: '325.00', unconverted: [] }
+        ]
+      })]]);
+
+      const response = await request(server).get('/api/budgets/status?month=2026-02').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(response.body.month).toBe('2026-02');
+      expect(response.body.budgets).toEqual([
+        { id: 2, category: null, amount: 1000, spent: 420.5, remaining: 579.5, percent: 42, overBudget: false, unconverted: [] },
+        { id: 1, category: 'Food', amount: 300, spent: 325, remaining: -25, percent: 108, overBudget: true, unconverted: [] }
+      ]);
+      expect(statusQuery()[1]).toEqual(['2026-02-01', '2026-02-28', 9, 'GHS']);
+    });
+
+    test('should convert spending into the home currency and list currencies without a rate', async () => {
+      routePoolQueries([[/^WITH spending AS/, () => ({
+        rows: [
+          { id: 2, category: null, amount: '1000.00', spent: '616.00', unconverted: ['NGN'] },
+          { id: 1, category: 'Food', amount: '300.00', spent: '0.00', unconverted: [] }
+        ]
+      })]]);
+
+      const response = await request(server).get('/api/budgets/status?month=2026-02').set('Authorization', SESSION);
+
+      expect(response.body.currency).toBe('GHS');
+      expect(response.body.unconverted).toEqual(['NGN']);
+      expect(response.body.budgets[0].unconverted).toEqual(['NGN']);
+      expect(statusQuery()[0]).toContain('SUM(s.amount * s.rate)');
+      expect(statusQuery()[0]).toContain('r.ledger_id = expenses.ledger_id AND r.base = expenses.currency AND r.quote = $4');
+    });
+
+    test('should reject an invalid month', async () => {
+      routePoolQueries();
+
+      const response = await request(server).get('/api/budgets/status?month=2026-13').set('Authorization', SESSION);
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Invalid month, expected YYYY-MM');
+    });
+  });
+
+  describe('parseBudgetMonth', () => {
+    test('should default to the current month', () => {
+      const now = new Date(2026, 3, 15);
+
+      expect(currentMonth(now)).toBe('2026-04');
+      expect(parseBudgetMonth({}, now).period).toEqual({ month: '2026-04', from: '2026-04-01', to: '2026-04-30' });
+    });
+
+    test('should handle leap years', () => {
+      expect(parseBudgetMonth({ month: '2028-02' }).period.to).toBe('2028-02-29');
+    });
+  });
+});
+
+describe('User Story 15: Recurring Expenses - /api/recurring', () => {
+  // Runs against the real routes and scheduler in index.js
+
+  const rent = {
+    id: 1, item_name: 'Rent', amount: '1500.00', category: 'Bills', currency: 'GHS',
+    frequency: 'monthly', start_date: '2026-01-31', end_date: null, posted_through: null,
+    user_id: 7, ledger_id: 9
+  };
+
+  beforeEach(() => {
+    useMockClient(async () => ({ rowCount: 1 }));
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  describe('Creating templates', () => {
+    test('should save a monthly template', async () => {
+      routePoolQueries([[/^INSERT INTO recurring_expenses/, () => ({ rows: [{ ...rent, start_date: '2099-01-31' }] })]]);
+
+      const response = await request(server)
+        .post('/api/recurring')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Rent', amount: 1500, category: 'Bills', frequency: 'monthly', startDate: '2099-01-31' });
+
+      expect(response.status).toBe(201);
+      expect(mockPool.query).toHaveBeenCalledWith(
+        expect.stringContaining('INSERT INTO recurring_expenses'),
+        ['Rent', 1500, 'Bills', 'GHS', 'monthly', '2099-01-31', null, 7, 9]
+      );
+      expect(response.body.postedExpenses).toBe(0);
+    });
+
+    test('should post only the new template\'s due occurrences', async () => {
+      routePoolQueries([[/^INSERT INTO recurring_expenses/, () => ({ rows: [{ ...rent, start_date: '2026-01-31' }] })]]);
+
+      const response = await request(server)
+        .post('/api/recurring')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Rent', amount: 1500, category: 'Bills', frequency: 'monthly', startDate: '2026-01-31' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.postedExpenses).toBeGreaterThan(0);
+      // Other users' templates are left to the scheduler
+      expect(mockPool.query).not.toHaveBeenCalledWith(expect.stringContaining('SELECT * FROM recurring_expenses'), expect.anything());
+      const recurringIds = mockClient.query.mock.calls
+        .filter(([sql]) => sql.startsWith('INSERT INTO expenses'))
+        .map(([, params]) => params[5]);
+      expect(new Set(recurringIds)).toEqual(new Set([1]));
+    });
+
+    test('should reject an unknown frequency', async () => {
+      routePoolQueries();
+
+      const response = await request(server)
+        .post('/api/recurring')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Rent', amount: 1500, frequency: 'fortnightly' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Frequency must be one of daily, weekly, monthly, yearly');
+      expect(mockPool.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO recurring_expenses'), expect.anything());
+    });
+
+    test('should reject an end date before the start date', async () => {
+      routePoolQueries();
+
+      const response = await request(server)
+        .post('/api/recurring')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Gym', amount: 80, frequency: 'monthly', startDate: '2026-05-01', endDate: '2026-04-30' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('End date must be on or after start date');
+    });
+
+    test('should accept a partial update of the frequency alone', () => {
+      expect(validateRecurringInput({ frequency: 'weekly' }, { partial: true })).toEqual({
+        values: { frequency: 'weekly' }
+      });
+    });
+  });
+
+  describe('Scheduler', () => {
+    test('should post every due occurrence and record progress', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [rent] });
+
+      const posted = await postRecurringExpenses('2026-03-31');
+
+      expect(posted).toBe(3);
+      const postedDates = mockClient.query.mock.calls
+        .filter(([sql]) => sql.startsWith('INSERT'))
+        .map(([, params]) => params[4]);
+      expect(postedDates).toEqual(['2026-01-31', '2026-02-28', '2026-03-31']);
+      expect(mockClient.query).toHaveBeenCalledWith(
+        'UPDATE recurring_expenses SET posted_through = $1 WHERE id = $2',
+        ['2026-03-31', 1]
+      );
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    test('should only post occurrences after posted_through', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ ...rent, posted_through: '2026-02-28' }] });
+
+      const posted = await postRecurringExpenses('2026-03-31');
+
+      expect(posted).toBe(1);
+    });
+
+    test('should not double count occurrences that already exist', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [rent] });
+      // ON CONFLICT DO NOTHING reports zero inserted rows after a restart
+      mockClient.query.mockResolvedValue({ rowCount: 0 });
+
+      const posted = await postRecurringExpenses('2026-03-31');
+
+      expect(posted).toBe(0);
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    test('should roll back a template whose posting fails', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [rent] });
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('INSERT')) throw new Error('Database connection failed');
+        return {};
+      });
+
+      const posted = await postRecurringExpenses('2026-03-31');
+
+      expect(posted).toBe(0);
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('Occurrence dates', () => {
+    test('should clamp monthly occurrences to short months', () => {
+      expect(nthOccurrence('2026-01-31', 'monthly', 1)).toBe('2026-02-28');
+      expect(nthOccurrence('2026-01-31', 'monthly', 2)).toBe('2026-03-31');
+    });
+
+    test('should step daily, weekly and yearly rules', () => {
+      expect(nthOccurrence('2026-12-31', 'daily', 1)).toBe('2027-01-01');
+      expect(nthOccurrence('2026-03-02', 'weekly', 2)).toBe('2026-03-16');
+      expect(nthOccurrence('2028-02-29', 'yearly', 1)).toBe('2029-02-28');
+    });
+
+    test('should stop at the end date', () => {
+      const template = { start_date: '2026-03-01', end_date: '2026-03-15', frequency: 'weekly' };
+
+      expect(dueOccurrences(template, null, '2026-04-30')).toEqual({
+        dates: ['2026-03-01', '2026-03-08', '2026-03-15'],
+        postedThrough: '2026-03-15'
+      });
+    });
+
+    test('should cap a long backlog and resume from the last posted date', () => {
+      const template = { start_date: '2026-01-01', end_date: null, frequency: 'daily' };
+
+      expect(dueOccurrences(template, null, '2026-12-31', 3)).toEqual({
+        dates: ['2026-01-01', '2026-01-02', '2026-01-03'],
+        postedThrough: '2026-01-03'
+      });
+    });
+  });
+});
+
+describe('User Story 16: User Accounts - /api/auth', () => {
+  // Runs against the real routes in index.js
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useMockClient(async (sql) => {
+      if (sql.startsWith('INSERT INTO users')) return { rows: [{ id: 1, email: 'sam@example.com', home_currency: 'GHS' }] };
+      if (sql.startsWith('INSERT INTO ledgers')) return { rows: [{ id: 4 }] };
+      return { rows: [] };
+    });
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  describe('Registering', () => {
+    test('should store a hashed password and lower-cased email with a personal ledger', async () => {
+      mockPool.query.mockResolvedValue({ rows: [] });
+
+      const response = await request(server)
+        .post('/api/auth/register')
+        .send({ email: '  Sam@Example.com ', password: 'correct horse' });
+
+      expect(response.status).toBe(201);
+      expect(response.body.user).toEqual({ id: 1, email: 'sam@example.com', homeCurrency: 'GHS' });
+      expect(response.body.token).toEqual(expect.any(String));
+
+      const [, [email, passwordHash]] = mockClient.query.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO users'));
+      expect(email).toBe('sam@example.com');
+      expect(passwordHash).toMatch(/^scrypt\$/);
+      expect(passwordHash).not.toContain('correct horse');
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('INSERT INTO ledger_members'), [4, 1]);
+      // The new ledger starts with its own copy of the seeded categories
+      expect(mockClient.query).toHaveBeenCalledWith(expect.stringContaining('FROM categories WHERE ledger_id IS NULL'), [4]);
+      expect(mockPool.query.mock.calls[0][1][0]).toBe(1);
+    });
+
+    test('should reject a short password', async () => {
+      const response = await request(server)
+        .post('/api/auth/register')
+        .send({ email: 'sam@example.com', password: 'short' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Password must be between 8 and 128 characters');
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should reject an invalid email', async () => {
+      const response = await request(server)
+        .post('/api/auth/register')
+        .send({ email: 'not-an-email', password: 'correct horse' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('A valid email address is required');
+    });
+
+    test('should return 409 when the email is taken', async () => {
+      mockClient.query.mockImplementation(async (sql) => {
+        if (sql.startsWith('INSERT INTO users')) throw Object.assign(new Error('duplicate key'), { code: '23505' });
+        return { rows: [] };
+      });
+
+      const response = await request(server)
+        .post('/api/auth/register')
+        .send({ email: 'sam@example.com', password: 'correct horse' });
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('An account with that email already exists');
+      expect(mockClient.query).toHaveBeenCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+
+    test('should answer with a JSON error when the database cannot be reached', async () => {
+      mockPool.connect.mockRejectedValueOnce(new Error('connection refused'));
+
+      const response = await request(server)
+        .post('/api/auth/register')
+        .send({ email: 'sam@example.com', password: 'correct horse' });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Failed to create account');
+    });
+  });
+
+  describe('Logging in', () => {
+    test('should accept the right password', async () => {
+      const passwordHash = await hashPassword('correct horse');
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'sam@example.com', home_currency: 'GHS', password_hash: passwordHash }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(server)
+        .post('/api/auth/login')
+        .send({ email: 'sam@example.com', password: 'correct horse' });
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toEqual({ id: 1, email: 'sam@example.com', homeCurrency: 'GHS' });
+      expect(mockPool.query.mock.calls[1][0]).toContain('INSERT INTO sessions');
+    });
+
+    test('should give the same error for a wrong password and an unknown email', async () => {
+      const passwordHash = await hashPassword('correct horse');
+      mockPool.query
+        .mockResolvedValueOnce({ rows: [{ id: 1, email: 'sam@example.com', home_currency: 'GHS', password_hash: passwordHash }] })
+        .mockResolvedValueOnce({ rows: [] });
+
+      const wrongPassword = await request(server)
+        .post('/api/auth/login')
+        .send({ email: 'sam@example.com', password: 'battery staple' });
+      const unknownEmail = await request(server)
+        .post('/api/auth/login')
+        .send({ email: 'nobody@example.com', password: 'battery staple' });
+
+      expect(wrongPassword.status).toBe(401);
+      expect(unknownEmail.status).toBe(401);
+      expect(wrongPassword.body.error).toBe('Invalid email or password');
+      expect(unknownEmail.body.error).toBe('Invalid email or password');
+      expect(mockPool.query).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('Protected routes', () => {
+    test('should return 401 without a token', async () => {
+      const response = await request(server).get('/api/auth/me');
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('Authentication required');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+
+    test('should return 401 for an unknown or expired token', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(server)
+        .get('/api/auth/me')
+        .set('Authorization', 'Bearer stale-token');
+
+      expect(response.status).toBe(401);
+      expect(mockPool.query.mock.calls[0][1]).toEqual([hashToken('stale-token')]);
+    });
+
+    test('should attach the logged-in user to the request', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ session_id: 5, id: 7, email: 'sam@example.com', home_currency: 'GHS' }] });
+
+      const response = await request(server)
+        .get('/api/auth/me')
+        .set('Authorization', 'Bearer good-token');
+
+      expect(response.status).toBe(200);
+      expect(response.body.user).toEqual({ id: 7, email: 'sam@example.com', homeCurrency: 'GHS' });
+    });
+  });
+
+  describe('Auth helpers', () => {
+    test('should verify a password only against its own hash', async () => {
+      const passwordHash = await hashPassword('correct horse');
+
+      expect(await verifyPassword('correct horse', passwordHash)).toBe(true);
+      expect(await verifyPassword('Correct horse', passwordHash)).toBe(false);
+      expect(await verifyPassword('correct horse', 'not-a-hash')).toBe(false);
+    });
+
+    test('should match no password against the dummy hash', async () => {
+      expect(DUMMY_PASSWORD_HASH).toMatch(/^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+      expect(await verifyPassword('', DUMMY_PASSWORD_HASH)).toBe(false);
+      expect(await verifyPassword('correct horse', DUMMY_PASSWORD_HASH)).toBe(false);
+    });
+
+    test('should salt each hash', async () => {
+      expect(await hashPassword('correct horse')).not.toBe(await hashPassword('correct horse'));
+    });
+
+    test('should parse bearer tokens', () => {
+      expect(parseBearerToken('Bearer abc123')).toBe('abc123');
+      expect(parseBearerToken('Basic abc123')).toBeNull();
+      expect(parseBearerToken(undefined)).toBeNull();
+    });
+  });
+});
+
+describe('User Story 17: Personal API Tokens - /api/tokens', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Auth middleware (same logic as in index.js)
+    const requireAuth = async (req, res, next) => {
+      const token = parseBearerToken(req.get('Authorization'));
+
+      if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
+      }
+
+      const apiToken = isApiToken(token);
+      const result = await mockPool.query(
+        apiToken ? 'UPDATE api_tokens t SET last_used_at = NOW() ...' : 'SELECT ... FROM sessions s ...',
+        [hashToken(token)]
+      );
+      const match = result.rows[0];
+
+      if (!match) {
+        return res.status(401).json({
+          error: apiToken ? 'API token expired, revoked or invalid' : 'Session expired or invalid, please log in again'
+        });
+      }
+
+      if (apiToken && !scopeAllows(match.scope, req.method)) {
+        return res.status(403).json({ error: 'This API token is read-only' });
+      }
+
+      req.user = { id: match.id, email: match.email };
+      req.sessionId = match.session_id ?? null;
+      next();
+    };
+
+    const requireSession = (req, res, next) => {
+      if (!req.sessionId) {
+        return res.status(403).json({ error: 'Log in with your password to do this; API tokens cannot' });
+      }
+      next();
+    };
+
+    // Define the POST endpoint (same logic as in index.js)
+    app.post('/api/tokens', requireAuth, requireSession, async (req, res) => {
+      const validation = validateTokenInput(req.body);
+
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+      }
+
+      const { name, scope, expiresInDays } = validation.values;
+      const token = generateApiToken();
+
+      const result = await mockPool.query(
+        'INSERT INTO api_tokens (user_id, name, token_hash, scope, expires_at) ...',
+        [req.user.id, name, hashToken(token), scope, expiresInDays]
+      );
+
+      res.status(201).json({ apiToken: result.rows[0], token });
+    });
+
+    // Stand-ins for the data routes the middleware protects
+    app.get('/api/expenses', requireAuth, (req, res) => res.status(200).json({ userId: req.user.id }));
+    app.post('/api/expenses', requireAuth, (req, res) => res.status(201).json({ userId: req.user.id }));
+
+    jest.clearAllMocks();
+    mockPool.query.mockReset();
+  });
+
+  const session = { rows: [{ session_id: 5, id: 7, email: 'sam@example.com' }] };
+
+  describe('Creating tokens', () => {
+    test('should return the token once and store only its hash', async () => {
+      mockPool.query
+        .mockResolvedValueOnce(session)
+        .mockResolvedValueOnce({ rows: [{ id: 1, name: 'Telegram bot', scope: 'read' }] });
+
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', 'Bearer session-token')
+        .send({ name: ' Telegram bot ', scope: 'read', expiresInDays: 90 });
+
+      expect(response.status).toBe(201);
+      expect(response.body.token).toMatch(/^sw_pat_/);
+
+      const [, params] = mockPool.query.mock.calls[1];
+      expect(params).toEqual([7, 'Telegram bot', hashToken(response.body.token), 'read', 90]);
+    });
+
+    test('should not let an API token create more tokens', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ scope: 'read-write', id: 7, email: 'sam@example.com' }] });
+
+      const response = await request(app)
+        .post('/api/tokens')
+        .set('Authorization', `Bearer ${generateApiToken()}`)
+        .send({ name: 'Another' });
+
+      expect(response.status).toBe(403);
+      expect(mockPool.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('should validate name, scope and expiry', () => {
+      expect(validateTokenInput({ name: 'Sheet sync' })).toEqual({
+        values: { name: 'Sheet sync', scope: 'read-write', expiresInDays: null }
+      });
+      expect(validateTokenInput({ name: '  ' }).error).toBe('Token name is required and cannot be empty');
+      expect(validateTokenInput({ name: 'Bot', scope: 'admin' }).error).toBe('Scope must be one of read, read-write');
+      expect(validateTokenInput({ name: 'Bot', expiresInDays: 0 }).error)
+        .toBe('Expires in days must be a whole number between 1 and 3650');
+      expect(validateTokenInput({ name: 'Bot', expiresInDays: 1.5 }).error)
+        .toBe('Expires in days must be a whole number between 1 and 3650');
+    });
+  });
+
+  describe('Using tokens', () => {
+    test('should accept an API token on the expense routes', async () => {
+      const token = generateApiToken();
+      mockPool.query.mockResolvedValueOnce({ rows: [{ scope: 'read', id: 7, email: 'sam@example.com' }] });
+
+      const response = await request(app)
+        .get('/api/expenses')
+        .set('Authorization', `Bearer ${token}`);
+
+      expect(response.status).toBe(200);
+      expect(response.body.userId).toBe(7);
+      expect(mockPool.query.mock.calls[0][0]).toContain('api_tokens');
+      expect(mockPool.query.mock.calls[0][1]).toEqual([hashToken(token)]);
+    });
+
+    test('should reject writes with a read-only token', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ scope: 'read', id: 7, email: 'sam@example.com' }] });
+
+      const response = await request(app)
+        .post('/api/expenses')
+        .set('Authorization', `Bearer ${generateApiToken()}`)
+        .send({ itemName: 'Lunch', amount: 10 });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('This API token is read-only');
+    });
+
+    test('should allow writes with a read-write token', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ scope: 'read-write', id: 7, email: 'sam@example.com' }] });
+
+      const response = await request(app)
+        .post('/api/expenses')
+        .set('Authorization', `Bearer ${generateApiToken()}`)
+        .send({ itemName: 'Lunch', amount: 10 });
+
+      expect(response.status).toBe(201);
+    });
+
+    test('should return 401 for an expired or revoked token', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [] });
+
+      const response = await request(app)
+        .get('/api/expenses')
+        .set('Authorization', `Bearer ${generateApiToken()}`);
+
+      expect(response.status).toBe(401);
+      expect(response.body.error).toBe('API token expired, revoked or invalid');
+    });
+
+    test('should tell API tokens and session tokens apart', () => {
+      expect(isApiToken(generateApiToken())).toBe(true);
+      expect(isApiToken('abcDEF123')).toBe(false);
+      expect(scopeAllows('read', 'GET')).toBe(true);
+      expect(scopeAllows('read', 'DELETE')).toBe(false);
+      expect(scopeAllows('read-write', 'DELETE')).toBe(true);
+    });
+  });
+});
+
+describe('User Story 18: Shared Ledgers - /api/ledgers', () => {
+  // Runs against the real routes in index.js
+  beforeEach(() => {
+    jest.clearAllMocks();
+    routePoolQueries();
+    useMockClient();
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  const ledgerLookups = () => mockPool.query.mock.calls.filter(([sql]) => sql.includes('FROM ledger_members m'));
+  const listQuery = () => mockPool.query.mock.calls.find(([sql]) => sql.includes('FROM expenses WHERE'));
+
+  describe('Scoping to a ledger', () => {
+    test('should use the personal ledger when none is given', async () => {
+      routePoolQueries([[/FROM ledger_members m/, () => ({ rows: [{ id: 4, name: 'Personal', role: 'owner' }] })]]);
+
+      const response = await request(server).get('/api/expenses').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(ledgerLookups()[0][1]).toEqual([7, null]);
+      expect(listQuery()[0]).toContain('WHERE ledger_id = $2');
+      expect(listQuery()[1][1]).toBe(4);
+    });
+
+    test('should list a shared ledger the user is a member of', async () => {
+      routePoolQueries([], { role: 'viewer' });
+
+      const response = await request(server).get('/api/expenses?ledger=9').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(ledgerLookups()[0][1]).toEqual([7, 9]);
+      expect(listQuery()[1][1]).toBe(9);
+    });
+
+    test('should return 404 for a ledger the user is not a member of', async () => {
+      const response = await request(server).get('/api/expenses?ledger=3').set('Authorization', SESSION);
+
+      expect(response.status).toBe(404);
+      expect(response.body.error).toBe('Ledger not found');
+      expect(listQuery()).toBeUndefined();
+    });
+
+    test('should reject an invalid ledger id', async () => {
+      const response = await request(server).get('/api/expenses?ledger=abc').set('Authorization', SESSION);
+
+      expect(response.status).toBe(400);
+      expect(ledgerLookups()).toHaveLength(0);
+    });
+
+    test('should record the creating member and the ledger on new expenses', async () => {
+      routePoolQueries([], { role: 'editor' });
+      mockClient.query.mockImplementation(async (sql) => ({ rows: sql.startsWith('INSERT INTO expenses') ? [{ id: 1 }] : [] }));
+
+      const response = await request(server)
+        .post('/api/expenses?ledger=9')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Groceries', amount: 80 });
+
+      const insert = mockClient.query.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO expenses'));
+      expect(response.status).toBe(201);
+      expect(insert[1].slice(-2)).toEqual([7, 9]);
+    });
+
+    test('should stop viewers from adding expenses', async () => {
+      routePoolQueries([], { role: 'viewer' });
+
+      const response = await request(server)
+        .post('/api/expenses?ledger=9')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Groceries', amount: 80 });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You have view-only access to this ledger');
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should give a new ledger its own copy of the seeded categories', async () => {
+      mockClient.query.mockImplementation(async (sql) => (sql.startsWith('INSERT INTO ledgers')
+        ? { rows: [{ id: 12, name: 'Trip' }] }
+        : { rows: [] }));
+
+      const response = await request(server)
+        .post('/api/ledgers')
+        .set('Authorization', SESSION)
+        .send({ name: 'Trip' });
+
+      expect(response.status).toBe(201);
+      expect(mockClient.query).toHaveBeenCalledWith(
+        expect.stringMatching(/^INSERT INTO categories \(name, color, icon, ledger_id\)\s+SELECT .* WHERE ledger_id IS NULL/),
+        [12]
+      );
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+  });
+
+  describe('Managing members', () => {
+    const members = { rows: [{ user_id: 7, role: 'owner' }, { user_id: 8, role: 'editor' }, { user_id: 9, role: 'viewer' }] };
+
+    beforeEach(() => {
+      mockClient.query.mockImplementation(async (sql) => (sql.startsWith('SELECT user_id, role FROM ledger_members') ? members : { rows: [] }));
+    });
+
+    test('should let an owner remove a member', async () => {
+      const response = await request(server).delete('/api/ledgers/3/members/8').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(mockClient.query).toHaveBeenCalledWith('DELETE FROM ledger_members WHERE ledger_id = $1 AND user_id = $2', [3, 8]);
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    test('should let a member leave but not remove others', async () => {
+      routePoolQueries([], { userId: 9 });
+
+      const leave = await request(server).delete('/api/ledgers/3/members/9').set('Authorization', SESSION);
+      const remove = await request(server).delete('/api/ledgers/3/members/8').set('Authorization', SESSION);
+
+      expect(leave.status).toBe(200);
+      expect(remove.status).toBe(403);
+      expect(remove.body.error).toBe('Only ledger owners can manage members');
+    });
+
+    test('should not let the last owner leave', async () => {
+      const response = await request(server).delete('/api/ledgers/3/members/7').set('Authorization', SESSION);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('A ledger must keep at least one owner');
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+
+    test('should not let a read-only API token remove members', async () => {
+      routePoolQueries([], { scope: 'read' });
+
+      const response = await request(server).delete('/api/ledgers/3/members/8').set('Authorization', API_TOKEN);
+
+      expect(response.status).toBe(403);
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Ledger helpers', () => {
+    test('should only let viewers read', () => {
+      expect(roleAllows('viewer', 'GET')).toBe(true);
+      expect(roleAllows('viewer', 'PATCH')).toBe(false);
+      expect(roleAllows('editor', 'DELETE')).toBe(true);
+      expect(canManageMembers('owner')).toBe(true);
+      expect(canManageMembers('editor')).toBe(false);
+    });
+
+    test('should spot the last owner', () => {
+      const members = [{ user_id: 1, role: 'owner' }, { user_id: 2, role: 'editor' }];
+
+      expect(isLastOwner(members, 1)).toBe(true);
+      expect(isLastOwner(members, 2)).toBe(false);
+      expect(isLastOwner([...members, { user_id: 3, role: 'owner' }], 1)).toBe(false);
+    });
+
+    test('should validate members and ledgers', () => {
+      expect(validateMemberInput({ email: ' Alex@Example.com ' })).toEqual({
+        values: { email: 'alex@example.com', role: 'editor' }
+      });
+      expect(validateMemberInput({ email: 'alex@example.com', role: 'admin' }).error)
+        .toBe('Role must be one of owner, editor, viewer');
+      expect(validateMemberInput({ role: 'viewer' }, { partial: true })).toEqual({ values: { role: 'viewer' } });
+      expect(validateMemberInput({}, { partial: true }).error).toBe('Role must be one of owner, editor, viewer');
+      expect(validateLedgerInput({ name: ' Household ' })).toEqual({ values: { name: 'Household' } });
+      expect(validateLedgerInput({ name: '' }).error).toBe('Ledger name is required and cannot be empty');
+    });
+
+    test('should put the ledger condition before other filters', () => {
+      const params = [];
+      const where = buildExpenseWhere({ ledgerId: 3, category: 'Food' }, params);
+
+      expect(where).toBe(' WHERE ledger_id = $1 AND category = $2');
+      expect(params).toEqual([3, 'Food']);
+    });
+  });
+});
+
+describe('User Story 19: Split Expenses - /api/balances', () => {
+  // Runs against the real routes in index.js
+  const membersQuery = /^SELECT user_id FROM ledger_members WHERE ledger_id/;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useMockClient();
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  describe('Splitting an expense', () => {
+    test('should store equal shares with the expense in one transaction', async () => {
+      routePoolQueries([[membersQuery, () => ({ rows: [{ user_id: 7 }, { user_id: 8 }, { user_id: 10 }] })]]);
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 31, item_name: 'Dinner', amount: '100.00' }] })
+        .mockResolvedValueOnce({ rows: [{ user_id: 7, amount: '33.34' }, { user_id: 8, amount: '33.33' }, { user_id: 10, amount: '33.33' }] })
+        .mockResolvedValueOnce({});
+
+      const response = await request(server)
+        .post('/api/expenses')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Dinner', amount: 100, category: 'Food', split: { method: 'equal', shares: [{ userId: 7 }, { userId: 8 }, { userId: 10 }] } });
+
+      expect(response.status).toBe(201);
+      expect(response.body.expense.shares).toHaveLength(3);
+      expect(mockClient.query.mock.calls[2][1]).toEqual([31, [7, 8, 10], [33.34, 33.33, 33.33]]);
+      expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    });
+
+    test('should reject exact shares that do not add up', async () => {
+      routePoolQueries();
+
+      const response = await request(server)
+        .post('/api/expenses')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Dinner', amount: 100, split: { method: 'exact', shares: [{ userId: 7, amount: 60 }, { userId: 8, amount: 30 }] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Split amounts must add up to 100.00');
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should reject participants outside the ledger', async () => {
+      routePoolQueries([[membersQuery, () => ({ rows: [{ user_id: 7 }] })]]);
+
+      const response = await request(server)
+        .post('/api/expenses')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Dinner', amount: 100, split: { method: 'percent', shares: [{ userId: 7, percent: 50 }, { userId: 99, percent: 50 }] } });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Split participants must be members of this ledger');
+      expect(mockPool.query.mock.calls.find(([sql]) => membersQuery.test(sql))[1]).toEqual([9, [7, 99]]);
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should roll back when the shares cannot be stored', async () => {
+      routePoolQueries([[membersQuery, () => ({ rows: [{ user_id: 7 }, { user_id: 8 }] })]]);
+      mockClient.query
+        .mockResolvedValueOnce({})
+        .mockResolvedValueOnce({ rows: [{ id: 31 }] })
+        .mockRejectedValueOnce(new Error('connection lost'));
+
+      const response = await request(server)
+        .post('/api/expenses')
+        .set('Authorization', SESSION)
+        .send({ itemName: 'Dinner', amount: 100, split: { method: 'equal', shares: [{ userId: 7 }, { userId: 8 }] } });
+
+      expect(response.status).toBe(500);
+      expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+      expect(mockClient.release).toHaveBeenCalled();
+    });
+  });
+
+  describe('Balances', () => {
+    // Runs against the real route in index.js
+    const balancesQuery = () => mockPool.query.mock.calls.find(([sql]) => /^WITH shares AS/.test(sql));
+
+    test('should net balances and suggest transfers', async () => {
+      routePoolQueries([[/^WITH shares AS/, () => ({
+        rows: [{
+          balances: [
+            { user_id: 7, email: 'sam@example.com', balance: 60 },
+            { user_id: 8, email: 'alex@example.com', balance: -45 },
+            { user_id: 10, email: 'jo@example.com', balance: -15 },
+          ],
+          unconverted: []
+        }]
+      })]]);
+
+      const response = await request(server).get('/api/balances').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(response.body.balances[1]).toEqual({ userId: 8, email: 'alex@example.com', balance: -45 });
+      expect(response.body.transfers).toEqual([
+        { from: { userId: 8, email: 'alex@example.com' }, to: { userId: 7, email: 'sam@example.com' }, amount: 45 },
+        { from: { userId: 10, email: 'jo@example.com' }, to: { userId: 7, email: 'sam@example.com' }, amount: 15 },
+      ]);
+      expect(balancesQuery()[1]).toEqual([9, 'GHS']);
+    });
+
+    test('should convert shares into the home currency and list currencies without a rate', async () => {
+      routePoolQueries([[/^WITH shares AS/, () => ({ rows: [{ balances: [], unconverted: ['USD'] }] })]]);
+
+      const response = await request(server).get('/api/balances').set('Authorization', SESSION);
+
+      expect(response.body.currency).toBe('GHS');
+      expect(response.body.unconverted).toEqual(['USD']);
+      expect(balancesQuery()[0]).toContain('amount * rate AS amount FROM shares WHERE rate IS NOT NULL');
+      expect(balancesQuery()[0]).toContain('r.ledger_id = expenses.ledger_id');
+    });
+
+    test('should return no transfers when everyone is settled', async () => {
+      routePoolQueries([[/^WITH shares AS/, () => ({ rows: [{ balances: [], unconverted: [] }] })]]);
+
+      const response = await request(server).get('/api/balances').set('Authorization', SESSION);
+
+      expect(response.body).toEqual({ balances: [], transfers: [], currency: 'GHS', unconverted: [] });
+    });
+  });
+
+  describe('Split helpers', () => {
+    test('should give leftover cents to the earliest participants', () => {
+      expect(allocateCents(1000, [1, 1, 1])).toEqual([334, 333, 333]);
+      expect(allocateCents(1001, [1, 1])).toEqual([501, 500]);
+      expect(allocateCents(500, [0, 0])).toEqual([250, 250]);
+    });
+
+    test('should compute shares for each method', () => {
+      expect(computeShares(90, { method: 'percent', shares: [{ userId: 1, percent: 50 }, { userId: 2, percent: 25 }, { userId: 3, percent: 25 }] }))
+        .toEqual({ shares: [{ userId: 1, amount: 45 }, { userId: 2, amount: 22.5 }, { userId: 3, amount: 22.5 }] });
+      expect(computeShares(10, { method: 'exact', shares: [{ userId: 1, amount: 7.5 }, { userId: 2, amount: 2.5 }] }).shares[1].amount).toBe(2.5);
+      expect(computeShares(10, { method: 'percent', shares: [{ userId: 1, percent: 50 }, { userId: 2, percent: 40 }] }).error)
+        .toBe('Split percentages must add up to 100');
+    });
+
+    test('should keep proportions when an amount changes', () => {
+      expect(rescaleShares([{ user_id: 1, amount: '75.00' }, { user_id: 2, amount: '25.00' }], 40))
+        .toEqual([{ userId: 1, amount: 30 }, { userId: 2, amount: 10 }]);
+    });
+
+    test('should settle with at most one transfer fewer than the people involved', () => {
+      const transfers = settleUp([
+        { userId: 1, balance: 30 },
+        { userId: 2, balance: 20 },
+        { userId: 3, balance: -25 },
+        { userId: 4, balance: -25 },
+      ]);
+
+      expect(transfers).toEqual([
+        { from: 3, to: 1, amount: 25 },
+        { from: 4, to: 2, amount: 20 },
+        { from: 4, to: 1, amount: 5 },
+      ]);
+      expect(settleUp([{ userId: 1, balance: 0 }])).toEqual([]);
+    });
+
+    test('should validate the split body', () => {
+      expect(validateSplitInput({ method: 'halves', shares: [] }).error).toBe('Split method must be one of equal, exact, percent');
+      expect(validateSplitInput({ method: 'equal', shares: [] }).error).toBe('A split needs at least one participant');
+      expect(validateSplitInput({ method: 'equal', shares: [{ userId: 1 }, { userId: 1 }] }).error)
+        .toBe('Each participant can only appear once in a split');
+      expect(validateSplitInput({ method: 'exact', shares: [{ userId: 1 }] }).error).toBe('Each exact share needs an amount of zero or more');
+      expect(validateSplitInput({ method: 'percent', shares: [{ userId: 2, percent: '40' }] }))
+        .toEqual({ values: { method: 'percent', shares: [{ userId: 2, percent: 40 }] } });
+    });
+  });
+});
+
+describe('User Story 20: Income - /api/income', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Stand-in for requireAuth and requireLedger: user 7 in ledger 9
+    app.use((req, res, next) => {
+      req.user = { id: 7, email: 'sam@example.com' };
+      req.ledger = { id: 9, name: 'Household', role: 'owner' };
+      next();
+    });
+
+    // Define the POST endpoint (same logic as in index.js)
+    app.post('/api/income', async (req, res) => {
+      const validation = validateIncomeInput(req.body);
+
+      if (validation.error) {
+        return res.status(400).json({ error: validation.error });
+      }
+
+      const { source, amount, receivedOn = null } = validation.values;
+
+      try {
+        const result = await mockPool.query(
+          'INSERT INTO income (source, amount, received_on, user_id, ledger_id) VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), $4, $5) RETURNING *',
+          [source, amount, receivedOn, req.user.id, req.ledger.id]
+        );
+
+        res.status(201).json({ message: 'Income added successfully', income: result.rows[0] });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to add income to database' });
+      }
+    });
+
+    jest.clearAllMocks();
+    mockPool.query.mockReset();
+  });
+
+  // The summary runs against the real route in index.js
+  describe('Summary', () => {
+    const totalsAre = (row) => routePoolQueries([[/^WITH\s+spending AS/, () => ({ rows: [{ unconverted: [], ...row }] })]]);
+
+    test('should return spending, income and net', async () => {
+      totalsAre({ total: '420.50', income: '1500.00' });
+
+      const response = await request(server).get('/api/expenses/total').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ total: 420.5, income: 1500, net: 1079.5, currency: 'GHS', unconverted: [] });
+    });
+
+    test('should apply the date range to both sides', async () => {
+      totalsAre({ total: '0', income: '0' });
+
+      await request(server).get('/api/expenses/total?from=2026-03-01&to=2026-03-31').set('Authorization', SESSION);
+
+      const [query, params] = mockPool.query.mock.calls.find(([sql]) => sql.includes('spending AS'));
+      expect(query).toContain('FROM expenses WHERE ledger_id = $2 AND spent_on >= $3 AND spent_on <= $4');
+      expect(query).toContain('FROM income WHERE ledger_id = $5 AND received_on >= $6 AND received_on <= $7');
+      expect(params).toEqual(['GHS', 9, '2026-03-01', '2026-03-31', 9, '2026-03-01', '2026-03-31']);
+    });
+
+    test('should leave out income and the net while filtering by category', async () => {
+      totalsAre({ total: '120.00', income: '0' });
+
+      const response = await request(server).get('/api/expenses/total?category=Food').set('Authorization', SESSION);
+
+      expect(response.body).toMatchObject({ total: 120, income: null, net: null });
+      const [query] = mockPool.query.mock.calls.find(([sql]) => sql.includes('spending AS'));
+      expect(query).toContain('FROM income WHERE false');
+    });
+
+    test('should leave out income and the net while searching', async () => {
+      totalsAre({ total: '45.00', income: '0' });
+
+      const response = await request(server).get('/api/expenses/total?q=uber').set('Authorization', SESSION);
+
+      expect(response.body).toMatchObject({ total: 45, income: null, net: null });
+      const [query] = mockPool.query.mock.calls.find(([sql]) => sql.includes('spending AS'));
+      expect(query).toContain('FROM income WHERE false');
+    });
+
+    test('should return a negative net when spending exceeds income', async () => {
+      totalsAre({ total: '30.50', income: '0' });
+
+      const response = await request(server).get('/api/expenses/total').set('Authorization', SESSION);
+
+      expect(response.body.net).toBe(-30.5);
+    });
+  });
+
+  describe('Adding income', () => {
+    test('should record income in the ledger', async () => {
+      mockPool.query.mockResolvedValueOnce({ rows: [{ id: 1, source: 'Salary', amount: '1500.00', received_on: '2026-03-01' }] });
+
+      const response = await request(app)
+        .post('/api/income')
+        .send({ source: ' Salary ', amount: 1500, receivedOn: '2026-03-01' });
+
+      expect(response.status).toBe(201);
+      expect(mockPool.query.mock.calls[0][1]).toEqual(['Salary', 1500, '2026-03-01', 7, 9]);
+    });
+
+    test('should reject income without a source', async () => {
+      const response = await request(app).post('/api/income').send({ amount: 100 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Source is required and cannot be empty');
+      expect(mockPool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Income helpers', () => {
+    test('should validate income bodies', () => {
+      expect(validateIncomeInput({ source: 'Salary', amount: '1500' })).toEqual({ values: { source: 'Salary', amount: 1500 } });
+      expect(validateIncomeInput({ source: 'Salary', amount: -5 }).error).toBe('Amount must be a positive number');
+      expect(validateIncomeInput({ source: 'Salary', amount: 5, receivedOn: '2026-02-30' }).error)
+        .toBe('Received on must be a valid date (YYYY-MM-DD)');
+      expect(validateIncomeInput({ amount: 20 }, { partial: true })).toEqual({ values: { amount: 20 } });
+      expect(validateIncomeInput({}, { partial: true }).error).toBe('At least one of source, amount, receivedOn, accountId or currency must be provided');
+    });
+
+    test('should search income by source', () => {
+      const params = [];
+
+      expect(buildIncomeWhere({ ledgerId: 2, q: '50%' }, params)).toBe(' WHERE ledger_id = $1 AND source ILIKE $2');
+      expect(params).toEqual([2, '%50\\%%']);
+    });
+  });
+});
+
+describe('User Story 21: Accounts and Transfers - /api/accounts', () => {
+  // Runs against the real routes in index.js
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  const queryMatching = (pattern) => mockPool.query.mock.calls.find(([sql]) => pattern.test(sql));
+
+  describe('Accounts', () => {
+    test('should list accounts with numeric balances', async () => {
+      routePoolQueries([[/FROM accounts a/, () => ({
+        rows: [{ id: 1, name: 'MoMo', kind: 'mobile_money', currency: 'GHS', opening_balance: '200.00', balance: '154.50', unconverted: [] }]
+      })]]);
+
+      const response = await request(server).get('/api/accounts').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(response.body.accounts).toEqual([
+        { id: 1, name: 'MoMo', kind: 'mobile_money', currency: 'GHS', opening_balance: 200, balance: 154.5, unconverted: [] }
+      ]);
+      expect(queryMatching(/FROM accounts a/)[1]).toEqual([9]);
+    });
+
+    test('should convert income and expenses into the account\'s currency', async () => {
+      routePoolQueries([[/FROM accounts a/, () => ({
+        rows: [{ id: 2, name: 'Dollar card', kind: 'card', currency: 'USD', opening_balance: '0.00', balance: '-20.00', unconverted: ['NGN'] }]
+      })]]);
+
+      const response = await request(server).get('/api/accounts').set('Authorization', SESSION);
+
+      expect(response.body.accounts[0].unconverted).toEqual(['NGN']);
+      const [sql] = queryMatching(/FROM accounts a/);
+      expect(sql).toContain('WHEN income.currency = a.currency THEN 1');
+      expect(sql).toContain('r.ledger_id = expenses.ledger_id AND r.base = expenses.currency AND r.quote = a.currency');
+    });
+
+    test('should open an account in the home currency unless another is given', async () => {
+      routePoolQueries([[/^INSERT INTO accounts/, (params) => ({
+        rows: [{ id: 3, name: params[0], kind: params[1], opening_balance: String(params[2]), currency: params[3] }]
+      })]]);
+
+      const cash = await request(server).post('/api/accounts').set('Authorization', SESSION).send({ name: 'Cash' });
+      const card = await request(server).post('/api/accounts').set('Authorization', SESSION).send({ name: 'Card', currency: 'usd' });
+
+      expect(cash.status).toBe(201);
+      expect(cash.body.account).toMatchObject({ currency: 'GHS', balance: 0, unconverted: [] });
+      expect(card.body.account.currency).toBe('USD');
+    });
+
+    test('should not change an account\'s currency', async () => {
+      routePoolQueries();
+
+      const response = await request(server).patch('/api/accounts/1').set('Authorization', SESSION).send({ currency: 'EUR' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('An account\'s currency cannot be changed');
+      expect(queryMatching(/^UPDATE accounts/)).toBeUndefined();
+    });
+
+    test('should refuse to delete an account that is still used', async () => {
+      routePoolQueries([[/^DELETE FROM accounts/, () => {
+        throw Object.assign(new Error('violates foreign key constraint'), { code: '23503' });
+      }]]);
+
+      const response = await request(server).delete('/api/accounts/1').set('Authorization', SESSION);
+
+      expect(response.status).toBe(409);
+      expect(response.body.error).toBe('Account is still used by expenses, income or transfers');
+    });
+  });
+
+  describe('Transfers', () => {
+    const accounts = (...rows) => [/^SELECT id, currency FROM accounts/, () => ({ rows })];
+
+    test('should move money between two accounts of the ledger', async () => {
+      routePoolQueries([
+        accounts({ id: 1, currency: 'GHS' }, { id: 2, currency: 'GHS' }),
+        [/^INSERT INTO transfers/, () => ({ rows: [{ id: 5, from_account_id: 1, to_account_id: 2, amount: '50.00' }] })],
+      ]);
+
+      const response = await request(server)
+        .post('/api/transfers')
+        .set('Authorization', SESSION)
+        .send({ fromAccountId: 1, toAccountId: 2, amount: 50, note: ' Top-up ' });
+
+      expect(response.status).toBe(201);
+      expect(queryMatching(/^INSERT INTO transfers/)[1]).toEqual([1, 2, 50, null, 'Top-up', 7, 9]);
+    });
+
+    test('should reject accounts from another ledger', async () => {
+      routePoolQueries([accounts({ id: 1, currency: 'GHS' })]);
+
+      const response = await request(server).post('/api/transfers').set('Authorization', SESSION).send({ fromAccountId: 1, toAccountId: 3, amount: 50 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Unknown account');
+      expect(queryMatching(/^INSERT INTO transfers/)).toBeUndefined();
+    });
+
+    test('should reject a transfer between accounts in different currencies', async () => {
+      routePoolQueries([accounts({ id: 1, currency: 'GHS' }, { id: 2, currency: 'USD' })]);
+
+      const response = await request(server).post('/api/transfers').set('Authorization', SESSION).send({ fromAccountId: 1, toAccountId: 2, amount: 50 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Transfers must be between accounts in the same currency');
+      expect(queryMatching(/^INSERT INTO transfers/)).toBeUndefined();
+    });
+
+    test('should reject a transfer to the same account', async () => {
+      routePoolQueries();
+
+      const response = await request(server).post('/api/transfers').set('Authorization', SESSION).send({ fromAccountId: 1, toAccountId: 1, amount: 50 });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Cannot transfer to the same account');
+      expect(queryMatching(/FROM accounts/)).toBeUndefined();
+    });
+  });
+
+  describe('Account helpers', () => {
+    test('should validate accounts', () => {
+      expect(validateAccountInput({ name: ' Cash ' })).toEqual({ values: { name: 'Cash', kind: 'other', openingBalance: 0 } });
+      expect(validateAccountInput({ name: 'Card', currency: ' usd ' }).values.currency).toBe('USD');
+      expect(validateAccountInput({ name: 'Card', currency: 'dollars' }).error).toBe('Currency must be a 3-letter ISO 4217 code such as GHS or USD');
+      expect(validateAccountInput({ name: 'Visa', kind: 'card', openingBalance: '-120.5' }).values.openingBalance).toBe(-120.5);
+      expect(validateAccountInput({ name: 'Visa', kind: 'crypto' }).error).toBe('Kind must be one of cash, mobile_money, bank, card, other');
+      expect(validateAccountInput({ openingBalance: 'lots' }, { partial: true }).error).toBe('Opening balance must be a number');
+      expect(validateAccountInput({}, { partial: true }).error).toBe('At least one of name, kind or openingBalance must be provided');
+    });
+
+    test('should validate transfers', () => {
+      expect(validateTransferInput({ fromAccountId: 1, toAccountId: 2, amount: 0 }).error).toBe('Transfer amount must be greater than zero');
+      expect(validateTransferInput({ fromAccountId: 1, amount: 5 }).error).toBe('fromAccountId and toAccountId must be valid account IDs');
+      expect(validateTransferInput({ fromAccountId: '1', toAccountId: '2', amount: '5', transferredOn: '2026-03-01' })).toEqual({
+        values: { fromAccountId: 1, toAccountId: 2, amount: 5, note: null, transferredOn: '2026-03-01' }
+      });
+    });
+
+    test('should read an optional account on expenses and income', () => {
+      expect(validateExpenseInput({ itemName: 'Taxi', amount: 20, accountId: 3 }, { categories: seededCategories }).values.accountId).toBe(3);
+      expect(validateExpenseInput({ accountId: null }, { partial: true })).toEqual({ values: { accountId: null } });
+      expect(validateExpenseInput({ itemName: 'Taxi', amount: 20 }, { categories: seededCategories }).values).not.toHaveProperty('accountId');
+      expect(validateIncomeInput({ source: 'Salary', amount: 5, accountId: 'x' }).error).toBe('Account must be a valid account ID');
+    });
+
+    test('should filter expenses and income by account', () => {
+      expect(parseExpenseFilters({ account: '4' })).toEqual({ filters: { accountId: 4 } });
+      expect(parseExpenseFilters({ account: 'cash' }).error).toBe('Invalid account ID');
+
+      const params = [];
+      expect(buildIncomeWhere({ ledgerId: 9, accountId: 4 }, params)).toBe(' WHERE ledger_id = $1 AND account_id = $2');
+      expect(params).toEqual([9, 4]);
+    });
+  });
+});
+
+describe('User Story 22: Multi-currency - /api/expenses/total and /api/rates', () => {
+  // Runs against the real routes in index.js
+  const insertedExpense = () => mockClient.query.mock.calls.find(([sql]) => sql.startsWith('INSERT INTO expenses'));
+
+  beforeEach(() => {
+    useMockClient(async (sql) => (sql.startsWith('INSERT INTO expenses')
+      ? { rows: [{ id: 1 }] }
+      : { rows: [] }));
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  describe('Expenses in other currencies', () => {
+    test('should default a new expense to the home currency', async () => {
+      routePoolQueries();
+
+      const response = await request(server).post('/api/expenses').set('Authorization', SESSION).send({ itemName: 'Lunch', amount: 40 });
+
+      expect(response.status).toBe(201);
+      expect(insertedExpense()[1][5]).toBe('GHS');
+    });
+
+    test('should keep the currency an expense was paid in', async () => {
+      routePoolQueries();
+
+      await request(server).post('/api/expenses').set('Authorization', SESSION).send({ itemName: 'Hotel', amount: 120, currency: 'usd' });
+
+      expect(insertedExpense()[1][5]).toBe('USD');
+    });
+
+    test('should reject a currency that is not an ISO 4217 code', async () => {
+      routePoolQueries();
+
+      const response = await request(server).post('/api/expenses').set('Authorization', SESSION).send({ itemName: 'Hotel', amount: 120, currency: 'dollars' });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Currency must be a 3-letter ISO 4217 code such as GHS or USD');
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
+
+    test('should not take a connection when a lookup fails', async () => {
+      routePoolQueries([[/WITH history AS/, () => { throw new Error('Database connection failed'); }]]);
+
+      const response = await request(server).post('/api/expenses').set('Authorization', SESSION).send({ itemName: 'Hotel', amount: 120 });
+
+      expect(response.status).toBe(500);
+      expect(response.body.error).toBe('Failed to add expense to database');
+      expect(mockPool.connect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Converted totals', () => {
+    test('should report totals in the home currency and list currencies without a rate', async () => {
+      routePoolQueries([[/^WITH\s+spending AS/, () => ({ rows: [{ total: '1860.00', income: '3000.00', unconverted: ['NGN'] }] })]]);
+
+      const response = await request(server).get('/api/expenses/total').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(response.body).toEqual({ total: 1860, income: 3000, net: 1140, currency: 'GHS', unconverted: ['NGN'] });
+      const [sql, params] = mockPool.query.mock.calls.find(([query]) => /^WITH\s+spending AS/.test(query));
+      expect(params).toEqual(['GHS', 9, 9]);
+      // Each row is converted with its own ledger's rates
+      expect(sql).toContain('r.ledger_id = expenses.ledger_id');
+      expect(sql).toContain('r.ledger_id = income.ledger_id');
+    });
+  });
+
+  describe('Rate import', () => {
+    test('should import rates into the ledger, keeping the last one given for a pair and date', async () => {
+      routePoolQueries([[/^INSERT INTO exchange_rates/, () => ({ rowCount: 2 })]]);
+
+      const response = await request(server)
+        .post('/api/rates/import')
+        .set('Authorization', SESSION)
+        .send({
+          rates: [
+            { base: 'usd', quote: 'GHS', rate: 15.4, date: '2026-03-01' },
+            { base: 'EUR', quote: 'GHS', rate: '16.9', date: '2026-03-01' },
+            { base: 'USD', quote: 'GHS', rate: 15.5, date: '2026-03-01' }
+          ]
+        });
+
+      expect(response.status).toBe(200);
+      expect(response.body.imported).toBe(2);
+      const [sql, params] = mockPool.query.mock.calls.find(([query]) => query.startsWith('INSERT INTO exchange_rates'));
+      expect(sql).toContain('ON CONFLICT (ledger_id, base, quote, rate_on)');
+      expect(params).toEqual([9, ['USD', 'EUR'], ['GHS', 'GHS'], [15.5, 16.9], ['2026-03-01', '2026-03-01']]);
+    });
+
+    test('should list only the ledger\'s rates', async () => {
+      routePoolQueries([[/FROM exchange_rates/, () => ({ rows: [{ base: 'USD', quote: 'GHS', rate: '15.40000000', rate_on: '2026-03-01' }] })]]);
+
+      const response = await request(server).get('/api/rates?ledger=9').set('Authorization', SESSION);
+
+      expect(response.status).toBe(200);
+      expect(response.body.rates).toEqual([{ base: 'USD', quote: 'GHS', rate: 15.4, rate_on: '2026-03-01' }]);
+      const [sql, params] = mockPool.query.mock.calls.find(([query]) => query.includes('FROM exchange_rates'));
+      expect(sql).toContain('WHERE ledger_id = $1');
+      expect(params).toEqual([9]);
+    });
+
+    test('should not let a viewer overwrite the ledger\'s rates', async () => {
+      routePoolQueries([], { role: 'viewer' });
+
+      const response = await request(server)
+        .post('/api/rates/import')
+        .set('Authorization', SESSION)
+        .send({ rates: [{ base: 'USD', quote: 'GHS', rate: 1, date: '2026-03-01' }] });
+
+      expect(response.status).toBe(403);
+      expect(response.body.error).toBe('You have view-only access to this ledger');
+      expect(mockPool.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO exchange_rates'), expect.anything());
+    });
+
+    test('should return 404 for rates of a ledger the user is not a member of', async () => {
+      routePoolQueries();
+
+      const response = await request(server)
+        .post('/api/rates/import?ledger=3')
+        .set('Authorization', SESSION)
+        .send({ rates: [{ base: 'USD', quote: 'GHS', rate: 1, date: '2026-03-01' }] });
+
+      expect(response.status).toBe(404);
+      expect(mockPool.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO exchange_rates'), expect.anything());
+    });
+
+    test('should point at the first bad rate', async () => {
+      routePoolQueries();
+
+      const response = await request(server)
+        .post('/api/rates/import')
+        .set('Authorization', SESSION)
+        .send({ rates: [{ base: 'USD', quote: 'GHS', rate: 15.4, date: '2026-03-01' }, { base: 'USD', quote: 'GHS', rate: 0, date: '2026-03-02' }] });
+
+      expect(response.status).toBe(400);
+      expect(response.body.error).toBe('Rate 2: rate must be greater than zero');
+      expect(mockPool.query).not.toHaveBeenCalledWith(expect.stringContaining('INSERT INTO exchange_rates'), expect.anything());
+    });
+  });
+
+  describe('Currency helpers', () => {
+    test('should normalise currency codes', () => {
+      expect(normaliseCurrency(' ngn ')).toBe('NGN');
+      expect(normaliseCurrency('CEDI')).toBeNull();
+      expect(normaliseCurrency(12)).toBeNull();
+    });
+
+    test('should look a rate up in either direction of the pair', () => {
+      const sql = rateToHome('income', 'received_on', '$1');
+
+      expect(sql).toContain('WHEN income.currency = $1 THEN 1');
+      expect(sql).toContain('r.ledger_id = income.ledger_id AND r.base = income.currency AND r.quote = $1');
+      expect(sql).toContain('r.ledger_id = income.ledger_id AND r.base = $1 AND r.quote = income.currency');
+      expect(sql).toContain('ORDER BY r.rate_on > income.received_on');
+    });
+
+    test('should validate rate imports and profiles', () => {
+      expect(validateRatesImport({}).error).toBe('rates must be a non-empty array');
+      expect(validateRatesImport({ rates: [{ base: 'GHS', quote: 'ghs', rate: 1, date: '2026-03-01' }] }).error)
+        .toBe('Rate 1: base and quote must be two different 3-letter currency codes');
+      expect(validateRatesImport({ rates: [{ base: 'USD', quote: 'GHS', rate: 15, date: '2026-02-30' }] }).error)
+        .toBe('Rate 1: date must be a valid date (YYYY-MM-DD)');
+      expect(validateProfileInput({ homeCurrency: 'eur' })).toEqual({ values: { homeCurrency: 'EUR' } });
+      expect(validateProfileInput({}).error).toBe('Home currency must be a 3-letter ISO 4217 code such as GHS or USD');
+    });
+
+    test('should read an optional currency on income and recurring expenses', () => {
+      expect(validateIncomeInput({ currency: 'usd' }, { partial: true })).toEqual({ values: { currency: 'USD' } });
+      expect(validateRecurringInput({ currency: 'EUR' }, { partial: true, categories: seededCategories })).toEqual({ values: { currency: 'EUR' } });
+      expect(validateRecurringInput({ itemName: 'Rent', amount: 900, frequency: 'monthly' }, { categories: seededCategories }).values)
+        .not.toHaveProperty('currency');
+    });
+  });
+});
+
+describe('User Story 23: CSV Export - GET /api/expenses/export', () => {
+  // Runs against the real route in index.js
+  beforeEach(() => {
+    jest.clearAllMocks();
+    routePoolQueries();
+    useMockClient();
+    mockClient.query.mockReset();
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  const row = (overrides) => ({
+    spent_on: '2026-03-05', item_name: 'Lunch', category: 'Food', amount: '25.50', currency: 'GHS',
+    account_name: null, created_by: 'sam@example.com', ...overrides
+  });
+
+  test('should download a CSV file with a header row', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [row({ account_name: 'MoMo' })] })
+      .mockResolvedValueOnce({});
+
+    const response = await request(server).get('/api/expenses/export?format=csv').set('Authorization', SESSION);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['content-type']).toBe('text/csv; charset=utf-8');
+    expect(response.headers['content-disposition']).toMatch(/^attachment; filename="spendwise-expenses-\d{4}-\d{2}-\d{2}\.csv"$/);
+    expect(response.text).toBe(
+      'Date,Item,Category,Amount,Currency,Account,Added by\r\n'
+      + '2026-03-05,Lunch,Food,25.50,GHS,MoMo,sam@example.com\r\n'
+    );
+    expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('should escape commas, quotes and line breaks in item names', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [row({ item_name: 'Rice, beans and "shito"' }), row({ item_name: 'Line one\nline two' })] })
+      .mockResolvedValueOnce({});
+
+    const response = await request(server).get('/api/expenses/export').set('Authorization', SESSION);
+
+    const lines = response.text.split('\r\n');
+    expect(lines[1]).toBe('2026-03-05,"Rice, beans and ""shito""",Food,25.50,GHS,,sam@example.com');
+    expect(lines[2]).toBe('2026-03-05,"Line one\nline two",Food,25.50,GHS,,sam@example.com');
+  });
+
+  test('should honour the same filters as the list', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [] })
+      .mockResolvedValueOnce({});
+
+    const response = await request(server).get('/api/expenses/export?format=csv&category=Food&from=2026-03-01&to=2026-03-31').set('Authorization', SESSION);
+
+    expect(response.status).toBe(200);
+    expect(mockClient.query.mock.calls[1][0]).toContain('WHERE ledger_id = $1 AND category = $2 AND spent_on >= $3 AND spent_on <= $4');
+    expect(mockClient.query.mock.calls[1][1]).toEqual([9, 'Food', '2026-03-01', '2026-03-31']);
+    expect(response.text).toBe('Date,Item,Category,Amount,Currency,Account,Added by\r\n');
+  });
+
+  test('should keep fetching while batches come back full', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: Array.from({ length: EXPORT_BATCH_SIZE }, () => row()) })
+      .mockResolvedValueOnce({ rows: [row({ item_name: 'Last one' })] })
+      .mockResolvedValueOnce({});
+
+    const response = await request(server).get('/api/expenses/export').set('Authorization', SESSION);
+
+    expect(response.text.trim().split('\r\n')).toHaveLength(EXPORT_BATCH_SIZE + 2);
+    expect(mockClient.query.mock.calls.filter(([sql]) => sql.startsWith('FETCH'))).toHaveLength(2);
+  });
+
+  test('should reject unknown formats and filters before touching the database', async () => {
+    const format = await request(server).get('/api/expenses/export?format=xlsx').set('Authorization', SESSION);
+
+    expect(format.status).toBe(400);
+    expect(format.body).toEqual({ error: 'Unsupported export format "xlsx"', allowed: ['csv'] });
+
+    const category = await request(server).get('/api/expenses/export?category=Rent').set('Authorization', SESSION);
+
+    expect(category.status).toBe(400);
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+
+  test('should not take a connection when the category lookup fails', async () => {
+    routePoolQueries([[/^SELECT name FROM categories/, () => { throw new Error('Database connection failed'); }]]);
+
+    const response = await request(server).get('/api/expenses/export?category=Food').set('Authorization', SESSION);
+
+    expect(response.status).toBe(500);
+    expect(response.body.error).toBe('Failed to export expenses');
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+
+  describe('CSV helpers', () => {
+    test('should only quote fields that need it', () => {
+      expect(escapeCsvField('Bus fare')).toBe('Bus fare');
+      expect(escapeCsvField('a,b')).toBe('"a,b"');
+      expect(escapeCsvField('say "hi"')).toBe('"say ""hi"""');
+      expect(escapeCsvField(null)).toBe('');
+      expect(escapeCsvField(12.5)).toBe('12.5');
+    });
+
+    test('should stop spreadsheets running item names as formulas', () => {
+      expect(escapeCsvField('=SUM(A1:A9)')).toBe("'=SUM(A1:A9)");
+      expect(escapeCsvField('@cmd, run')).toBe(`"'@cmd, run"`);
+      expect(toCsvRow(['-5 discount', 'x'])).toBe("'-5 discount,x\r\n");
+    });
+  });
+});
+
+describe('User Story 24: CSV Import - POST /api/expenses/import', () => {
+  // Runs against the real route in index.js
+  beforeEach(() => {
+    jest.clearAllMocks();
+    routePoolQueries();
+    useMockClient();
+    mockClient.query.mockReset();
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  const upload = (csv, query = '') => request(server)
+    .post(`/api/expenses/import${query}`)
+    .set('Authorization', SESSION)
+    .set('Content-Type', 'text/csv')
+    .send(csv);
+
+  const bankCsv = [
+    'Date,Description,Debit,Category',
+    '2026-03-02,Trotro to work,"1,250.00",Transport',
+    '2026-03-03,Groceries,-4,Food',
+    '2026-03-04,Cinema,40,Movies',
+    '2026-03-05,Light bill,120,',
+  ].join('\r\n');
+
+  test('should preview every row without saving on a dry run', async () => {
+    const response = await upload(bankCsv, '?dryRun=true');
+
+    expect(response.status).toBe(200);
+    expect(response.body.columns).toEqual({ name: 'Description', amount: 'Debit', category: 'Category', date: 'Date', currency: null });
+    expect(response.body.valid).toBe(2);
+    expect(response.body.invalid).toBe(2);
+    expect(response.body.rows[0]).toEqual({
+      line: 2,
+      values: { itemName: 'Trotro to work', amount: 1250, category: 'Transport', spentOn: '2026-03-02' }
+    });
+    expect(response.body.rows[1]).toEqual({ line: 3, error: expect.stringMatching(/amount/i) });
+    expect(response.body.rows[2].error).toMatch(/category/i);
+    expect(response.body.rows[3].values.category).toBe(DEFAULT_CATEGORY);
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+
+  test('should save the valid rows in one transaction and report the rest', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rowCount: 2 })
+      .mockResolvedValueOnce({});
+
+    const response = await upload(bankCsv);
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ imported: 2, skipped: 2 });
+    expect(response.body.errors.map((row) => row.line)).toEqual([3, 4]);
+    expect(mockClient.query).toHaveBeenNthCalledWith(1, 'BEGIN');
+    expect(mockClient.query.mock.calls[1][1]).toEqual([
+      ['Trotro to work', 'Light bill'], [1250, 120], ['Transport', 'Other'], ['2026-03-02', '2026-03-05'], ['GHS', 'GHS'], 7, 9
+    ]);
+    expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('should keep the currency of each row of an exported file', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rowCount: 2 })
+      .mockResolvedValueOnce({});
+    const exported = [
+      'Date,Item,Category,Amount,Currency,Account,Added by',
+      '2026-03-05,Hotel,Bills,120.00,usd,,sam@example.com',
+      '2026-03-06,Lunch,Food,25.50,,,sam@example.com',
+      '2026-03-07,Taxi,Transport,9.00,dollars,,sam@example.com',
+    ].join('\r\n');
+
+    const response = await upload(exported);
+
+    expect(response.status).toBe(201);
+    expect(response.body.errors).toEqual([{ line: 4, error: 'Currency must be a 3-letter ISO 4217 code such as GHS or USD' }]);
+    expect(mockClient.query.mock.calls[1][1][4]).toEqual(['USD', 'GHS']);
+  });
+
+  test('should use the columns chosen in the query string', async () => {
+    const csv = 'When,What,Paid\n2026-03-01,Bread,12\n';
+
+    const missing = await upload(csv, '?dryRun=true');
+
+    expect(missing.status).toBe(400);
+    expect(missing.body).toEqual({ error: 'Choose the CSV columns holding the name and amount', headers: ['When', 'What', 'Paid'] });
+
+    const mapped = await upload(csv, '?dryRun=true&name=what&amount=Paid&date=When');
+
+    expect(mapped.status).toBe(200);
+    expect(mapped.body.rows[0].values).toEqual({ itemName: 'Bread', amount: 12, category: 'Other', spentOn: '2026-03-01' });
+
+    const unknown = await upload(csv, '?name=What&amount=Total');
+
+    expect(unknown.body.error).toBe('Column "Total" is not in the CSV header');
+  });
+
+  test('should roll back when the insert fails', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(new Error('connection lost'))
+      .mockResolvedValueOnce({});
+
+    const response = await upload(bankCsv);
+
+    expect(response.status).toBe(500);
+    expect(mockClient.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(mockClient.release).toHaveBeenCalled();
+  });
+
+  test('should refuse files with nothing to import', async () => {
+    const empty = await request(server).post('/api/expenses/import').set('Authorization', SESSION).send({ rows: [] });
+
+    expect(empty.status).toBe(400);
+    expect(empty.body.error).toMatch(/Content-Type: text\/csv/);
+
+    const headerOnly = await upload('Date,Description,Amount\r\n');
+
+    expect(headerOnly.body.error).toBe('The CSV has no rows below its header');
+
+    const allInvalid = await upload('Name,Amount\nRefund,-5\n');
+
+    expect(allInvalid.status).toBe(400);
+    expect(allInvalid.body.error).toBe('None of the rows can be imported');
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+
+  describe('CSV reader', () => {
+    test('should read quoted fields, doubled quotes and line breaks', () => {
+      expect(parseCsv('\uFEFFa,b\r\n"x, y","say ""hi"""\n"two\nlines",\n\n')).toEqual({
+        rows: [['a', 'b'], ['x, y', 'say "hi"'], ['two\nlines', '']]
+      });
+    });
+
+    test('should report a quote that is never closed', () => {
+      expect(parseCsv('a,b\n"open,1\n')).toEqual({ error: 'The CSV has a quoted field that is never closed' });
+    });
+
+    test('should strip thousands separators and leave blank cells out', () => {
+      expect(readImportRow(['Rent', '2,400.50', ' '], { itemName: 0, amount: 1, category: 2 })).toEqual({ itemName: 'Rent', amount: '2400.50' });
+    });
+  });
+});
+
+describe('User Story 25: Bank Statement Import - POST /api/statements/import', () => {
+  // Runs against the real route in index.js
+
+  const ofx = [
+    'OFXHEADER:100',
+    'DATA:OFXSGML',
+    'VERSION:102',
+    '',
+    '<OFX>',
+    '<BANKMSGSRSV1><STMTTRNRS><STMTRS>',
+    '<CURDEF>USD',
+    '<BANKTRANLIST>',
+    '<STMTTRN>',
+    '<TRNTYPE>DEBIT',
+    '<DTPOSTED>20260302120000[-5:EST]',
+    '<TRNAMT>-4.50',
+    '<FITID>20260302001',
+    '<NAME>UBER &amp; EATS',
+    '</STMTTRN>',
+    '<STMTTRN>',
+    '<TRNTYPE>CREDIT',
+    '<DTPOSTED>20260305',
+    '<TRNAMT>1500.00',
+    '<FITID>20260305001',
+    '<NAME>ACME PAYROLL',
+    '</STMTTRN>',
+    '</BANKTRANLIST>',
+    '</STMTRS></STMTTRNRS></BANKMSGSRSV1>',
+    '</OFX>',
+  ].join('\r\n');
+
+  const importedQuery = /^SELECT fitid FROM expenses/;
+
+  // The ledger already holds the transactions with these FITIDs
+  const alreadyImported = (...fitids) => {
+    routePoolQueries([[importedQuery, () => ({ rows: fitids.map((fitid) => ({ fitid })) })]]);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    alreadyImported();
+    useMockClient();
+    mockClient.query.mockReset();
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  const upload = (body, query = '') => request(server)
+    .post(`/api/statements/import${query}`)
+    .set('Authorization', SESSION)
+    .set('Content-Type', 'application/x-ofx')
+    .send(body);
+
+  test('should save debits as expenses and credits as income', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rowCount: 1 })
+      .mockResolvedValueOnce({ rowCount: 1 })
+      .mockResolvedValueOnce({});
+
+    const response = await upload(ofx);
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ format: 'ofx', expenses: 1, income: 1, duplicates: 0, skipped: 0 });
+    expect(mockPool.query.mock.calls.find(([sql]) => importedQuery.test(sql))[1]).toEqual([9, ['20260302001', '20260305001']]);
+    expect(mockClient.query.mock.calls[1][1]).toEqual([
+      ['UBER & EATS'], [4.5], ['Other'], ['2026-03-02'], ['USD'], ['20260302001'], null, 7, 9
+    ]);
+    expect(mockClient.query.mock.calls[2][1]).toEqual([
+      ['ACME PAYROLL'], [1500], ['2026-03-05'], ['USD'], ['20260305001'], null, 7, 9
+    ]);
+    expect(mockClient.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+
+  test('should skip transactions imported before', async () => {
+    alreadyImported('20260302001');
+
+    const preview = await upload(ofx, '?dryRun=true');
+
+    expect(preview.status).toBe(200);
+    expect(preview.body).toMatchObject({ dryRun: true, expenses: 0, income: 1, duplicates: 1, invalid: 0 });
+    expect(preview.body.rows[0]).toMatchObject({ fitid: '20260302001', kind: 'expense', duplicate: true });
+    expect(mockPool.connect).not.toHaveBeenCalled();
+
+    alreadyImported('20260302001', '20260305001');
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rowCount: 0 })
+      .mockResolvedValueOnce({ rowCount: 0 })
+      .mockResolvedValueOnce({});
+
+    const again = await upload(ofx);
+
+    expect(again.status).toBe(201);
+    expect(again.body).toMatchObject({ expenses: 0, income: 0, duplicates: 2 });
+  });
+
+  test('should import QIF statements with day-first dates', async () => {
+    const qif = '!Type:Bank\nD02/03/2026\nT-12.00\nPShoprite\nLfood\n^\nD02/03/2026\nT-12.00\nPShoprite\n^\n';
+
+    const response = await upload(qif, '?dryRun=true&dayFirst=true');
+
+    expect(response.body.format).toBe('qif');
+    expect(response.body.expenses).toBe(2);
+    expect(response.body.rows[0].values).toEqual({ itemName: 'Shoprite', amount: 12, category: 'Food', spentOn: '2026-03-02' });
+    expect(response.body.rows.map((row) => row.fitid)).toEqual([
+      'qif:2026-03-02|-12.00|Shoprite|1', 'qif:2026-03-02|-12.00|Shoprite|2'
+    ]);
+  });
+
+  test('should reject files it cannot read before touching the database', async () => {
+    const unknown = await upload('Date,Amount\n2026-03-01,5\n');
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.allowed).toEqual(['ofx', 'qfx', 'qif']);
+
+    const format = await upload(ofx, '?format=pdf');
+
+    expect(format.body.error).toBe('Unsupported statement format "pdf"');
+
+    const broken = await upload('<OFX><STMTTRN><TRNAMT>-5</STMTTRN></OFX>');
+
+    expect(broken.body.error).toBe('Transaction 1: every transaction needs a FITID, DTPOSTED and TRNAMT');
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+
+  test('should reject an account from another ledger without taking a connection', async () => {
+    const response = await upload(ofx, '?accountId=4');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Unknown account');
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+
+  describe('Statement parsers', () => {
+    test('should detect the format from the contents', () => {
+      expect(detectStatementFormat(ofx)).toBe('ofx');
+      expect(detectStatementFormat('\uFEFF!Type:CCard\n')).toBe('qif');
+      expect(detectStatementFormat('Date,Amount')).toBeNull();
+    });
+
+    test('should read OFX 2 (XML) with closed elements', () => {
+      const xml = '<?xml version="1.0"?><OFX><STMTTRN><DTPOSTED>20260310</DTPOSTED><TRNAMT>-20</TRNAMT>'
+        + '<FITID>A1</FITID><MEMO>ATM withdrawal</MEMO></STMTTRN></OFX>';
+
+      expect(parseOfx(xml)).toEqual({
+        transactions: [{ id: 'A1', kind: 'expense', date: '2026-03-10', amount: 20, name: 'ATM withdrawal', category: null, currency: null }]
+      });
+    });
+
+    test('should read QIF dates, amounts and skip transfers as categories', () => {
+      const qif = "!Account\nNChecking\n^\n!Type:Bank\nD3/9'26\nT-1,250.00\nPLandlord\nL[Savings]\n^\n";
+
+      expect(parseQif(qif).transactions).toEqual([
+        { id: 'qif:2026-03-09|-1250.00|Landlord|1', kind: 'expense', date: '2026-03-09', amount: 1250, name: 'Landlord', category: null, currency: null }
+      ]);
+      expect(parseQif('!Type:Bank\nPNo date\nT-5\n^\n').error).toBe('Transaction 1: every transaction needs a date (D) and an amount (T)');
+    });
+
+    test('should keep one copy of a repeated FITID', () => {
+      const twice = `<OFX>${'<STMTTRN><DTPOSTED>20260310<TRNAMT>-20<FITID>A1<NAME>Bolt</STMTTRN>'.repeat(2)}</OFX>`;
+
+      expect(parseStatement(twice).transactions).toHaveLength(1);
+    });
+  });
+});
+
+describe('User Story 26: Mobile Money SMS - POST /api/expenses/parse-sms', () => {
+  // Runs against the real routes in index.js
+
+  const momo = 'Your payment of GHS 1,040.00 to JOHN DOE 0244123456 has been completed at 2026-03-02 14:05:11. '
+    + 'Reference: rent. Your new balance: GHS 12.30. Financial Transaction Id: 52437891234.';
+  const telecel = '000012345679 Confirmed. GHS 45.00 paid to SHOPRITE ACCRA MALL on 03/03/2026 at 10:12 AM. '
+    + 'Your Telecel Cash balance is GHS 25.00.';
+
+  const loggedQuery = /^SELECT fitid FROM expenses/;
+
+  // The ledger already holds the payments with these transaction IDs
+  const alreadyLogged = (...fitids) => {
+    routePoolQueries([[loggedQuery, () => ({ rows: fitids.map((fitid) => ({ fitid })) })]]);
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    alreadyLogged();
+    useMockClient();
+    mockClient.query.mockReset();
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  const parseSms = (text) => request(server).post('/api/expenses/parse-sms').set('Authorization', SESSION).send({ text });
+
+  test('should turn payment messages into draft expenses', async () => {
+    const response = await parseSms(`${momo}\n\n${telecel}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.drafts).toEqual([
+      { provider: 'MTN MoMo', transactionId: 'sms:mtn-momo:52437891234', reference: '52437891234', itemName: 'JOHN DOE', amount: 1040, currency: 'GHS', spentOn: '2026-03-02', category: 'Other', duplicate: false },
+      { provider: 'Telecel Cash', transactionId: 'sms:telecel-cash:000012345679', reference: '000012345679', itemName: 'SHOPRITE ACCRA MALL', amount: 45, currency: 'GHS', spentOn: '2026-03-03', category: 'Other', duplicate: false },
+    ]);
+    expect(mockPool.query).toHaveBeenCalledWith(expect.stringContaining('fitid = ANY'), [9, ['sms:mtn-momo:52437891234', 'sms:telecel-cash:000012345679']]);
+  });
+
+  test('should mark payments that are already logged and drop repeats', async () => {
+    alreadyLogged('sms:mtn-momo:52437891234');
+
+    const response = await parseSms(`${momo}\n\n${momo}`);
+
+    expect(response.body.drafts).toHaveLength(1);
+    expect(response.body.drafts[0].duplicate).toBe(true);
+  });
+
+  test('should not take a bank statement FITID for an SMS payment', async () => {
+    alreadyLogged('52437891234');
+
+    const response = await parseSms(momo);
+
+    expect(response.body.drafts[0].duplicate).toBe(false);
+  });
+
+  test('should explain messages it cannot use', async () => {
+    const response = await parseSms('Payment received for GHS 100.00 from AMA. Transaction ID: 999.\n\nYour data bundle expires today.');
+
+    expect(response.body.drafts).toEqual([]);
+    expect(response.body.unrecognised.map((entry) => entry.reason)).toEqual([
+      'Money received is not an expense',
+      'Not from a supported provider',
+    ]);
+  });
+
+  test('should reject empty text', async () => {
+    const response = await parseSms('  ');
+
+    expect(response.status).toBe(400);
+    expect(response.body.error).toBe('Paste at least one SMS message');
+    expect(mockPool.query).not.toHaveBeenCalledWith(expect.stringMatching(loggedQuery), expect.anything());
+  });
+
+  test('should store the transaction ID of a confirmed draft and refuse it twice', async () => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [{ id: 1, fitid: 'sms:mtn-momo:52437891234' }] })
+      .mockResolvedValueOnce({});
+
+    const saved = await request(server)
+      .post('/api/expenses')
+      .set('Authorization', SESSION)
+      .send({ itemName: 'JOHN DOE', amount: 1040, spentOn: '2026-03-02', transactionId: 'sms:mtn-momo:52437891234' });
+
+    expect(saved.status).toBe(201);
+    expect(mockClient.query.mock.calls[1][1]).toEqual(['JOHN DOE', 1040, 'Other', '2026-03-02', null, 'GHS', 'sms:mtn-momo:52437891234', 7, 9]);
+
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockRejectedValueOnce(Object.assign(new Error('duplicate key'), { code: '23505' }))
+      .mockResolvedValueOnce({});
+
+    const again = await request(server)
+      .post('/api/expenses')
+      .set('Authorization', SESSION)
+      .send({ itemName: 'JOHN DOE', amount: 1040, transactionId: 'sms:mtn-momo:52437891234' });
+
+    expect(again.status).toBe(409);
+    expect(again.body.error).toBe('That transaction has already been logged');
+  });
+
+  test('should only store transaction IDs in the SMS namespace', async () => {
+    const raw = await request(server)
+      .post('/api/expenses')
+      .set('Authorization', SESSION)
+      .send({ itemName: 'JOHN DOE', amount: 1040, transactionId: '52437891234' });
+
+    expect(raw.status).toBe(400);
+    expect(raw.body.error).toBe('Transaction ID must be the transactionId of an SMS draft, such as sms:mtn-momo:52437891234');
+
+    const invalid = await request(server).post('/api/expenses').set('Authorization', SESSION).send({ itemName: 'x', amount: 1, transactionId: 42 });
+
+    expect(invalid.status).toBe(400);
+    expect(mockPool.connect).not.toHaveBeenCalled();
+  });
+
+  describe('SMS helpers', () => {
+    test('should split pasted text on blank lines and join wrapped lines', () => {
+      expect(splitSmsMessages('Line one\nline two\r\n\r\nSecond\n\n\n')).toEqual(['Line one line two', 'Second']);
+    });
+
+    test('should read ISO and day-first dates', () => {
+      expect(readSmsDate('on 2026-03-02 at 14:05')).toBe('2026-03-02');
+      expect(readSmsDate('on 3/2/26 at 14:05')).toBe('2026-02-03');
+      expect(readSmsDate('no date here')).toBeNull();
+      expect(readSmsDate('on 2026-02-31 at 14:05')).toBeNull();
+      expect(readSmsDate('on 31/02/2026 at 14:05')).toBeNull();
+      expect(readSmsDate('on 13/13/26 at 14:05')).toBeNull();
+    });
+
+    test('should let another provider be plugged in', () => {
+      const airtel = {
+        id: 'airteltigo-money',
+        name: 'AirtelTigo Money',
+        matches: (message) => message.startsWith('AT Money:'),
+        parse: (message) => {
+          const match = message.match(/paid GHS([\d.]+) to (.+?)\. Ref (\w+)/);
+          return match && { amount: Number(match[1]), recipient: match[2], transactionId: match[3], date: null };
+        },
+      };
+
+      const { drafts } = parseSmsMessages('AT Money: You paid GHS12.00 to BOLT. Ref AT991', [...SMS_PROVIDERS, airtel]);
+
+      expect(drafts).toEqual([{ provider: 'AirtelTigo Money', transactionId: 'sms:airteltigo-money:AT991', reference: 'AT991', itemName: 'BOLT', amount: 12, currency: 'GHS', spentOn: null }]);
+    });
+  });
+});
+
+describe('User Story 27: Spending Reports - GET /api/reports/summary', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Stand-in for requireAuth and requireLedger: user 7 in ledger 9
+    app.use((req, res, next) => {
+      req.user = { id: 7, email: 'sam@example.com', homeCurrency: 'GHS' };
+      req.ledger = { id: 9, name: 'Household', role: 'owner' };
+      next();
+    });
+
+    // Define the summary endpoint (same logic as in index.js)
+    app.get('/api/reports/summary', async (req, res) => {
+      const report = parseReportParams(req.query);
+
+      if (report.error) {
+        return res.status(400).json({ error: report.error, allowed: report.allowed });
+      }
+
+      try {
+        const parsed = parseExpenseFilters(req.query, { categories: seededCategories });
+
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error, allowed: parsed.allowed });
+        }
+
+        const { period, top } = report.values;
+        const params = [req.user.homeCurrency, period, top];
+        const filters = { ...parsed.filters, ledgerId: req.ledger.id };
+        const query = `WITH spending AS (SELECT date_trunc($2::text, spent_on::timestamp)::date AS period, ... FROM expenses${buildExpenseWhere(filters, params)}) SELECT ...`;
+
+        const result = await mockPool.query(query, params);
+        const { totals, items, unconverted } = result.rows[0];
+        const summary = summariseSpending({ totals, items, period, from: parsed.filters.from, to: parsed.filters.to });
+
+        if (summary.error) {
+          return res.status(400).json({ error: summary.error });
+        }
+
+        res.status(200).json({ ...summary.summary, currency: req.user.homeCurrency, unconverted: unconverted });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to build spending report' });
+      }
+    });
+
+    jest.clearAllMocks();
+    mockPool.query.mockReset();
+  });
+
+  const totals = [
+    { period: '2026-01-01', category: 'Food', total: 120.5, count: 6 },
+    { period: '2026-03-01', category: 'Food', total: 40, count: 2 },
+    { period: '2026-03-01', category: 'Bills', total: 300, count: 1 },
+  ];
+  const items = [{ item_name: 'Rent', total: 300, count: 1 }, { item_name: 'Lunch', total: 90.5, count: 4 }];
+
+  test('should return totals per month with empty months filled in', async () => {
+    mockPool.query.mockResolvedValueOnce({ rows: [{ totals, items, unconverted: [] }] });
+
+    const response = await request(app).get('/api/reports/summary?from=2026-01-01&to=2026-03-31');
+
+    expect(response.status).toBe(200);
+    expect(response.body.periods.map((row) => [row.start, row.total])).toEqual([
+      ['2026-01-01', 120.5], ['2026-02-01', 0], ['2026-03-01', 340],
+    ]);
+    expect(response.body.periods[2].categories).toEqual([{ category: 'Bills', total: 300 }, { category: 'Food', total: 40 }]);
+    expect(response.body).toMatchObject({ period: 'month', total: 460.5, count: 9, average: 153.5, currency: 'GHS' });
+    expect(response.body.categories).toEqual([
+      { category: 'Bills', total: 300, count: 1 },
+      { category: 'Food', total: 160.5, count: 8 },
+    ]);
+    expect(response.body.topItems[0]).toEqual({ itemName: 'Rent', total: 300, count: 1 });
+  });
+
+  test('should group with date_trunc and pass the filters through', async () => {
+    mockPool.query.mockResolvedValueOnce({ rows: [{ totals: [], items: [], unconverted: ['USD'] }] });
+
+    const response = await request(app).get('/api/reports/summary?period=week&top=3&category=Food&from=2026-03-02&to=2026-03-15');
+
+    const [sql, params] = mockPool.query.mock.calls[0];
+    expect(sql).toContain('date_trunc($2::text, spent_on::timestamp)');
+    expect(sql).toContain('WHERE ledger_id = $4 AND category = $5 AND spent_on >= $6 AND spent_on <= $7');
+    expect(params).toEqual(['GHS', 'week', 3, 9, 'Food', '2026-03-02', '2026-03-15']);
+    expect(response.body.periods.map((row) => row.start)).toEqual(['2026-03-02', '2026-03-09']);
+    expect(response.body.unconverted).toEqual(['USD']);
+  });
+
+  test('should reject unknown periods and oversized reports', async () => {
+    const period = await request(app).get('/api/reports/summary?period=quarter');
+
+    expect(period.status).toBe(400);
+    expect(period.body.allowed).toEqual(['day', 'week', 'month', 'year']);
+
+    const top = await request(app).get('/api/reports/summary?top=500');
+
+    expect(top.status).toBe(400);
+    expect(mockPool.query).not.toHaveBeenCalled();
+
+    mockPool.query.mockResolvedValueOnce({ rows: [{ totals: [], items: [], unconverted: [] }] });
+
+    const days = await request(app).get('/api/reports/summary?period=day&from=2024-01-01&to=2026-01-01');
+
+    expect(days.status).toBe(400);
+    expect(days.body.error).toMatch(/at most 366 periods/);
+  });
+
+  describe('Report helpers', () => {
+    test('should find the start of each kind of period', () => {
+      expect(periodStart('2026-03-08', 'week')).toBe('2026-03-02');
+      expect(periodStart('2026-03-09', 'week')).toBe('2026-03-09');
+      expect(periodStart('2026-03-18', 'month')).toBe('2026-03-01');
+      expect(periodStart('2026-03-18', 'year')).toBe('2026-01-01');
+      expect(listPeriods('2025-11-20', '2026-02-02', 'month')).toEqual(['2025-11-01', '2025-12-01', '2026-01-01', '2026-02-01']);
+      expect(listPeriods('2025-01-01', '2026-01-02', 'day')).toBeNull();
+      expect(listPeriods('2026-01-01', '2026-12-31', 'day')).toHaveLength(365);
+      expect(MAX_REPORT_PERIODS).toBe(366);
+    });
+
+    test('should span the spending when no dates are given', () => {
+      const { summary } = summariseSpending({ totals, items: [], period: 'month' });
+
+      expect(summary.from).toBe('2026-01-01');
+      expect(summary.to).toBe('2026-03-01');
+      expect(summary.periods).toHaveLength(3);
+      expect(summariseSpending({ totals: [], items: [], period: 'month' }).summary).toMatchObject({ periods: [], average: 0, from: null });
+    });
+  });
+});
+
+describe('User Story 29: Period Comparison - GET /api/reports/compare', () => {
+  let app;
+
+  beforeEach(() => {
+    // Setup Express app for testing
+    app = express();
+    app.use(cors());
+    app.use(express.json());
+
+    // Stand-in for requireAuth and requireLedger: user 7 in ledger 9
+    app.use((req, res, next) => {
+      req.user = { id: 7, email: 'sam@example.com', homeCurrency: 'GHS' };
+      req.ledger = { id: 9, name: 'Household', role: 'owner' };
+      next();
+    });
+
+    // Define the compare endpoint (same logic as in index.js, with today fixed)
+    app.get('/api/reports/compare', async (req, res) => {
+      const comparison = parseComparePeriods(req.query, '2026-03-18');
+
+      if (comparison.error) {
+        return res.status(400).json({ error: comparison.error, allowed: comparison.allowed });
+      }
+
+      try {
+        const { from, to, ...listQuery } = req.query;
+        const parsed = parseExpenseFilters(listQuery, { categories: seededCategories });
+
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error, allowed: parsed.allowed });
+        }
+
+        const { current, previous, threshold } = comparison.values;
+        const params = [req.user.homeCurrency, current.from, current.to, previous.from, previous.to];
+        const filters = { ...parsed.filters, ledgerId: req.ledger.id };
+        const query = `WITH spending AS (SELECT category, currency, spent_on, ... FROM expenses${buildExpenseWhere(filters, params)}
+          AND (spent_on BETWEEN $2::date AND $3::date OR spent_on BETWEEN $4::date AND $5::date)) SELECT ...`;
+
+        const result = await mockPool.query(query, params);
+        const { unconverted } = result.rows[0];
+        const categories = compareCategories(result.rows[0].categories, threshold);
+        const currentTotal = categories.reduce((sum, row) => sum + row.current, 0);
+        const previousTotal = categories.reduce((sum, row) => sum + row.previous, 0);
+
+        res.status(200).json({
+          current: { ...current, total: Math.round(currentTotal * 100) / 100 },
+          previous: { ...previous, total: Math.round(previousTotal * 100) / 100 },
+          ...describeChange(currentTotal, previousTotal),
+          threshold: threshold,
+          categories: categories,
+          currency: req.user.homeCurrency,
+          unconverted: unconverted
+        });
+      } catch (error) {
+        res.status(500).json({ error: 'Failed to compare spending' });
+      }
+    });
+
+    jest.clearAllMocks();
+    mockPool.query.mockReset();
+  });
+
+  const categories = [
+    { category: 'Food', current: '110.00', previous: '100.00' },
+    { category: 'Transport', current: '90.00', previous: '50.00' },
+    { category: 'Bills', current: '0.00', previous: '250.00' },
+    { category: 'Entertainment', current: '40.00', previous: '0.00' },
+  ];
+
+  test('should compare this month to date with as many days of last month by default', async () => {
+    mockPool.query.mockResolvedValueOnce({ rows: [{ categories, unconverted: [] }] });
+
+    const response = await request(app).get('/api/reports/compare');
+
+    expect(response.status).toBe(200);
+    expect(response.body.current).toEqual({ from: '2026-03-01', to: '2026-03-18', total: 240 });
+    expect(response.body.previous).toEqual({ from: '2026-02-01', to: '2026-02-18', total: 400 });
+    expect(response.body).toMatchObject({ change: -160, percent: -40, threshold: 20, currency: 'GHS' });
+    expect(response.body.categories).toEqual([
+      { category: 'Food', current: 110, previous: 100, change: 10, percent: 10, flagged: false },
+      { category: 'Transport', current: 90, previous: 50, change: 40, percent: 80, flagged: true },
+      { category: 'Entertainment', current: 40, previous: 0, change: 40, percent: null, flagged: true },
+      { category: 'Bills', current: 0, previous: 250, change: -250, percent: -100, flagged: false },
+    ]);
+  });
+
+  test('should compare two given ranges with a custom threshold and filters', async () => {
+    mockPool.query.mockResolvedValueOnce({ rows: [{ categories: categories.slice(0, 1), unconverted: ['USD'] }] });
+
+    const response = await request(app).get('/api/reports/compare?from=2026-03-01&to=2026-03-15&previousFrom=2026-02-01&previousTo=2026-02-15&threshold=5&category=Food');
+
+    const [sql, params] = mockPool.query.mock.calls[0];
+    expect(sql).toContain('WHERE ledger_id = $6 AND category = $7');
+    expect(sql).not.toContain('spent_on >=');
+    expect(params).toEqual(['GHS', '2026-03-01', '2026-03-15', '2026-02-01', '2026-02-15', 9, 'Food']);
+    expect(response.body.categories[0].flagged).toBe(true);
+    expect(response.body.unconverted).toEqual(['USD']);
+  });
+
+  test('should reject incomplete ranges, day periods and bad thresholds', async () => {
+    const partial = await request(app).get('/api/reports/compare?from=2026-03-01&to=2026-03-15');
+
+    expect(partial.status).toBe(400);
+    expect(partial.body.error).toMatch(/all needed/);
+
+    const day = await request(app).get('/api/reports/compare?period=day');
+
+    expect(day.status).toBe(400);
+    expect(day.body.allowed).toEqual(['week', 'month', 'year']);
+
+    const threshold = await request(app).get('/api/reports/compare?threshold=-5');
+
+    expect(threshold.status).toBe(400);
+    expect(mockPool.query).not.toHaveBeenCalled();
+  });
+
+  describe('Comparison helpers', () => {
+    test('should match the days so far against as many days of the previous week, month and year', () => {
+      expect(parseComparePeriods({ period: 'week' }, '2026-03-18').values).toMatchObject({
+        current: { from: '2026-03-16', to: '2026-03-18' },
+        previous: { from: '2026-03-09', to: '2026-03-11' },
+      });
+      expect(parseComparePeriods({ period: 'year' }, '2026-01-01').values).toMatchObject({
+        current: { from: '2026-01-01', to: '2026-01-01' },
+        previous: { from: '2025-01-01', to: '2025-01-01' },
+      });
+      expect(parseComparePeriods({}, '2026-01-10').values.previous).toEqual({ from: '2025-12-01', to: '2025-12-10' });
+    });
+
+    test('should stop the previous range at the end of a shorter period', () => {
+      expect(parseComparePeriods({}, '2026-03-31').values).toMatchObject({
+        current: { from: '2026-03-01', to: '2026-03-31' },
+        previous: { from: '2026-02-01', to: '2026-02-28' },
+      });
+      expect(parseComparePeriods({}, '2026-03-29').values.previous).toEqual({ from: '2026-02-01', to: '2026-02-28' });
+      expect(parseComparePeriods({}, '2026-03-28').values.previous).toEqual({ from: '2026-02-01', to: '2026-02-28' });
+      expect(parseComparePeriods({}, '2026-03-27').values.previous).toEqual({ from: '2026-02-01', to: '2026-02-27' });
+      expect(parseComparePeriods({ period: 'year' }, '2025-12-31').values.previous).toEqual({ from: '2024-01-01', to: '2024-12-30' });
+    });
+
+    test('should describe the change between two amounts', () => {
+      expect(describeChange(150, 100)).toEqual({ change: 50, percent: 50 });
+      expect(describeChange(20, 0)).toEqual({ change: 20, percent: null });
+      expect(describeChange(1, 3)).toEqual({ change: -2, percent: -66.7 });
+    });
+  });
+});
+
+describe('User Story 30: Spending Anomalies - POST /api/expenses warnings', () => {
+  // Runs against the real route in index.js
+  const historyQuery = /WITH history AS/;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useMockClient();
+  });
+
+  afterEach(() => {
+    mockPool.query.mockReset();
+  });
+
+  const food = { count: 40, median: 25, mad: 4 };
+  const insertReturning = (row) => {
+    mockClient.query
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce({ rows: [row] })
+      .mockResolvedValueOnce({});
+  };
+  const historyParams = () => mockPool.query.mock.calls.find(([sql]) => historyQuery.test(sql))[1];
+
+  test('should save a mistyped amount and warn about it', async () => {
+    routePoolQueries([[historyQuery, () => ({ rows: [food] })]]);
+    insertReturning({ id: 51, item_name: 'Lunch', amount: '2500.00', category: 'Food' });
+
+    const response = await request(server).post('/api/expenses').set('Authorization', SESSION).send({ itemName: 'Lunch', amount: 2500, category: 'Food' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.expense.id).toBe(51);
+    expect(response.body.warnings).toEqual([{
+      type: 'unusual_amount',
+      message: 'GHS 2500.00 is much more than the usual GHS 25.00 for Food. Was it typed correctly?',
+      median: 25,
+      score: 417.3,
+    }]);
+    expect(historyParams()).toEqual([9, 'Food', 'GHS', MAX_ANOMALY_HISTORY]);
+  });
+
+  test('should not warn about an ordinary amount', async () => {
+    routePoolQueries([[historyQuery, () => ({ rows: [food] })]]);
+    insertReturning({ id: 52, item_name: 'Lunch', amount: '31.00', category: 'Food' });
+
+    const response = await request(server).post('/api/expenses').set('Authorization', SESSION).send({ itemName: 'Lunch', amount: 31, category: 'Food' });
+
+    expect(response.status).toBe(201);
+    expect(response.body.warnings).toEqual([]);
+  });
+
+  test('should compare in the currency the expense was paid in', async () => {
+    routePoolQueries();
+    insertReturning({ id: 53, item_name: 'Taxi', amount: '900.00', category: 'Transport', currency: 'USD' });
+
+    const response = await request(server).post('/api/expenses').set('Authorization', SESSION).send({ itemName: 'Taxi', amount: 900, category: 'Transport', currency: 'USD' });
+
+    expect(response.body.warnings).toEqual([]);
+    expect(historyParams()).toEqual([9, 'Transport', 'USD', MAX_ANOMALY_HISTORY]);
+  });
+
+  describe('detectAnomaly', () => {
+    const labels = { category: 'Bills', currency: 'GHS' };
+
+    test('should need enough history before judging', () => {
+      expect(detectAnomaly(5000, { count: MIN_ANOMALY_HISTORY - 1, median: 50, mad: 5 }, labels)).toBeNull();
+      expect(detectAnomaly(5000, { count: MIN_ANOMALY_HISTORY, median: 50, mad: 5 }, labels)).not.toBeNull();
+    });
+
+    test('should flag amounts far below the usual one too', () => {
+      const warning = detectAnomaly(2.5, { count: 12, median: 250, mad: 20 }, labels);
+
+      expect(warning.message).toBe('GHS 2.50 is much less than the usual GHS 250.00 for Bills. Was it typed correctly?');
+    });
+
+    test('should fall back to a ratio when every earlier amount was the same', () => {
+      const rent = { count: 12, median: 1200, mad: 0 };
+
+      expect(detectAnomaly(1250, rent, labels)).toBeNull();
+      expect(detectAnomaly(12000, rent, labels)).toBeNull();
+      expect(detectAnomaly(120000, rent, labels)).toMatchObject({ type: 'unusual_amount', median: 1200, score: null });
+      expect(detectAnomaly(12, rent, labels)).not.toBeNull();
+    });
+  });
+});
@@ -0,0 +1,24 @@
+// ==============================================================
+// accounts.js – Accounts (wallets) that money is paid from or
+// received into, and their balances for GET /api/accounts
+//
+// An account's balance is its opening balance plus the income
+// received into it, minus the expenses paid from it, plus or minus
+// transfers between accounts, all in the account's currency. Transfers
+// move money without counting as spending or income.
+// ==============================================================
+
+// cash, mobile money (MoMo) wallets, bank accounts and cards
+export const ACCOUNT_KINDS = ['cash', 'mobile_money', 'bank', 'card', 'other'];
+
+/**
+ * Shape an account row (with its `balance` sum) for the API response.
+ */
+export function summariseAccount(row) {
+  return {
+    ...row,
+    opening_balance: parseFloat(row.opening_balance),
+    balance: parseFloat(row.balance),
+    unconverted: row.unconverted ?? [],
+  };
+}
@@ -0,0 +1,65 @@
+// ==============================================================
+// anomalies.js – Spotting unusual amounts in POST /api/expenses
+//
+// A new expense is compared with the ledger's recent expenses in the
+// same category and currency, using the median and the median absolute
+// deviation (MAD) rather than the mean and standard deviation: one
+// earlier typo would drag a mean towards itself and hide the next one,
+// while the median barely moves. Both are computed in SQL, so only
+// three numbers reach the server. An outlier is never refused, only
+// reported back as a warning the user can act on.
+// ==============================================================
+
+// Earlier expenses a category needs before its amounts count as usual
+export const MIN_ANOMALY_HISTORY = 5;
+
+// Most recent expenses the usual amount is taken from
+export const MAX_ANOMALY_HISTORY = 200;
+
+// Modified z-score above which an amount is an outlier (Iglewicz and Hoaglin)
+export const ANOMALY_THRESHOLD = 3.5;
+
+// When every earlier amount is the same (a MAD of 0), how many times
+// larger or smaller than it an amount must be to stand out
+export const ANOMALY_RATIO = 10;
+
+// Scales the MAD so the score reads like a z-score for normal data
+const MAD_SCALE = 0.6745;
+
+const formatAmount = (value) => Number(value).toFixed(2);
+
+/**
+ * Check an amount against the `{ count, median, mad }` of earlier
+ * expenses in its category. Categories with too little history are
+ * never flagged.
+ *
+ * @returns {null | { type: 'unusual_amount', message: string, median: number, score: number | null }}
+ */
+export function detectAnomaly(amount, { count, median, mad }, { category, currency }) {
+  if (!count || count < MIN_ANOMALY_HISTORY || median === null || median === undefined) {
+    return null;
+  }
+
+  const usual = Number(median);
+  const spread = Number(mad);
+  let score = null;
+
+  if (spread > 0) {
+    score = Math.round((MAD_SCALE * Math.abs(amount - usual) / spread) * 10) / 10;
+
+    if (score <= ANOMALY_THRESHOLD) {
+      return null;
+    }
+  } else if (amount <= usual * ANOMALY_RATIO && amount * ANOMALY_RATIO >= usual) {
+    return null;
+  }
+
+  const direction = amount > usual ? 'more' : 'less';
+
+  return {
+    type: 'unusual_amount',
+    message: `${currency} ${formatAmount(amount)} is much ${direction} than the usual ${currency} ${formatAmount(usual)} for ${category}. Was it typed correctly?`,
+    median: usual,
+    score: score,
+  };
+}
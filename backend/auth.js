@@ -0,0 +1,100 @@
+// ==============================================================
+// auth.js – Password hashing, session tokens and API tokens
+//
+// Passwords are hashed with scrypt from node:crypto. A login creates
+// a random session token; the client sends it as
+// `Authorization: Bearer <token>` and only its SHA-256 hash is stored
+// in the sessions table, so a database leak does not leak sessions.
+// Personal API tokens for scripts work the same way but live in the
+// api_tokens table and are told apart by their prefix.
+// ==============================================================
+
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+
+const scrypt = promisify(crypto.scrypt);
+
+const KEY_LENGTH = 64;
+
+// How long a login stays valid
+export const SESSION_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+// Marks a bearer token as a personal API token rather than a session
+export const API_TOKEN_PREFIX = 'sw_pat_';
+
+// 'read' tokens may only make GET requests
+export const TOKEN_SCOPES = ['read', 'read-write'];
+
+/**
+ * Hash a password as `scrypt$<salt>$<hash>` (hex encoded).
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = await scrypt(password, salt, KEY_LENGTH);
+  return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+// A well-formed hash that no password matches. A login for an unknown
+// email is checked against it, so it takes as long as a wrong password
+// and the response time does not give away which emails are registered.
+export const DUMMY_PASSWORD_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+/**
+ * Check a password against a hash produced by hashPassword.
+ */
+export async function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored).split('$');
+
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = await scrypt(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * A new random session token, as given to the client.
+ */
+export function generateToken() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+/**
+ * A new personal API token, as shown to the user once.
+ */
+export function generateApiToken() {
+  return `${API_TOKEN_PREFIX}${generateToken()}`;
+}
+
+/**
+ * Whether a bearer token is a personal API token.
+ */
+export function isApiToken(token) {
+  return token.startsWith(API_TOKEN_PREFIX);
+}
+
+/**
+ * Whether a token scope allows a request with the given HTTP method.
+ */
+export function scopeAllows(scope, method) {
+  return scope === 'read-write' || method === 'GET' || method === 'HEAD';
+}
+
+/**
+ * The form of a token stored in the database.
+ */
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Extract the token from an `Authorization: Bearer <token>` header.
+ *
+ * @returns {string | null}
+ */
+export function parseBearerToken(header) {
+  const match = /^Bearer\s+(\S+)$/i.exec(header ?? '');
+  return match ? match[1] : null;
+}
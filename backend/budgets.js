@@ -0,0 +1,58 @@
+// ==============================================================
+// budgets.js – Monthly budget periods and status for
+// GET /api/budgets/status
+//
+// A budget is a monthly limit for one category, or for all
+// spending when its category is null. Status compares each limit
+// with the same converted sum the total endpoint uses, restricted
+// to the requested calendar month.
+// ==============================================================
+
+/**
+ * Current calendar month as YYYY-MM in server local time.
+ */
+export function currentMonth(now = new Date()) {
+  return `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}`;
+}
+
+/**
+ * Validate the optional `month` query parameter (YYYY-MM, default the
+ * current month) and turn it into an inclusive spent_on date range.
+ *
+ * @returns {{ error: string } | { period: { month: string, from: string, to: string } }}
+ */
+export function parseBudgetMonth(query, now = new Date()) {
+  const { month = '' } = query ?? {};
+  const value = month === '' ? currentMonth(now) : String(month);
+  const match = /^(\d{4})-(0[1-9]|1[0-2])$/.exec(value);
+
+  if (!match) {
+    return { error: 'Invalid month, expected YYYY-MM' };
+  }
+
+  // Day 0 of the following month is the last day of this one
+  const lastDay = new Date(Date.UTC(Number(match[1]), Number(match[2]), 0)).getUTCDate();
+
+  return {
+    period: { month: value, from: `${value}-01`, to: `${value}-${String(lastDay).padStart(2, '0')}` },
+  };
+}
+
+/**
+ * Shape a budget row (with its `spent` sum) for the status response.
+ */
+export function summariseBudget(row) {
+  const amount = parseFloat(row.amount);
+  const spent = parseFloat(row.spent);
+
+  return {
+    id: row.id,
+    category: row.category,
+    amount,
+    spent,
+    remaining: Math.round((amount - spent) * 100) / 100,
+    percent: amount > 0 ? Math.round((spent / amount) * 100) : 0,
+    overBudget: spent > amount,
+    unconverted: row.unconverted ?? [],
+  };
+}
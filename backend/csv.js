@@ -0,0 +1,109 @@
+// ==============================================================
+// csv.js – Reading and writing CSV for the expense import and export
+//
+// Output follows RFC 4180: fields containing a comma, quote or line
+// break are quoted and inner quotes doubled, and rows end in CRLF so
+// spreadsheet programs open the file as-is. The reader accepts the
+// same, plus bare LF line endings and a leading byte order mark as
+// saved by Excel.
+// ==============================================================
+
+// Export columns: header, then how to read the value from a row
+export const EXPORT_COLUMNS = [
+  ['Date', (row) => row.spent_on],
+  ['Item', (row) => row.item_name],
+  ['Category', (row) => row.category],
+  ['Amount', (row) => row.amount],
+  ['Currency', (row) => row.currency],
+  ['Account', (row) => row.account_name],
+  ['Added by', (row) => row.created_by],
+];
+
+// Rows fetched from the database cursor per round trip
+export const EXPORT_BATCH_SIZE = 500;
+
+/**
+ * Escape one value as a CSV field. null and undefined become an empty
+ * field. Text starting with =, +, - or @ is prefixed with a quote mark
+ * so spreadsheets do not run it as a formula.
+ */
+export function escapeCsvField(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  let text = String(value);
+
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Join values into one CSV line, including the trailing CRLF.
+ */
+export function toCsvRow(values) {
+  return `${values.map(escapeCsvField).join(',')}\r\n`;
+}
+
+/**
+ * Split CSV text into rows of fields. Quoted fields may contain commas,
+ * doubled quotes and line breaks. Blank lines are dropped.
+ *
+ * @returns {{ error: string } | { rows: string[][] }}
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') {
+      rows.push(row);
+    }
+    row = [];
+    field = '';
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: 'The CSV has a quoted field that is never closed' };
+  }
+
+  if (field !== '' || row.length > 0) {
+    endRow();
+  }
+
+  return { rows };
+}
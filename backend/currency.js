@@ -0,0 +1,51 @@
+// ==============================================================
+// currency.js – Currency codes and conversion to a home currency
+//
+// Expenses, income and recurring templates keep the ISO 4217 currency
+// they were paid in, and each user has a home currency that totals are
+// reported in. Exchange rates are maintained locally in exchange_rates,
+// one row per ledger, currency pair and date, and imported through the
+// API; nothing here calls out to a rates service.
+// ==============================================================
+
+// Currency of everything logged before currencies existed, and of new users
+export const DEFAULT_CURRENCY = 'GHS';
+
+// Most rates one import may contain
+export const MAX_RATES_PER_IMPORT = 1000;
+
+/**
+ * Normalise an ISO 4217 code such as 'usd' or ' EUR ' to upper case.
+ * Only the shape is checked (three letters), so codes newer than this
+ * file still work.
+ *
+ * @returns {string | null} the code, or null when it is not one
+ */
+export function normaliseCurrency(value) {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const code = value.trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(code) ? code : null;
+}
+
+/**
+ * SQL for the rate that converts a row of `table` into the currency
+ * bound at `homeParam` (e.g. '$1'), or NULL when no rate is known.
+ * Only the rates of the row's own ledger are used.
+ *
+ * A rate stored for either direction of the pair is used (inverted when
+ * needed). The rate in force on the row's date wins: the latest one on
+ * or before `dateColumn`, or failing that the earliest one after it.
+ */
+export function rateToHome(table, dateColumn, homeParam) {
+  const nearest = `ORDER BY r.rate_on > ${table}.${dateColumn}, ABS(r.rate_on - ${table}.${dateColumn}) LIMIT 1`;
+
+  return `CASE WHEN ${table}.currency = ${homeParam} THEN 1 ELSE COALESCE(
+    (SELECT r.rate FROM exchange_rates r
+     WHERE r.ledger_id = ${table}.ledger_id AND r.base = ${table}.currency AND r.quote = ${homeParam} ${nearest}),
+    (SELECT 1 / r.rate FROM exchange_rates r
+     WHERE r.ledger_id = ${table}.ledger_id AND r.base = ${homeParam} AND r.quote = ${table}.currency ${nearest})
+  ) END`;
+}
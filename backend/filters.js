@@ -0,0 +1,137 @@
+// ==============================================================
+// filters.js – Query-string filters shared by expense and income
+// read routes
+//
+// GET /api/expenses and GET /api/expenses/total accept the same
+// category / account / from / to / q parameters; parsing and the WHERE clause
+// are built here so both handlers filter identically. Income has no
+// category, so only the date range and search apply to it.
+// ==============================================================
+
+import { isValidISODate, unknownCategoryError } from './validation.js';
+
+export const MAX_SEARCH_LENGTH = 100;
+
+/**
+ * Validate the filter query parameters.
+ *
+ * `category` must be one of `categories` unless `strict` is false, in
+ * which case an unknown category simply matches nothing. `account` is
+ * an account ID. `from` and `to` are inclusive ISO dates matched against
+ * spent_on; `q` is a case-insensitive search term matched within item_name.
+ *
+ * @returns {{ error: string, allowed?: string[] } | { filters: { category?: string, accountId?: number, from?: string, to?: string, q?: string } }}
+ */
+export function parseExpenseFilters(query, { categories = [], strict = true } = {}) {
+  const { category, account, from, to, q } = query ?? {};
+  const filters = {};
+
+  if (category) {
+    if (strict && !categories.includes(category)) {
+      return unknownCategoryError(category, categories);
+    }
+    filters.category = category;
+  }
+
+  if (account !== undefined && account !== '') {
+    const accountId = Number(account);
+
+    if (!Number.isInteger(accountId) || accountId <= 0) {
+      return { error: 'Invalid account ID' };
+    }
+    filters.accountId = accountId;
+  }
+
+  if (typeof q === 'string' && q.trim() !== '') {
+    if (q.trim().length > MAX_SEARCH_LENGTH) {
+      return { error: `Search term must be at most ${MAX_SEARCH_LENGTH} characters` };
+    }
+    filters.q = q.trim();
+  }
+
+  if (from !== undefined && from !== '') {
+    if (!isValidISODate(from)) {
+      return { error: 'Invalid from date, expected YYYY-MM-DD' };
+    }
+    filters.from = from;
+  }
+
+  if (to !== undefined && to !== '') {
+    if (!isValidISODate(to)) {
+      return { error: 'Invalid to date, expected YYYY-MM-DD' };
+    }
+    filters.to = to;
+  }
+
+  // ISO dates compare correctly as strings
+  if (filters.from && filters.to && filters.from > filters.to) {
+    return { error: 'from date must be on or before to date' };
+  }
+
+  return { filters };
+}
+
+// Columns the filters apply to in each table; a null column is skipped
+const EXPENSE_COLUMNS = { category: 'category', date: 'spent_on', text: 'item_name' };
+const INCOME_COLUMNS = { category: null, date: 'received_on', text: 'source' };
+
+function buildWhere(filters, params, columns) {
+  const conditions = [];
+
+  if (filters.ledgerId) {
+    params.push(filters.ledgerId);
+    conditions.push(`ledger_id = $${params.length}`);
+  }
+
+  if (filters.category && columns.category) {
+    params.push(filters.category);
+    conditions.push(`${columns.category} = $${params.length}`);
+  }
+
+  if (filters.accountId) {
+    params.push(filters.accountId);
+    conditions.push(`account_id = $${params.length}`);
+  }
+
+  if (filters.from) {
+    params.push(filters.from);
+    conditions.push(`${columns.date} >= $${params.length}`);
+  }
+
+  if (filters.to) {
+    params.push(filters.to);
+    conditions.push(`${columns.date} <= $${params.length}`);
+  }
+
+  // Substring match served by the pg_trgm index; LIKE wildcards typed by
+  // the user are escaped so they match literally
+  if (filters.q) {
+    params.push(`%${filters.q.replace(/[\\%_]/g, '\\$&')}%`);
+    conditions.push(`${columns.text} ILIKE $${params.length}`);
+  }
+
+  return conditions.length > 0 ? ` WHERE ${conditions.join(' AND ')}` : '';
+}
+
+/**
+ * Build a WHERE clause for parsed filters, appending values to `params`.
+ *
+ * `filters.ledgerId` restricts the rows to one ledger; the route
+ * handlers always set it from the ledger the request is scoped to.
+ *
+ * @returns {string} '' when no filter applies, otherwise ' WHERE ...'
+ */
+export function buildExpenseWhere(filters, params) {
+  return buildWhere(filters, params, EXPENSE_COLUMNS);
+}
+
+/**
+ * Build the WHERE clause for the same filters against the income table:
+ * the date range matches received_on, `q` searches the source and the
+ * category filter is ignored.
+ *
+ * @returns {string} '' when no filter applies, otherwise ' WHERE ...'
+ */
+export function buildIncomeWhere(filters, params) {
+  return buildWhere(filters, params, INCOME_COLUMNS);
+}
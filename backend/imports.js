@@ -0,0 +1,98 @@
+// ==============================================================
+// imports.js – Turning an uploaded spreadsheet into expense rows for
+// POST /api/expenses/import
+//
+// Each CSV column is mapped to an expense field, either by name in the
+// query string or by recognising a common header. The rows are then
+// checked with validateExpenseInput, the same rules as
+// POST /api/expenses, so an import never stores what the form would
+// reject.
+// ==============================================================
+
+// Most rows one import may contain, and the largest upload accepted
+export const MAX_IMPORT_ROWS = 5000;
+export const IMPORT_BODY_LIMIT = '5mb';
+
+// Expense fields that can be imported: the query parameter naming the
+// field's column, and headers recognised when that parameter is omitted
+export const IMPORT_FIELDS = {
+  itemName: { param: 'name', headers: ['item', 'item name', 'name', 'description', 'details', 'payee'] },
+  amount: { param: 'amount', headers: ['amount', 'cost', 'price', 'debit'] },
+  category: { param: 'category', headers: ['category'] },
+  spentOn: { param: 'date', headers: ['date', 'spent on', 'transaction date'] },
+  currency: { param: 'currency', headers: ['currency'] },
+};
+
+const REQUIRED_FIELDS = ['itemName', 'amount'];
+
+/**
+ * Work out which column holds each expense field. `query.name`,
+ * `query.amount`, `query.category`, `query.date` and `query.currency`
+ * pick a column by its header (ignoring case); a field without one uses
+ * the first recognised header, if any. Name and amount columns are
+ * required.
+ *
+ * @returns {{ error: string } | { columns: { [field: string]: number } }}
+ */
+export function resolveColumns(headers, query = {}) {
+  const names = headers.map((header) => header.trim().toLowerCase());
+  const columns = {};
+
+  for (const [field, { param, headers: known }] of Object.entries(IMPORT_FIELDS)) {
+    const chosen = query[param];
+
+    if (chosen !== undefined && chosen !== '') {
+      const index = names.indexOf(String(chosen).trim().toLowerCase());
+
+      if (index === -1) {
+        return { error: `Column "${chosen}" is not in the CSV header` };
+      }
+      columns[field] = index;
+    } else {
+      const index = names.findIndex((name) => known.includes(name));
+
+      if (index !== -1) {
+        columns[field] = index;
+      }
+    }
+  }
+
+  const missing = REQUIRED_FIELDS.filter((field) => columns[field] === undefined);
+
+  if (missing.length > 0) {
+    return { error: `Choose the CSV columns holding the ${missing.map((field) => IMPORT_FIELDS[field].param).join(' and ')}` };
+  }
+
+  return { columns };
+}
+
+/**
+ * The chosen column for each query parameter, by header, e.g.
+ * `{ name: 'Description', amount: 'Debit', category: null, date: 'Date', currency: null }`.
+ * A client can send these back unchanged.
+ */
+export function describeColumns(headers, columns) {
+  return Object.fromEntries(
+    Object.entries(IMPORT_FIELDS).map(([field, { param }]) => [param, columns[field] === undefined ? null : headers[columns[field]]])
+  );
+}
+
+/**
+ * Build a POST /api/expenses body from one CSV row. Blank cells are left
+ * out so the usual defaults apply (category 'Other', date today, home
+ * currency), and thousands separators are dropped from amounts such as
+ * "1,250.00".
+ */
+export function readImportRow(cells, columns) {
+  const body = {};
+
+  for (const [field, index] of Object.entries(columns)) {
+    const value = (cells[index] ?? '').trim();
+
+    if (value !== '') {
+      body[field] = field === 'amount' ? value.replace(/,(?=\d{3}(?!\d))/g, '') : value;
+    }
+  }
+
+  return body;
+}
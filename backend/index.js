@@ -8,6 +8,30 @@ import pg from 'pg';
 import dotenv from 'dotenv';
 import morgan from 'morgan';
 import client from 'prom-client';
+import {
+  validateExpenseInput, validateCategoryInput, validateBudgetInput, validateRecurringInput, validateCredentials,
+  validateTokenInput, validateLedgerInput, validateMemberInput, validateSplitInput, validateIncomeInput,
+  validateAccountInput, validateTransferInput, validateRatesImport, validateProfileInput,
+  validateTransactionId, validateSmsInput, isStrictMode, DEFAULT_CATEGORY,
+} from './validation.js';
+import { parseExpenseFilters, buildExpenseWhere, buildIncomeWhere } from './filters.js';
+import { parsePageParams, bindSearchRank, appendKeysetCondition, buildOrderBy, paginate } from './pagination.js';
+import { parseBudgetMonth, summariseBudget } from './budgets.js';
+import { dueOccurrences, localISODate, SCHEDULER_INTERVAL_MS } from './recurring.js';
+import { roleAllows, canManageMembers, isLastOwner, DEFAULT_LEDGER_NAME } from './ledgers.js';
+import { computeShares, rescaleShares, settleUp } from './splits.js';
+import { summariseAccount } from './accounts.js';
+import { rateToHome } from './currency.js';
+import { EXPORT_COLUMNS, EXPORT_BATCH_SIZE, toCsvRow, parseCsv } from './csv.js';
+import { MAX_IMPORT_ROWS, IMPORT_BODY_LIMIT, resolveColumns, describeColumns, readImportRow } from './imports.js';
+import { MAX_STATEMENT_TRANSACTIONS, STATEMENT_BODY_LIMIT, parseStatement } from './statements.js';
+import { parseSmsMessages } from './sms.js';
+import { MAX_ANOMALY_HISTORY, detectAnomaly } from './anomalies.js';
+import { parseReportParams, summariseSpending, parseComparePeriods, compareCategories, describeChange } from './reports.js';
+import {
+  hashPassword, verifyPassword, generateToken, generateApiToken, hashToken, parseBearerToken, isApiToken, scopeAllows,
+  SESSION_TTL_MS, DUMMY_PASSWORD_HASH,
+} from './auth.js';
 
 dotenv.config();
 
@@ -38,7 +62,13 @@ const httpRequestDuration = new client.Histogram({
   registers: [register]
 });
 
-const { Pool } = pg;
+const { Pool, types } = pg;
+
+// Return DATE columns (spent_on) as plain 'YYYY-MM-DD' strings. The default
+// parser builds a local-midnight Date, which shifts the day once serialised
+// to UTC JSON.
+types.setTypeParser(types.builtins.DATE, (value) => value);
+
 const app = express();
 const PORT = process.env.PORT || 5000;
 
@@ -49,7 +79,8 @@ app.use(express.json());
 // HTTP request logging with Morgan
 // Format: :method :url :status :response-time ms - :date[iso]
 app.use(morgan(':method :url :status :response-time ms - :date[iso]', {
-  skip: (req) => req.url === '/api/health' || req.url === '/metrics' // Skip health check and metrics logs to reduce noise
+  // Skip health check and metrics logs to reduce noise, and all of them under test
+  skip: (req) => req.url === '/api/health' || req.url === '/metrics' || process.env.NODE_ENV === 'test'
 }));
 
 // Prometheus metrics middleware
@@ -108,161 +139,2855 @@ app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', message: 'SpendWise API is running' });
 });
 
-// POST /api/expenses - Add new expense
-app.post('/api/expenses', async (req, res) => {
-  const { itemName, amount, category } = req.body;
+// Parse a positive integer route parameter such as :id
+const parseId = (value) => {
+  const id = parseInt(value);
+  return isNaN(id) || id <= 0 ? null : id;
+};
 
-  // Validation
-  if (!itemName || itemName.trim() === '') {
-    return res.status(400).json({ 
-      error: 'Item name is required and cannot be empty' 
+// PostgreSQL unique_violation error code
+const UNIQUE_VIOLATION = '23505';
+
+// PostgreSQL foreign_key_violation error code
+const FOREIGN_KEY_VIOLATION = '23503';
+
+// Give a new ledger its own copy of the seeded categories, within the
+// transaction that creates it
+const seedLedgerCategories = (dbClient, ledgerId) => dbClient.query(
+  `INSERT INTO categories (name, color, icon, ledger_id)
+   SELECT name, color, icon, $1 FROM categories WHERE ledger_id IS NULL ORDER BY id`,
+  [ledgerId]
+);
+
+// Start a session for a user and return the token the client should send
+const createSession = async (userId) => {
+  const token = generateToken();
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+
+  await pool.query(
+    'INSERT INTO sessions (user_id, token_hash, expires_at) VALUES ($1, $2, $3)',
+    [userId, hashToken(token), expiresAt]
+  );
+
+  return { token, expiresAt };
+};
+
+// Look up an unexpired personal API token, recording that it was used
+const findApiToken = async (token) => {
+  const result = await pool.query(
+    `UPDATE api_tokens t SET last_used_at = NOW()
+     FROM users u
+     WHERE u.id = t.user_id AND t.token_hash = $1 AND (t.expires_at IS NULL OR t.expires_at > NOW())
+     RETURNING t.scope, u.id, u.email, u.home_currency`,
+    [hashToken(token)]
+  );
+  return result.rows[0];
+};
+
+// Look up an unexpired login session
+const findSession = async (token) => {
+  const result = await pool.query(
+    `SELECT s.id AS session_id, u.id, u.email, u.home_currency FROM sessions s
+     JOIN users u ON u.id = s.user_id
+     WHERE s.token_hash = $1 AND s.expires_at > NOW()`,
+    [hashToken(token)]
+  );
+  return result.rows[0];
+};
+
+// Resolve the bearer token (a session or a personal API token) to its
+// user; every data route below requires it
+const requireAuth = async (req, res, next) => {
+  const token = parseBearerToken(req.get('Authorization'));
+
+  if (!token) {
+    return res.status(401).json({
+      error: 'Authentication required'
     });
   }
 
-  if (amount === undefined || amount === null) {
-    return res.status(400).json({ 
-      error: 'Amount is required' 
+  try {
+    const apiToken = isApiToken(token);
+    const match = apiToken ? await findApiToken(token) : await findSession(token);
+
+    if (!match) {
+      return res.status(401).json({
+        error: apiToken
+          ? 'API token expired, revoked or invalid'
+          : 'Session expired or invalid, please log in again'
+      });
+    }
+
+    if (apiToken && !scopeAllows(match.scope, req.method)) {
+      return res.status(403).json({
+        error: 'This API token is read-only'
+      });
+    }
+
+    req.user = { id: match.id, email: match.email, homeCurrency: match.home_currency };
+    req.sessionId = match.session_id ?? null;
+    next();
+  } catch (error) {
+    logger.error('Error checking session', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to check authentication'
     });
   }
+};
 
-  const numAmount = parseFloat(amount);
-  
-  if (isNaN(numAmount) || numAmount < 0) {
-    return res.status(400).json({ 
-      error: 'Amount must be a positive number' 
+// Only an interactive login may end a session or manage API tokens, so a
+// leaked token cannot mint new ones
+const requireSession = (req, res, next) => {
+  if (!req.sessionId) {
+    return res.status(403).json({
+      error: 'Log in with your password to do this; API tokens cannot'
+    });
+  }
+  next();
+};
+
+// POST /api/auth/register - Create an account and log in
+app.post('/api/auth/register', async (req, res) => {
+  const validation = validateCredentials(req.body, { registering: true });
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
     });
   }
 
-  // Validate category (optional, defaults to 'Other')
-  const validCategories = ['Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Other'];
-  const expenseCategory = category && validCategories.includes(category) ? category : 'Other';
+  const { email, password } = validation.values;
+  let dbClient = null;
 
   try {
-    const result = await pool.query(
-      'INSERT INTO expenses (item_name, amount, category) VALUES ($1, $2, $3) RETURNING *',
-      [itemName.trim(), numAmount, expenseCategory]
+    const passwordHash = await hashPassword(password);
+    dbClient = await pool.connect();
+
+    // The account and its personal ledger are created together
+    await dbClient.query('BEGIN');
+
+    const result = await dbClient.query(
+      'INSERT INTO users (email, password_hash) VALUES ($1, $2) RETURNING id, email, home_currency',
+      [email, passwordHash]
+    );
+    const account = result.rows[0];
+    const user = { id: account.id, email: account.email, homeCurrency: account.home_currency };
+
+    const ledgerResult = await dbClient.query(
+      'INSERT INTO ledgers (name) VALUES ($1) RETURNING id',
+      [DEFAULT_LEDGER_NAME]
+    );
+    await dbClient.query(
+      "INSERT INTO ledger_members (ledger_id, user_id, role) VALUES ($1, $2, 'owner')",
+      [ledgerResult.rows[0].id, user.id]
     );
+    await seedLedgerCategories(dbClient, ledgerResult.rows[0].id);
+    await dbClient.query('COMMIT');
+
+    const { token, expiresAt } = await createSession(user.id);
 
     res.status(201).json({
-      message: 'Expense added successfully',
-      expense: result.rows[0]
+      message: 'Account created successfully',
+      user: user,
+      token: token,
+      expiresAt: expiresAt
     });
   } catch (error) {
-    logger.error('Error adding expense', { error: error.message, stack: error.stack });
-    res.status(500).json({ 
-      error: 'Failed to add expense to database' 
+    // Hashing or connecting may fail before there is a transaction to undo
+    await dbClient?.query('ROLLBACK');
+
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        error: 'An account with that email already exists'
+      });
+    }
+
+    logger.error('Error registering user', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to create account'
     });
+  } finally {
+    dbClient?.release();
   }
 });
 
-// GET /api/expenses - Get all expenses (with optional category filter)
-app.get('/api/expenses', async (req, res) => {
-  const { category } = req.query;
+// POST /api/auth/login - Exchange email and password for a session token
+app.post('/api/auth/login', async (req, res) => {
+  const validation = validateCredentials(req.body);
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  const { email, password } = validation.values;
 
   try {
-    let query = 'SELECT * FROM expenses';
-    const params = [];
+    const result = await pool.query(
+      'SELECT id, email, home_currency, password_hash FROM users WHERE email = $1',
+      [email]
+    );
+    const account = result.rows[0];
+    // An unknown email is checked against a dummy hash so it costs the same scrypt work
+    const passwordMatches = await verifyPassword(password, account?.password_hash ?? DUMMY_PASSWORD_HASH);
 
-    if (category) {
-      query += ' WHERE category = $1';
-      params.push(category);
+    // Same answer for an unknown email and a wrong password
+    if (!account || !passwordMatches) {
+      return res.status(401).json({
+        error: 'Invalid email or password'
+      });
     }
 
-    query += ' ORDER BY created_at DESC';
+    const { token, expiresAt } = await createSession(account.id);
 
-    const result = await pool.query(query, params);
+    res.status(200).json({
+      message: 'Logged in successfully',
+      user: { id: account.id, email: account.email, homeCurrency: account.home_currency },
+      token: token,
+      expiresAt: expiresAt
+    });
+  } catch (error) {
+    logger.error('Error logging in', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to log in'
+    });
+  }
+});
+
+// POST /api/auth/logout - End the current session
+app.post('/api/auth/logout', requireAuth, requireSession, async (req, res) => {
+  try {
+    await pool.query('DELETE FROM sessions WHERE id = $1', [req.sessionId]);
 
     res.status(200).json({
-      expenses: result.rows
+      message: 'Logged out successfully'
     });
   } catch (error) {
-    logger.error('Error fetching expenses', { error: error.message, stack: error.stack });
-    res.status(500).json({ 
-      error: 'Failed to fetch expenses from database' 
+    logger.error('Error logging out', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to log out'
     });
   }
 });
 
-// GET /api/expenses/total - Get total spending (with optional category filter)
-app.get('/api/expenses/total', async (req, res) => {
-  const { category } = req.query;
+// GET /api/auth/me - Get the logged-in user
+app.get('/api/auth/me', requireAuth, (req, res) => {
+  res.status(200).json({
+    user: req.user
+  });
+});
+
+// PATCH /api/auth/me - Change the logged-in user's home currency
+app.patch('/api/auth/me', requireAuth, async (req, res) => {
+  const validation = validateProfileInput(req.body);
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
 
   try {
-    let query = 'SELECT COALESCE(SUM(amount), 0) as total FROM expenses';
-    const params = [];
+    const result = await pool.query(
+      'UPDATE users SET home_currency = $1 WHERE id = $2 RETURNING id, email, home_currency',
+      [validation.values.homeCurrency, req.user.id]
+    );
+    const account = result.rows[0];
+
+    res.status(200).json({
+      message: 'Profile updated successfully',
+      user: { id: account.id, email: account.email, homeCurrency: account.home_currency }
+    });
+  } catch (error) {
+    logger.error('Error updating profile', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to update profile'
+    });
+  }
+});
+
+// GET /api/tokens - List the user's API tokens (never the tokens themselves)
+app.get('/api/tokens', requireAuth, requireSession, async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT id, name, scope, expires_at, last_used_at, created_at FROM api_tokens
+       WHERE user_id = $1 ORDER BY created_at DESC, id DESC`,
+      [req.user.id]
+    );
+
+    res.status(200).json({
+      tokens: result.rows
+    });
+  } catch (error) {
+    logger.error('Error fetching API tokens', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch API tokens'
+    });
+  }
+});
+
+// POST /api/tokens - Create an API token; the token is only returned here
+app.post('/api/tokens', requireAuth, requireSession, async (req, res) => {
+  const validation = validateTokenInput(req.body);
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  const { name, scope, expiresInDays } = validation.values;
+  const token = generateApiToken();
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO api_tokens (user_id, name, token_hash, scope, expires_at)
+       VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+       RETURNING id, name, scope, expires_at, last_used_at, created_at`,
+      [req.user.id, name, hashToken(token), scope, expiresInDays]
+    );
+
+    res.status(201).json({
+      message: 'API token created; copy it now, it will not be shown again',
+      apiToken: result.rows[0],
+      token: token
+    });
+  } catch (error) {
+    logger.error('Error creating API token', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to create API token'
+    });
+  }
+});
+
+// DELETE /api/tokens/:id - Revoke an API token
+app.delete('/api/tokens/:id', requireAuth, requireSession, async (req, res) => {
+  const tokenId = parseId(req.params.id);
+
+  if (!tokenId) {
+    return res.status(400).json({
+      error: 'Invalid API token ID'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM api_tokens WHERE id = $1 AND user_id = $2 RETURNING id',
+      [tokenId, req.user.id]
+    );
 
-    if (category) {
-      query += ' WHERE category = $1';
-      params.push(category);
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'API token not found'
+      });
     }
 
-    const result = await pool.query(query, params);
+    res.status(200).json({
+      message: 'API token revoked successfully'
+    });
+  } catch (error) {
+    logger.error('Error revoking API token', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to revoke API token'
+    });
+  }
+});
 
-    const total = parseFloat(result.rows[0].total);
+// Everything below belongs to a user
+app.use([
+  '/api/expenses', '/api/categories', '/api/budgets', '/api/recurring', '/api/income',
+  '/api/accounts', '/api/transfers', '/api/ledgers', '/api/balances', '/api/rates', '/api/statements',
+  '/api/reports',
+], requireAuth);
+
+// Ledgers of a user, their personal ledger (the first one they own) first
+const LEDGERS_FOR_USER = `
+  SELECT l.id, l.name, m.role, l.created_at,
+    (SELECT COUNT(*)::int FROM ledger_members c WHERE c.ledger_id = l.id) AS member_count
+  FROM ledger_members m
+  JOIN ledgers l ON l.id = m.ledger_id
+  WHERE m.user_id = $1`;
+const LEDGER_ORDER = ` ORDER BY (m.role = 'owner') DESC, l.id`;
+
+// Resolve the ledger a request works on: `?ledger=<id>`, or the user's
+// personal ledger when it is omitted. Viewers may only read.
+const requireLedger = async (req, res, next) => {
+  let ledgerId = null;
+
+  if (req.query.ledger !== undefined) {
+    ledgerId = parseId(req.query.ledger);
+
+    if (!ledgerId) {
+      return res.status(400).json({
+        error: 'Invalid ledger ID'
+      });
+    }
+  }
+
+  try {
+    const result = await pool.query(
+      `${LEDGERS_FOR_USER} AND ($2::integer IS NULL OR l.id = $2)${LEDGER_ORDER} LIMIT 1`,
+      [req.user.id, ledgerId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Ledger not found'
+      });
+    }
+
+    req.ledger = result.rows[0];
+
+    if (!roleAllows(req.ledger.role, req.method)) {
+      return res.status(403).json({
+        error: 'You have view-only access to this ledger'
+      });
+    }
+
+    next();
+  } catch (error) {
+    logger.error('Error resolving ledger', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to check ledger access'
+    });
+  }
+};
+
+app.use([
+  '/api/expenses', '/api/categories', '/api/budgets', '/api/recurring', '/api/income',
+  '/api/accounts', '/api/transfers', '/api/balances', '/api/rates', '/api/statements', '/api/reports',
+], requireLedger);
+
+// GET /api/ledgers - Get the ledgers the user is a member of, with their role
+app.get('/api/ledgers', async (req, res) => {
+  try {
+    const result = await pool.query(LEDGERS_FOR_USER + LEDGER_ORDER, [req.user.id]);
 
     res.status(200).json({
-      total: total
+      ledgers: result.rows
     });
   } catch (error) {
-    logger.error('Error calculating total spending', { error: error.message, stack: error.stack });
-    res.status(500).json({ 
-      error: 'Failed to calculate total spending' 
+    logger.error('Error fetching ledgers', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch ledgers from database'
     });
   }
 });
 
-// DELETE /api/expenses/:id - Delete an expense
-app.delete('/api/expenses/:id', async (req, res) => {
-  const { id } = req.params;
+// POST /api/ledgers - Create a ledger owned by the user
+app.post('/api/ledgers', async (req, res) => {
+  const validation = validateLedgerInput(req.body);
 
-  // Validation
-  const expenseId = parseInt(id);
-  if (isNaN(expenseId) || expenseId <= 0) {
-    return res.status(400).json({ 
-      error: 'Invalid expense ID' 
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
     });
   }
 
+  const dbClient = await pool.connect();
+
   try {
-    // Check if expense exists
-    const checkResult = await pool.query(
-      'SELECT * FROM expenses WHERE id = $1',
-      [expenseId]
+    await dbClient.query('BEGIN');
+
+    const result = await dbClient.query(
+      'INSERT INTO ledgers (name) VALUES ($1) RETURNING *',
+      [validation.values.name]
     );
+    const ledger = result.rows[0];
 
-    if (checkResult.rows.length === 0) {
-      return res.status(404).json({ 
-        error: 'Expense not found' 
+    await dbClient.query(
+      "INSERT INTO ledger_members (ledger_id, user_id, role) VALUES ($1, $2, 'owner')",
+      [ledger.id, req.user.id]
+    );
+    await seedLedgerCategories(dbClient, ledger.id);
+    await dbClient.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Ledger created successfully',
+      ledger: { ...ledger, role: 'owner', member_count: 1 }
+    });
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    logger.error('Error creating ledger', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to create ledger'
+    });
+  } finally {
+    dbClient.release();
+  }
+});
+
+// The user's role in a ledger, or null when they are not a member
+const getLedgerRole = async (ledgerId, userId) => {
+  const result = await pool.query(
+    'SELECT role FROM ledger_members WHERE ledger_id = $1 AND user_id = $2',
+    [ledgerId, userId]
+  );
+  return result.rows[0]?.role ?? null;
+};
+
+// GET /api/ledgers/:id/members - Get the members of a ledger
+app.get('/api/ledgers/:id/members', async (req, res) => {
+  const ledgerId = parseId(req.params.id);
+
+  if (!ledgerId) {
+    return res.status(400).json({
+      error: 'Invalid ledger ID'
+    });
+  }
+
+  try {
+    if (!(await getLedgerRole(ledgerId, req.user.id))) {
+      return res.status(404).json({
+        error: 'Ledger not found'
       });
     }
 
-    // Delete the expense
-    await pool.query(
-      'DELETE FROM expenses WHERE id = $1',
-      [expenseId]
+    const result = await pool.query(
+      `SELECT u.id AS user_id, u.email, m.role, m.created_at FROM ledger_members m
+       JOIN users u ON u.id = m.user_id
+       WHERE m.ledger_id = $1
+       ORDER BY m.created_at, u.id`,
+      [ledgerId]
     );
 
     res.status(200).json({
-      message: 'Expense deleted successfully',
-      id: expenseId
+      members: result.rows
     });
   } catch (error) {
-    logger.error('Error deleting expense', { error: error.message, stack: error.stack });
-    res.status(500).json({ 
-      error: 'Failed to delete expense from database' 
+    logger.error('Error fetching ledger members', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch ledger members'
     });
   }
 });
 
-// Prometheus metrics endpoint
-app.get('/metrics', async (req, res) => {
-  res.set('Content-Type', register.contentType);
-  res.end(await register.metrics());
-});
+// POST /api/ledgers/:id/members - Invite an existing account to a ledger by email
+app.post('/api/ledgers/:id/members', async (req, res) => {
+  const ledgerId = parseId(req.params.id);
+
+  if (!ledgerId) {
+    return res.status(400).json({
+      error: 'Invalid ledger ID'
+    });
+  }
+
+  const validation = validateMemberInput(req.body);
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  const { email, role } = validation.values;
+
+  try {
+    const callerRole = await getLedgerRole(ledgerId, req.user.id);
+
+    if (!callerRole) {
+      return res.status(404).json({
+        error: 'Ledger not found'
+      });
+    }
+
+    if (!canManageMembers(callerRole)) {
+      return res.status(403).json({
+        error: 'Only ledger owners can manage members'
+      });
+    }
+
+    const userResult = await pool.query('SELECT id, email FROM users WHERE email = $1', [email]);
+    const invited = userResult.rows[0];
+
+    if (!invited) {
+      return res.status(404).json({
+        error: 'No account with that email; ask them to register first'
+      });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO ledger_members (ledger_id, user_id, role) VALUES ($1, $2, $3) RETURNING role, created_at',
+      [ledgerId, invited.id, role]
+    );
+
+    res.status(201).json({
+      message: 'Member added successfully',
+      member: { user_id: invited.id, email: invited.email, ...result.rows[0] }
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        error: 'That account is already a member of this ledger'
+      });
+    }
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`Server running on http://localhost:${PORT}`, { port: PORT });
+    logger.error('Error adding ledger member', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to add ledger member'
+    });
+  }
 });
 
-export { app, pool };
+// Change a ledger's membership with its member rows locked, so two
+// owners cannot both step down at once. `change` returns either
+// `{ status, error }` or the `{ body }` to send after committing.
+const changeMembership = (action, change) => async (req, res) => {
+  const ledgerId = parseId(req.params.id);
+  const memberId = parseId(req.params.userId);
+
+  if (!ledgerId || !memberId) {
+    return res.status(400).json({
+      error: 'Invalid ledger or member ID'
+    });
+  }
+
+  const dbClient = await pool.connect();
+
+  try {
+    await dbClient.query('BEGIN');
+
+    const result = await dbClient.query(
+      'SELECT user_id, role FROM ledger_members WHERE ledger_id = $1 FOR UPDATE',
+      [ledgerId]
+    );
+    const members = result.rows;
+    const caller = members.find((row) => row.user_id === req.user.id);
+    const member = members.find((row) => row.user_id === memberId);
+
+    if (!caller) {
+      await dbClient.query('ROLLBACK');
+      return res.status(404).json({
+        error: 'Ledger not found'
+      });
+    }
+
+    if (!member) {
+      await dbClient.query('ROLLBACK');
+      return res.status(404).json({
+        error: 'Member not found'
+      });
+    }
+
+    const outcome = await change(dbClient, { req, ledgerId, caller, member, members });
+
+    if (outcome.error) {
+      await dbClient.query('ROLLBACK');
+      return res.status(outcome.status).json({
+        error: outcome.error
+      });
+    }
+
+    await dbClient.query('COMMIT');
+    res.status(200).json(outcome.body);
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    logger.error(`Error changing ledger member (${action})`, { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: `Failed to ${action} ledger member`
+    });
+  } finally {
+    dbClient.release();
+  }
+};
+
+const ONLY_OWNERS = { status: 403, error: 'Only ledger owners can manage members' };
+const LAST_OWNER = { status: 409, error: 'A ledger must keep at least one owner' };
+
+// PATCH /api/ledgers/:id/members/:userId - Change a member's role
+app.patch('/api/ledgers/:id/members/:userId', changeMembership('update', async (dbClient, { req, ledgerId, caller, member, members }) => {
+  const validation = validateMemberInput(req.body, { partial: true });
+
+  if (validation.error) {
+    return { status: 400, error: validation.error };
+  }
+
+  const { role } = validation.values;
+
+  if (!canManageMembers(caller.role)) {
+    return ONLY_OWNERS;
+  }
+
+  if (role !== 'owner' && isLastOwner(members, member.user_id)) {
+    return LAST_OWNER;
+  }
+
+  await dbClient.query(
+    'UPDATE ledger_members SET role = $1 WHERE ledger_id = $2 AND user_id = $3',
+    [role, ledgerId, member.user_id]
+  );
+
+  return { body: { message: 'Member updated successfully', member: { user_id: member.user_id, role } } };
+}));
+
+// DELETE /api/ledgers/:id/members/:userId - Remove a member, or leave a ledger
+app.delete('/api/ledgers/:id/members/:userId', changeMembership('remove', async (dbClient, { ledgerId, caller, member, members }) => {
+  if (!canManageMembers(caller.role) && member.user_id !== caller.user_id) {
+    return ONLY_OWNERS;
+  }
+
+  if (isLastOwner(members, member.user_id)) {
+    return LAST_OWNER;
+  }
+
+  await dbClient.query(
+    'DELETE FROM ledger_members WHERE ledger_id = $1 AND user_id = $2',
+    [ledgerId, member.user_id]
+  );
+
+  return { body: { message: 'Member removed successfully' } };
+}));
+
+// Names of a ledger's categories, used to validate expense input
+const getCategoryNames = async (ledgerId) => {
+  const result = await pool.query('SELECT name FROM categories WHERE ledger_id = $1 ORDER BY id', [ledgerId]);
+  return result.rows.map((row) => row.name);
+};
+
+// Category validation options for a request; `?strict=false` lets older
+// clients keep filing unknown categories under 'Other'
+const getCategoryRules = async (req) => ({
+  categories: await getCategoryNames(req.ledger.id),
+  strict: isStrictMode(req.query),
+});
+
+// Whether an account exists in the ledger; expenses, income and
+// transfers may only use the accounts of their own ledger
+const accountInLedger = async (accountId, ledgerId) => {
+  const result = await pool.query(
+    'SELECT id FROM accounts WHERE id = $1 AND ledger_id = $2',
+    [accountId, ledgerId]
+  );
+  return result.rows.length > 0;
+};
+
+// Validate a new expense's split and work out the shares. Every
+// participant must be a member of the ledger the expense goes into.
+const resolveSplit = async (body, amount, ledgerId) => {
+  const validation = validateSplitInput(body);
+
+  if (validation.error) {
+    return validation;
+  }
+
+  const computed = computeShares(amount, validation.values);
+
+  if (computed.error) {
+    return computed;
+  }
+
+  const userIds = computed.shares.map((share) => share.userId);
+  const members = await pool.query(
+    'SELECT user_id FROM ledger_members WHERE ledger_id = $1 AND user_id = ANY($2::integer[])',
+    [ledgerId, userIds]
+  );
+
+  if (members.rows.length !== userIds.length) {
+    return { error: 'Split participants must be members of this ledger' };
+  }
+
+  return computed;
+};
+
+// Warnings about a new expense whose amount is far from what the ledger
+// usually spends in its category, judged by the median and MAD of the
+// latest expenses in the same currency
+const findAnomalies = async ({ amount, category, currency }, ledgerId) => {
+  const result = await pool.query(
+    `WITH history AS (
+        SELECT amount::float8 AS amount FROM expenses
+        WHERE ledger_id = $1 AND category = $2 AND currency = $3
+        ORDER BY spent_on DESC, id DESC LIMIT $4
+      ),
+      centre AS (
+        SELECT COUNT(*)::int AS count, percentile_cont(0.5) WITHIN GROUP (ORDER BY amount) AS median FROM history
+      )
+    SELECT count, median,
+      (SELECT percentile_cont(0.5) WITHIN GROUP (ORDER BY ABS(history.amount - centre.median)) FROM history) AS mad
+    FROM centre`,
+    [ledgerId, category, currency, MAX_ANOMALY_HISTORY]
+  );
+  const anomaly = detectAnomaly(amount, result.rows[0], { category, currency });
+
+  return anomaly ? [anomaly] : [];
+};
+
+// POST /api/expenses - Add new expense
+// An amount far outside the category's usual range is still saved, with
+// a warning in `warnings` so the user can undo a mistyped one.
+app.post('/api/expenses', async (req, res) => {
+  let dbClient = null;
+
+  try {
+    const validation = validateExpenseInput(req.body, await getCategoryRules(req));
+
+    if (validation.error) {
+      return res.status(400).json({ 
+        error: validation.error,
+        allowed: validation.allowed
+      });
+    }
+
+    const { itemName, amount, category, spentOn = null, accountId = null, currency = req.user.homeCurrency } = validation.values;
+
+    if (accountId && !(await accountInLedger(accountId, req.ledger.id))) {
+      return res.status(400).json({
+        error: 'Unknown account'
+      });
+    }
+
+    const { error: transactionError, transactionId } = validateTransactionId(req.body.transactionId);
+
+    if (transactionError) {
+      return res.status(400).json({
+        error: transactionError
+      });
+    }
+
+    let shares = [];
+
+    if (req.body.split !== undefined && req.body.split !== null) {
+      const split = await resolveSplit(req.body.split, amount, req.ledger.id);
+
+      if (split.error) {
+        return res.status(400).json({
+          error: split.error
+        });
+      }
+      shares = split.shares;
+    }
+
+    // Checked against the expenses already logged, before this one joins them
+    const warnings = await findAnomalies({ amount, category, currency }, req.ledger.id);
+
+    // The expense and its shares are stored together
+    dbClient = await pool.connect();
+    await dbClient.query('BEGIN');
+
+    const result = await dbClient.query(
+      'INSERT INTO expenses (item_name, amount, category, spent_on, account_id, currency, fitid, user_id, ledger_id) VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, $6, $7, $8, $9) RETURNING *',
+      [itemName, amount, category, spentOn, accountId, currency, transactionId, req.user.id, req.ledger.id]
+    );
+    const expense = result.rows[0];
+
+    if (shares.length > 0) {
+      const shareResult = await dbClient.query(
+        `INSERT INTO expense_splits (expense_id, user_id, amount)
+         SELECT $1, * FROM unnest($2::integer[], $3::numeric[])
+         RETURNING user_id, amount`,
+        [expense.id, shares.map((share) => share.userId), shares.map((share) => share.amount)]
+      );
+      expense.shares = shareResult.rows;
+    }
+    await dbClient.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Expense added successfully',
+      expense: expense,
+      warnings: warnings
+    });
+  } catch (error) {
+    // The lookups may fail before there is a transaction to undo
+    await dbClient?.query('ROLLBACK');
+
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        error: 'That transaction has already been logged'
+      });
+    }
+
+    logger.error('Error adding expense', { error: error.message, stack: error.stack });
+    res.status(500).json({ 
+      error: 'Failed to add expense to database' 
+    });
+  } finally {
+    dbClient?.release();
+  }
+});
+
+// Number of members an expense is split between (0 when it is not split)
+const SPLIT_COUNT = '(SELECT COUNT(*)::int FROM expense_splits s WHERE s.expense_id = expenses.id) AS split_count';
+
+// Email of the member who logged an expense
+const CREATED_BY = '(SELECT email FROM users WHERE users.id = expenses.user_id) AS created_by';
+
+// Name of the account an expense was paid from
+const ACCOUNT_NAME = '(SELECT name FROM accounts WHERE accounts.id = expenses.account_id) AS account_name';
+
+// An expense's amount in the home currency bound at $1 (NULL without a rate)
+const CONVERTED_AMOUNT = `ROUND(expenses.amount * ${rateToHome('expenses', 'spent_on', '$1')}, 2) AS converted_amount`;
+
+// GET /api/expenses - Get a page of expenses (with optional filters, search and sort)
+app.get('/api/expenses', async (req, res) => {
+  try {
+    const parsed = parseExpenseFilters(req.query, await getCategoryRules(req));
+
+    if (parsed.error) {
+      return res.status(400).json({
+        error: parsed.error,
+        allowed: parsed.allowed
+      });
+    }
+
+    const paging = parsePageParams(req.query, { search: parsed.filters.q });
+
+    if (paging.error) {
+      return res.status(400).json({
+        error: paging.error
+      });
+    }
+
+    const params = [req.user.homeCurrency];
+    const page = { ...paging.page, sort: bindSearchRank(paging.page.sort, parsed.filters.q, params) };
+    const filters = { ...parsed.filters, ledgerId: req.ledger.id };
+    const where = appendKeysetCondition(buildExpenseWhere(filters, params), page, params);
+
+    // Fetch one extra row to know whether another page exists
+    params.push(page.limit + 1);
+    const query = `SELECT *, ${page.sort.expression}::text AS sort_value, ${CREATED_BY}, ${SPLIT_COUNT}, ${ACCOUNT_NAME}, ${CONVERTED_AMOUNT} FROM expenses${where}`
+      + `${buildOrderBy(page.sort)} LIMIT $${params.length}`;
+
+    const result = await pool.query(query, params);
+    const { rows, nextCursor } = paginate(result.rows, page);
+
+    res.status(200).json({
+      expenses: rows,
+      nextCursor: nextCursor
+    });
+  } catch (error) {
+    logger.error('Error fetching expenses', { error: error.message, stack: error.stack });
+    res.status(500).json({ 
+      error: 'Failed to fetch expenses from database' 
+    });
+  }
+});
+
+// GET /api/expenses/total - Get total spending, income and net in the user's home currency (with optional category, date range and search filters)
+// Income has no category or item name, so with a category or search filter
+// only spending is summed and `income` and `net` are null rather than
+// totals of differently filtered rows.
+// Amounts in a currency with no known rate are left out and listed in `unconverted`.
+app.get('/api/expenses/total', async (req, res) => {
+  try {
+    const parsed = parseExpenseFilters(req.query, await getCategoryRules(req));
+
+    if (parsed.error) {
+      return res.status(400).json({
+        error: parsed.error,
+        allowed: parsed.allowed
+      });
+    }
+
+    const params = [req.user.homeCurrency];
+    const filters = { ...parsed.filters, ledgerId: req.ledger.id };
+    const withIncome = !parsed.filters.category && !parsed.filters.q;
+    const expenseWhere = buildExpenseWhere(filters, params);
+    const incomeWhere = withIncome ? buildIncomeWhere(filters, params) : ' WHERE false';
+    const query = `WITH
+      spending AS (SELECT amount, currency, ${rateToHome('expenses', 'spent_on', '$1')} AS rate FROM expenses${expenseWhere}),
+      earnings AS (SELECT amount, currency, ${rateToHome('income', 'received_on', '$1')} AS rate FROM income${incomeWhere})
+    SELECT
+      (SELECT ROUND(COALESCE(SUM(amount * rate), 0), 2) FROM spending) as total,
+      (SELECT ROUND(COALESCE(SUM(amount * rate), 0), 2) FROM earnings) as income,
+      ARRAY(
+        SELECT DISTINCT currency FROM (SELECT currency, rate FROM spending UNION ALL SELECT currency, rate FROM earnings) amounts
+        WHERE rate IS NULL ORDER BY currency
+      ) as unconverted`;
+
+    const result = await pool.query(query, params);
+
+    const total = parseFloat(result.rows[0].total);
+    const income = parseFloat(result.rows[0].income);
+
+    // total is the spending, as before the summary existed
+    res.status(200).json({
+      total: total,
+      income: withIncome ? income : null,
+      net: withIncome ? Math.round((income - total) * 100) / 100 : null,
+      currency: req.user.homeCurrency,
+      unconverted: result.rows[0].unconverted
+    });
+  } catch (error) {
+    logger.error('Error calculating total spending', { error: error.message, stack: error.stack });
+    res.status(500).json({ 
+      error: 'Failed to calculate total spending' 
+    });
+  }
+});
+
+// GET /api/reports/summary - Spending per period (day, week, month or year) and per category
+// Takes the list filters plus `period` and `top`. Amounts are converted
+// into the home currency like the total; currencies without a rate are
+// left out and listed in `unconverted`.
+app.get('/api/reports/summary', async (req, res) => {
+  const report = parseReportParams(req.query);
+
+  if (report.error) {
+    return res.status(400).json({
+      error: report.error,
+      allowed: report.allowed
+    });
+  }
+
+  try {
+    const parsed = parseExpenseFilters(req.query, await getCategoryRules(req));
+
+    if (parsed.error) {
+      return res.status(400).json({
+        error: parsed.error,
+        allowed: parsed.allowed
+      });
+    }
+
+    const { period, top } = report.values;
+    const params = [req.user.homeCurrency, period, top];
+    const filters = { ...parsed.filters, ledgerId: req.ledger.id };
+    const query = `WITH spending AS (
+        SELECT date_trunc($2::text, spent_on::timestamp)::date AS period, category, item_name, currency,
+          amount * ${rateToHome('expenses', 'spent_on', '$1')} AS converted
+        FROM expenses${buildExpenseWhere(filters, params)}
+      )
+    SELECT
+      COALESCE((
+        SELECT json_agg(t) FROM (
+          SELECT period, category, ROUND(SUM(converted), 2) AS total, COUNT(*)::int AS count
+          FROM spending WHERE converted IS NOT NULL GROUP BY period, category
+        ) t
+      ), '[]') as totals,
+      COALESCE((
+        SELECT json_agg(i ORDER BY i.total DESC, i.item_name) FROM (
+          SELECT item_name, ROUND(SUM(converted), 2) AS total, COUNT(*)::int AS count
+          FROM spending WHERE converted IS NOT NULL GROUP BY item_name ORDER BY total DESC, item_name LIMIT $3
+        ) i
+      ), '[]') as items,
+      ARRAY(SELECT DISTINCT currency FROM spending WHERE converted IS NULL ORDER BY currency) as unconverted`;
+
+    const result = await pool.query(query, params);
+    const { totals, items, unconverted } = result.rows[0];
+    const summary = summariseSpending({ totals, items, period, from: parsed.filters.from, to: parsed.filters.to });
+
+    if (summary.error) {
+      return res.status(400).json({
+        error: summary.error
+      });
+    }
+
+    res.status(200).json({
+      ...summary.summary,
+      currency: req.user.homeCurrency,
+      unconverted: unconverted
+    });
+  } catch (error) {
+    logger.error('Error building spending report', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to build spending report'
+    });
+  }
+});
+
+// GET /api/reports/compare - Spending per category in two periods, with the change between them
+// Compares this week, month or year to date with as many days of the one
+// before (`period`), or
+// any two ranges (`from`/`to` against `previousFrom`/`previousTo`).
+// Categories that grew by more than `threshold` percent are flagged.
+// Takes the category, account and q list filters.
+app.get('/api/reports/compare', async (req, res) => {
+  const comparison = parseComparePeriods(req.query, localISODate());
+
+  if (comparison.error) {
+    return res.status(400).json({
+      error: comparison.error,
+      allowed: comparison.allowed
+    });
+  }
+
+  try {
+    // from and to name the current period here, not a list filter
+    const { from, to, ...listQuery } = req.query;
+    const parsed = parseExpenseFilters(listQuery, await getCategoryRules(req));
+
+    if (parsed.error) {
+      return res.status(400).json({
+        error: parsed.error,
+        allowed: parsed.allowed
+      });
+    }
+
+    const { current, previous, threshold } = comparison.values;
+    const params = [req.user.homeCurrency, current.from, current.to, previous.from, previous.to];
+    const filters = { ...parsed.filters, ledgerId: req.ledger.id };
+    const query = `WITH spending AS (
+        SELECT category, currency, spent_on,
+          amount * ${rateToHome('expenses', 'spent_on', '$1')} AS converted
+        FROM expenses${buildExpenseWhere(filters, params)}
+          AND (spent_on BETWEEN $2::date AND $3::date OR spent_on BETWEEN $4::date AND $5::date)
+      )
+    SELECT
+      COALESCE((
+        SELECT json_agg(c) FROM (
+          SELECT category,
+            ROUND(COALESCE(SUM(converted) FILTER (WHERE spent_on BETWEEN $2::date AND $3::date), 0), 2) AS current,
+            ROUND(COALESCE(SUM(converted) FILTER (WHERE spent_on BETWEEN $4::date AND $5::date), 0), 2) AS previous
+          FROM spending WHERE converted IS NOT NULL GROUP BY category
+        ) c
+      ), '[]') as categories,
+      ARRAY(SELECT DISTINCT currency FROM spending WHERE converted IS NULL ORDER BY currency) as unconverted`;
+
+    const result = await pool.query(query, params);
+    const { unconverted } = result.rows[0];
+    const categories = compareCategories(result.rows[0].categories, threshold);
+    const currentTotal = categories.reduce((sum, row) => sum + row.current, 0);
+    const previousTotal = categories.reduce((sum, row) => sum + row.previous, 0);
+
+    res.status(200).json({
+      current: { ...current, total: Math.round(currentTotal * 100) / 100 },
+      previous: { ...previous, total: Math.round(previousTotal * 100) / 100 },
+      ...describeChange(currentTotal, previousTotal),
+      threshold: threshold,
+      categories: categories,
+      currency: req.user.homeCurrency,
+      unconverted: unconverted
+    });
+  } catch (error) {
+    logger.error('Error comparing spending', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to compare spending'
+    });
+  }
+});
+
+// GET /api/expenses/export - Download the expenses matching the list filters as CSV, oldest first
+// Rows are read through a database cursor and written as they arrive, so
+// large ledgers are never held in memory at once.
+app.get('/api/expenses/export', async (req, res) => {
+  const format = req.query.format ?? 'csv';
+
+  if (format !== 'csv') {
+    return res.status(400).json({
+      error: `Unsupported export format "${format}"`,
+      allowed: ['csv']
+    });
+  }
+
+  let dbClient = null;
+
+  try {
+    const parsed = parseExpenseFilters(req.query, await getCategoryRules(req));
+
+    if (parsed.error) {
+      return res.status(400).json({
+        error: parsed.error,
+        allowed: parsed.allowed
+      });
+    }
+
+    const params = [];
+    const filters = { ...parsed.filters, ledgerId: req.ledger.id };
+    const query = `SELECT *, ${CREATED_BY}, ${ACCOUNT_NAME} FROM expenses${buildExpenseWhere(filters, params)} ORDER BY spent_on, id`;
+
+    // A cursor only lives inside a transaction
+    dbClient = await pool.connect();
+    await dbClient.query('BEGIN');
+    await dbClient.query(`DECLARE expense_export NO SCROLL CURSOR FOR ${query}`, params);
+
+    res.status(200);
+    res.attachment(`spendwise-expenses-${localISODate()}.csv`);
+    res.write(toCsvRow(EXPORT_COLUMNS.map(([header]) => header)));
+
+    let batch;
+    do {
+      batch = await dbClient.query(`FETCH ${EXPORT_BATCH_SIZE} FROM expense_export`);
+      for (const row of batch.rows) {
+        res.write(toCsvRow(EXPORT_COLUMNS.map(([, value]) => value(row))));
+      }
+    } while (batch.rows.length === EXPORT_BATCH_SIZE);
+
+    await dbClient.query('COMMIT');
+    res.end();
+  } catch (error) {
+    // The category lookup may fail before there is a transaction to undo
+    await dbClient?.query('ROLLBACK');
+    logger.error('Error exporting expenses', { error: error.message, stack: error.stack });
+
+    // Once rows are on their way the status can no longer change
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      error: 'Failed to export expenses'
+    });
+  } finally {
+    dbClient?.release();
+  }
+});
+
+// POST /api/expenses/import - Import expenses from a CSV file sent as a text/csv body
+// Columns are mapped with ?name=&amount=&category=&date=&currency= (header names). With
+// ?dryRun=true nothing is saved: every row comes back with the values it would
+// be saved with or the reason it would be skipped. Otherwise the valid rows are
+// saved in one transaction and the rest are reported.
+app.post('/api/expenses/import', express.text({ type: 'text/csv', limit: IMPORT_BODY_LIMIT }), async (req, res) => {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({
+      error: 'Send the CSV file as the request body with Content-Type: text/csv'
+    });
+  }
+
+  const csv = parseCsv(req.body);
+
+  if (csv.error) {
+    return res.status(400).json({
+      error: csv.error
+    });
+  }
+
+  const [headers, ...lines] = csv.rows;
+
+  if (lines.length === 0) {
+    return res.status(400).json({
+      error: 'The CSV has no rows below its header'
+    });
+  }
+
+  if (lines.length > MAX_IMPORT_ROWS) {
+    return res.status(400).json({
+      error: `At most ${MAX_IMPORT_ROWS} rows can be imported at once`
+    });
+  }
+
+  const mapping = resolveColumns(headers, req.query);
+
+  if (mapping.error) {
+    return res.status(400).json({
+      error: mapping.error,
+      headers: headers
+    });
+  }
+
+  const dryRun = String(req.query.dryRun ?? '').toLowerCase() === 'true';
+  let dbClient = null;
+
+  try {
+    const categoryRules = await getCategoryRules(req);
+
+    // Line numbers count the header as line 1, as a spreadsheet shows them
+    const rows = lines.map((cells, index) => {
+      const validation = validateExpenseInput(readImportRow(cells, mapping.columns), categoryRules);
+      return validation.error
+        ? { line: index + 2, error: validation.error }
+        : { line: index + 2, values: validation.values };
+    });
+    const valid = rows.filter((row) => row.values);
+    const errors = rows.filter((row) => row.error);
+
+    if (dryRun) {
+      return res.status(200).json({
+        dryRun: true,
+        headers: headers,
+        columns: describeColumns(headers, mapping.columns),
+        valid: valid.length,
+        invalid: errors.length,
+        rows: rows
+      });
+    }
+
+    if (valid.length === 0) {
+      return res.status(400).json({
+        error: 'None of the rows can be imported',
+        errors: errors
+      });
+    }
+
+    const values = valid.map((row) => row.values);
+
+    // Only a real import writes, so only it takes a connection
+    dbClient = await pool.connect();
+    await dbClient.query('BEGIN');
+
+    const result = await dbClient.query(
+      `INSERT INTO expenses (item_name, amount, category, spent_on, currency, user_id, ledger_id)
+       SELECT item_name, amount, category, COALESCE(spent_on, CURRENT_DATE), currency, $6, $7
+       FROM unnest($1::text[], $2::numeric[], $3::text[], $4::date[], $5::text[])
+         AS imported(item_name, amount, category, spent_on, currency)`,
+      [
+        values.map((value) => value.itemName),
+        values.map((value) => value.amount),
+        values.map((value) => value.category),
+        values.map((value) => value.spentOn ?? null),
+        values.map((value) => value.currency ?? req.user.homeCurrency),
+        req.user.id,
+        req.ledger.id,
+      ]
+    );
+    await dbClient.query('COMMIT');
+
+    res.status(201).json({
+      message: 'Expenses imported successfully',
+      imported: result.rowCount,
+      skipped: errors.length,
+      errors: errors
+    });
+  } catch (error) {
+    // The category lookup may fail before there is a transaction to undo
+    await dbClient?.query('ROLLBACK');
+    logger.error('Error importing expenses', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to import expenses'
+    });
+  } finally {
+    dbClient?.release();
+  }
+});
+
+// POST /api/expenses/parse-sms - Read pasted mobile money SMS messages into draft expenses
+// Nothing is saved: the drafts are confirmed one by one with POST
+// /api/expenses, passing the draft's transactionId along. Drafts whose
+// transaction is already logged in the ledger are marked as duplicates.
+app.post('/api/expenses/parse-sms', async (req, res) => {
+  const validation = validateSmsInput(req.body);
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  try {
+    const { drafts, unrecognised } = parseSmsMessages(validation.values.text);
+    const result = await pool.query(
+      'SELECT fitid FROM expenses WHERE ledger_id = $1 AND fitid = ANY($2::text[])',
+      [req.ledger.id, drafts.map((draft) => draft.transactionId)]
+    );
+    const logged = new Set(result.rows.map((row) => row.fitid));
+
+    res.status(200).json({
+      drafts: drafts.map((draft) => ({ ...draft, category: DEFAULT_CATEGORY, duplicate: logged.has(draft.transactionId) })),
+      unrecognised: unrecognised
+    });
+  } catch (error) {
+    logger.error('Error reading SMS messages', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to read SMS messages'
+    });
+  }
+});
+
+// POST /api/statements/import - Import a bank statement (OFX, QFX or QIF) sent as the request body
+// Money out becomes expenses and money in becomes income, optionally in
+// ?accountId=. Transactions already imported into the ledger (same FITID)
+// are skipped, so the same statement can be imported again safely. With
+// ?dryRun=true nothing is saved and every transaction comes back with what
+// would happen to it.
+app.post('/api/statements/import', express.text({ type: '*/*', limit: STATEMENT_BODY_LIMIT }), async (req, res) => {
+  if (typeof req.body !== 'string' || req.body.trim() === '') {
+    return res.status(400).json({
+      error: 'Send the statement file as the request body'
+    });
+  }
+
+  const statement = parseStatement(req.body, {
+    format: req.query.format,
+    dayFirst: String(req.query.dayFirst ?? '').toLowerCase() === 'true',
+  });
+
+  if (statement.error) {
+    return res.status(400).json({
+      error: statement.error,
+      allowed: statement.allowed
+    });
+  }
+
+  if (statement.transactions.length > MAX_STATEMENT_TRANSACTIONS) {
+    return res.status(400).json({
+      error: `At most ${MAX_STATEMENT_TRANSACTIONS} transactions can be imported at once`
+    });
+  }
+
+  const accountId = req.query.accountId === undefined ? null : parseId(req.query.accountId);
+
+  if (req.query.accountId !== undefined && !accountId) {
+    return res.status(400).json({
+      error: 'Account must be a valid account ID'
+    });
+  }
+
+  const dryRun = String(req.query.dryRun ?? '').toLowerCase() === 'true';
+  let dbClient = null;
+
+  try {
+    if (accountId && !(await accountInLedger(accountId, req.ledger.id))) {
+      return res.status(400).json({
+        error: 'Unknown account'
+      });
+    }
+
+    const categories = await getCategoryNames(req.ledger.id);
+    const ids = statement.transactions.map((transaction) => transaction.id);
+    const existing = await pool.query(
+      `SELECT fitid FROM expenses WHERE ledger_id = $1 AND fitid = ANY($2::text[])
+       UNION SELECT fitid FROM income WHERE ledger_id = $1 AND fitid = ANY($2::text[])`,
+      [req.ledger.id, ids]
+    );
+    const imported = new Set(existing.rows.map((row) => row.fitid));
+
+    // Statement categories are kept only when they name one of ours
+    const rows = statement.transactions.map((transaction) => {
+      const { id, kind, date, amount, name, currency } = transaction;
+      const category = categories.find((known) => known.toLowerCase() === transaction.category?.toLowerCase());
+      const validation = kind === 'expense'
+        ? validateExpenseInput({ itemName: name, amount, category, spentOn: date, currency }, { categories })
+        : validateIncomeInput({ source: name, amount, receivedOn: date, currency });
+
+      if (validation.error) {
+        return { fitid: id, kind, error: validation.error };
+      }
+      return { fitid: id, kind, duplicate: imported.has(id), values: validation.values };
+    });
+    const fresh = rows.filter((row) => row.values && !row.duplicate);
+    const duplicates = rows.filter((row) => row.duplicate).length;
+    const errors = rows.filter((row) => row.error);
+
+    if (dryRun) {
+      return res.status(200).json({
+        dryRun: true,
+        format: statement.format,
+        expenses: fresh.filter((row) => row.kind === 'expense').length,
+        income: fresh.filter((row) => row.kind === 'income').length,
+        duplicates: duplicates,
+        invalid: errors.length,
+        rows: rows
+      });
+    }
+
+    if (fresh.length === 0 && duplicates === 0) {
+      return res.status(400).json({
+        error: 'None of the transactions can be imported',
+        errors: errors
+      });
+    }
+
+    const spending = fresh.filter((row) => row.kind === 'expense');
+    const earnings = fresh.filter((row) => row.kind === 'income');
+
+    dbClient = await pool.connect();
+    await dbClient.query('BEGIN');
+
+    // ON CONFLICT covers a concurrent import of the same statement
+    const expenseResult = await dbClient.query(
+      `INSERT INTO expenses (item_name, amount, category, spent_on, currency, fitid, account_id, user_id, ledger_id)
+       SELECT item_name, amount, category, spent_on, currency, fitid, $7, $8, $9
+       FROM unnest($1::text[], $2::numeric[], $3::text[], $4::date[], $5::text[], $6::text[])
+         AS imported(item_name, amount, category, spent_on, currency, fitid)
+       ON CONFLICT (ledger_id, fitid) DO NOTHING`,
+      [
+        spending.map((row) => row.values.itemName),
+        spending.map((row) => row.values.amount),
+        spending.map((row) => row.values.category),
+        spending.map((row) => row.values.spentOn),
+        spending.map((row) => row.values.currency ?? req.user.homeCurrency),
+        spending.map((row) => row.fitid),
+        accountId,
+        req.user.id,
+        req.ledger.id,
+      ]
+    );
+    const incomeResult = await dbClient.query(
+      `INSERT INTO income (source, amount, received_on, currency, fitid, account_id, user_id, ledger_id)
+       SELECT source, amount, received_on, currency, fitid, $6, $7, $8
+       FROM unnest($1::text[], $2::numeric[], $3::date[], $4::text[], $5::text[])
+         AS imported(source, amount, received_on, currency, fitid)
+       ON CONFLICT (ledger_id, fitid) DO NOTHING`,
+      [
+        earnings.map((row) => row.values.source),
+        earnings.map((row) => row.values.amount),
+        earnings.map((row) => row.values.receivedOn),
+        earnings.map((row) => row.values.currency ?? req.user.homeCurrency),
+        earnings.map((row) => row.fitid),
+        accountId,
+        req.user.id,
+        req.ledger.id,
+      ]
+    );
+    await dbClient.query('COMMIT');
+
+    const added = expenseResult.rowCount + incomeResult.rowCount;
+
+    res.status(201).json({
+      message: 'Statement imported successfully',
+      format: statement.format,
+      expenses: expenseResult.rowCount,
+      income: incomeResult.rowCount,
+      duplicates: duplicates + fresh.length - added,
+      skipped: errors.length,
+      errors: errors
+    });
+  } catch (error) {
+    // The lookups may fail before there is a transaction to undo
+    await dbClient?.query('ROLLBACK');
+    logger.error('Error importing statement', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to import statement'
+    });
+  } finally {
+    dbClient?.release();
+  }
+});
+
+// Column names for each validated expense field, used to build UPDATE statements
+const expenseColumns = {
+  itemName: 'item_name',
+  amount: 'amount',
+  category: 'category',
+  spentOn: 'spent_on',
+  accountId: 'account_id',
+  currency: 'currency',
+};
+
+// Shared handler for PUT (full replace) and PATCH (partial update)
+const updateExpense = (partial) => async (req, res) => {
+  const { id } = req.params;
+
+  // Validation
+  const expenseId = parseInt(id);
+  if (isNaN(expenseId) || expenseId <= 0) {
+    return res.status(400).json({
+      error: 'Invalid expense ID'
+    });
+  }
+
+  let dbClient = null;
+
+  try {
+    const validation = validateExpenseInput(req.body, { partial, ...(await getCategoryRules(req)) });
+
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        allowed: validation.allowed
+      });
+    }
+
+    // PUT replaces the whole expense, so the optional fields it leaves out
+    // go back to the same defaults as on POST instead of keeping their values
+    const values = partial ? validation.values : {
+      ...validation.values,
+      spentOn: validation.values.spentOn ?? null,
+      accountId: validation.values.accountId ?? null,
+      currency: validation.values.currency ?? req.user.homeCurrency,
+    };
+
+    if (values.accountId && !(await accountInLedger(values.accountId, req.ledger.id))) {
+      return res.status(400).json({
+        error: 'Unknown account'
+      });
+    }
+
+    const fields = Object.keys(values);
+    const assignments = fields.map((field, index) => (field === 'spentOn'
+      ? `spent_on = COALESCE($${index + 1}::date, CURRENT_DATE)`
+      : `${expenseColumns[field]} = $${index + 1}`));
+    const params = fields.map((field) => values[field]);
+    params.push(expenseId, req.ledger.id);
+
+    dbClient = await pool.connect();
+    await dbClient.query('BEGIN');
+
+    const result = await dbClient.query(
+      `UPDATE expenses SET ${assignments.join(', ')} WHERE id = $${params.length - 1} AND ledger_id = $${params.length} RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      await dbClient.query('ROLLBACK');
+      return res.status(404).json({
+        error: 'Expense not found'
+      });
+    }
+
+    // A new amount is re-divided between the participants of a split
+    // expense in the same proportions as before
+    if (values.amount !== undefined) {
+      const sharesResult = await dbClient.query(
+        'SELECT user_id, amount FROM expense_splits WHERE expense_id = $1 ORDER BY user_id FOR UPDATE',
+        [expenseId]
+      );
+
+      if (sharesResult.rows.length > 0) {
+        const shares = rescaleShares(sharesResult.rows, values.amount);
+
+        await dbClient.query(
+          `UPDATE expense_splits s SET amount = v.amount
+           FROM unnest($2::integer[], $3::numeric[]) AS v(user_id, amount)
+           WHERE s.expense_id = $1 AND s.user_id = v.user_id`,
+          [expenseId, shares.map((share) => share.userId), shares.map((share) => share.amount)]
+        );
+      }
+    }
+    await dbClient.query('COMMIT');
+
+    res.status(200).json({
+      message: 'Expense updated successfully',
+      expense: result.rows[0]
+    });
+  } catch (error) {
+    // The lookups may fail before there is a transaction to undo
+    await dbClient?.query('ROLLBACK');
+    logger.error('Error updating expense', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to update expense in database'
+    });
+  } finally {
+    dbClient?.release();
+  }
+};
+
+// PUT /api/expenses/:id - Replace an expense
+app.put('/api/expenses/:id', updateExpense(false));
+
+// PATCH /api/expenses/:id - Update some fields of an expense
+app.patch('/api/expenses/:id', updateExpense(true));
+
+// DELETE /api/expenses/:id - Delete an expense
+app.delete('/api/expenses/:id', async (req, res) => {
+  const { id } = req.params;
+
+  // Validation
+  const expenseId = parseInt(id);
+  if (isNaN(expenseId) || expenseId <= 0) {
+    return res.status(400).json({ 
+      error: 'Invalid expense ID' 
+    });
+  }
+
+  try {
+    // Check if expense exists in the ledger
+    const checkResult = await pool.query(
+      'SELECT * FROM expenses WHERE id = $1 AND ledger_id = $2',
+      [expenseId, req.ledger.id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({ 
+        error: 'Expense not found' 
+      });
+    }
+
+    // Delete the expense
+    await pool.query(
+      'DELETE FROM expenses WHERE id = $1 AND ledger_id = $2',
+      [expenseId, req.ledger.id]
+    );
+
+    res.status(200).json({
+      message: 'Expense deleted successfully',
+      id: expenseId
+    });
+  } catch (error) {
+    logger.error('Error deleting expense', { error: error.message, stack: error.stack });
+    res.status(500).json({ 
+      error: 'Failed to delete expense from database' 
+    });
+  }
+});
+
+// GET /api/balances - Net what each member is owed or owes for split expenses, with suggested transfers to settle up
+app.get('/api/balances', async (req, res) => {
+  try {
+    // Whoever logged a split expense paid for it: they are owed every
+    // share except their own, and each other participant owes theirs.
+    // Shares are converted into the home currency like the total.
+    const result = await pool.query(
+      `WITH shares AS (
+         SELECT expenses.user_id AS payer, s.user_id, s.amount, expenses.currency,
+           ${rateToHome('expenses', 'spent_on', '$2')} AS rate
+         FROM expense_splits s JOIN expenses ON expenses.id = s.expense_id
+         WHERE expenses.ledger_id = $1 AND s.user_id <> expenses.user_id
+       ),
+       balances AS (
+         SELECT u.id AS user_id, u.email, ROUND(SUM(n.amount), 2) AS balance
+         FROM (
+           SELECT payer AS user_id, amount * rate AS amount FROM shares WHERE rate IS NOT NULL
+           UNION ALL
+           SELECT user_id, -amount * rate FROM shares WHERE rate IS NOT NULL
+         ) n
+         JOIN users u ON u.id = n.user_id
+         GROUP BY u.id, u.email
+       )
+       SELECT
+         (SELECT COALESCE(json_agg(balances ORDER BY user_id), '[]') FROM balances) AS balances,
+         ARRAY(SELECT DISTINCT currency FROM shares WHERE rate IS NULL ORDER BY currency) AS unconverted`,
+      [req.ledger.id, req.user.homeCurrency]
+    );
+
+    const balances = result.rows[0].balances.map((row) => ({
+      userId: row.user_id,
+      email: row.email,
+      balance: parseFloat(row.balance),
+    }));
+    const emails = new Map(balances.map((row) => [row.userId, row.email]));
+
+    res.status(200).json({
+      balances: balances,
+      transfers: settleUp(balances).map((transfer) => ({
+        from: { userId: transfer.from, email: emails.get(transfer.from) },
+        to: { userId: transfer.to, email: emails.get(transfer.to) },
+        amount: transfer.amount,
+      })),
+      currency: req.user.homeCurrency,
+      unconverted: result.rows[0].unconverted
+    });
+  } catch (error) {
+    logger.error('Error calculating balances', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to calculate balances'
+    });
+  }
+});
+
+// GET /api/categories - Get the ledger's categories
+app.get('/api/categories', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM categories WHERE ledger_id = $1 ORDER BY id', [req.ledger.id]);
+
+    res.status(200).json({
+      categories: result.rows
+    });
+  } catch (error) {
+    logger.error('Error fetching categories', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch categories from database'
+    });
+  }
+});
+
+// POST /api/categories - Add new category
+app.post('/api/categories', async (req, res) => {
+  const validation = validateCategoryInput(req.body);
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  const { name, color = null, icon = null } = validation.values;
+
+  try {
+    const result = await pool.query(
+      'INSERT INTO categories (name, color, icon, ledger_id) VALUES ($1, COALESCE($2, \'#4f46e5\'), $3, $4) RETURNING *',
+      [name, color, icon, req.ledger.id]
+    );
+
+    res.status(201).json({
+      message: 'Category added successfully',
+      category: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        error: 'A category with that name already exists'
+      });
+    }
+
+    logger.error('Error adding category', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to add category to database'
+    });
+  }
+});
+
+// PATCH /api/categories/:id - Rename or restyle a category
+// Renames cascade to the ledger's expenses through the expenses.category foreign key.
+app.patch('/api/categories/:id', async (req, res) => {
+  const categoryId = parseId(req.params.id);
+  if (!categoryId) {
+    return res.status(400).json({
+      error: 'Invalid category ID'
+    });
+  }
+
+  const validation = validateCategoryInput(req.body, { partial: true });
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  const fields = Object.keys(validation.values);
+  const assignments = fields.map((field, index) => `${field} = $${index + 1}`);
+  const params = fields.map((field) => validation.values[field]);
+  params.push(categoryId, req.ledger.id);
+
+  try {
+    const checkResult = await pool.query(
+      'SELECT * FROM categories WHERE id = $1 AND ledger_id = $2',
+      [categoryId, req.ledger.id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Category not found'
+      });
+    }
+
+    const current = checkResult.rows[0];
+    if (current.name === DEFAULT_CATEGORY && validation.values.name && validation.values.name !== DEFAULT_CATEGORY) {
+      return res.status(400).json({
+        error: `The ${DEFAULT_CATEGORY} category cannot be renamed`
+      });
+    }
+
+    const result = await pool.query(
+      `UPDATE categories SET ${assignments.join(', ')} WHERE id = $${params.length - 1} AND ledger_id = $${params.length} RETURNING *`,
+      params
+    );
+
+    res.status(200).json({
+      message: 'Category updated successfully',
+      category: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        error: 'A category with that name already exists'
+      });
+    }
+
+    logger.error('Error updating category', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to update category in database'
+    });
+  }
+});
+
+// POST /api/categories/:id/merge - Move a category's expenses into another category and delete it
+// Recurring templates follow the expenses, and so does a budget unless the
+// target already has one; a budget left behind is deleted with the category.
+app.post('/api/categories/:id/merge', async (req, res) => {
+  const sourceId = parseId(req.params.id);
+  const targetId = parseId(req.body?.into);
+
+  if (!sourceId || !targetId) {
+    return res.status(400).json({
+      error: 'Invalid category ID'
+    });
+  }
+
+  if (sourceId === targetId) {
+    return res.status(400).json({
+      error: 'Cannot merge a category into itself'
+    });
+  }
+
+  const dbClient = await pool.connect();
+
+  try {
+    await dbClient.query('BEGIN');
+
+    const checkResult = await dbClient.query(
+      'SELECT * FROM categories WHERE id = ANY($1) AND ledger_id = $2 FOR UPDATE',
+      [[sourceId, targetId], req.ledger.id]
+    );
+    const source = checkResult.rows.find((row) => row.id === sourceId);
+    const target = checkResult.rows.find((row) => row.id === targetId);
+
+    if (!source || !target) {
+      await dbClient.query('ROLLBACK');
+      return res.status(404).json({
+        error: 'Category not found'
+      });
+    }
+
+    if (source.name === DEFAULT_CATEGORY) {
+      await dbClient.query('ROLLBACK');
+      return res.status(400).json({
+        error: `The ${DEFAULT_CATEGORY} category cannot be merged away`
+      });
+    }
+
+    const moveResult = await dbClient.query(
+      'UPDATE expenses SET category = $1 WHERE category = $2 AND ledger_id = $3',
+      [target.name, source.name, req.ledger.id]
+    );
+    const recurringResult = await dbClient.query(
+      'UPDATE recurring_expenses SET category = $1 WHERE category = $2 AND ledger_id = $3',
+      [target.name, source.name, req.ledger.id]
+    );
+    await dbClient.query(
+      `UPDATE budgets SET category = $1 WHERE category = $2 AND ledger_id = $3
+         AND NOT EXISTS (SELECT 1 FROM budgets t WHERE t.ledger_id = $3 AND t.category = $1)`,
+      [target.name, source.name, req.ledger.id]
+    );
+
+    await dbClient.query('DELETE FROM categories WHERE id = $1', [sourceId]);
+    await dbClient.query('COMMIT');
+
+    res.status(200).json({
+      message: 'Category merged successfully',
+      category: target,
+      movedExpenses: moveResult.rowCount,
+      movedRecurring: recurringResult.rowCount
+    });
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    logger.error('Error merging categories', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to merge categories'
+    });
+  } finally {
+    dbClient.release();
+  }
+});
+
+// DELETE /api/categories/:id - Delete a category no expense or recurring template uses
+app.delete('/api/categories/:id', async (req, res) => {
+  const categoryId = parseId(req.params.id);
+  if (!categoryId) {
+    return res.status(400).json({
+      error: 'Invalid category ID'
+    });
+  }
+
+  try {
+    const checkResult = await pool.query(
+      `SELECT c.name,
+         (SELECT COUNT(*)::int FROM expenses e WHERE e.ledger_id = c.ledger_id AND e.category = c.name) AS expense_count,
+         (SELECT COUNT(*)::int FROM recurring_expenses r WHERE r.ledger_id = c.ledger_id AND r.category = c.name) AS recurring_count
+       FROM categories c WHERE c.id = $1 AND c.ledger_id = $2`,
+      [categoryId, req.ledger.id]
+    );
+
+    if (checkResult.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Category not found'
+      });
+    }
+
+    const { name, expense_count: expenseCount, recurring_count: recurringCount } = checkResult.rows[0];
+
+    if (name === DEFAULT_CATEGORY) {
+      return res.status(400).json({
+        error: `The ${DEFAULT_CATEGORY} category cannot be deleted`
+      });
+    }
+
+    if (expenseCount > 0) {
+      return res.status(409).json({
+        error: `Category is used by ${expenseCount} expense(s); merge it into another category instead`
+      });
+    }
+
+    if (recurringCount > 0) {
+      return res.status(409).json({
+        error: `Category is used by ${recurringCount} recurring expense(s); merge it into another category instead`
+      });
+    }
+
+    await pool.query(
+      'DELETE FROM categories WHERE id = $1 AND ledger_id = $2',
+      [categoryId, req.ledger.id]
+    );
+
+    res.status(200).json({
+      message: 'Category deleted successfully',
+      id: categoryId
+    });
+  } catch (error) {
+    // An expense or template added since the check above
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return res.status(409).json({
+        error: 'Category is in use; merge it into another category instead'
+      });
+    }
+
+    logger.error('Error deleting category', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to delete category from database'
+    });
+  }
+});
+
+// GET /api/budgets - Get all budgets
+app.get('/api/budgets', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM budgets WHERE ledger_id = $1 ORDER BY category NULLS FIRST',
+      [req.ledger.id]
+    );
+
+    res.status(200).json({
+      budgets: result.rows
+    });
+  } catch (error) {
+    logger.error('Error fetching budgets', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch budgets from database'
+    });
+  }
+});
+
+// PUT /api/budgets - Set the monthly budget for a category (or overall when category is omitted)
+app.put('/api/budgets', async (req, res) => {
+  try {
+    const validation = validateBudgetInput(req.body, { categories: await getCategoryNames(req.ledger.id) });
+
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        allowed: validation.allowed
+      });
+    }
+
+    const { category, amount } = validation.values;
+
+    const result = await pool.query(
+      `INSERT INTO budgets (category, amount, user_id, ledger_id) VALUES ($1, $2, $3, $4)
+       ON CONFLICT (ledger_id, (COALESCE(category, ''))) DO UPDATE SET amount = EXCLUDED.amount
+       RETURNING *`,
+      [category, amount, req.user.id, req.ledger.id]
+    );
+
+    res.status(200).json({
+      message: 'Budget saved successfully',
+      budget: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Error saving budget', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to save budget to database'
+    });
+  }
+});
+
+// GET /api/budgets/status - Compare each budget with this month's spending
+app.get('/api/budgets/status', async (req, res) => {
+  const parsed = parseBudgetMonth(req.query);
+
+  if (parsed.error) {
+    return res.status(400).json({
+      error: parsed.error
+    });
+  }
+
+  const { month, from, to } = parsed.period;
+
+  try {
+    // Same converted sum as /api/expenses/total, per budget category; budgets
+    // are read in the home currency of whoever is looking
+    const result = await pool.query(
+      `WITH spending AS (
+         SELECT category, amount, currency, ${rateToHome('expenses', 'spent_on', '$4')} AS rate FROM expenses
+         WHERE ledger_id = $3 AND spent_on >= $1 AND spent_on <= $2
+       )
+       SELECT b.id, b.category, b.amount,
+         (SELECT ROUND(COALESCE(SUM(s.amount * s.rate), 0), 2) FROM spending s
+          WHERE b.category IS NULL OR s.category = b.category) AS spent,
+         ARRAY(SELECT DISTINCT s.currency FROM spending s
+          WHERE s.rate IS NULL AND (b.category IS NULL OR s.category = b.category) ORDER BY s.currency) AS unconverted
+       FROM budgets b
+       WHERE b.ledger_id = $3
+       ORDER BY b.category NULLS FIRST`,
+      [from, to, req.ledger.id, req.user.homeCurrency]
+    );
+    const budgets = result.rows.map(summariseBudget);
+
+    res.status(200).json({
+      month: month,
+      budgets: budgets,
+      currency: req.user.homeCurrency,
+      unconverted: [...new Set(budgets.flatMap((budget) => budget.unconverted))].sort()
+    });
+  } catch (error) {
+    logger.error('Error fetching budget status', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch budget status from database'
+    });
+  }
+});
+
+// DELETE /api/budgets/:id - Delete a budget
+app.delete('/api/budgets/:id', async (req, res) => {
+  const budgetId = parseId(req.params.id);
+  if (!budgetId) {
+    return res.status(400).json({
+      error: 'Invalid budget ID'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM budgets WHERE id = $1 AND ledger_id = $2 RETURNING id',
+      [budgetId, req.ledger.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Budget not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Budget deleted successfully',
+      id: budgetId
+    });
+  } catch (error) {
+    logger.error('Error deleting budget', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to delete budget from database'
+    });
+  }
+});
+
+// Post the occurrences of one template that have come due into expenses,
+// in a transaction of its own. ON CONFLICT on the (recurring_id, spent_on)
+// index means a rerun never duplicates rows. A failure is logged and
+// left for the next scheduler run; the number of expenses posted is returned.
+const postRecurringTemplate = async (template, today = localISODate()) => {
+  const { dates, postedThrough } = dueOccurrences(template, template.posted_through, today);
+  const dbClient = await pool.connect();
+  let posted = 0;
+
+  try {
+    await dbClient.query('BEGIN');
+
+    for (const date of dates) {
+      const result = await dbClient.query(
+        `INSERT INTO expenses (item_name, amount, category, currency, spent_on, recurring_id, user_id, ledger_id) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+         ON CONFLICT (recurring_id, spent_on) WHERE recurring_id IS NOT NULL DO NOTHING`,
+        [template.item_name, template.amount, template.category, template.currency, date, template.id, template.user_id, template.ledger_id]
+      );
+      posted += result.rowCount;
+    }
+
+    await dbClient.query(
+      'UPDATE recurring_expenses SET posted_through = $1 WHERE id = $2',
+      [postedThrough, template.id]
+    );
+    await dbClient.query('COMMIT');
+  } catch (error) {
+    await dbClient.query('ROLLBACK');
+    logger.error('Error posting recurring expense', { recurringId: template.id, error: error.message, stack: error.stack });
+    posted = 0;
+  } finally {
+    dbClient.release();
+  }
+
+  return posted;
+};
+
+// Post every recurring occurrence that has come due, template by template
+const postRecurringExpenses = async (today = localISODate()) => {
+  const templates = await pool.query(
+    `SELECT * FROM recurring_expenses
+     WHERE start_date <= $1::date
+       AND (posted_through IS NULL OR posted_through < LEAST($1::date, COALESCE(end_date, $1::date)))`,
+    [today]
+  );
+
+  let posted = 0;
+
+  for (const template of templates.rows) {
+    posted += await postRecurringTemplate(template, today);
+  }
+
+  return posted;
+};
+
+const runRecurringScheduler = async () => {
+  try {
+    const posted = await postRecurringExpenses();
+    if (posted > 0) {
+      logger.info('Posted recurring expenses', { posted });
+    }
+  } catch (error) {
+    logger.error('Error running recurring expense scheduler', { error: error.message, stack: error.stack });
+  }
+};
+
+// Column names for each validated recurring field, used to build UPDATE statements
+const recurringColumns = {
+  itemName: 'item_name',
+  amount: 'amount',
+  category: 'category',
+  currency: 'currency',
+  frequency: 'frequency',
+  startDate: 'start_date',
+  endDate: 'end_date',
+};
+
+// PostgreSQL check_violation error code
+const CHECK_VIOLATION = '23514';
+
+// GET /api/recurring - Get all recurring expense templates
+app.get('/api/recurring', async (req, res) => {
+  try {
+    const result = await pool.query(
+      'SELECT * FROM recurring_expenses WHERE ledger_id = $1 ORDER BY id',
+      [req.ledger.id]
+    );
+
+    res.status(200).json({
+      recurring: result.rows
+    });
+  } catch (error) {
+    logger.error('Error fetching recurring expenses', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch recurring expenses from database'
+    });
+  }
+});
+
+// POST /api/recurring - Add a recurring expense template and post any occurrence already due
+// Only the new template is posted here; other templates are left to the scheduler.
+app.post('/api/recurring', async (req, res) => {
+  try {
+    const validation = validateRecurringInput(req.body, await getCategoryRules(req));
+
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        allowed: validation.allowed
+      });
+    }
+
+    const {
+      itemName, amount, category, currency = req.user.homeCurrency, frequency, startDate = null, endDate = null,
+    } = validation.values;
+
+    const result = await pool.query(
+      `INSERT INTO recurring_expenses (item_name, amount, category, currency, frequency, start_date, end_date, user_id, ledger_id)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6::date, CURRENT_DATE), $7, $8, $9) RETURNING *`,
+      [itemName, amount, category, currency, frequency, startDate, endDate, req.user.id, req.ledger.id]
+    );
+
+    const posted = await postRecurringTemplate(result.rows[0]);
+
+    res.status(201).json({
+      message: 'Recurring expense added successfully',
+      recurring: result.rows[0],
+      postedExpenses: posted
+    });
+  } catch (error) {
+    if (error.code === CHECK_VIOLATION) {
+      return res.status(400).json({
+        error: 'End date must be on or after start date'
+      });
+    }
+
+    logger.error('Error adding recurring expense', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to add recurring expense to database'
+    });
+  }
+});
+
+// PATCH /api/recurring/:id - Update some fields of a recurring expense template
+// Only future occurrences follow the new values; posted expenses are left as they are.
+app.patch('/api/recurring/:id', async (req, res) => {
+  const recurringId = parseId(req.params.id);
+  if (!recurringId) {
+    return res.status(400).json({
+      error: 'Invalid recurring expense ID'
+    });
+  }
+
+  try {
+    const validation = validateRecurringInput(req.body, { partial: true, ...(await getCategoryRules(req)) });
+
+    if (validation.error) {
+      return res.status(400).json({
+        error: validation.error,
+        allowed: validation.allowed
+      });
+    }
+
+    const fields = Object.keys(validation.values);
+    const assignments = fields.map((field, index) => `${recurringColumns[field]} = $${index + 1}`);
+    const params = fields.map((field) => validation.values[field]);
+    params.push(recurringId, req.ledger.id);
+
+    const result = await pool.query(
+      `UPDATE recurring_expenses SET ${assignments.join(', ')} WHERE id = $${params.length - 1} AND ledger_id = $${params.length} RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Recurring expense not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Recurring expense updated successfully',
+      recurring: result.rows[0]
+    });
+  } catch (error) {
+    if (error.code === CHECK_VIOLATION) {
+      return res.status(400).json({
+        error: 'End date must be on or after start date'
+      });
+    }
+
+    logger.error('Error updating recurring expense', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to update recurring expense in database'
+    });
+  }
+});
+
+// DELETE /api/recurring/:id - Stop a recurring expense (already posted expenses are kept)
+app.delete('/api/recurring/:id', async (req, res) => {
+  const recurringId = parseId(req.params.id);
+  if (!recurringId) {
+    return res.status(400).json({
+      error: 'Invalid recurring expense ID'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM recurring_expenses WHERE id = $1 AND ledger_id = $2 RETURNING id',
+      [recurringId, req.ledger.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Recurring expense not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Recurring expense deleted successfully',
+      id: recurringId
+    });
+  } catch (error) {
+    logger.error('Error deleting recurring expense', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to delete recurring expense from database'
+    });
+  }
+});
+
+// Column names for each validated income field, used to build UPDATE statements
+const incomeColumns = {
+  source: 'source',
+  amount: 'amount',
+  receivedOn: 'received_on',
+  accountId: 'account_id',
+  currency: 'currency',
+};
+
+// GET /api/income - Get income entries, newest first (with optional date range and search filters)
+app.get('/api/income', async (req, res) => {
+  // Income has no category, so an unknown one is not an error here
+  const parsed = parseExpenseFilters(req.query, { strict: false });
+
+  if (parsed.error) {
+    return res.status(400).json({
+      error: parsed.error
+    });
+  }
+
+  try {
+    const params = [];
+    const where = buildIncomeWhere({ ...parsed.filters, ledgerId: req.ledger.id }, params);
+
+    const result = await pool.query(
+      `SELECT * FROM income${where} ORDER BY received_on DESC, id DESC`,
+      params
+    );
+
+    res.status(200).json({
+      income: result.rows
+    });
+  } catch (error) {
+    logger.error('Error fetching income', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch income from database'
+    });
+  }
+});
+
+// POST /api/income - Add an income entry
+app.post('/api/income', async (req, res) => {
+  const validation = validateIncomeInput(req.body);
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  const { source, amount, receivedOn = null, accountId = null, currency = req.user.homeCurrency } = validation.values;
+
+  try {
+    if (accountId && !(await accountInLedger(accountId, req.ledger.id))) {
+      return res.status(400).json({
+        error: 'Unknown account'
+      });
+    }
+
+    const result = await pool.query(
+      'INSERT INTO income (source, amount, received_on, account_id, currency, user_id, ledger_id) VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), $4, $5, $6, $7) RETURNING *',
+      [source, amount, receivedOn, accountId, currency, req.user.id, req.ledger.id]
+    );
+
+    res.status(201).json({
+      message: 'Income added successfully',
+      income: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Error adding income', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to add income to database'
+    });
+  }
+});
+
+// PATCH /api/income/:id - Update some fields of an income entry
+app.patch('/api/income/:id', async (req, res) => {
+  const incomeId = parseId(req.params.id);
+  if (!incomeId) {
+    return res.status(400).json({
+      error: 'Invalid income ID'
+    });
+  }
+
+  const validation = validateIncomeInput(req.body, { partial: true });
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  try {
+    if (validation.values.accountId && !(await accountInLedger(validation.values.accountId, req.ledger.id))) {
+      return res.status(400).json({
+        error: 'Unknown account'
+      });
+    }
+
+    const fields = Object.keys(validation.values);
+    const assignments = fields.map((field, index) => `${incomeColumns[field]} = $${index + 1}`);
+    const params = fields.map((field) => validation.values[field]);
+    params.push(incomeId, req.ledger.id);
+
+    const result = await pool.query(
+      `UPDATE income SET ${assignments.join(', ')} WHERE id = $${params.length - 1} AND ledger_id = $${params.length} RETURNING *`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Income not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Income updated successfully',
+      income: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Error updating income', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to update income in database'
+    });
+  }
+});
+
+// DELETE /api/income/:id - Delete an income entry
+app.delete('/api/income/:id', async (req, res) => {
+  const incomeId = parseId(req.params.id);
+  if (!incomeId) {
+    return res.status(400).json({
+      error: 'Invalid income ID'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM income WHERE id = $1 AND ledger_id = $2 RETURNING id',
+      [incomeId, req.ledger.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Income not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Income deleted successfully',
+      id: incomeId
+    });
+  } catch (error) {
+    logger.error('Error deleting income', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to delete income from database'
+    });
+  }
+});
+
+// Each account with its current balance in the account's currency.
+// Income and expenses in another currency are converted at the rate of
+// their date; those without a rate are left out and listed in
+// `unconverted`. Transfers only ever join accounts of one currency.
+const ACCOUNTS_WITH_BALANCE = `
+  SELECT a.*, a.opening_balance + entries.net
+    + (SELECT COALESCE(SUM(t.amount), 0) FROM transfers t WHERE t.to_account_id = a.id)
+    - (SELECT COALESCE(SUM(t.amount), 0) FROM transfers t WHERE t.from_account_id = a.id) AS balance,
+    entries.unconverted
+  FROM accounts a
+  CROSS JOIN LATERAL (
+    SELECT ROUND(COALESCE(SUM(amount * rate), 0), 2) AS net,
+      COALESCE(ARRAY_AGG(DISTINCT currency ORDER BY currency) FILTER (WHERE rate IS NULL), '{}') AS unconverted
+    FROM (
+      SELECT income.amount, income.currency, ${rateToHome('income', 'received_on', 'a.currency')} AS rate
+      FROM income WHERE income.account_id = a.id
+      UNION ALL
+      SELECT -expenses.amount, expenses.currency, ${rateToHome('expenses', 'spent_on', 'a.currency')}
+      FROM expenses WHERE expenses.account_id = a.id
+    ) amounts
+  ) entries`;
+
+// Column names for each validated account field, used to build UPDATE statements
+const accountColumns = {
+  name: 'name',
+  kind: 'kind',
+  openingBalance: 'opening_balance',
+};
+
+// GET /api/accounts - Get the ledger's accounts with their running balances
+app.get('/api/accounts', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `${ACCOUNTS_WITH_BALANCE} WHERE a.ledger_id = $1 ORDER BY a.id`,
+      [req.ledger.id]
+    );
+
+    res.status(200).json({
+      accounts: result.rows.map(summariseAccount)
+    });
+  } catch (error) {
+    logger.error('Error fetching accounts', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch accounts from database'
+    });
+  }
+});
+
+// POST /api/accounts - Add an account
+app.post('/api/accounts', async (req, res) => {
+  const validation = validateAccountInput(req.body);
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  const { name, kind, openingBalance, currency = req.user.homeCurrency } = validation.values;
+
+  try {
+    const result = await pool.query(
+      'INSERT INTO accounts (name, kind, opening_balance, currency, user_id, ledger_id) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *',
+      [name, kind, openingBalance, currency, req.user.id, req.ledger.id]
+    );
+
+    res.status(201).json({
+      message: 'Account added successfully',
+      account: summariseAccount({ ...result.rows[0], balance: result.rows[0].opening_balance, unconverted: [] })
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        error: 'An account with that name already exists'
+      });
+    }
+
+    logger.error('Error adding account', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to add account to database'
+    });
+  }
+});
+
+// PATCH /api/accounts/:id - Rename an account or change its kind or opening balance
+app.patch('/api/accounts/:id', async (req, res) => {
+  const accountId = parseId(req.params.id);
+  if (!accountId) {
+    return res.status(400).json({
+      error: 'Invalid account ID'
+    });
+  }
+
+  const validation = validateAccountInput(req.body, { partial: true });
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  try {
+    const fields = Object.keys(validation.values);
+    const assignments = fields.map((field, index) => `${accountColumns[field]} = $${index + 1}`);
+    const params = fields.map((field) => validation.values[field]);
+    params.push(accountId, req.ledger.id);
+
+    const result = await pool.query(
+      `UPDATE accounts SET ${assignments.join(', ')} WHERE id = $${params.length - 1} AND ledger_id = $${params.length} RETURNING id`,
+      params
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Account not found'
+      });
+    }
+
+    const accountResult = await pool.query(`${ACCOUNTS_WITH_BALANCE} WHERE a.id = $1`, [accountId]);
+
+    res.status(200).json({
+      message: 'Account updated successfully',
+      account: summariseAccount(accountResult.rows[0])
+    });
+  } catch (error) {
+    if (error.code === UNIQUE_VIOLATION) {
+      return res.status(409).json({
+        error: 'An account with that name already exists'
+      });
+    }
+
+    logger.error('Error updating account', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to update account in database'
+    });
+  }
+});
+
+// DELETE /api/accounts/:id - Delete an account no expense, income or transfer uses
+app.delete('/api/accounts/:id', async (req, res) => {
+  const accountId = parseId(req.params.id);
+  if (!accountId) {
+    return res.status(400).json({
+      error: 'Invalid account ID'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM accounts WHERE id = $1 AND ledger_id = $2 RETURNING id',
+      [accountId, req.ledger.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Account not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Account deleted successfully',
+      id: accountId
+    });
+  } catch (error) {
+    if (error.code === FOREIGN_KEY_VIOLATION) {
+      return res.status(409).json({
+        error: 'Account is still used by expenses, income or transfers'
+      });
+    }
+
+    logger.error('Error deleting account', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to delete account from database'
+    });
+  }
+});
+
+// GET /api/transfers - Get transfers between the ledger's accounts, newest first
+app.get('/api/transfers', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT t.*, f.name AS from_account_name, d.name AS to_account_name
+       FROM transfers t
+       JOIN accounts f ON f.id = t.from_account_id
+       JOIN accounts d ON d.id = t.to_account_id
+       WHERE t.ledger_id = $1
+       ORDER BY t.transferred_on DESC, t.id DESC`,
+      [req.ledger.id]
+    );
+
+    res.status(200).json({
+      transfers: result.rows
+    });
+  } catch (error) {
+    logger.error('Error fetching transfers', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch transfers from database'
+    });
+  }
+});
+
+// POST /api/transfers - Move money between two of the ledger's accounts
+app.post('/api/transfers', async (req, res) => {
+  const validation = validateTransferInput(req.body);
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  const { fromAccountId, toAccountId, amount, transferredOn = null, note } = validation.values;
+
+  try {
+    const accounts = await pool.query(
+      'SELECT id, currency FROM accounts WHERE id = ANY($1::integer[]) AND ledger_id = $2',
+      [[fromAccountId, toAccountId], req.ledger.id]
+    );
+
+    if (accounts.rows.length !== 2) {
+      return res.status(400).json({
+        error: 'Unknown account'
+      });
+    }
+
+    // A transfer has one amount, so both accounts must hold the same currency
+    if (accounts.rows[0].currency !== accounts.rows[1].currency) {
+      return res.status(400).json({
+        error: 'Transfers must be between accounts in the same currency'
+      });
+    }
+
+    const result = await pool.query(
+      `INSERT INTO transfers (from_account_id, to_account_id, amount, transferred_on, note, user_id, ledger_id)
+       VALUES ($1, $2, $3, COALESCE($4::date, CURRENT_DATE), $5, $6, $7) RETURNING *`,
+      [fromAccountId, toAccountId, amount, transferredOn, note, req.user.id, req.ledger.id]
+    );
+
+    res.status(201).json({
+      message: 'Transfer added successfully',
+      transfer: result.rows[0]
+    });
+  } catch (error) {
+    logger.error('Error adding transfer', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to add transfer to database'
+    });
+  }
+});
+
+// DELETE /api/transfers/:id - Delete a transfer
+app.delete('/api/transfers/:id', async (req, res) => {
+  const transferId = parseId(req.params.id);
+  if (!transferId) {
+    return res.status(400).json({
+      error: 'Invalid transfer ID'
+    });
+  }
+
+  try {
+    const result = await pool.query(
+      'DELETE FROM transfers WHERE id = $1 AND ledger_id = $2 RETURNING id',
+      [transferId, req.ledger.id]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        error: 'Transfer not found'
+      });
+    }
+
+    res.status(200).json({
+      message: 'Transfer deleted successfully',
+      id: transferId
+    });
+  } catch (error) {
+    logger.error('Error deleting transfer', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to delete transfer from database'
+    });
+  }
+});
+
+// GET /api/rates - Get the ledger's latest exchange rate for each currency pair
+app.get('/api/rates', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT DISTINCT ON (base, quote) base, quote, rate, rate_on FROM exchange_rates
+       WHERE ledger_id = $1
+       ORDER BY base, quote, rate_on DESC`,
+      [req.ledger.id]
+    );
+
+    res.status(200).json({
+      rates: result.rows.map((row) => ({ ...row, rate: parseFloat(row.rate) }))
+    });
+  } catch (error) {
+    logger.error('Error fetching exchange rates', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to fetch exchange rates from database'
+    });
+  }
+});
+
+// POST /api/rates/import - Add or overwrite the ledger's dated exchange rates
+app.post('/api/rates/import', async (req, res) => {
+  const validation = validateRatesImport(req.body);
+
+  if (validation.error) {
+    return res.status(400).json({
+      error: validation.error
+    });
+  }
+
+  const rates = validation.values;
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO exchange_rates (ledger_id, base, quote, rate, rate_on)
+       SELECT $1, * FROM unnest($2::char(3)[], $3::char(3)[], $4::numeric[], $5::date[])
+       ON CONFLICT (ledger_id, base, quote, rate_on) DO UPDATE SET rate = EXCLUDED.rate`,
+      [
+        req.ledger.id,
+        rates.map((rate) => rate.base),
+        rates.map((rate) => rate.quote),
+        rates.map((rate) => rate.rate),
+        rates.map((rate) => rate.date),
+      ]
+    );
+
+    res.status(200).json({
+      message: 'Exchange rates imported successfully',
+      imported: result.rowCount
+    });
+  } catch (error) {
+    logger.error('Error importing exchange rates', { error: error.message, stack: error.stack });
+    res.status(500).json({
+      error: 'Failed to import exchange rates'
+    });
+  }
+});
+
+// Prometheus metrics endpoint
+app.get('/metrics', async (req, res) => {
+  res.set('Content-Type', register.contentType);
+  res.end(await register.metrics());
+});
+
+// Start server; the tests import the app without listening or scheduling
+if (process.env.NODE_ENV !== 'test') {
+  app.listen(PORT, () => {
+    logger.info(`Server running on http://localhost:${PORT}`, { port: PORT });
+
+    // Catch up on occurrences missed while the server was down, then keep posting
+    runRecurringScheduler();
+    setInterval(runRecurringScheduler, SCHEDULER_INTERVAL_MS);
+  });
+}
+
+export { app, pool, postRecurringExpenses };
@@ -6,12 +6,345 @@ CREATE TABLE IF NOT EXISTS expenses (
   item_name VARCHAR(255) NOT NULL,
   amount NUMERIC(10, 2) NOT NULL CHECK (amount >= 0),
   category VARCHAR(50) DEFAULT 'Other',
+  spent_on DATE NOT NULL DEFAULT CURRENT_DATE,
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Upgrade databases created before spent_on existed: backfill from the
+-- insert time, then apply the same default and constraint as above
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS spent_on DATE;
+UPDATE expenses SET spent_on = created_at::date WHERE spent_on IS NULL;
+ALTER TABLE expenses ALTER COLUMN spent_on SET DEFAULT CURRENT_DATE;
+ALTER TABLE expenses ALTER COLUMN spent_on SET NOT NULL;
+
 -- Create index on created_at for faster queries
 CREATE INDEX IF NOT EXISTS idx_expenses_created_at ON expenses(created_at DESC);
 
+-- Create index matching the expense list order (spent_on, then id as the
+-- tie-breaker) so cursor pagination is an index range scan
+CREATE INDEX IF NOT EXISTS idx_expenses_spent_on ON expenses(spent_on DESC, id DESC);
+
+-- Trigram index so the expense search (?q=) can match any part of an
+-- item name without a sequential scan
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+CREATE INDEX IF NOT EXISTS idx_expenses_item_name_trgm ON expenses USING GIN (item_name gin_trgm_ops);
+
+-- User-defined categories, referenced from expenses by name
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(50) UNIQUE NOT NULL,
+  color VARCHAR(7) NOT NULL DEFAULT '#4f46e5',
+  icon VARCHAR(16),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Seed the categories that used to be hard-coded; 'Other' is the default
+-- for expenses and must always exist
+INSERT INTO categories (name, color, icon) VALUES
+  ('Food', '#f59e0b', '🍔'),
+  ('Transport', '#3b82f6', '🚌'),
+  ('Entertainment', '#ec4899', '🎬'),
+  ('Shopping', '#8b5cf6', '🛍️'),
+  ('Bills', '#ef4444', '🧾'),
+  ('Other', '#6b7280', '📦')
+ON CONFLICT DO NOTHING;
+
+-- Upgrade existing databases: keep any category already used by an
+-- expense, then link expenses to categories so renames cascade. Once
+-- categories belong to ledgers (below) there is nothing left to keep.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'categories' AND column_name = 'ledger_id') THEN
+    INSERT INTO categories (name)
+    SELECT DISTINCT category FROM expenses WHERE category IS NOT NULL
+    ON CONFLICT (name) DO NOTHING;
+  END IF;
+END $$;
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'expenses_category_fkey') THEN
+    ALTER TABLE expenses
+      ADD CONSTRAINT expenses_category_fkey FOREIGN KEY (category)
+      REFERENCES categories(name) ON UPDATE CASCADE;
+  END IF;
+END $$;
+
+-- Monthly spending limits; a NULL category is the overall budget.
+-- Deleting a category drops its budget; merging moves it to the target
+-- unless the target already has one.
+CREATE TABLE IF NOT EXISTS budgets (
+  id SERIAL PRIMARY KEY,
+  category VARCHAR(50) REFERENCES categories(name) ON UPDATE CASCADE ON DELETE CASCADE,
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one budget per category and one overall budget
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_category ON budgets ((COALESCE(category, '')));
+
+-- Recurring expense templates, posted into expenses by the backend scheduler.
+-- posted_through is the last date the scheduler has settled for a template.
+CREATE TABLE IF NOT EXISTS recurring_expenses (
+  id SERIAL PRIMARY KEY,
+  item_name VARCHAR(255) NOT NULL,
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount >= 0),
+  category VARCHAR(50) DEFAULT 'Other' REFERENCES categories(name) ON UPDATE CASCADE,
+  frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly', 'monthly', 'yearly')),
+  start_date DATE NOT NULL DEFAULT CURRENT_DATE,
+  end_date DATE,
+  posted_through DATE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+-- Link posted expenses to their template; the unique index makes posting
+-- idempotent, so a restart or a second run never duplicates an occurrence
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS recurring_id INTEGER REFERENCES recurring_expenses(id) ON DELETE SET NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_recurring_occurrence ON expenses(recurring_id, spent_on) WHERE recurring_id IS NOT NULL;
+
+-- User accounts; emails are stored lower-cased by the backend
+CREATE TABLE IF NOT EXISTS users (
+  id SERIAL PRIMARY KEY,
+  email VARCHAR(255) UNIQUE NOT NULL,
+  password_hash VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Login sessions; only the SHA-256 hash of the bearer token is stored
+CREATE TABLE IF NOT EXISTS sessions (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Personal API tokens for scripts and integrations; like sessions, only
+-- the SHA-256 hash is stored. A NULL expires_at never expires.
+CREATE TABLE IF NOT EXISTS api_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  token_hash CHAR(64) UNIQUE NOT NULL,
+  scope VARCHAR(10) NOT NULL DEFAULT 'read-write' CHECK (scope IN ('read', 'read-write')),
+  expires_at TIMESTAMP,
+  last_used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Every expense, budget and recurring template belongs to a user.
+-- Rows created before accounts existed keep a NULL owner and are not
+-- visible to anyone until assigned with an UPDATE.
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+ALTER TABLE recurring_expenses ADD COLUMN IF NOT EXISTS user_id INTEGER REFERENCES users(id) ON DELETE CASCADE;
+
+-- Shared ledgers: expenses, budgets and recurring expenses belong to a
+-- ledger, and users see every ledger they are a member of
+CREATE TABLE IF NOT EXISTS ledgers (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS ledger_members (
+  ledger_id INTEGER NOT NULL REFERENCES ledgers(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role VARCHAR(10) NOT NULL CHECK (role IN ('owner', 'editor', 'viewer')),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (ledger_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_ledger_members_user ON ledger_members(user_id);
+
+-- user_id now records which member created a row; ledger_id decides who sees it
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS ledger_id INTEGER REFERENCES ledgers(id) ON DELETE CASCADE;
+ALTER TABLE budgets ADD COLUMN IF NOT EXISTS ledger_id INTEGER REFERENCES ledgers(id) ON DELETE CASCADE;
+ALTER TABLE recurring_expenses ADD COLUMN IF NOT EXISTS ledger_id INTEGER REFERENCES ledgers(id) ON DELETE CASCADE;
+
+-- Upgrade existing accounts: give each user without a ledger a personal
+-- one and move the rows they own into it
+DO $$
+DECLARE
+  account RECORD;
+  personal INTEGER;
+BEGIN
+  FOR account IN
+    SELECT id FROM users u WHERE NOT EXISTS (SELECT 1 FROM ledger_members m WHERE m.user_id = u.id)
+  LOOP
+    INSERT INTO ledgers (name) VALUES ('Personal') RETURNING id INTO personal;
+    INSERT INTO ledger_members (ledger_id, user_id, role) VALUES (personal, account.id, 'owner');
+    UPDATE expenses SET ledger_id = personal WHERE user_id = account.id AND ledger_id IS NULL;
+    UPDATE budgets SET ledger_id = personal WHERE user_id = account.id AND ledger_id IS NULL;
+    UPDATE recurring_expenses SET ledger_id = personal WHERE user_id = account.id AND ledger_id IS NULL;
+  END LOOP;
+END $$;
+
+-- Lists and totals are scoped to a ledger, and budgets are unique per
+-- ledger rather than globally or per user
+DROP INDEX IF EXISTS idx_expenses_user_spent_on;
+CREATE INDEX IF NOT EXISTS idx_expenses_ledger_spent_on ON expenses(ledger_id, spent_on DESC, id DESC);
+DROP INDEX IF EXISTS idx_budgets_category;
+DROP INDEX IF EXISTS idx_budgets_user_category;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_budgets_ledger_category ON budgets (ledger_id, (COALESCE(category, '')));
+
+-- Categories belong to a ledger, so renaming, merging or deleting one
+-- only touches that ledger. The seeded rows above keep a NULL ledger and
+-- are the set every new ledger starts with. Expenses, budgets and
+-- recurring expenses reference a category within their own ledger.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'categories' AND column_name = 'ledger_id') THEN
+    ALTER TABLE categories ADD COLUMN ledger_id INTEGER REFERENCES ledgers(id) ON DELETE CASCADE;
+
+    ALTER TABLE expenses DROP CONSTRAINT IF EXISTS expenses_category_fkey;
+    ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_category_fkey;
+    ALTER TABLE recurring_expenses DROP CONSTRAINT IF EXISTS recurring_expenses_category_fkey;
+    ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_name_key;
+
+    -- Every ledger keeps the categories it could see while they were shared
+    INSERT INTO categories (name, color, icon, ledger_id)
+    SELECT c.name, c.color, c.icon, l.id FROM categories c CROSS JOIN ledgers l
+    WHERE c.ledger_id IS NULL;
+
+    DELETE FROM categories
+    WHERE ledger_id IS NULL AND name NOT IN ('Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Other');
+
+    ALTER TABLE categories ADD CONSTRAINT categories_ledger_name_key UNIQUE (ledger_id, name);
+    ALTER TABLE expenses
+      ADD CONSTRAINT expenses_category_fkey FOREIGN KEY (ledger_id, category)
+      REFERENCES categories(ledger_id, name) ON UPDATE CASCADE;
+    ALTER TABLE budgets
+      ADD CONSTRAINT budgets_category_fkey FOREIGN KEY (ledger_id, category)
+      REFERENCES categories(ledger_id, name) ON UPDATE CASCADE ON DELETE CASCADE;
+    ALTER TABLE recurring_expenses
+      ADD CONSTRAINT recurring_expenses_category_fkey FOREIGN KEY (ledger_id, category)
+      REFERENCES categories(ledger_id, name) ON UPDATE CASCADE;
+  END IF;
+END $$;
+
+-- The seeded set is unique by name, so seeding again adds nothing
+CREATE UNIQUE INDEX IF NOT EXISTS idx_categories_seeded_name ON categories(name) WHERE ledger_id IS NULL;
+
+-- Shares of a split expense. The member who logged the expense paid it;
+-- each participant (including the payer, if they took part) owes their share
+CREATE TABLE IF NOT EXISTS expense_splits (
+  expense_id INTEGER NOT NULL REFERENCES expenses(id) ON DELETE CASCADE,
+  user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount >= 0),
+  PRIMARY KEY (expense_id, user_id)
+);
+
+-- Money coming in, kept apart from expenses so budgets, splits and
+-- categories only ever see spending
+CREATE TABLE IF NOT EXISTS income (
+  id SERIAL PRIMARY KEY,
+  source VARCHAR(255) NOT NULL,
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount >= 0),
+  received_on DATE NOT NULL DEFAULT CURRENT_DATE,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  ledger_id INTEGER REFERENCES ledgers(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_income_ledger_received_on ON income(ledger_id, received_on DESC, id DESC);
+CREATE INDEX IF NOT EXISTS idx_income_source_trgm ON income USING GIN (source gin_trgm_ops);
+
+-- Where money is kept: cash, mobile money wallets, bank accounts and
+-- cards. Balances are worked out from the opening balance, income,
+-- expenses and transfers rather than stored. Accounts belong to the
+-- ledger, so they outlive the member who created them.
+CREATE TABLE IF NOT EXISTS accounts (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(100) NOT NULL,
+  kind VARCHAR(20) NOT NULL DEFAULT 'other' CHECK (kind IN ('cash', 'mobile_money', 'bank', 'card', 'other')),
+  opening_balance NUMERIC(12, 2) NOT NULL DEFAULT 0,
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ledger_id INTEGER REFERENCES ledgers(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_accounts_ledger_name ON accounts(ledger_id, name);
+
+-- The account an expense was paid from or income received into. An
+-- account that is still referenced cannot be deleted.
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id);
+ALTER TABLE income ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES accounts(id);
+CREATE INDEX IF NOT EXISTS idx_expenses_account ON expenses(account_id) WHERE account_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_income_account ON income(account_id) WHERE account_id IS NOT NULL;
+
+-- Money moved between two accounts; not spending and not income
+CREATE TABLE IF NOT EXISTS transfers (
+  id SERIAL PRIMARY KEY,
+  from_account_id INTEGER NOT NULL REFERENCES accounts(id),
+  to_account_id INTEGER NOT NULL REFERENCES accounts(id),
+  amount NUMERIC(10, 2) NOT NULL CHECK (amount > 0),
+  transferred_on DATE NOT NULL DEFAULT CURRENT_DATE,
+  note VARCHAR(255),
+  user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ledger_id INTEGER REFERENCES ledgers(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (from_account_id <> to_account_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_transfers_from_account ON transfers(from_account_id);
+CREATE INDEX IF NOT EXISTS idx_transfers_to_account ON transfers(to_account_id);
+
+-- Currencies: expenses, income and recurring templates keep the ISO 4217
+-- code they were paid in, and totals are converted into each user's home
+-- currency. Everything logged before currencies existed was in cedis.
+ALTER TABLE users ADD COLUMN IF NOT EXISTS home_currency CHAR(3) NOT NULL DEFAULT 'GHS';
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'GHS';
+ALTER TABLE income ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'GHS';
+ALTER TABLE recurring_expenses ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'GHS';
+
+-- An account holds one currency, set when it is created. Its balance
+-- converts income and expenses in other currencies into it.
+ALTER TABLE accounts ADD COLUMN IF NOT EXISTS currency CHAR(3) NOT NULL DEFAULT 'GHS';
+
+-- Locally maintained exchange rates: on rate_on, 1 base was worth rate
+-- units of quote. Filled in through POST /api/rates/import; the primary
+-- key also serves the rate lookups.
+CREATE TABLE IF NOT EXISTS exchange_rates (
+  base CHAR(3) NOT NULL,
+  quote CHAR(3) NOT NULL,
+  rate NUMERIC(18, 8) NOT NULL CHECK (rate > 0),
+  rate_on DATE NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (base, quote, rate_on),
+  CHECK (base <> quote)
+);
+
+-- Rates belong to a ledger, so one ledger's rates never change another's
+-- totals. Rates imported while they were shared are copied into every ledger.
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'exchange_rates' AND column_name = 'ledger_id') THEN
+    ALTER TABLE exchange_rates ADD COLUMN ledger_id INTEGER REFERENCES ledgers(id) ON DELETE CASCADE;
+    ALTER TABLE exchange_rates DROP CONSTRAINT exchange_rates_pkey;
+
+    INSERT INTO exchange_rates (ledger_id, base, quote, rate, rate_on, created_at)
+    SELECT l.id, r.base, r.quote, r.rate, r.rate_on, r.created_at FROM exchange_rates r CROSS JOIN ledgers l
+    WHERE r.ledger_id IS NULL;
+
+    DELETE FROM exchange_rates WHERE ledger_id IS NULL;
+
+    ALTER TABLE exchange_rates ALTER COLUMN ledger_id SET NOT NULL;
+    ALTER TABLE exchange_rates ADD PRIMARY KEY (ledger_id, base, quote, rate_on);
+  END IF;
+END $$;
+
+-- Bank statement imports: the bank's id for each transaction (FITID, or
+-- one derived from a QIF record), unique within a ledger so importing the
+-- same statement twice adds nothing. Expenses confirmed from a mobile
+-- money SMS keep its transaction ID here too, as sms:<provider>:<id> so it
+-- cannot clash with a FITID. Rows entered by hand have none.
+ALTER TABLE expenses ADD COLUMN IF NOT EXISTS fitid TEXT;
+ALTER TABLE income ADD COLUMN IF NOT EXISTS fitid TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_expenses_ledger_fitid ON expenses(ledger_id, fitid);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_income_ledger_fitid ON income(ledger_id, fitid);
+
 -- Insert sample data for testing (optional)
 -- INSERT INTO expenses (item_name, amount) VALUES 
 -- ('Lunch at cafeteria', 25.50),
@@ -0,0 +1,39 @@
+// ==============================================================
+// ledgers.js – Shared ledgers and member roles
+//
+// Expenses, budgets and recurring expenses belong to a ledger that
+// one or more users are members of. Owners manage the members,
+// editors can change the ledger's data and viewers can only read it.
+// Every user starts with a personal ledger, which requests use when
+// they do not pass `?ledger=<id>`.
+// ==============================================================
+
+export const LEDGER_ROLES = ['owner', 'editor', 'viewer'];
+
+// Name of the ledger created with each account
+export const DEFAULT_LEDGER_NAME = 'Personal';
+
+/**
+ * Whether a member with `role` may make a request with the given HTTP method.
+ */
+export function roleAllows(role, method) {
+  return role !== 'viewer' || method === 'GET' || method === 'HEAD';
+}
+
+/**
+ * Whether a member with `role` may invite, re-role and remove members.
+ */
+export function canManageMembers(role) {
+  return role === 'owner';
+}
+
+/**
+ * Whether `userId` is the only owner among `members`, so removing or
+ * demoting them would leave the ledger without an owner.
+ *
+ * @param {{ user_id: number, role: string }[]} members
+ */
+export function isLastOwner(members, userId) {
+  const owners = members.filter((member) => member.role === 'owner');
+  return owners.length === 1 && owners[0].user_id === userId;
+}
@@ -0,0 +1,175 @@
+// ==============================================================
+// pagination.js – Sorting and keyset (cursor) pagination for
+// GET /api/expenses
+//
+// The list is ordered by one whitelisted sort column with id as the
+// tie-breaker. A cursor is the (sort value, id) of the last row
+// already returned, encoded as opaque base64url JSON, so the next
+// page is a range scan instead of an ever-growing OFFSET.
+// ==============================================================
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+export const DEFAULT_SORT = '-spent_on';
+
+// Ranks search results; only valid together with a `q` search term.
+// Its SQL expression needs the search term as a parameter, so it is
+// filled in per request by bindSearchRank.
+export const RELEVANCE_SORT = 'relevance';
+
+// Sortable fields and the SQL expression each one orders by.
+// Only these ever reach the query, so the sort parameter cannot inject SQL.
+export const SORT_FIELDS = {
+  spent_on: 'spent_on',
+  created_at: 'created_at',
+  amount: 'amount',
+  item_name: 'LOWER(item_name)',
+  category: "COALESCE(category, '')",
+};
+
+/**
+ * Parse a sort parameter such as 'amount' or '-amount' (descending).
+ *
+ * @returns {{ key: string, expression: string, descending: boolean } | null} null when not whitelisted
+ */
+export function parseSort(sort) {
+  if (sort === RELEVANCE_SORT) {
+    return { key: sort, expression: null, descending: true, relevance: true };
+  }
+
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+
+  if (!Object.hasOwn(SORT_FIELDS, field)) {
+    return null;
+  }
+
+  return { key: sort, expression: SORT_FIELDS[field], descending };
+}
+
+/**
+ * Encode the position of an expense row as an opaque cursor string.
+ * `row.sort_value` is the sort expression as text, selected alongside the row.
+ */
+export function encodeCursor(row, sort) {
+  const payload = JSON.stringify({ sort: sort.key, value: row.sort_value, id: row.id });
+  return Buffer.from(payload).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor for the same sort.
+ *
+ * @returns {{ value: string, id: number } | null} null when malformed or made for another sort
+ */
+export function decodeCursor(cursor, sort) {
+  try {
+    const { sort: cursorSort, value, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+
+    if (cursorSort !== sort.key || typeof value !== 'string' || !Number.isInteger(id) || id <= 0) {
+      return null;
+    }
+
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Validate the `limit`, `sort` and `cursor` query parameters.
+ *
+ * When `search` is set the default order is relevance instead of date.
+ *
+ * @returns {{ error: string } | { page: { limit: number, sort: object, cursor: { value: string, id: number } | null } }}
+ */
+export function parsePageParams(query, { search } = {}) {
+  const { limit, sort, cursor } = query ?? {};
+  const page = {
+    limit: DEFAULT_PAGE_SIZE,
+    sort: parseSort(search ? RELEVANCE_SORT : DEFAULT_SORT),
+    cursor: null,
+  };
+
+  if (limit !== undefined && limit !== '') {
+    const numLimit = Number(limit);
+
+    if (!Number.isInteger(numLimit) || numLimit < 1 || numLimit > MAX_PAGE_SIZE) {
+      return { error: `Limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+    }
+    page.limit = numLimit;
+  }
+
+  if (sort !== undefined && sort !== '') {
+    page.sort = parseSort(String(sort));
+
+    if (!page.sort) {
+      const allowed = Object.keys(SORT_FIELDS).join(', ');
+      return { error: `Invalid sort, expected one of ${allowed} (prefix with - for descending) or ${RELEVANCE_SORT}` };
+    }
+
+    if (page.sort.relevance && !search) {
+      return { error: `Sorting by ${RELEVANCE_SORT} requires a q search term` };
+    }
+  }
+
+  if (cursor !== undefined && cursor !== '') {
+    page.cursor = decodeCursor(String(cursor), page.sort);
+
+    if (!page.cursor) {
+      return { error: 'Invalid cursor' };
+    }
+  }
+
+  return { page };
+}
+
+/**
+ * Fill in the relevance expression for a search, appending the term to
+ * `params`. Other sorts are returned unchanged.
+ */
+export function bindSearchRank(sort, search, params) {
+  if (!sort.relevance) {
+    return sort;
+  }
+
+  params.push(search);
+  return { ...sort, expression: `word_similarity($${params.length}, item_name)` };
+}
+
+/**
+ * Add the "rows after the cursor" condition to a WHERE clause built by
+ * buildExpenseWhere, appending its values to `params`.
+ */
+export function appendKeysetCondition(where, page, params) {
+  if (!page.cursor) {
+    return where;
+  }
+
+  params.push(page.cursor.value, page.cursor.id);
+  const operator = page.sort.descending ? '<' : '>';
+  const condition = `(${page.sort.expression}, id) ${operator} ($${params.length - 1}, $${params.length})`;
+
+  return where ? `${where} AND ${condition}` : ` WHERE ${condition}`;
+}
+
+/**
+ * ORDER BY clause for a parsed sort, tie-broken on id in the same direction.
+ */
+export function buildOrderBy(sort) {
+  const direction = sort.descending ? 'DESC' : 'ASC';
+  return ` ORDER BY ${sort.expression} ${direction}, id ${direction}`;
+}
+
+/**
+ * Trim a result fetched with `limit + 1` rows down to one page and drop
+ * the helper sort_value column.
+ *
+ * @returns {{ rows: object[], nextCursor: string | null }}
+ */
+export function paginate(rows, page) {
+  const hasMore = rows.length > page.limit;
+  const pageRows = hasMore ? rows.slice(0, page.limit) : rows;
+  const nextCursor = hasMore ? encodeCursor(pageRows[pageRows.length - 1], page.sort) : null;
+
+  return { rows: pageRows.map(({ sort_value, ...row }) => row), nextCursor };
+}
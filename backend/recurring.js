@@ -0,0 +1,84 @@
+// ==============================================================
+// recurring.js – Occurrence dates for recurring expense templates
+//
+// A template repeats daily, weekly, monthly or yearly from its
+// start date until its optional end date. The scheduler in
+// index.js turns the occurrences that have come due into rows in
+// the expenses table; this module only does the date arithmetic.
+// ==============================================================
+
+export const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly'];
+
+// Upper bound on occurrences posted for one template per run, so a
+// daily template started years ago cannot flood a single run
+export const MAX_OCCURRENCES_PER_RUN = 366;
+
+// How often the scheduler looks for due occurrences
+export const SCHEDULER_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Local calendar date as YYYY-MM-DD.
+ */
+export function localISODate(now = new Date()) {
+  const offset = now.getTimezoneOffset() * 60000;
+  return new Date(now.getTime() - offset).toISOString().slice(0, 10);
+}
+
+const toUTCDate = (iso) => new Date(`${iso}T00:00:00Z`);
+const toISO = (date) => date.toISOString().slice(0, 10);
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+/**
+ * The `index`th occurrence (0 = start date) of a template.
+ *
+ * Monthly and yearly rules keep the start date's day of the month,
+ * clamped to shorter months (Jan 31 -> Feb 28 -> Mar 31).
+ */
+export function nthOccurrence(startDate, frequency, index) {
+  const start = toUTCDate(startDate);
+
+  if (frequency === 'daily' || frequency === 'weekly') {
+    const step = frequency === 'daily' ? 1 : 7;
+    return toISO(new Date(start.getTime() + index * step * 86400000));
+  }
+
+  const months = frequency === 'monthly' ? index : index * 12;
+  const year = start.getUTCFullYear() + Math.floor((start.getUTCMonth() + months) / 12);
+  const month = (start.getUTCMonth() + months) % 12;
+  const day = Math.min(start.getUTCDate(), daysInMonth(year, month));
+
+  return toISO(new Date(Date.UTC(year, month, day)));
+}
+
+/**
+ * Occurrence dates of a template that fall after `after` (exclusive,
+ * null for none) and on or before `through`, capped at `limit` dates.
+ *
+ * `postedThrough` is the date the template is settled up to once these
+ * dates are posted: `through` (or the end date), or the last date
+ * returned when the cap cut the run short.
+ *
+ * @param {{ start_date: string, end_date: string | null, frequency: string }} template
+ * @returns {{ dates: string[], postedThrough: string }}
+ */
+export function dueOccurrences(template, after, through, limit = MAX_OCCURRENCES_PER_RUN) {
+  const last = template.end_date && template.end_date < through ? template.end_date : through;
+  const dates = [];
+
+  for (let index = 0; ; index++) {
+    const date = nthOccurrence(template.start_date, template.frequency, index);
+
+    if (date > last) {
+      return { dates, postedThrough: last };
+    }
+
+    if (!after || date > after) {
+      dates.push(date);
+
+      if (dates.length === limit) {
+        return { dates, postedThrough: date };
+      }
+    }
+  }
+}
@@ -0,0 +1,288 @@
+// ==============================================================
+// reports.js – Spending reports for GET /api/reports/summary and
+// GET /api/reports/compare
+//
+// Spending is summed per period with SQL date_trunc, so a report never
+// reads individual expenses into the server. Periods without any
+// spending are filled in here with zero, which keeps charts evenly
+// spaced and makes the average per period an honest one. Weeks start
+// on Monday, as date_trunc('week') does.
+// ==============================================================
+
+import { isValidISODate } from './validation.js';
+
+export const REPORT_PERIODS = ['day', 'week', 'month', 'year'];
+export const DEFAULT_REPORT_PERIOD = 'month';
+
+// Periods that can be compared with the one before; a day is too noisy
+export const COMPARE_PERIODS = ['week', 'month', 'year'];
+
+// Growth, in percent, above which a compared category is flagged by default
+export const DEFAULT_COMPARE_THRESHOLD = 20;
+
+// How many top items a report lists by default, and at most
+export const DEFAULT_TOP_ITEMS = 5;
+export const MAX_TOP_ITEMS = 50;
+
+// Most periods one report may span, e.g. a year and a day of days
+export const MAX_REPORT_PERIODS = 366;
+
+/**
+ * Validate `period` (default month) and `top`, the number of top items
+ * to list (default 5).
+ *
+ * @returns {{ error: string, allowed?: string[] } | { values: { period: string, top: number } }}
+ */
+export function parseReportParams(query) {
+  const { period = DEFAULT_REPORT_PERIOD, top } = query ?? {};
+
+  if (!REPORT_PERIODS.includes(period)) {
+    return { error: `Invalid period "${period}"`, allowed: REPORT_PERIODS };
+  }
+
+  let limit = DEFAULT_TOP_ITEMS;
+
+  if (top !== undefined && top !== '') {
+    limit = Number(top);
+
+    if (!Number.isInteger(limit) || limit < 0 || limit > MAX_TOP_ITEMS) {
+      return { error: `top must be a whole number from 0 to ${MAX_TOP_ITEMS}` };
+    }
+  }
+
+  return { values: { period, top: limit } };
+}
+
+const toISODate = (date) => date.toISOString().slice(0, 10);
+
+/**
+ * First day of the period containing an ISO date, matching
+ * date_trunc(period, date).
+ */
+export function periodStart(isoDate, period) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+
+  if (period === 'week') {
+    // getUTCDay() is 0 on Sunday; step back to Monday
+    date.setUTCDate(date.getUTCDate() - ((date.getUTCDay() + 6) % 7));
+  } else if (period === 'month') {
+    date.setUTCDate(1);
+  } else if (period === 'year') {
+    date.setUTCMonth(0, 1);
+  }
+
+  return toISODate(date);
+}
+
+/**
+ * First day of the period after the one starting on `start`.
+ */
+export function nextPeriodStart(start, period) {
+  const date = new Date(`${start}T00:00:00Z`);
+
+  if (period === 'day') {
+    date.setUTCDate(date.getUTCDate() + 1);
+  } else if (period === 'week') {
+    date.setUTCDate(date.getUTCDate() + 7);
+  } else if (period === 'month') {
+    date.setUTCMonth(date.getUTCMonth() + 1);
+  } else {
+    date.setUTCFullYear(date.getUTCFullYear() + 1);
+  }
+
+  return toISODate(date);
+}
+
+/**
+ * Start dates of every period from the one holding `from` to the one
+ * holding `to`, or null when there would be more than MAX_REPORT_PERIODS.
+ */
+export function listPeriods(from, to, period) {
+  const starts = [];
+  const last = periodStart(to, period);
+
+  for (let start = periodStart(from, period); start <= last; start = nextPeriodStart(start, period)) {
+    if (starts.length === MAX_REPORT_PERIODS) {
+      return null;
+    }
+    starts.push(start);
+  }
+
+  return starts;
+}
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Shape the summary response from the grouped rows: `totals` has one
+ * row per period and category ({ period, category, total, count }).
+ * Every period between `from` and `to` is listed, in order, with the
+ * categories spent on in it. An open end of the date range is taken
+ * from the first or last period with spending.
+ *
+ * @returns {{ error: string } | { summary: object }}
+ */
+export function summariseSpending({ totals, items, period, from, to }) {
+  const seen = totals.map((row) => row.period).sort();
+  const first = from ?? seen[0] ?? to;
+  const last = to ?? seen[seen.length - 1] ?? from;
+  const starts = first ? listPeriods(first, last, period) : [];
+
+  if (!starts) {
+    return { error: `A report can cover at most ${MAX_REPORT_PERIODS} periods; choose a shorter range or a longer period` };
+  }
+
+  const periods = new Map(starts.map((start) => [start, { start, total: 0, count: 0, categories: [] }]));
+  const categories = new Map();
+
+  for (const row of totals) {
+    const total = Number(row.total);
+    const slot = periods.get(row.period);
+
+    slot.total = round(slot.total + total);
+    slot.count += row.count;
+    slot.categories.push({ category: row.category, total });
+
+    const category = categories.get(row.category) ?? { category: row.category, total: 0, count: 0 };
+    category.total = round(category.total + total);
+    category.count += row.count;
+    categories.set(row.category, category);
+  }
+
+  const rows = [...periods.values()];
+  const total = round(rows.reduce((sum, row) => sum + row.total, 0));
+
+  for (const row of rows) {
+    row.categories.sort((a, b) => b.total - a.total);
+  }
+
+  return {
+    summary: {
+      period,
+      from: first ?? null,
+      to: last ?? null,
+      total,
+      count: rows.reduce((sum, row) => sum + row.count, 0),
+      average: rows.length > 0 ? round(total / rows.length) : 0,
+      periods: rows,
+      categories: [...categories.values()].sort((a, b) => b.total - a.total),
+      topItems: items.map((item) => ({ itemName: item.item_name, total: Number(item.total), count: item.count })),
+    },
+  };
+}
+
+// An ISO date moved by a number of days
+const addDays = (isoDate, days) => {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return toISODate(date);
+};
+
+// The day before an ISO date
+const dayBefore = (isoDate) => addDays(isoDate, -1);
+
+// Whole days from one ISO date to a later one
+const daysBetween = (from, to) => Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / 86400000);
+
+/**
+ * Work out the two date ranges to compare. Either `period` (week, month
+ * or year, default month) to date, from its start to `today`, against
+ * as many days from the start of the period before, cut at that
+ * period's end (so 31 March compares with all of February); or all
+ * four of `from`, `to`, `previousFrom` and `previousTo`. `threshold` is
+ * the growth in percent that flags a category (default 20).
+ *
+ * @returns {{ error: string, allowed?: string[] } | { values: { current: { from: string, to: string }, previous: { from: string, to: string }, threshold: number } }}
+ */
+export function parseComparePeriods(query, today) {
+  const { period, from, to, previousFrom, previousTo, threshold } = query ?? {};
+  const dates = { from, to, previousFrom, previousTo };
+  const given = Object.entries(dates).filter(([, value]) => value !== undefined && value !== '');
+
+  let limit = DEFAULT_COMPARE_THRESHOLD;
+
+  if (threshold !== undefined && threshold !== '') {
+    limit = Number(threshold);
+
+    if (!Number.isFinite(limit) || limit < 0) {
+      return { error: 'threshold must be a percentage of 0 or more' };
+    }
+  }
+
+  if (given.length > 0) {
+    if (period !== undefined && period !== '') {
+      return { error: 'Give either period or from, to, previousFrom and previousTo, not both' };
+    }
+
+    if (given.length < 4) {
+      return { error: 'from, to, previousFrom and previousTo are all needed to compare two date ranges' };
+    }
+
+    for (const [name, value] of given) {
+      if (!isValidISODate(value)) {
+        return { error: `Invalid ${name} date, expected YYYY-MM-DD` };
+      }
+    }
+
+    if (from > to || previousFrom > previousTo) {
+      return { error: 'Each range must start on or before its end' };
+    }
+
+    return {
+      values: { current: { from, to }, previous: { from: previousFrom, to: previousTo }, threshold: limit },
+    };
+  }
+
+  const unit = period === undefined || period === '' ? DEFAULT_REPORT_PERIOD : period;
+
+  if (!COMPARE_PERIODS.includes(unit)) {
+    return { error: `Invalid period "${unit}"`, allowed: COMPARE_PERIODS };
+  }
+
+  const start = periodStart(today, unit);
+  const previousStart = periodStart(dayBefore(start), unit);
+  const sameDay = addDays(previousStart, daysBetween(start, today));
+
+  return {
+    values: {
+      current: { from: start, to: today },
+      previous: { from: previousStart, to: sameDay < start ? sameDay : dayBefore(start) },
+      threshold: limit,
+    },
+  };
+}
+
+/**
+ * Change between two amounts: the difference, and the growth in percent
+ * (null when there was nothing before to grow from).
+ */
+export function describeChange(current, previous) {
+  return {
+    change: round(current - previous),
+    percent: previous > 0 ? Math.round(((current - previous) / previous) * 1000) / 10 : null,
+  };
+}
+
+/**
+ * Compare category totals ({ category, current, previous } rows) and
+ * flag the ones that grew by more than `threshold` percent, or that had
+ * no spending before. Categories are sorted by current spending.
+ */
+export function compareCategories(rows, threshold) {
+  return rows
+    .map((row) => {
+      const current = Number(row.current);
+      const previous = Number(row.previous);
+      const { change, percent } = describeChange(current, previous);
+
+      return {
+        category: row.category,
+        current,
+        previous,
+        change,
+        percent,
+        flagged: percent === null ? current > 0 : percent > threshold,
+      };
+    })
+    .sort((a, b) => b.current - a.current || a.category.localeCompare(b.category));
+}
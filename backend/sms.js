@@ -0,0 +1,171 @@
+// ==============================================================
+// sms.js – Reading mobile money confirmation messages for
+// POST /api/expenses/parse-sms
+//
+// Each provider knows how to recognise its own messages and read the
+// amount, recipient, transaction ID and date out of a payment
+// confirmation. Supporting another provider means adding an entry to
+// SMS_PROVIDERS; nothing else needs to change. Messages are only
+// read here, never stored: the drafts go back to the user to confirm.
+// ==============================================================
+
+import { isValidISODate } from './validation.js';
+
+// Most text one request may contain, and most messages read from it
+export const MAX_SMS_TEXT_LENGTH = 20000;
+export const MAX_SMS_MESSAGES = 50;
+
+// GHS 25.00, GHS25.00 or GHS 1,250.00
+const AMOUNT = 'GHS\\s?([\\d,]+(?:\\.\\d{1,2})?)';
+
+const readAmount = (value) => Number(value.replace(/,/g, ''));
+
+// A recipient as written before their phone number or the next clause,
+// e.g. "KOFI SHOP", "JANE DOE 0241234567 on ..." or "ECG PREPAID."
+const cleanRecipient = (value) => value
+  .replace(/\s+\d{9,12}\s*$/, '')
+  .replace(/[.,\s]+$/, '')
+  .trim();
+
+// First date in a message as YYYY-MM-DD. Ghanaian messages write
+// 2026-03-02 or 02/03/2026, day first. An impossible date such as
+// 31/02/2026 gives null, as if the message had none.
+export function readSmsDate(message) {
+  const iso = message.match(/\b(\d{4})-(\d{2})-(\d{2})\b/);
+  let date = null;
+
+  if (iso) {
+    date = `${iso[1]}-${iso[2]}-${iso[3]}`;
+  } else {
+    const local = message.match(/\b(\d{1,2})[/-](\d{1,2})[/-](\d{4}|\d{2})\b/);
+
+    if (local) {
+      const year = local[3].length === 2 ? `20${local[3]}` : local[3];
+      date = `${year}-${local[2].padStart(2, '0')}-${local[1].padStart(2, '0')}`;
+    }
+  }
+
+  return isValidISODate(date) ? date : null;
+}
+
+/**
+ * Message formats of each supported provider. `matches` tells whether
+ * a message comes from the provider; `parse` returns the payment as
+ * `{ amount, recipient, transactionId, date }`, or `{ skip: reason }`
+ * for messages that are not spending (money received, balance checks).
+ */
+export const SMS_PROVIDERS = [
+  {
+    id: 'mtn-momo',
+    name: 'MTN MoMo',
+    matches: (message) => /Financial Transaction Id|Transaction ID:|\bMoMo\b|Payment (?:made )?for GHS|Cash Out made/i.test(message),
+    parse: (message) => {
+      if (/\b(?:Payment received|You have received|Cash In received)\b/i.test(message)) {
+        return { skip: 'Money received is not an expense' };
+      }
+
+      const payment = message.match(new RegExp(`(?:payment (?:made )?(?:for|of)|Cash Out made for)\\s*${AMOUNT}\\s+to\\s+(.+?)(?=\\s+has been|\\s+on\\s+\\d|\\.\\s|\\.$|\\s+Current Balance|\\s+Reference)`, 'i'));
+      const transactionId = message.match(/(?:Financial )?Transaction I[Dd]:\s*([A-Za-z0-9]+)/);
+
+      if (!payment || !transactionId) {
+        return null;
+      }
+
+      return {
+        amount: readAmount(payment[1]),
+        recipient: cleanRecipient(payment[2]),
+        transactionId: transactionId[1],
+        date: readSmsDate(message),
+      };
+    },
+  },
+  {
+    id: 'telecel-cash',
+    name: 'Telecel Cash',
+    matches: (message) => /Telecel Cash|Vodafone Cash|^\s*\w+\s+Confirmed\./i.test(message),
+    parse: (message) => {
+      if (/\bYou have received\b|\breceived GHS/i.test(message)) {
+        return { skip: 'Money received is not an expense' };
+      }
+
+      const transactionId = message.match(/^\s*([A-Za-z0-9]+)\s+Confirmed\./i);
+      const sent = message.match(new RegExp(`(?:You have sent|You have paid)\\s*${AMOUNT}\\s+to\\s+(.+?)(?=\\s+on\\s+\\d|\\.\\s|\\.$)`, 'i'))
+        ?? message.match(new RegExp(`${AMOUNT}\\s+paid to\\s+(.+?)(?=\\s+on\\s+\\d|\\.\\s|\\.$)`, 'i'));
+
+      if (!sent || !transactionId) {
+        return null;
+      }
+
+      return {
+        amount: readAmount(sent[1]),
+        recipient: cleanRecipient(sent[2]),
+        transactionId: transactionId[1],
+        date: readSmsDate(message),
+      };
+    },
+  },
+];
+
+// The ID a payment is stored under in expenses.fitid. Each provider has
+// its own `sms:` namespace, so a payment can never match a bank
+// statement's FITID or another provider's ID.
+export const smsTransactionId = (providerId, id) => `sms:${providerId}:${id}`;
+export const SMS_TRANSACTION_ID = /^sms:[a-z0-9-]+:[A-Za-z0-9]+$/;
+
+/**
+ * Split pasted text into messages. Messages are separated by a blank
+ * line; a single message may wrap over several lines.
+ */
+export function splitSmsMessages(text) {
+  return text
+    .split(/\r?\n\s*\r?\n/)
+    .map((message) => message.replace(/\s*\r?\n\s*/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Read every message in `text` with the first provider that recognises
+ * it. Payments become drafts; a transaction ID seen earlier in the same
+ * text is dropped, so pasting a message twice yields one draft.
+ *
+ * @returns {{ drafts: object[], unrecognised: { message: string, reason: string }[] }}
+ */
+export function parseSmsMessages(text, providers = SMS_PROVIDERS) {
+  const drafts = [];
+  const unrecognised = [];
+  const seen = new Set();
+
+  for (const message of splitSmsMessages(text).slice(0, MAX_SMS_MESSAGES)) {
+    const provider = providers.find((candidate) => candidate.matches(message));
+    const payment = provider ? provider.parse(message) : null;
+
+    if (!payment) {
+      unrecognised.push({ message, reason: provider ? `Not a ${provider.name} payment we can read` : 'Not from a supported provider' });
+      continue;
+    }
+
+    if (payment.skip) {
+      unrecognised.push({ message, reason: payment.skip });
+      continue;
+    }
+
+    const transactionId = smsTransactionId(provider.id, payment.transactionId);
+
+    if (seen.has(transactionId)) {
+      continue;
+    }
+    seen.add(transactionId);
+
+    drafts.push({
+      provider: provider.name,
+      transactionId: transactionId,
+      reference: payment.transactionId,
+      itemName: payment.recipient,
+      amount: payment.amount,
+      currency: 'GHS',
+      spentOn: payment.date,
+    });
+  }
+
+  return { drafts, unrecognised };
+}
@@ -0,0 +1,138 @@
+// ==============================================================
+// splits.js – Splitting expenses between ledger members, and the
+// settle-up suggestions for GET /api/balances
+//
+// The member who logs a split expense paid for all of it; each
+// participant's share is stored in expense_splits. All arithmetic
+// is done in whole cents so the shares always add up to the
+// expense amount exactly.
+// ==============================================================
+
+// equal: the amount divided evenly; exact: an amount per participant;
+// percent: a percentage per participant
+export const SPLIT_METHODS = ['equal', 'exact', 'percent'];
+
+const toCents = (value) => Math.round(Number(value) * 100);
+
+/**
+ * Divide `totalCents` in proportion to `weights`. Leftover cents go to
+ * the largest remainders (earliest participant on ties), so the parts
+ * always add up to the total.
+ *
+ * @returns {number[]} whole cents, one per weight
+ */
+export function allocateCents(totalCents, weights) {
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const shares = weights.map((weight) => (weightSum > 0 ? (totalCents * weight) / weightSum : totalCents / weights.length));
+  const cents = shares.map(Math.floor);
+  let leftover = totalCents - cents.reduce((sum, value) => sum + value, 0);
+
+  const byRemainder = shares
+    .map((share, index) => ({ index, remainder: share - Math.floor(share) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (const { index } of byRemainder) {
+    if (leftover <= 0) {
+      break;
+    }
+    cents[index] += 1;
+    leftover -= 1;
+  }
+
+  return cents;
+}
+
+/**
+ * Work out each participant's share of `amount` for a validated split
+ * (see validateSplitInput). Exact amounts must add up to the expense
+ * amount and percentages to 100.
+ *
+ * @returns {{ error: string } | { shares: { userId: number, amount: number }[] }}
+ */
+export function computeShares(amount, { method, shares }) {
+  const totalCents = toCents(amount);
+  let cents;
+
+  if (method === 'exact') {
+    cents = shares.map((share) => toCents(share.amount));
+
+    if (cents.reduce((sum, value) => sum + value, 0) !== totalCents) {
+      return { error: `Split amounts must add up to ${(totalCents / 100).toFixed(2)}` };
+    }
+  } else if (method === 'percent') {
+    const percents = shares.map((share) => share.percent);
+
+    if (Math.abs(percents.reduce((sum, value) => sum + value, 0) - 100) > 0.001) {
+      return { error: 'Split percentages must add up to 100' };
+    }
+    cents = allocateCents(totalCents, percents);
+  } else {
+    cents = allocateCents(totalCents, shares.map(() => 1));
+  }
+
+  return {
+    shares: shares.map((share, index) => ({ userId: share.userId, amount: cents[index] / 100 })),
+  };
+}
+
+/**
+ * Re-divide stored shares when a split expense's amount changes,
+ * keeping each participant's proportion of the old amount.
+ *
+ * @param {{ user_id: number, amount: string | number }[]} rows
+ * @returns {{ userId: number, amount: number }[]}
+ */
+export function rescaleShares(rows, amount) {
+  const cents = allocateCents(toCents(amount), rows.map((row) => toCents(row.amount)));
+  return rows.map((row, index) => ({ userId: row.user_id, amount: cents[index] / 100 }));
+}
+
+/**
+ * Suggest transfers that settle every balance. The member who owes the
+ * most pays the member who is owed the most until one of them is even,
+ * so n members with a non-zero balance need at most n - 1 transfers.
+ *
+ * @param {{ userId: number, balance: number }[]} balances positive when owed money
+ * @returns {{ from: number, to: number, amount: number }[]}
+ */
+export function settleUp(balances) {
+  const creditors = [];
+  const debtors = [];
+
+  for (const { userId, balance } of balances) {
+    const cents = toCents(balance);
+
+    if (cents > 0) {
+      creditors.push({ userId, cents });
+    } else if (cents < 0) {
+      debtors.push({ userId, cents: -cents });
+    }
+  }
+
+  const largestFirst = (a, b) => b.cents - a.cents || a.userId - b.userId;
+  creditors.sort(largestFirst);
+  debtors.sort(largestFirst);
+
+  const transfers = [];
+
+  while (creditors.length > 0 && debtors.length > 0) {
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const cents = Math.min(creditor.cents, debtor.cents);
+
+    transfers.push({ from: debtor.userId, to: creditor.userId, amount: cents / 100 });
+    creditor.cents -= cents;
+    debtor.cents -= cents;
+
+    if (creditor.cents === 0) {
+      creditors.shift();
+    }
+    if (debtor.cents === 0) {
+      debtors.shift();
+    }
+    creditors.sort(largestFirst);
+    debtors.sort(largestFirst);
+  }
+
+  return transfers;
+}
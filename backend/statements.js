@@ -0,0 +1,243 @@
+// ==============================================================
+// statements.js – Reading bank statements in OFX/QFX and QIF for
+// POST /api/statements/import
+//
+// Each statement transaction becomes a spending or income entry:
+// money out (a negative amount) is an expense and money in is income.
+// Every transaction keeps an id that identifies it across downloads,
+// the bank's FITID for OFX, so importing an overlapping statement again
+// only adds what is new. QIF has no such id, so one is derived from the
+// transaction itself.
+// ==============================================================
+
+// Statement formats that can be imported; QFX is Quicken's name for OFX
+export const STATEMENT_FORMATS = ['ofx', 'qfx', 'qif'];
+
+// Most transactions one import may contain, and the largest upload accepted
+export const MAX_STATEMENT_TRANSACTIONS = 5000;
+export const STATEMENT_BODY_LIMIT = '5mb';
+
+// Longest item name or income source the database holds
+const MAX_NAME_LENGTH = 255;
+
+/**
+ * Guess the format of a statement from its contents: QIF starts with a
+ * !Type: line and OFX, after its header, holds an <OFX> element.
+ *
+ * @returns {'ofx' | 'qif' | null}
+ */
+export function detectStatementFormat(text) {
+  const start = text.replace(/^\uFEFF/, '').trimStart();
+
+  if (/^!type:/i.test(start)) {
+    return 'qif';
+  }
+
+  if (/<OFX>/i.test(text)) {
+    return 'ofx';
+  }
+
+  return null;
+}
+
+// Money out is spending and money in is income; names are cut to fit
+const toTransaction = ({ id, date, amount, name, category = null, currency = null }) => ({
+  id,
+  kind: amount < 0 ? 'expense' : 'income',
+  date,
+  amount: Math.abs(amount),
+  name: name.slice(0, MAX_NAME_LENGTH),
+  category,
+  currency,
+});
+
+// Replace the character entities OFX uses with the characters themselves
+const decodeEntities = (value) => value
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+// The value of the first <TAG> in an OFX aggregate. OFX 1.x (SGML)
+// leaves elements unclosed, so the value runs to the next tag or line end.
+const ofxValue = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? decodeEntities(match[1].trim()) : '';
+};
+
+// YYYYMMDD[HHMMSS[.XXX][[-5:EST]]] to YYYY-MM-DD; the time is ignored
+const ofxDate = (value) => {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+/**
+ * Read the transactions of an OFX or QFX file, version 1 (SGML) or 2
+ * (XML). Each <STMTTRN> needs a FITID, a posting date and an amount;
+ * the name comes from NAME, PAYEE or MEMO, in that order. The currency
+ * is the statement's CURDEF.
+ *
+ * @returns {{ error: string } | { transactions: object[] }}
+ */
+export function parseOfx(text) {
+  const blocks = text.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi);
+
+  if (!blocks) {
+    return { error: 'The OFX file has no transactions' };
+  }
+
+  const currency = ofxValue(text, 'CURDEF') || null;
+  const transactions = [];
+
+  for (const [index, block] of blocks.entries()) {
+    const id = ofxValue(block, 'FITID');
+    const date = ofxDate(ofxValue(block, 'DTPOSTED'));
+    const rawAmount = ofxValue(block, 'TRNAMT');
+    const amount = Number(rawAmount.replace(',', '.'));
+
+    if (!id || !date || rawAmount === '' || !Number.isFinite(amount)) {
+      return { error: `Transaction ${index + 1}: every transaction needs a FITID, DTPOSTED and TRNAMT` };
+    }
+
+    const name = ofxValue(block, 'NAME') || ofxValue(block, 'PAYEE') || ofxValue(block, 'MEMO') || ofxValue(block, 'TRNTYPE');
+
+    transactions.push(toTransaction({ id, date, amount, name, currency }));
+  }
+
+  return { transactions };
+}
+
+// A QIF date as YYYY-MM-DD. Banks write 03/02/2026, 3/2'26 or 3-2-26;
+// `dayFirst` reads them as day/month instead of Quicken's month/day.
+const qifDate = (value, dayFirst) => {
+  const iso = value.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+
+  if (iso) {
+    return value;
+  }
+
+  const match = value.replace(/\s/g, '').match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.'-])(\d{2}|\d{4})$/);
+
+  if (!match) {
+    return null;
+  }
+
+  const [first, second] = [Number(match[1]), Number(match[2])];
+  const [month, day] = dayFirst ? [second, first] : [first, second];
+  const year = match[3].length === 2 ? 2000 + Number(match[3]) : Number(match[3]);
+
+  if (month < 1 || month > 12 || day < 1 || day > 31) {
+    return null;
+  }
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Read the transactions of a QIF file. Records are runs of lines ending
+ * in ^, each line a one-letter field: D date, T (or U) amount, P payee,
+ * M memo and L category. Account lists and other non-transaction
+ * sections are skipped.
+ *
+ * QIF has no transaction id, so each gets one made of its date, amount
+ * and payee, numbered when the same purchase appears twice on a day.
+ *
+ * @returns {{ error: string } | { transactions: object[] }}
+ */
+export function parseQif(text, { dayFirst = false } = {}) {
+  const transactions = [];
+  const seen = new Map();
+  let section = '';
+  let record = {};
+  let number = 0;
+
+  for (const rawLine of text.replace(/^\uFEFF/, '').split(/\r?\n/)) {
+    const line = rawLine.trim();
+
+    if (line === '') {
+      continue;
+    }
+
+    if (line.startsWith('!')) {
+      section = line.toLowerCase();
+      record = {};
+      continue;
+    }
+
+    if (line !== '^') {
+      const field = line[0];
+      // Split transactions repeat S/E/$; only the first value of a field counts
+      if (record[field] === undefined) {
+        record[field] = line.slice(1).trim();
+      }
+      continue;
+    }
+
+    const fields = record;
+    record = {};
+
+    if (!/^!type:(bank|cash|ccard|oth a|oth l)/.test(section)) {
+      continue;
+    }
+
+    number += 1;
+    const date = qifDate(fields.D ?? '', dayFirst);
+    const rawAmount = fields.T ?? fields.U ?? '';
+    const amount = Number(rawAmount.replace(/,/g, ''));
+
+    if (!date || rawAmount === '' || !Number.isFinite(amount)) {
+      return { error: `Transaction ${number}: every transaction needs a date (D) and an amount (T)` };
+    }
+
+    const name = fields.P || fields.M || 'Statement transaction';
+    const key = `${date}|${amount.toFixed(2)}|${name}`;
+    const occurrence = (seen.get(key) ?? 0) + 1;
+    seen.set(key, occurrence);
+
+    transactions.push(toTransaction({
+      id: `qif:${key}|${occurrence}`,
+      date,
+      amount,
+      name,
+      category: fields.L && !fields.L.startsWith('[') ? fields.L : null,
+    }));
+  }
+
+  if (transactions.length === 0) {
+    return { error: 'The QIF file has no transactions' };
+  }
+
+  return { transactions };
+}
+
+/**
+ * Read a statement in the given format, or the detected one when
+ * `format` is empty.
+ *
+ * @returns {{ error: string, allowed?: string[] } | { format: string, transactions: object[] }}
+ */
+export function parseStatement(text, { format, dayFirst = false } = {}) {
+  const chosen = format ? String(format).toLowerCase() : detectStatementFormat(text);
+
+  if (!chosen) {
+    return { error: 'Could not tell whether the statement is OFX or QIF; choose a format', allowed: STATEMENT_FORMATS };
+  }
+
+  if (!STATEMENT_FORMATS.includes(chosen)) {
+    return { error: `Unsupported statement format "${format}"`, allowed: STATEMENT_FORMATS };
+  }
+
+  const parsed = chosen === 'qif' ? parseQif(text, { dayFirst }) : parseOfx(text);
+
+  if (parsed.error) {
+    return parsed;
+  }
+
+  // A statement can list the same FITID twice (e.g. a pending and a
+  // posted copy); keep the last one
+  const byId = new Map(parsed.transactions.map((transaction) => [transaction.id, transaction]));
+
+  return { format: chosen, transactions: [...byId.values()] };
+}
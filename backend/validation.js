@@ -0,0 +1,738 @@
+// ==============================================================
+// validation.js – Shared request validation for auth, API token,
+// ledger, expense, split, income, account, transfer, exchange rate,
+// category, budget, recurring expense and SMS routes
+//
+// POST, PUT and PATCH /api/expenses all accept the same fields,
+// so the rules live here instead of being repeated per handler.
+// ==============================================================
+
+import { FREQUENCIES } from './recurring.js';
+import { TOKEN_SCOPES } from './auth.js';
+import { LEDGER_ROLES } from './ledgers.js';
+import { SPLIT_METHODS } from './splits.js';
+import { ACCOUNT_KINDS } from './accounts.js';
+import { normaliseCurrency, MAX_RATES_PER_IMPORT } from './currency.js';
+import { MAX_SMS_TEXT_LENGTH, SMS_TRANSACTION_ID } from './sms.js';
+
+// Fallback for expenses without a (known) category. It is seeded into
+// every ledger and cannot be renamed or removed through the API.
+export const DEFAULT_CATEGORY = 'Other';
+
+/**
+ * Check that a value is a real calendar date in ISO `YYYY-MM-DD` form.
+ * Rejects impossible dates such as 2026-02-30.
+ */
+export function isValidISODate(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+/**
+ * Whether unknown categories should be rejected. Older clients can pass
+ * `?strict=false` to keep the previous behaviour of filing them under 'Other'.
+ */
+export function isStrictMode(query) {
+  return String(query?.strict ?? '').toLowerCase() !== 'false';
+}
+
+/**
+ * Structured 400 body for a category that does not exist.
+ */
+export function unknownCategoryError(category, categories) {
+  return { error: `Unknown category "${category}"`, allowed: categories };
+}
+
+/**
+ * Read an optional accountId from a request body. null or '' clears the
+ * account; undefined leaves it out of the returned values.
+ *
+ * @returns {{ error: string } | { accountId?: number | null }}
+ */
+function parseAccountId(accountId) {
+  if (accountId === undefined) {
+    return {};
+  }
+
+  if (accountId === null || accountId === '') {
+    return { accountId: null };
+  }
+
+  const id = Number(accountId);
+
+  if (!Number.isInteger(id) || id <= 0) {
+    return { error: 'Account must be a valid account ID' };
+  }
+  return { accountId: id };
+}
+
+/**
+ * Read an optional ISO 4217 currency from a request body. undefined,
+ * null and '' leave it out, so the caller's default applies.
+ *
+ * @returns {{ error: string } | { currency?: string }}
+ */
+function parseCurrency(currency) {
+  if (currency === undefined || currency === null || currency === '') {
+    return {};
+  }
+
+  const code = normaliseCurrency(currency);
+
+  if (!code) {
+    return { error: 'Currency must be a 3-letter ISO 4217 code such as GHS or USD' };
+  }
+  return { currency: code };
+}
+
+/**
+ * Validate an expense request body.
+ *
+ * With `partial: true` (PATCH) only the fields present in the body are
+ * checked and returned; otherwise itemName and amount are required and
+ * a missing category falls back to 'Other'. spentOn is always optional and
+ * is only returned when given, so the database default (today) applies on
+ * insert; PUT resets it and the other omitted optional fields itself.
+ *
+ * `categories` is the list of category names currently in the database.
+ * An unknown category is an error listing the allowed names, unless
+ * `strict` is false, in which case it falls back to 'Other'. accountId,
+ * the account the expense was paid from, is optional and may be null.
+ * currency is only returned when given; new expenses default to the
+ * user's home currency.
+ *
+ * @returns {{ error: string, allowed?: string[] } | { values: { itemName?: string, amount?: number, category?: string, spentOn?: string, accountId?: number | null, currency?: string } }}
+ */
+export function validateExpenseInput(body, { partial = false, categories = [], strict = true } = {}) {
+  const { itemName, amount, category, spentOn, accountId, currency } = body ?? {};
+  const values = {};
+
+  if (!partial || itemName !== undefined) {
+    if (typeof itemName !== 'string' || itemName.trim() === '') {
+      return { error: 'Item name is required and cannot be empty' };
+    }
+    values.itemName = itemName.trim();
+  }
+
+  if (!partial || amount !== undefined) {
+    if (amount === undefined || amount === null) {
+      return { error: 'Amount is required' };
+    }
+
+    const numAmount = parseFloat(amount);
+
+    if (isNaN(numAmount) || numAmount < 0) {
+      return { error: 'Amount must be a positive number' };
+    }
+    values.amount = numAmount;
+  }
+
+  // Category is optional and defaults to 'Other'
+  if (!partial || category !== undefined) {
+    if (category && !categories.includes(category)) {
+      if (strict) {
+        return unknownCategoryError(category, categories);
+      }
+      values.category = DEFAULT_CATEGORY;
+    } else {
+      values.category = category || DEFAULT_CATEGORY;
+    }
+  }
+
+  if (spentOn !== undefined && spentOn !== null && spentOn !== '') {
+    if (!isValidISODate(spentOn)) {
+      return { error: 'Spent on must be a valid date (YYYY-MM-DD)' };
+    }
+    values.spentOn = spentOn;
+  }
+
+  const account = parseAccountId(accountId);
+
+  if (account.error) {
+    return account;
+  }
+  Object.assign(values, account);
+
+  const code = parseCurrency(currency);
+
+  if (code.error) {
+    return code;
+  }
+  Object.assign(values, code);
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: 'At least one of itemName, amount, category, spentOn, accountId or currency must be provided' };
+  }
+
+  return { values };
+}
+
+/**
+ * Read the optional `transactionId` of a new expense: the ID of an SMS
+ * draft from POST /api/expenses/parse-sms, such as
+ * `sms:mtn-momo:52437891234`. It is stored so the same payment cannot be
+ * logged twice in a ledger, and its `sms:` prefix keeps it apart from
+ * the FITIDs of imported bank statements.
+ *
+ * @returns {{ error: string } | { transactionId: string | null }}
+ */
+export function validateTransactionId(transactionId) {
+  if (transactionId === undefined || transactionId === null) {
+    return { transactionId: null };
+  }
+
+  if (typeof transactionId !== 'string' || transactionId.trim() === '' || transactionId.trim().length > 255) {
+    return { error: 'Transaction ID must be a non-empty string of at most 255 characters' };
+  }
+
+  if (!SMS_TRANSACTION_ID.test(transactionId.trim())) {
+    return { error: 'Transaction ID must be the transactionId of an SMS draft, such as sms:mtn-momo:52437891234' };
+  }
+
+  return { transactionId: transactionId.trim() };
+}
+
+/**
+ * Validate pasted SMS text (POST /api/expenses/parse-sms).
+ *
+ * @returns {{ error: string } | { values: { text: string } }}
+ */
+export function validateSmsInput(body) {
+  const { text } = body ?? {};
+
+  if (typeof text !== 'string' || text.trim() === '') {
+    return { error: 'Paste at least one SMS message' };
+  }
+
+  if (text.length > MAX_SMS_TEXT_LENGTH) {
+    return { error: `SMS text must be at most ${MAX_SMS_TEXT_LENGTH} characters` };
+  }
+
+  return { values: { text } };
+}
+
+/**
+ * Validate an income request body (POST and PATCH /api/income).
+ *
+ * Follows the expense rules: with `partial: true` only the fields
+ * present are checked, and receivedOn is only returned when given so the
+ * database default (today) applies on insert. accountId is the account
+ * the money was received into, and currency the one it was paid in.
+ *
+ * @returns {{ error: string } | { values: { source?: string, amount?: number, receivedOn?: string, accountId?: number | null, currency?: string } }}
+ */
+export function validateIncomeInput(body, { partial = false } = {}) {
+  const { source, amount, receivedOn, accountId, currency } = body ?? {};
+  const values = {};
+
+  if (!partial || source !== undefined) {
+    if (typeof source !== 'string' || source.trim() === '') {
+      return { error: 'Source is required and cannot be empty' };
+    }
+    values.source = source.trim();
+  }
+
+  if (!partial || amount !== undefined) {
+    if (amount === undefined || amount === null) {
+      return { error: 'Amount is required' };
+    }
+
+    const numAmount = parseFloat(amount);
+
+    if (isNaN(numAmount) || numAmount < 0) {
+      return { error: 'Amount must be a positive number' };
+    }
+    values.amount = numAmount;
+  }
+
+  if (receivedOn !== undefined && receivedOn !== null && receivedOn !== '') {
+    if (!isValidISODate(receivedOn)) {
+      return { error: 'Received on must be a valid date (YYYY-MM-DD)' };
+    }
+    values.receivedOn = receivedOn;
+  }
+
+  const account = parseAccountId(accountId);
+
+  if (account.error) {
+    return account;
+  }
+  Object.assign(values, account);
+
+  const code = parseCurrency(currency);
+
+  if (code.error) {
+    return code;
+  }
+  Object.assign(values, code);
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: 'At least one of source, amount, receivedOn, accountId or currency must be provided' };
+  }
+
+  return { values };
+}
+
+/**
+ * Validate an account request body (POST and PATCH /api/accounts).
+ *
+ * name is required on create; kind defaults to 'other' and
+ * openingBalance to 0. The opening balance may be negative, e.g. for a
+ * card that starts in debt. currency is optional on create (the caller
+ * defaults it) and cannot be changed afterwards, since transfers rely on it.
+ *
+ * @returns {{ error: string } | { values: { name?: string, kind?: string, openingBalance?: number, currency?: string } }}
+ */
+export function validateAccountInput(body, { partial = false } = {}) {
+  const { name, kind = partial ? undefined : 'other', openingBalance = partial ? undefined : 0, currency } = body ?? {};
+  const values = {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return { error: 'Account name is required and cannot be empty' };
+    }
+
+    if (name.trim().length > 100) {
+      return { error: 'Account name must be at most 100 characters' };
+    }
+    values.name = name.trim();
+  }
+
+  if (kind !== undefined) {
+    if (!ACCOUNT_KINDS.includes(kind)) {
+      return { error: `Kind must be one of ${ACCOUNT_KINDS.join(', ')}` };
+    }
+    values.kind = kind;
+  }
+
+  if (openingBalance !== undefined) {
+    const balance = parseFloat(openingBalance);
+
+    if (!Number.isFinite(balance)) {
+      return { error: 'Opening balance must be a number' };
+    }
+    values.openingBalance = balance;
+  }
+
+  if (currency !== undefined && partial) {
+    return { error: 'An account\'s currency cannot be changed' };
+  }
+
+  const code = parseCurrency(currency);
+
+  if (code.error) {
+    return code;
+  }
+  Object.assign(values, code);
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: 'At least one of name, kind or openingBalance must be provided' };
+  }
+
+  return { values };
+}
+
+/**
+ * Validate a transfer request body (POST /api/transfers).
+ *
+ * The two accounts must differ and amount must be greater than zero;
+ * transferredOn defaults to today and note is optional.
+ *
+ * @returns {{ error: string } | { values: { fromAccountId: number, toAccountId: number, amount: number, transferredOn?: string, note: string | null } }}
+ */
+export function validateTransferInput(body) {
+  const { fromAccountId, toAccountId, amount, transferredOn, note } = body ?? {};
+  const from = parseAccountId(fromAccountId ?? null);
+  const to = parseAccountId(toAccountId ?? null);
+
+  if (from.error || to.error || !from.accountId || !to.accountId) {
+    return { error: 'fromAccountId and toAccountId must be valid account IDs' };
+  }
+
+  if (from.accountId === to.accountId) {
+    return { error: 'Cannot transfer to the same account' };
+  }
+
+  const numAmount = parseFloat(amount);
+
+  if (isNaN(numAmount) || numAmount <= 0) {
+    return { error: 'Transfer amount must be greater than zero' };
+  }
+
+  const values = { fromAccountId: from.accountId, toAccountId: to.accountId, amount: numAmount, note: null };
+
+  if (transferredOn !== undefined && transferredOn !== null && transferredOn !== '') {
+    if (!isValidISODate(transferredOn)) {
+      return { error: 'Transferred on must be a valid date (YYYY-MM-DD)' };
+    }
+    values.transferredOn = transferredOn;
+  }
+
+  if (note !== undefined && note !== null && note !== '') {
+    if (typeof note !== 'string' || note.length > 255) {
+      return { error: 'Note must be a string of at most 255 characters' };
+    }
+    values.note = note.trim();
+  }
+
+  return { values };
+}
+
+/**
+ * Validate an exchange rate import (POST /api/rates/import).
+ *
+ * Each rate says that 1 `base` was worth `rate` units of `quote` on
+ * `date`. A pair listed twice for the same date keeps the last rate, so
+ * a re-sent file simply overwrites.
+ *
+ * @returns {{ error: string } | { values: { base: string, quote: string, rate: number, date: string }[] }}
+ */
+export function validateRatesImport(body) {
+  const rates = body?.rates;
+
+  if (!Array.isArray(rates) || rates.length === 0) {
+    return { error: 'rates must be a non-empty array' };
+  }
+
+  if (rates.length > MAX_RATES_PER_IMPORT) {
+    return { error: `At most ${MAX_RATES_PER_IMPORT} rates can be imported at once` };
+  }
+
+  const byKey = new Map();
+
+  for (const [index, entry] of rates.entries()) {
+    const base = normaliseCurrency(entry?.base);
+    const quote = normaliseCurrency(entry?.quote);
+    const rate = parseFloat(entry?.rate);
+
+    if (!base || !quote || base === quote) {
+      return { error: `Rate ${index + 1}: base and quote must be two different 3-letter currency codes` };
+    }
+
+    if (!Number.isFinite(rate) || rate <= 0) {
+      return { error: `Rate ${index + 1}: rate must be greater than zero` };
+    }
+
+    if (!isValidISODate(entry?.date)) {
+      return { error: `Rate ${index + 1}: date must be a valid date (YYYY-MM-DD)` };
+    }
+
+    byKey.set(`${base}/${quote}/${entry.date}`, { base, quote, rate, date: entry.date });
+  }
+
+  return { values: [...byKey.values()] };
+}
+
+/**
+ * Validate a profile update (PATCH /api/auth/me). homeCurrency is the
+ * currency totals are converted into.
+ *
+ * @returns {{ error: string } | { values: { homeCurrency: string } }}
+ */
+export function validateProfileInput(body) {
+  const homeCurrency = normaliseCurrency(body?.homeCurrency);
+
+  if (!homeCurrency) {
+    return { error: 'Home currency must be a 3-letter ISO 4217 code such as GHS or USD' };
+  }
+
+  return { values: { homeCurrency } };
+}
+
+/**
+ * Validate the optional `split` of a new expense.
+ *
+ * shares lists each participant once by userId. 'exact' shares also need
+ * an amount and 'percent' shares a percent; whether they add up is
+ * checked against the expense amount by computeShares.
+ *
+ * @returns {{ error: string } | { values: { method: string, shares: { userId: number, amount?: number, percent?: number }[] } }}
+ */
+export function validateSplitInput(split) {
+  const { method, shares } = split ?? {};
+
+  if (!SPLIT_METHODS.includes(method)) {
+    return { error: `Split method must be one of ${SPLIT_METHODS.join(', ')}` };
+  }
+
+  if (!Array.isArray(shares) || shares.length === 0) {
+    return { error: 'A split needs at least one participant' };
+  }
+
+  const values = { method, shares: [] };
+  const seen = new Set();
+
+  for (const share of shares) {
+    const userId = share?.userId;
+
+    if (!Number.isInteger(userId) || userId <= 0) {
+      return { error: 'Each split participant needs a valid userId' };
+    }
+
+    if (seen.has(userId)) {
+      return { error: 'Each participant can only appear once in a split' };
+    }
+    seen.add(userId);
+
+    if (method === 'exact') {
+      const amount = parseFloat(share.amount);
+
+      if (isNaN(amount) || amount < 0) {
+        return { error: 'Each exact share needs an amount of zero or more' };
+      }
+      values.shares.push({ userId, amount });
+    } else if (method === 'percent') {
+      const percent = parseFloat(share.percent);
+
+      if (isNaN(percent) || percent < 0 || percent > 100) {
+        return { error: 'Each percent share needs a percent between 0 and 100' };
+      }
+      values.shares.push({ userId, percent });
+    } else {
+      values.shares.push({ userId });
+    }
+  }
+
+  return { values };
+}
+
+/**
+ * Validate a recurring expense template (POST and PATCH /api/recurring).
+ *
+ * itemName, amount, category and currency follow the expense rules.
+ * frequency is one of FREQUENCIES; startDate is optional on create (the
+ * database defaults it to today) and endDate may be null for a template
+ * that never ends.
+ *
+ * @returns {{ error: string, allowed?: string[] } | { values: { itemName?: string, amount?: number, category?: string, currency?: string, frequency?: string, startDate?: string, endDate?: string | null } }}
+ */
+export function validateRecurringInput(body, { partial = false, ...categoryRules } = {}) {
+  const { itemName, amount, category, currency, frequency, startDate, endDate } = body ?? {};
+  let values = {};
+
+  if (!partial || itemName !== undefined || amount !== undefined || category !== undefined || currency !== undefined) {
+    const expense = validateExpenseInput({ itemName, amount, category, currency }, { ...categoryRules, partial });
+
+    if (expense.error) {
+      return expense;
+    }
+    values = expense.values;
+  }
+
+  if (!partial || frequency !== undefined) {
+    if (!FREQUENCIES.includes(frequency)) {
+      return { error: `Frequency must be one of ${FREQUENCIES.join(', ')}` };
+    }
+    values.frequency = frequency;
+  }
+
+  if (startDate !== undefined && startDate !== null && startDate !== '') {
+    if (!isValidISODate(startDate)) {
+      return { error: 'Start date must be a valid date (YYYY-MM-DD)' };
+    }
+    values.startDate = startDate;
+  }
+
+  if (endDate !== undefined) {
+    if (endDate !== null && endDate !== '' && !isValidISODate(endDate)) {
+      return { error: 'End date must be a valid date (YYYY-MM-DD)' };
+    }
+    values.endDate = endDate || null;
+  }
+
+  if (values.startDate && values.endDate && values.endDate < values.startDate) {
+    return { error: 'End date must be on or after start date' };
+  }
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: 'At least one of itemName, amount, category, currency, frequency, startDate or endDate must be provided' };
+  }
+
+  return { values };
+}
+
+/**
+ * Validate a budget request body (PUT /api/budgets).
+ *
+ * A missing or empty category sets the overall monthly budget; otherwise
+ * it must be one of `categories`. amount must be greater than zero.
+ *
+ * @returns {{ error: string, allowed?: string[] } | { values: { category: string | null, amount: number } }}
+ */
+export function validateBudgetInput(body, { categories = [] } = {}) {
+  const { category, amount } = body ?? {};
+  const values = { category: null };
+
+  if (category !== undefined && category !== null && category !== '') {
+    if (!categories.includes(category)) {
+      return unknownCategoryError(category, categories);
+    }
+    values.category = category;
+  }
+
+  if (amount === undefined || amount === null) {
+    return { error: 'Amount is required' };
+  }
+
+  const numAmount = parseFloat(amount);
+
+  if (isNaN(numAmount) || numAmount <= 0) {
+    return { error: 'Budget amount must be greater than zero' };
+  }
+  values.amount = numAmount;
+
+  return { values };
+}
+
+/**
+ * Validate a register or login request body.
+ *
+ * The email is trimmed and lower-cased so it matches however it was
+ * typed. Password length is only enforced when `registering`, so older
+ * accounts are not locked out if the rule changes.
+ *
+ * @returns {{ error: string } | { values: { email: string, password: string } }}
+ */
+export function validateCredentials(body, { registering = false } = {}) {
+  const { email, password } = body ?? {};
+
+  if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim()) || email.trim().length > 255) {
+    return { error: 'A valid email address is required' };
+  }
+
+  if (typeof password !== 'string' || password === '') {
+    return { error: 'Password is required' };
+  }
+
+  if (registering && (password.length < 8 || password.length > 128)) {
+    return { error: 'Password must be between 8 and 128 characters' };
+  }
+
+  return { values: { email: email.trim().toLowerCase(), password } };
+}
+
+/**
+ * Validate a personal API token request body (POST /api/tokens).
+ *
+ * name labels the token in the settings page. scope defaults to
+ * 'read-write'; expiresInDays may be omitted or null for a token that
+ * never expires.
+ *
+ * @returns {{ error: string } | { values: { name: string, scope: string, expiresInDays: number | null } }}
+ */
+export function validateTokenInput(body) {
+  const { name, scope = 'read-write', expiresInDays = null } = body ?? {};
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { error: 'Token name is required and cannot be empty' };
+  }
+
+  if (name.trim().length > 100) {
+    return { error: 'Token name must be at most 100 characters' };
+  }
+
+  if (!TOKEN_SCOPES.includes(scope)) {
+    return { error: `Scope must be one of ${TOKEN_SCOPES.join(', ')}` };
+  }
+
+  if (expiresInDays !== null && (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > 3650)) {
+    return { error: 'Expires in days must be a whole number between 1 and 3650' };
+  }
+
+  return { values: { name: name.trim(), scope, expiresInDays } };
+}
+
+/**
+ * Validate a ledger request body (POST /api/ledgers).
+ *
+ * @returns {{ error: string } | { values: { name: string } }}
+ */
+export function validateLedgerInput(body) {
+  const { name } = body ?? {};
+
+  if (typeof name !== 'string' || name.trim() === '') {
+    return { error: 'Ledger name is required and cannot be empty' };
+  }
+
+  if (name.trim().length > 100) {
+    return { error: 'Ledger name must be at most 100 characters' };
+  }
+
+  return { values: { name: name.trim() } };
+}
+
+/**
+ * Validate a ledger member request body (POST and PATCH
+ * /api/ledgers/:id/members).
+ *
+ * Inviting (POST) needs the member's account email and defaults the
+ * role to 'editor'; with `partial: true` (PATCH) only the role is read.
+ *
+ * @returns {{ error: string } | { values: { email?: string, role: string } }}
+ */
+export function validateMemberInput(body, { partial = false } = {}) {
+  const { email, role = partial ? undefined : 'editor' } = body ?? {};
+  const values = {};
+
+  if (!partial) {
+    if (typeof email !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email.trim())) {
+      return { error: 'A valid email address is required' };
+    }
+    values.email = email.trim().toLowerCase();
+  }
+
+  if (!LEDGER_ROLES.includes(role)) {
+    return { error: `Role must be one of ${LEDGER_ROLES.join(', ')}` };
+  }
+  values.role = role;
+
+  return { values };
+}
+
+/**
+ * Validate a category request body (POST and PATCH /api/categories).
+ *
+ * name is trimmed and limited to the expenses.category column width,
+ * color is a #rrggbb hex string and icon a short label such as an emoji.
+ *
+ * @returns {{ error: string } | { values: { name?: string, color?: string, icon?: string | null } }}
+ */
+export function validateCategoryInput(body, { partial = false } = {}) {
+  const { name, color, icon } = body ?? {};
+  const values = {};
+
+  if (!partial || name !== undefined) {
+    if (typeof name !== 'string' || name.trim() === '') {
+      return { error: 'Category name is required and cannot be empty' };
+    }
+
+    if (name.trim().length > 50) {
+      return { error: 'Category name must be at most 50 characters' };
+    }
+    values.name = name.trim();
+  }
+
+  if (color !== undefined) {
+    if (typeof color !== 'string' || !/^#[0-9a-fA-F]{6}$/.test(color)) {
+      return { error: 'Color must be a hex value like #4f46e5' };
+    }
+    values.color = color.toLowerCase();
+  }
+
+  if (icon !== undefined) {
+    if (icon !== null && (typeof icon !== 'string' || icon.length > 16)) {
+      return { error: 'Icon must be a string of at most 16 characters' };
+    }
+    values.icon = icon || null;
+  }
+
+  if (partial && Object.keys(values).length === 0) {
+    return { error: 'At least one of name, color or icon must be provided' };
+  }
+
+  return { values };
+}
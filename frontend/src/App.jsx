@@ -1,29 +1,246 @@
-import { useState, useEffect, useCallback } from 'react'
+import { useState, useEffect, useCallback, useMemo } from 'react'
 import './App.css'
 
 const API_URL = import.meta.env.VITE_API_URL || ''
 
-function App() {
+// Sort controls in the Expense History header; `descending` is the
+// direction used when a field is first selected
+const SORT_OPTIONS = [
+  { field: 'spent_on', label: 'Date', descending: true },
+  { field: 'amount', label: 'Amount', descending: true },
+  { field: 'item_name', label: 'Name', descending: false },
+  { field: 'category', label: 'Category', descending: false },
+]
+const DEFAULT_SORT = '-spent_on'
+
+// Search results are ranked by the server; the option only shows while searching
+const RELEVANCE_SORT = 'relevance'
+const RELEVANCE_OPTION = { field: RELEVANCE_SORT, label: 'Best match', descending: true }
+
+// Repeat rules offered by "Make recurring"
+const FREQUENCY_OPTIONS = [
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'yearly', label: 'Yearly' },
+]
+
+// Ways to divide a split expense between ledger members
+const SPLIT_METHOD_OPTIONS = [
+  { value: 'equal', label: 'Equally' },
+  { value: 'exact', label: 'Exact amounts' },
+  { value: 'percent', label: 'Percentages' },
+]
+
+// Currency of users who have not chosen a home currency
+const DEFAULT_CURRENCY = 'GHS'
+
+// Currencies offered when logging an expense; the API takes any ISO 4217 code
+const CURRENCY_OPTIONS = ['GHS', 'USD', 'EUR', 'GBP', 'NGN', 'XOF', 'ZAR', 'KES']
+
+// Kinds of account money is paid from or received into
+const ACCOUNT_KIND_OPTIONS = [
+  { value: 'cash', label: 'Cash' },
+  { value: 'mobile_money', label: 'Mobile money' },
+  { value: 'bank', label: 'Bank' },
+  { value: 'card', label: 'Card' },
+  { value: 'other', label: 'Other' },
+]
+
+// Wait for a pause in typing before searching
+const SEARCH_DEBOUNCE_MS = 300
+
+// Views of the main page, switched with the tabs under the header
+const VIEW_TABS = [
+  { id: 'log', label: 'Log & History' },
+  { id: 'dashboard', label: 'Dashboard' },
+]
+
+// Months covered by the dashboard's category and monthly charts
+const DASHBOARD_MONTHS = 12
+
+// Colours of chart series and category slices, reused in order
+const CHART_COLORS = ['#4f46e5', '#10b981', '#f59e0b', '#ef4444', '#06b6d4', '#8b5cf6', '#ec4899', '#84cc16']
+
+// Roles a ledger owner can give members
+const LEDGER_ROLE_OPTIONS = [
+  { value: 'owner', label: 'Owner' },
+  { value: 'editor', label: 'Editor' },
+  { value: 'viewer', label: 'Viewer' },
+]
+
+// Access levels and lifetimes offered for a new API token
+const TOKEN_SCOPE_OPTIONS = [
+  { value: 'read-write', label: 'Read & write' },
+  { value: 'read', label: 'Read only' },
+]
+const TOKEN_EXPIRY_OPTIONS = [
+  { value: '30', label: '30 days' },
+  { value: '90', label: '90 days' },
+  { value: '365', label: '1 year' },
+  { value: '', label: 'Never' },
+]
+
+// localStorage key holding the logged-in user and their session token
+const SESSION_KEY = 'spendwise.session'
+
+const loadSession = () => {
+  try {
+    const session = JSON.parse(localStorage.getItem(SESSION_KEY))
+    return session?.token ? session : null
+  } catch {
+    return null
+  }
+}
+
+const formatDate = (dateString) => {
+  const date = new Date(dateString)
+  return date.toLocaleDateString('en-US', {
+    year: 'numeric',
+    month: 'short',
+    day: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  })
+}
+
+// Local calendar date as YYYY-MM-DD, the format <input type="date"> uses
+const todayISO = () => {
+  const now = new Date()
+  const offset = now.getTimezoneOffset() * 60000
+  return new Date(now.getTime() - offset).toISOString().slice(0, 10)
+}
+
+// First day of the month `offset` months from the current one, as YYYY-MM-DD
+const monthStartISO = (offset = 0) => {
+  const now = new Date()
+  const date = new Date(now.getFullYear(), now.getMonth() + offset, 1)
+  return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-01`
+}
+
+// Contents of a chosen file as text
+const readFileText = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader()
+  reader.onload = () => resolve(reader.result)
+  reader.onerror = () => reject(reader.error)
+  reader.readAsText(file)
+})
+
+function ExpenseTracker({ session, onLogout, onSessionExpired }) {
   const [itemName, setItemName] = useState('')
   const [amount, setAmount] = useState('')
   const [category, setCategory] = useState('Other')
+  const [spentOn, setSpentOn] = useState(todayISO)
+  const [accountId, setAccountId] = useState('')
+  const [currency, setCurrency] = useState('')
+  const [recurring, setRecurring] = useState(false)
+  const [frequency, setFrequency] = useState('monthly')
+  const [split, setSplit] = useState(false)
+  const [splitMethod, setSplitMethod] = useState('equal')
+  const [splitMembers, setSplitMembers] = useState([])
+  const [splitSelected, setSplitSelected] = useState([])
+  const [splitValues, setSplitValues] = useState({})
   const [error, setError] = useState('')
   const [success, setSuccess] = useState('')
+  // The last expense added with an amount the server found unusual
+  const [anomaly, setAnomaly] = useState(null)
   const [loading, setLoading] = useState(false)
   const [expenses, setExpenses] = useState([])
+  const [nextCursor, setNextCursor] = useState(null)
+  const [loadingMore, setLoadingMore] = useState(false)
+  const [exporting, setExporting] = useState(false)
+  const [exportError, setExportError] = useState('')
   const [fetchError, setFetchError] = useState('')
   const [totalSpending, setTotalSpending] = useState(0)
+  const [totalIncome, setTotalIncome] = useState(0)
+  // null while a category or search filter is on: income has no category
+  // or item name to match
+  const [netBalance, setNetBalance] = useState(0)
+  const [totalsLoaded, setTotalsLoaded] = useState(false)
+  const [homeCurrency, setHomeCurrency] = useState(session.user.homeCurrency || DEFAULT_CURRENCY)
+  const [unconverted, setUnconverted] = useState([])
   const [filterCategory, setFilterCategory] = useState('All')
+  const [filterAccount, setFilterAccount] = useState('')
+  const [filterFrom, setFilterFrom] = useState('')
+  const [filterTo, setFilterTo] = useState('')
+  const [sort, setSort] = useState(DEFAULT_SORT)
+  const [searchInput, setSearchInput] = useState('')
+  const [search, setSearch] = useState('')
+  const [editingId, setEditingId] = useState(null)
+  const [editForm, setEditForm] = useState({ itemName: '', amount: '', category: 'Other', spentOn: '' })
+  const [editError, setEditError] = useState('')
+  const [saving, setSaving] = useState(false)
+  const [categories, setCategories] = useState([])
+  const [budgetStatus, setBudgetStatus] = useState([])
+  const [showSettings, setShowSettings] = useState(false)
+  const [showImport, setShowImport] = useState(false)
+  const [view, setView] = useState('log')
+  const [ledgers, setLedgers] = useState([])
+  const [ledgerId, setLedgerId] = useState(null)
+  const [balances, setBalances] = useState(null)
+  const [accounts, setAccounts] = useState([])
+
+  // Every data request carries the session token; a 401 means it has
+  // expired or was revoked, so go back to the login screen
+  const apiFetch = useCallback(async (path, options = {}) => {
+    const response = await fetch(`${API_URL}${path}`, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${session.token}` },
+    })
+
+    if (response.status === 401) {
+      onSessionExpired()
+    }
+
+    return response
+  }, [session.token, onSessionExpired])
+
+  // Scope a request to the selected ledger; until one is picked the
+  // server uses the personal ledger
+  const withLedger = useCallback((path) => {
+    if (!ledgerId) return path
+    return `${path}${path.includes('?') ? '&' : '?'}ledger=${ledgerId}`
+  }, [ledgerId])
+
+  // Query string shared by the list and total requests, e.g. '?category=Food&from=2026-03-01'
+  const filterQuery = useMemo(() => {
+    const params = new URLSearchParams()
+    if (filterCategory !== 'All') params.append('category', filterCategory)
+    if (filterAccount) params.append('account', filterAccount)
+    if (filterFrom) params.append('from', filterFrom)
+    if (filterTo) params.append('to', filterTo)
+    if (search) params.append('q', search)
+    const query = params.toString()
+    return query ? `?${query}` : ''
+  }, [filterCategory, filterAccount, filterFrom, filterTo, search])
 
-  const categories = ['Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Other']
+  // The list also carries the sort order; the total does not depend on it.
+  // The server already defaults to relevance while searching and date otherwise.
+  const listQuery = useMemo(() => {
+    const serverDefault = search ? RELEVANCE_SORT : DEFAULT_SORT
+    if (sort === serverDefault) return filterQuery
+    return `${filterQuery}${filterQuery ? '&' : '?'}sort=${sort}`
+  }, [filterQuery, sort, search])
+
+  // Debounce the search box; rank results while searching and go back to
+  // date order once the search is cleared
+  useEffect(() => {
+    const term = searchInput.trim()
+    const timer = setTimeout(() => {
+      setSearch(term)
+      setSort((current) => {
+        if (term && current === DEFAULT_SORT) return RELEVANCE_SORT
+        if (!term && current === RELEVANCE_SORT) return DEFAULT_SORT
+        return current
+      })
+    }, SEARCH_DEBOUNCE_MS)
+
+    return () => clearTimeout(timer)
+  }, [searchInput])
 
   const fetchExpenses = useCallback(async () => {
     try {
-      const url = filterCategory === 'All' 
-        ? `${API_URL}/api/expenses`
-        : `${API_URL}/api/expenses?category=${filterCategory}`
-      
-      const response = await fetch(url)
+      const response = await apiFetch(withLedger(`/api/expenses${listQuery}`))
       const data = await response.json()
 
       if (!response.ok) {
@@ -31,19 +248,56 @@ function App() {
       }
 
       setExpenses(data.expenses)
+      setNextCursor(data.nextCursor || null)
       setFetchError('')
     } catch (err) {
       setFetchError(err.message || 'Failed to load expenses')
     }
-  }, [filterCategory])
+  }, [apiFetch, withLedger, listQuery])
+
+  // Append the next page of the current filter to the list
+  const loadMoreExpenses = async () => {
+    if (!nextCursor) return
+
+    setLoadingMore(true)
+
+    try {
+      const separator = listQuery ? '&' : '?'
+      const response = await apiFetch(
+        withLedger(`/api/expenses${listQuery}${separator}cursor=${encodeURIComponent(nextCursor)}`)
+      )
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch expenses')
+      }
+
+      setExpenses((current) => [...current, ...data.expenses])
+      setNextCursor(data.nextCursor || null)
+    } catch (err) {
+      setError(err.message || 'Failed to load more expenses')
+      setTimeout(() => setError(''), 3000)
+    } finally {
+      setLoadingMore(false)
+    }
+  }
+
+  // Clicking the active field flips its direction; another field starts
+  // in its natural direction (biggest amounts / newest dates first)
+  const handleSort = (option) => {
+    if (option.field === RELEVANCE_SORT) {
+      setSort(RELEVANCE_SORT)
+      return
+    }
+
+    const active = sort.replace(/^-/, '') === option.field
+    const descending = active ? !sort.startsWith('-') : option.descending
+    setSort(descending ? `-${option.field}` : option.field)
+  }
 
   const fetchTotal = useCallback(async () => {
     try {
-      const url = filterCategory === 'All'
-        ? `${API_URL}/api/expenses/total`
-        : `${API_URL}/api/expenses/total?category=${filterCategory}`
-      
-      const response = await fetch(url)
+      const response = await apiFetch(withLedger(`/api/expenses/total${filterQuery}`))
       const data = await response.json()
 
       if (!response.ok) {
@@ -51,21 +305,212 @@ function App() {
       }
 
       setTotalSpending(data.total)
+      setTotalIncome(data.income ?? 0)
+      setNetBalance(data.net === undefined ? (data.income ?? 0) - data.total : data.net)
+      setUnconverted(data.unconverted ?? [])
+      setTotalsLoaded(true)
+
+      // Totals come back in the user's home currency
+      if (data.currency) {
+        setHomeCurrency(data.currency)
+      }
     } catch (err) {
       console.error('Failed to fetch total spending:', err)
     }
-  }, [filterCategory])
+  }, [apiFetch, withLedger, filterQuery])
+
+  const fetchCategories = useCallback(async () => {
+    try {
+      const response = await apiFetch(withLedger('/api/categories'))
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch categories')
+      }
+
+      setCategories(data.categories)
+    } catch (err) {
+      console.error('Failed to fetch categories:', err)
+    }
+  }, [apiFetch, withLedger])
+
+  // This month's spending against each budget
+  const fetchBudgetStatus = useCallback(async () => {
+    try {
+      const response = await apiFetch(withLedger('/api/budgets/status'))
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch budget status')
+      }
+
+      setBudgetStatus(data.budgets)
+    } catch (err) {
+      console.error('Failed to fetch budget status:', err)
+    }
+  }, [apiFetch, withLedger])
+
+  const fetchLedgers = useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/ledgers')
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch ledgers')
+      }
+
+      setLedgers(data.ledgers)
+    } catch (err) {
+      console.error('Failed to fetch ledgers:', err)
+    }
+  }, [apiFetch])
+
+  // The server lists the personal ledger first, which is also what it
+  // uses while no ledger has been picked
+  const currentLedger = ledgers.find((ledger) => ledger.id === ledgerId) ?? ledgers[0]
+  const canEdit = currentLedger?.role !== 'viewer'
+  const shared = currentLedger?.member_count > 1
+
+  // Who owes whom for split expenses; only shared ledgers have any
+  const fetchBalances = useCallback(async () => {
+    if (!shared) {
+      setBalances(null)
+      return
+    }
+
+    try {
+      const response = await apiFetch(withLedger('/api/balances'))
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch balances')
+      }
+
+      setBalances(data)
+    } catch (err) {
+      console.error('Failed to fetch balances:', err)
+    }
+  }, [apiFetch, withLedger, shared])
+
+  // Accounts and their balances, for the selectors and the Accounts card
+  const fetchAccounts = useCallback(async () => {
+    try {
+      const response = await apiFetch(withLedger('/api/accounts'))
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch accounts')
+      }
+
+      setAccounts(data.accounts)
+    } catch (err) {
+      console.error('Failed to fetch accounts:', err)
+    }
+  }, [apiFetch, withLedger])
+
+  // Accounts belong to a ledger, so a chosen account does not carry over
+  const switchLedger = (id) => {
+    setLedgerId(id)
+    setEditingId(null)
+    setSplit(false)
+    setAccountId('')
+    setFilterAccount('')
+    setShowImport(false)
+  }
+
+  // Splitting starts with every member of the ledger taking part equally
+  const toggleSplit = async (checked) => {
+    setSplit(checked)
+    if (!checked) return
+
+    try {
+      const response = await apiFetch(`/api/ledgers/${currentLedger.id}/members`)
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch members')
+      }
+
+      setSplitMembers(data.members)
+      setSplitSelected(data.members.map((member) => member.user_id))
+      setSplitValues({})
+    } catch (err) {
+      setError(err.message || 'Failed to fetch members')
+      setSplit(false)
+    }
+  }
+
+  const toggleSplitMember = (userId, checked) => {
+    setSplitSelected(checked
+      ? [...splitSelected, userId]
+      : splitSelected.filter((id) => id !== userId))
+  }
+
+  // Shares as POST /api/expenses expects them; exact and percent splits
+  // include the members a value was entered for
+  const splitShares = () => {
+    if (splitMethod === 'equal') {
+      return splitSelected.map((userId) => ({ userId }))
+    }
+
+    const key = splitMethod === 'exact' ? 'amount' : 'percent'
+    return splitMembers
+      .filter((member) => (splitValues[member.user_id] ?? '') !== '')
+      .map((member) => ({ userId: member.user_id, [key]: parseFloat(splitValues[member.user_id]) }))
+  }
 
-  // Fetch expenses on component mount and when filter changes
+  const handleLedgerCreated = (ledger) => {
+    fetchLedgers()
+    switchLedger(ledger.id)
+  }
+
+  // Colour and icon for an expense's category badge
+  const categoryStyles = useMemo(
+    () => Object.fromEntries(categories.map((cat) => [cat.name, cat])),
+    [categories]
+  )
+
+  // Fetch expenses on component mount and when filters or sort change
   useEffect(() => {
     fetchExpenses()
+  }, [fetchExpenses])
+
+  // The total only follows the filters
+  useEffect(() => {
     fetchTotal()
-  }, [filterCategory, fetchExpenses, fetchTotal])
+  }, [fetchTotal])
+
+  // Categories belong to the ledger and are reloaded when it changes; they
+  // feed the form, filter and edit selects
+  useEffect(() => {
+    fetchCategories()
+  }, [fetchCategories])
+
+  // Budgets always cover the current month, whatever the list filters are
+  useEffect(() => {
+    fetchBudgetStatus()
+  }, [fetchBudgetStatus])
+
+  // Ledgers for the switcher in the header
+  useEffect(() => {
+    fetchLedgers()
+  }, [fetchLedgers])
+
+  // Balances follow the selected ledger
+  useEffect(() => {
+    fetchBalances()
+  }, [fetchBalances])
+
+  // So do the accounts
+  useEffect(() => {
+    fetchAccounts()
+  }, [fetchAccounts])
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError('')
     setSuccess('')
+    setAnomaly(null)
 
     // Client-side validation
     if (!itemName.trim()) {
@@ -79,19 +524,43 @@ function App() {
       return
     }
 
+    if (!spentOn) {
+      setError('Please choose the date of the expense')
+      return
+    }
+
+    const shares = split && !recurring ? splitShares() : []
+    if (split && !recurring && shares.length === 0) {
+      setError('Choose who to split the expense with')
+      return
+    }
+
     setLoading(true)
 
+    // The server assumes the home currency unless told otherwise
+    const foreignCurrency = currency && currency !== homeCurrency ? { currency } : {}
+
+    // A recurring expense is saved as a template starting on the chosen
+    // date; the server posts its first occurrence once that date is due
+    const [endpoint, payload] = recurring
+      ? ['/api/recurring', { itemName: itemName.trim(), amount: numAmount, category, frequency, startDate: spentOn, ...foreignCurrency }]
+      : ['/api/expenses', {
+        itemName: itemName.trim(),
+        amount: numAmount,
+        category,
+        spentOn,
+        ...(accountId && { accountId: Number(accountId) }),
+        ...foreignCurrency,
+        ...(shares.length > 0 && { split: { method: splitMethod, shares } }),
+      }]
+
     try {
-      const response = await fetch(`${API_URL}/api/expenses`, {
+      const response = await apiFetch(withLedger(endpoint), {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
         },
-        body: JSON.stringify({
-          itemName: itemName.trim(),
-          amount: numAmount,
-          category: category,
-        }),
+        body: JSON.stringify(payload),
       })
 
       const data = await response.json()
@@ -100,14 +569,26 @@ function App() {
         throw new Error(data.error || 'Failed to add expense')
       }
 
-      setSuccess('✓ Expense added successfully!')
+      setSuccess(recurring ? '✓ Recurring expense added!' : '✓ Expense added successfully!')
+      // Stays up until it is answered, unlike the success message
+      if (data.warnings?.length > 0) {
+        setAnomaly({ expense: data.expense, messages: data.warnings.map((warning) => warning.message) })
+      }
       setItemName('')
       setAmount('')
       setCategory('Other')
+      setSpentOn(todayISO())
+      setAccountId('')
+      setCurrency('')
+      setRecurring(false)
+      setSplit(false)
       
-      // Refresh expense list and total
+      // Refresh expense list, total, budgets, balances and accounts
       fetchExpenses()
       fetchTotal()
+      fetchBudgetStatus()
+      fetchBalances()
+      fetchAccounts()
       
       // Clear success message after 3 seconds
       setTimeout(() => setSuccess(''), 3000)
@@ -118,14 +599,24 @@ function App() {
     }
   }
 
-  const formatDate = (dateString) => {
-    const date = new Date(dateString)
-    return date.toLocaleDateString('en-US', {
+  // End the session on the server too; the login screen shows either way
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' })
+    } catch (err) {
+      console.error('Failed to log out:', err)
+    }
+    onLogout()
+  }
+
+  // spent_on is a plain calendar date, so build it in local time to avoid
+  // the UTC parse of 'YYYY-MM-DD' shifting it to the previous day
+  const formatDay = (dayString) => {
+    const [year, month, day] = dayString.split('-').map(Number)
+    return new Date(year, month - 1, day).toLocaleDateString('en-US', {
       year: 'numeric',
       month: 'short',
-      day: 'numeric',
-      hour: '2-digit',
-      minute: '2-digit'
+      day: 'numeric'
     })
   }
 
@@ -133,6 +624,39 @@ function App() {
     return parseFloat(amount).toFixed(2)
   }
 
+  // An amount with its currency code, in the home currency unless given
+  const formatMoney = (amount, code = homeCurrency) => {
+    return `${code} ${formatAmount(amount)}`
+  }
+
+  // Download every expense matching the current filters. The request
+  // needs the session token, so the file is fetched and then saved
+  // through a temporary link rather than linked to directly.
+  const handleExport = async () => {
+    setExportError('')
+    setExporting(true)
+
+    try {
+      const response = await apiFetch(withLedger(`/api/expenses/export${filterQuery || '?'}${filterQuery ? '&' : ''}format=csv`))
+
+      if (!response.ok) {
+        const data = await response.json()
+        throw new Error(data.error || 'Failed to export expenses')
+      }
+
+      const url = URL.createObjectURL(await response.blob())
+      const link = document.createElement('a')
+      link.href = url
+      link.download = `spendwise-expenses-${todayISO()}.csv`
+      link.click()
+      URL.revokeObjectURL(url)
+    } catch (err) {
+      setExportError(err.message || 'Failed to export expenses')
+    } finally {
+      setExporting(false)
+    }
+  }
+
   const handleDelete = async (id) => {
     // Confirm before deleting
     if (!window.confirm('Are you sure you want to delete this expense?')) {
@@ -140,7 +664,7 @@ function App() {
     }
 
     try {
-      const response = await fetch(`${API_URL}/api/expenses/${id}`, {
+      const response = await apiFetch(withLedger(`/api/expenses/${id}`), {
         method: 'DELETE',
       })
 
@@ -150,9 +674,12 @@ function App() {
         throw new Error(data.error || 'Failed to delete expense')
       }
 
-      // Refresh expense list and total after deletion
+      // Refresh expense list, total, budgets, balances and accounts after deletion
       fetchExpenses()
       fetchTotal()
+      fetchBudgetStatus()
+      fetchBalances()
+      fetchAccounts()
       
       setSuccess('✓ Expense deleted successfully!')
       setTimeout(() => setSuccess(''), 3000)
@@ -162,137 +689,816 @@ function App() {
     }
   }
 
-  return (
-    <div className="app-container">
-      <header className="app-header">
-        <h1>💰 SpendWise</h1>
-        <p>Track your daily expenses</p>
-      </header>
+  // Take back an expense flagged as unusual in one click; the user has
+  // just seen it, so there is no confirmation as in handleDelete
+  const handleUndo = async () => {
+    const { expense } = anomaly
 
-      <main className="main-content">
-        <div className="expense-form-container">
-          <h2>Log Expense</h2>
-          
-          <form onSubmit={handleSubmit} className="expense-form">
-            <div className="form-group">
-              <label htmlFor="itemName">Item Name</label>
-              <input
-                type="text"
-                id="itemName"
-                value={itemName}
-                onChange={(e) => setItemName(e.target.value)}
-                placeholder="e.g., Lunch, Bus fare"
-                disabled={loading}
-              />
-            </div>
+    try {
+      const response = await apiFetch(withLedger(`/api/expenses/${expense.id}`), {
+        method: 'DELETE',
+      })
 
-            <div className="form-group">
-              <label htmlFor="amount">Amount (GHS)</label>
-              <input
-                type="number"
-                id="amount"
-                value={amount}
-                onChange={(e) => setAmount(e.target.value)}
-                placeholder="0.00"
-                step="0.01"
-                min="0"
-                disabled={loading}
-              />
-            </div>
+      const data = await response.json()
 
-            <div className="form-group">
-              <label htmlFor="category">Category</label>
-              <select
-                id="category"
-                value={category}
-                onChange={(e) => setCategory(e.target.value)}
-                disabled={loading}
-                className="category-select"
-              >
-                {categories.map((cat) => (
-                  <option key={cat} value={cat}>
-                    {cat}
-                  </option>
-                ))}
-              </select>
-            </div>
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to undo expense')
+      }
 
-            {error && <div className="error-message">{error}</div>}
-            {success && <div className="success-message">{success}</div>}
+      setAnomaly(null)
+      fetchExpenses()
+      fetchTotal()
+      fetchBudgetStatus()
+      fetchBalances()
+      fetchAccounts()
 
-            <button 
-              type="submit" 
-              className="btn-primary"
-              disabled={loading}
-            >
-              {loading ? 'Adding...' : 'Add Expense'}
-            </button>
-          </form>
-        </div>
+      setSuccess(`✓ Removed ${expense.item_name}`)
+      setTimeout(() => setSuccess(''), 3000)
+    } catch (err) {
+      setError(err.message || 'Failed to undo expense')
+    }
+  }
 
-        <div className="expense-list-container">
-          <div className="list-header">
-            <h2>Expense History</h2>
-            <div className="filter-group">
-              <label htmlFor="filter">Filter by;</label>
-              <select
-                id="filter"
-                value={filterCategory}
-                onChange={(e) => setFilterCategory(e.target.value)}
-                className="filter-select"
-              >
-                <option value="All">All Categories</option>
-                {categories.map((cat) => (
-                  <option key={cat} value={cat}>
-                    {cat}
-                  </option>
-                ))}
-              </select>
-            </div>
-          </div>
-          
-          {fetchError && (
-            <div className="error-message">{fetchError}</div>
-          )}
+  const startEdit = (expense) => {
+    setEditingId(expense.id)
+    setEditForm({
+      itemName: expense.item_name,
+      amount: formatAmount(expense.amount),
+      category: expense.category || 'Other',
+      spentOn: expense.spent_on || '',
+    })
+    setEditError('')
+  }
 
-          {!fetchError && expenses.length === 0 && (
-            <div className="empty-state">
-              <p>No expenses yet. Start tracking your spending!</p>
-            </div>
-          )}
+  const cancelEdit = () => {
+    setEditingId(null)
+    setEditError('')
+  }
 
-          {!fetchError && expenses.length > 0 && (
-            <>
+  const handleUpdate = async (e) => {
+    e.preventDefault()
+    setEditError('')
+
+    // Client-side validation (same rules as the Log Expense form)
+    if (!editForm.itemName.trim()) {
+      setEditError('Item name cannot be empty')
+      return
+    }
+
+    const numAmount = parseFloat(editForm.amount)
+    if (isNaN(numAmount) || numAmount < 0) {
+      setEditError('Amount must be a positive number')
+      return
+    }
+
+    setSaving(true)
+
+    try {
+      const response = await apiFetch(withLedger(`/api/expenses/${editingId}`), {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          itemName: editForm.itemName.trim(),
+          amount: numAmount,
+          category: editForm.category,
+          ...(editForm.spentOn && { spentOn: editForm.spentOn }),
+        }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update expense')
+      }
+
+      setEditingId(null)
+
+      // Refresh expense list, total, budgets, balances and accounts after
+      // editing; the server re-divides the shares of a split expense
+      fetchExpenses()
+      fetchTotal()
+      fetchBudgetStatus()
+      fetchBalances()
+      fetchAccounts()
+
+      setSuccess('✓ Expense updated successfully!')
+      setTimeout(() => setSuccess(''), 3000)
+    } catch (err) {
+      setEditError(err.message || 'Failed to update expense')
+    } finally {
+      setSaving(false)
+    }
+  }
+
+  const header = (
+    <header className="app-header">
+      <h1>💰 SpendWise</h1>
+      <p>Track your daily expenses</p>
+      <div className="account-bar">
+        {ledgers.length > 0 && (
+          <select
+            value={currentLedger.id}
+            onChange={(e) => switchLedger(Number(e.target.value))}
+            aria-label="Ledger"
+            className="ledger-select"
+          >
+            {ledgers.map((ledger) => (
+              <option key={ledger.id} value={ledger.id}>
+                {ledger.name}{ledger.role !== 'owner' && ` (${ledger.role})`}
+              </option>
+            ))}
+          </select>
+        )}
+        <span className="account-email">{session.user.email}</span>
+        {canEdit && !showSettings && (
+          <button type="button" className="btn-logout" onClick={() => setShowImport(!showImport)}>
+            {showImport ? 'Back to expenses' : 'Import'}
+          </button>
+        )}
+        {!showImport && (
+          <button type="button" className="btn-logout" onClick={() => setShowSettings(!showSettings)}>
+            {showSettings ? 'Back to expenses' : 'Settings'}
+          </button>
+        )}
+        <button type="button" className="btn-logout" onClick={handleLogout}>
+          Log out
+        </button>
+      </div>
+    </header>
+  )
+
+  if (showImport) {
+    return (
+      <div className="app-container">
+        {header}
+        <main className="main-content">
+          <ImportWizard
+            apiFetch={apiFetch}
+            withLedger={withLedger}
+            onImported={() => {
+              fetchExpenses()
+              fetchTotal()
+              fetchBudgetStatus()
+            }}
+          />
+        </main>
+      </div>
+    )
+  }
+
+  if (showSettings) {
+    return (
+      <div className="app-container">
+        {header}
+        <main className="main-content">
+          {currentLedger && (
+            <LedgerSettings
+              apiFetch={apiFetch}
+              ledger={currentLedger}
+              session={session}
+              onLedgerCreated={handleLedgerCreated}
+              onMembersChanged={fetchLedgers}
+            />
+          )}
+          <CurrencySettings apiFetch={apiFetch} withLedger={withLedger} homeCurrency={homeCurrency} onChanged={setHomeCurrency} />
+          <ApiTokenSettings apiFetch={apiFetch} />
+        </main>
+      </div>
+    )
+  }
+
+  const tabs = (
+    <div className="view-tabs" role="tablist" aria-label="Views">
+      {VIEW_TABS.map((tab) => (
+        <button
+          key={tab.id}
+          type="button"
+          role="tab"
+          aria-selected={view === tab.id}
+          className={`view-tab${view === tab.id ? ' active' : ''}`}
+          onClick={() => setView(tab.id)}
+        >
+          {tab.label}
+        </button>
+      ))}
+    </div>
+  )
+
+  if (view === 'dashboard') {
+    return (
+      <div className="app-container">
+        {header}
+        <main className="main-content">
+          {tabs}
+          <Dashboard apiFetch={apiFetch} withLedger={withLedger} />
+        </main>
+      </div>
+    )
+  }
+
+  return (
+    <div className="app-container">
+      {header}
+
+      <main className="main-content">
+        {tabs}
+
+        {canEdit ? (
+          <div className="expense-form-container">
+            <h2>Log Expense</h2>
+          
+            <form onSubmit={handleSubmit} className="expense-form">
+              <div className="form-group">
+                <label htmlFor="itemName">Item Name</label>
+                <input
+                  type="text"
+                  id="itemName"
+                  value={itemName}
+                  onChange={(e) => setItemName(e.target.value)}
+                  placeholder="e.g., Lunch, Bus fare"
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="amount">Amount ({currency || homeCurrency})</label>
+                <input
+                  type="number"
+                  id="amount"
+                  value={amount}
+                  onChange={(e) => setAmount(e.target.value)}
+                  placeholder="0.00"
+                  step="0.01"
+                  min="0"
+                  disabled={loading}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="currency">Currency</label>
+                <select
+                  id="currency"
+                  value={currency || homeCurrency}
+                  onChange={(e) => setCurrency(e.target.value)}
+                  disabled={loading}
+                  className="category-select"
+                >
+                  {[...new Set([homeCurrency, ...CURRENCY_OPTIONS])].map((code) => (
+                    <option key={code} value={code}>{code}</option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="category">Category</label>
+                <select
+                  id="category"
+                  value={category}
+                  onChange={(e) => setCategory(e.target.value)}
+                  disabled={loading}
+                  className="category-select"
+                >
+                  {categories.map((cat) => (
+                    <option key={cat.id} value={cat.name}>
+                      {cat.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="spentOn">{recurring ? 'Starts on' : 'Date'}</label>
+                <input
+                  type="date"
+                  id="spentOn"
+                  value={spentOn}
+                  onChange={(e) => setSpentOn(e.target.value)}
+                  disabled={loading}
+                />
+              </div>
+
+              {accounts.length > 0 && !recurring && (
+                <div className="form-group">
+                  <label htmlFor="accountId">Paid from</label>
+                  <select
+                    id="accountId"
+                    value={accountId}
+                    onChange={(e) => setAccountId(e.target.value)}
+                    disabled={loading}
+                    className="category-select"
+                  >
+                    <option value="">No account</option>
+                    {accounts.map((account) => (
+                      <option key={account.id} value={account.id}>
+                        {account.name}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              )}
+
+              <div className="form-group recurring-group">
+                <label className="checkbox-label">
+                  <input
+                    type="checkbox"
+                    checked={recurring}
+                    onChange={(e) => {
+                      setRecurring(e.target.checked)
+                      setSplit(false)
+                    }}
+                    disabled={loading}
+                  />
+                  Make recurring
+                </label>
+                {recurring && (
+                  <select
+                    value={frequency}
+                    onChange={(e) => setFrequency(e.target.value)}
+                    aria-label="Repeats"
+                    className="category-select"
+                    disabled={loading}
+                  >
+                    {FREQUENCY_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                )}
+              </div>
+
+              {shared && !recurring && (
+                <div className="form-group split-group">
+                  <label className="checkbox-label">
+                    <input
+                      type="checkbox"
+                      checked={split}
+                      onChange={(e) => toggleSplit(e.target.checked)}
+                      disabled={loading}
+                    />
+                    Split this expense
+                  </label>
+                  {split && (
+                    <>
+                      <select
+                        value={splitMethod}
+                        onChange={(e) => setSplitMethod(e.target.value)}
+                        aria-label="Split method"
+                        className="category-select"
+                        disabled={loading}
+                      >
+                        {SPLIT_METHOD_OPTIONS.map((option) => (
+                          <option key={option.value} value={option.value}>
+                            {option.label}
+                          </option>
+                        ))}
+                      </select>
+                      <ul className="split-list">
+                        {splitMembers.map((member) => (
+                          <li key={member.user_id} className="split-item">
+                            {splitMethod === 'equal' ? (
+                              <label className="checkbox-label">
+                                <input
+                                  type="checkbox"
+                                  checked={splitSelected.includes(member.user_id)}
+                                  onChange={(e) => toggleSplitMember(member.user_id, e.target.checked)}
+                                  disabled={loading}
+                                />
+                                {member.email}
+                              </label>
+                            ) : (
+                              <>
+                                <span>{member.email}</span>
+                                <input
+                                  type="number"
+                                  value={splitValues[member.user_id] ?? ''}
+                                  onChange={(e) => setSplitValues({ ...splitValues, [member.user_id]: e.target.value })}
+                                  placeholder={splitMethod === 'exact' ? '0.00' : '%'}
+                                  step={splitMethod === 'exact' ? '0.01' : 'any'}
+                                  min="0"
+                                  aria-label={`Share for ${member.email}`}
+                                  disabled={loading}
+                                />
+                              </>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    </>
+                  )}
+                </div>
+              )}
+
+              {error && <div className="error-message">{error}</div>}
+              {success && <div className="success-message">{success}</div>}
+              {anomaly && (
+                <div className="warning-banner" role="alert">
+                  {anomaly.messages.map((message) => (
+                    <p key={message}>{message}</p>
+                  ))}
+                  <div className="warning-actions">
+                    <button type="button" className="btn-clear-range" onClick={handleUndo}>
+                      Undo
+                    </button>
+                    <button type="button" className="btn-clear-range" onClick={() => setAnomaly(null)}>
+                      Keep it
+                    </button>
+                  </div>
+                </div>
+              )}
+
+              <button 
+                type="submit" 
+                className="btn-primary"
+                disabled={loading}
+              >
+                {loading ? 'Adding...' : 'Add Expense'}
+              </button>
+            </form>
+          </div>
+        ) : (
+          <div className="expense-form-container">
+            <h2>Log Expense</h2>
+            <p className="settings-hint">You have view-only access to {currentLedger.name}.</p>
+          </div>
+        )}
+
+        {canEdit && (
+          <SmsPasteCard
+            apiFetch={apiFetch}
+            withLedger={withLedger}
+            onAdded={() => {
+              fetchExpenses()
+              fetchTotal()
+              fetchBudgetStatus()
+            }}
+          />
+        )}
+
+        {canEdit && (
+          <IncomeForm
+            apiFetch={apiFetch}
+            withLedger={withLedger}
+            accounts={accounts}
+            currency={homeCurrency}
+            onAdded={() => {
+              fetchTotal()
+              fetchAccounts()
+            }}
+          />
+        )}
+
+        {budgetStatus.length > 0 && (
+          <div className="budgets-container">
+            <h2>Monthly Budgets</h2>
+            <ul className="budget-list">
+              {budgetStatus.map((budget) => {
+                const label = budget.category ?? 'Overall'
+                return (
+                  <li key={budget.id} className={`budget-item${budget.overBudget ? ' over-budget' : ''}`}>
+                    <div className="budget-header">
+                      <span className="budget-name">{label}</span>
+                      <span className="budget-figures">
+                        {formatMoney(budget.spent)} of {formatMoney(budget.amount)}
+                      </span>
+                    </div>
+                    <div
+                      className="budget-bar"
+                      role="progressbar"
+                      aria-label={`${label} budget`}
+                      aria-valuemin={0}
+                      aria-valuemax={100}
+                      aria-valuenow={budget.percent}
+                    >
+                      <div className="budget-bar-fill" style={{ width: `${Math.min(budget.percent, 100)}%` }} />
+                    </div>
+                    {budget.unconverted?.length > 0 && (
+                      <p className="unconverted-note">
+                        Excludes {budget.unconverted.join(', ')} spending with no exchange rate
+                      </p>
+                    )}
+                  </li>
+                )
+              })}
+            </ul>
+          </div>
+        )}
+
+        {balances?.balances.length > 0 && (
+          <div className="balances-container">
+            <h2>Balances</h2>
+            <ul className="balance-list">
+              {balances.balances.map((row) => (
+                <li key={row.userId} className="balance-item">
+                  <span>{row.email}</span>
+                  {row.balance === 0 ? (
+                    <span>is settled up</span>
+                  ) : (
+                    <span className={row.balance < 0 ? 'balance-owes' : 'balance-owed'}>
+                      {row.balance < 0 ? 'owes' : 'is owed'} {formatMoney(Math.abs(row.balance))}
+                    </span>
+                  )}
+                </li>
+              ))}
+            </ul>
+            {balances.unconverted?.length > 0 && (
+              <p className="unconverted-note">
+                Excludes {balances.unconverted.join(', ')} expenses with no exchange rate
+              </p>
+            )}
+            {balances.transfers.length > 0 && (
+              <>
+                <h3>Settle up</h3>
+                <ul className="balance-list">
+                  {balances.transfers.map((transfer) => (
+                    <li key={`${transfer.from.userId}-${transfer.to.userId}`} className="balance-item">
+                      {transfer.from.email} pays {transfer.to.email} {formatMoney(transfer.amount)}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+          </div>
+        )}
+
+        {(canEdit || accounts.length > 0) && (
+          <AccountsCard
+            apiFetch={apiFetch}
+            withLedger={withLedger}
+            accounts={accounts}
+            currency={homeCurrency}
+            canEdit={canEdit}
+            onChanged={fetchAccounts}
+          />
+        )}
+
+        <div className="expense-list-container">
+          <div className="list-header">
+            <h2>Expense History</h2>
+            <div className="search-group">
+              <input
+                type="search"
+                value={searchInput}
+                onChange={(e) => setSearchInput(e.target.value)}
+                placeholder="Search expenses..."
+                aria-label="Search expenses"
+                className="search-input"
+              />
+            </div>
+            <div className="filter-group">
+              <label htmlFor="filter">Filter by;</label>
+              <select
+                id="filter"
+                value={filterCategory}
+                onChange={(e) => setFilterCategory(e.target.value)}
+                className="filter-select"
+              >
+                <option value="All">All Categories</option>
+                {categories.map((cat) => (
+                  <option key={cat.id} value={cat.name}>
+                    {cat.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            {accounts.length > 0 && (
+              <div className="filter-group">
+                <label htmlFor="filterAccount">Account</label>
+                <select
+                  id="filterAccount"
+                  value={filterAccount}
+                  onChange={(e) => setFilterAccount(e.target.value)}
+                  className="filter-select"
+                >
+                  <option value="">All Accounts</option>
+                  {accounts.map((account) => (
+                    <option key={account.id} value={account.id}>
+                      {account.name}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div className="filter-group date-range">
+              <label htmlFor="filterFrom">From</label>
+              <input
+                type="date"
+                id="filterFrom"
+                value={filterFrom}
+                max={filterTo || undefined}
+                onChange={(e) => setFilterFrom(e.target.value)}
+                className="filter-select"
+              />
+              <label htmlFor="filterTo">To</label>
+              <input
+                type="date"
+                id="filterTo"
+                value={filterTo}
+                min={filterFrom || undefined}
+                onChange={(e) => setFilterTo(e.target.value)}
+                className="filter-select"
+              />
+              {(filterFrom || filterTo) && (
+                <button
+                  type="button"
+                  className="btn-clear-range"
+                  onClick={() => {
+                    setFilterFrom('')
+                    setFilterTo('')
+                  }}
+                  aria-label="Clear date range"
+                >
+                  ✕
+                </button>
+              )}
+            </div>
+            <div className="sort-group" role="group" aria-label="Sort expenses">
+              <span className="sort-label">Sort:</span>
+              {(search ? [RELEVANCE_OPTION, ...SORT_OPTIONS] : SORT_OPTIONS).map((option) => {
+                const active = sort.replace(/^-/, '') === option.field
+                return (
+                  <button
+                    key={option.field}
+                    type="button"
+                    className={`btn-sort${active ? ' active' : ''}`}
+                    aria-pressed={active}
+                    onClick={() => handleSort(option)}
+                  >
+                    {option.label}
+                    {active && option.field !== RELEVANCE_SORT && (sort.startsWith('-') ? ' ↓' : ' ↑')}
+                  </button>
+                )
+              })}
+            </div>
+            <button type="button" className="btn-clear-range" onClick={handleExport} disabled={exporting}>
+              {exporting ? 'Preparing…' : 'Download CSV'}
+            </button>
+          </div>
+
+          {exportError && (
+            <div className="error-message">{exportError}</div>
+          )}
+          
+          {fetchError && (
+            <div className="error-message">{fetchError}</div>
+          )}
+
+          {!fetchError && totalsLoaded && (
+            <div className="summary-cards">
               <div className="total-spending">
                 <span className="total-label">Total Spending</span>
-                <span className="total-amount">GHS {formatAmount(totalSpending)}</span>
+                <span className="total-amount">{formatMoney(totalSpending)}</span>
+                {unconverted.length > 0 && (
+                  <span className="net-income">Excludes {unconverted.join(', ')} (no exchange rate)</span>
+                )}
               </div>
+              <div className={`total-spending net-balance${netBalance !== null && netBalance < 0 ? ' negative' : ''}`}>
+                <span className="total-label">Net Balance</span>
+                <span className="total-amount">{netBalance === null ? '—' : formatMoney(netBalance)}</span>
+                <span className="net-income">
+                  {netBalance === null ? 'Not shown while filtering by category or search; income has neither' : `Income ${formatMoney(totalIncome)}`}
+                </span>
+              </div>
+            </div>
+          )}
+
+          {!fetchError && expenses.length === 0 && (
+            <div className="empty-state">
+              {search
+                ? <p>No expenses match &ldquo;{search}&rdquo;.</p>
+                : <p>No expenses yet. Start tracking your spending!</p>}
+            </div>
+          )}
 
+          {!fetchError && expenses.length > 0 && (
+            <>
               <div className="expense-list">
                 {expenses.map((expense) => (
-                  <div key={expense.id} className="expense-item">
-                    <div className="expense-info">
-                      <div className="expense-main">
-                        <span className="expense-name">{expense.item_name}</span>
-                        <span className="expense-category">{expense.category}</span>
+                  editingId === expense.id ? (
+                    <form
+                      key={expense.id}
+                      className="expense-item expense-item-editing"
+                      onSubmit={handleUpdate}
+                    >
+                      <div className="edit-fields">
+                        <input
+                          type="text"
+                          value={editForm.itemName}
+                          onChange={(e) => setEditForm({ ...editForm, itemName: e.target.value })}
+                          aria-label="Edit item name"
+                          disabled={saving}
+                        />
+                        <input
+                          type="number"
+                          value={editForm.amount}
+                          onChange={(e) => setEditForm({ ...editForm, amount: e.target.value })}
+                          step="0.01"
+                          min="0"
+                          aria-label="Edit amount"
+                          disabled={saving}
+                        />
+                        <select
+                          value={editForm.category}
+                          onChange={(e) => setEditForm({ ...editForm, category: e.target.value })}
+                          aria-label="Edit category"
+                          className="category-select"
+                          disabled={saving}
+                        >
+                          {categories.map((cat) => (
+                            <option key={cat.id} value={cat.name}>
+                              {cat.name}
+                            </option>
+                          ))}
+                        </select>
+                        <input
+                          type="date"
+                          value={editForm.spentOn}
+                          onChange={(e) => setEditForm({ ...editForm, spentOn: e.target.value })}
+                          aria-label="Edit date"
+                          disabled={saving}
+                        />
+                        {editError && <div className="error-message">{editError}</div>}
+                      </div>
+                      <div className="expense-actions">
+                        <button type="submit" className="btn-save" disabled={saving}>
+                          {saving ? 'Saving...' : 'Save'}
+                        </button>
+                        <button type="button" className="btn-cancel" onClick={cancelEdit} disabled={saving}>
+                          Cancel
+                        </button>
+                      </div>
+                    </form>
+                  ) : (
+                    <div key={expense.id} className="expense-item">
+                      <div className="expense-info">
+                        <div className="expense-main">
+                          <span className="expense-name">{expense.item_name}</span>
+                          <span
+                            className="expense-category"
+                            style={{ backgroundColor: categoryStyles[expense.category]?.color }}
+                          >
+                            {categoryStyles[expense.category]?.icon && (
+                              <span className="category-icon" aria-hidden="true">
+                                {categoryStyles[expense.category].icon}
+                              </span>
+                            )}
+                            <span>{expense.category}</span>
+                          </span>
+                        </div>
+                        <span className="expense-date">
+                          {expense.spent_on ? formatDay(expense.spent_on) : formatDate(expense.created_at)}
+                          {shared && expense.created_by && ` · added by ${expense.created_by}`}
+                          {expense.split_count > 1 && ` · split ${expense.split_count} ways`}
+                          {expense.account_name && ` · ${expense.account_name}`}
+                        </span>
+                      </div>
+                      <div className="expense-actions">
+                        <span className="expense-amount">
+                          {formatMoney(expense.amount, expense.currency)}
+                          {expense.currency && expense.currency !== homeCurrency && (
+                            <span className="converted-amount">
+                              {expense.converted_amount !== null && expense.converted_amount !== undefined
+                                ? `≈ ${formatMoney(expense.converted_amount)}`
+                                : 'no exchange rate'}
+                            </span>
+                          )}
+                        </span>
+                        {canEdit && (
+                          <>
+                            <button
+                              className="btn-edit"
+                              onClick={() => startEdit(expense)}
+                              aria-label={`Edit ${expense.item_name}`}
+                            >
+                              ✏️
+                            </button>
+                            <button 
+                              className="btn-delete"
+                              onClick={() => handleDelete(expense.id)}
+                              aria-label={`Delete ${expense.item_name}`}
+                            >
+                              🗑️
+                            </button>
+                          </>
+                        )}
                       </div>
-                      <span className="expense-date">{formatDate(expense.created_at)}</span>
-                    </div>
-                    <div className="expense-actions">
-                      <span className="expense-amount">
-                        GHS {formatAmount(expense.amount)}
-                      </span>
-                      <button 
-                        className="btn-delete"
-                        onClick={() => handleDelete(expense.id)}
-                        aria-label={`Delete ${expense.item_name}`}
-                      >
-                        🗑️
-                      </button>
                     </div>
-                  </div>
+                  )
                 ))}
               </div>
+
+              {nextCursor && (
+                <button
+                  type="button"
+                  className="btn-load-more"
+                  onClick={loadMoreExpenses}
+                  disabled={loadingMore}
+                >
+                  {loadingMore ? 'Loading...' : 'Load more'}
+                </button>
+              )}
             </>
           )}
         </div>
@@ -301,4 +1507,1720 @@ function App() {
   )
 }
 
+// CSV columns the import can map, as sent to POST /api/expenses/import
+const IMPORT_MAPPING_FIELDS = [
+  { param: 'name', label: 'Name column' },
+  { param: 'amount', label: 'Amount column' },
+  { param: 'category', label: 'Category column' },
+  { param: 'date', label: 'Date column' },
+  { param: 'currency', label: 'Currency column' },
+]
+
+// Import page: pick a CSV file, check how its columns are read and what
+// each row becomes, then save the valid rows in one go
+function ImportWizard({ apiFetch, withLedger, onImported }) {
+  const [csv, setCsv] = useState('')
+  const [headers, setHeaders] = useState([])
+  const [mapping, setMapping] = useState({})
+  const [preview, setPreview] = useState(null)
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  // Send the file with the chosen columns; a dry run only previews it
+  const upload = async (text, columns, dryRun) => {
+    const params = new URLSearchParams()
+    Object.entries(columns).forEach(([param, header]) => {
+      if (header) params.append(param, header)
+    })
+    if (dryRun) params.append('dryRun', 'true')
+
+    const response = await apiFetch(withLedger(`/api/expenses/import?${params}`), {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/csv',
+      },
+      body: text,
+    })
+
+    return { ok: response.ok, data: await response.json() }
+  }
+
+  const runPreview = async (text, columns) => {
+    setError('')
+    setLoading(true)
+
+    try {
+      const { ok, data } = await upload(text, columns, true)
+
+      if (!ok) {
+        // Columns that could not be matched still come back, so they can be chosen by hand
+        if (data.headers) setHeaders(data.headers)
+        setPreview(null)
+        throw new Error(data.error || 'Failed to read the CSV file')
+      }
+
+      setHeaders(data.headers)
+      setMapping(data.columns)
+      setPreview(data)
+    } catch (err) {
+      setError(err.message || 'Failed to read the CSV file')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleFile = async (e) => {
+    const file = e.target.files[0]
+    setSuccess('')
+    setHeaders([])
+    setMapping({})
+    setPreview(null)
+    if (!file) return
+
+    const text = await readFileText(file)
+    setCsv(text)
+    runPreview(text, {})
+  }
+
+  const handleMapping = (param, header) => {
+    const columns = { ...mapping, [param]: header }
+    setMapping(columns)
+    runPreview(csv, columns)
+  }
+
+  const handleImport = async () => {
+    setError('')
+    setLoading(true)
+
+    try {
+      const { ok, data } = await upload(csv, mapping, false)
+
+      if (!ok) {
+        throw new Error(data.error || 'Failed to import expenses')
+      }
+
+      setSuccess(`✓ Imported ${data.imported} expenses${data.skipped ? `, skipped ${data.skipped} rows with errors` : ''}`)
+      setCsv('')
+      setHeaders([])
+      setMapping({})
+      setPreview(null)
+      onImported()
+    } catch (err) {
+      setError(err.message || 'Failed to import expenses')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="expense-form-container">
+      <h2>Import Expenses</h2>
+      <p className="settings-hint">
+        Upload a CSV export from your bank or a spreadsheet. Nothing is saved until you confirm the preview.
+      </p>
+
+      <div className="expense-form">
+        <div className="form-group">
+          <label htmlFor="importFile">CSV file</label>
+          <input type="file" id="importFile" accept=".csv,text/csv" onChange={handleFile} disabled={loading} />
+        </div>
+
+        {headers.length > 0 && (
+          <div className="import-mapping">
+            {IMPORT_MAPPING_FIELDS.map(({ param, label }) => (
+              <div className="form-group" key={param}>
+                <label htmlFor={`import-${param}`}>{label}</label>
+                <select
+                  id={`import-${param}`}
+                  value={mapping[param] ?? ''}
+                  onChange={(e) => handleMapping(param, e.target.value)}
+                  className="category-select"
+                  disabled={loading}
+                >
+                  <option value="">Not in file</option>
+                  {headers.map((header) => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      {preview && (
+        <>
+          <p className="settings-hint settings-form">
+            {preview.valid} rows ready to import, {preview.invalid} with errors
+          </p>
+
+          <table className="import-preview">
+            <thead>
+              <tr>
+                <th>Line</th>
+                <th>Item</th>
+                <th>Amount</th>
+                <th>Category</th>
+                <th>Date</th>
+              </tr>
+            </thead>
+            <tbody>
+              {preview.rows.map((row) => (
+                <tr key={row.line} className={row.error ? 'import-row-error' : undefined}>
+                  <td>{row.line}</td>
+                  {row.error ? (
+                    <td colSpan={4}>{row.error}</td>
+                  ) : (
+                    <>
+                      <td>{row.values.itemName}</td>
+                      <td>{row.values.currency ? `${row.values.currency} ` : ''}{row.values.amount.toFixed(2)}</td>
+                      <td>{row.values.category}</td>
+                      <td>{row.values.spentOn || 'Today'}</td>
+                    </>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          <button type="button" className="btn-primary settings-form" onClick={handleImport} disabled={loading || preview.valid === 0}>
+            Import {preview.valid} expenses
+          </button>
+        </>
+      )}
+    </div>
+  )
+}
+
+// Mobile money confirmations pasted from the phone are read into drafts;
+// each draft is only logged once the user confirms it
+function SmsPasteCard({ apiFetch, withLedger, onAdded }) {
+  const [text, setText] = useState('')
+  const [drafts, setDrafts] = useState([])
+  const [unrecognised, setUnrecognised] = useState([])
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const handleRead = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSuccess('')
+
+    if (!text.trim()) {
+      setError('Paste at least one SMS message')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const response = await apiFetch(withLedger('/api/expenses/parse-sms'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ text }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to read SMS messages')
+      }
+
+      setDrafts(data.drafts)
+      setUnrecognised(data.unrecognised)
+      setText('')
+    } catch (err) {
+      setError(err.message || 'Failed to read SMS messages')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const dismiss = (transactionId) => {
+    setDrafts((current) => current.filter((draft) => draft.transactionId !== transactionId))
+  }
+
+  // Log a draft as an expense; its transaction ID stops it being logged twice
+  const handleConfirm = async (draft) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      const response = await apiFetch(withLedger('/api/expenses'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          itemName: draft.itemName,
+          amount: draft.amount,
+          category: draft.category,
+          ...(draft.spentOn && { spentOn: draft.spentOn }),
+          currency: draft.currency,
+          transactionId: draft.transactionId,
+        }),
+      })
+
+      const data = await response.json()
+
+      if (response.status === 409) {
+        setDrafts((current) => current.map((entry) => (
+          entry.transactionId === draft.transactionId ? { ...entry, duplicate: true } : entry
+        )))
+      }
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to log the payment')
+      }
+
+      dismiss(draft.transactionId)
+      setSuccess(`✓ Logged ${draft.itemName}`)
+      onAdded()
+    } catch (err) {
+      setError(err.message || 'Failed to log the payment')
+    }
+  }
+
+  return (
+    <div className="expense-form-container">
+      <h2>Paste SMS</h2>
+      <p className="settings-hint">
+        Paste MTN MoMo or Telecel Cash payment confirmations, with a blank line between messages.
+      </p>
+
+      <form onSubmit={handleRead} className="expense-form">
+        <div className="form-group">
+          <label htmlFor="smsText">SMS messages</label>
+          <textarea
+            id="smsText"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Payment made for GHS 25.00 to KOFI SHOP. ... Transaction ID: 12345678901."
+            rows={4}
+            disabled={loading}
+          />
+        </div>
+
+        <button type="submit" className="btn-primary" disabled={loading}>
+          {loading ? 'Reading...' : 'Read SMS'}
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      {drafts.length > 0 && (
+        <ul className="balance-list settings-form">
+          {drafts.map((draft) => (
+            <li key={draft.transactionId} className="balance-item sms-draft">
+              <span>
+                {draft.itemName}
+                <span className="sms-draft-meta">
+                  {draft.provider} · {draft.spentOn || 'today'} · ID {draft.reference}
+                </span>
+              </span>
+              <span className="sms-draft-actions">
+                <strong>{draft.currency} {draft.amount.toFixed(2)}</strong>
+                {draft.duplicate ? (
+                  <span className="sms-draft-meta">Already logged</span>
+                ) : (
+                  <button type="button" className="btn-clear-range" onClick={() => handleConfirm(draft)}>
+                    Confirm
+                  </button>
+                )}
+                <button type="button" className="btn-clear-range" onClick={() => dismiss(draft.transactionId)}>
+                  Dismiss
+                </button>
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {unrecognised.length > 0 && (
+        <ul className="balance-list settings-form">
+          {unrecognised.map((entry, index) => (
+            <li key={index} className="balance-item">
+              <span className="sms-unread">{entry.message}</span>
+              <span>{entry.reason}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// Slices of a ring, one per category, with a legend giving each share
+function DonutChart({ slices, money }) {
+  const total = slices.reduce((sum, slice) => sum + slice.total, 0)
+  // Each arc starts where the previous one ended, as a percentage of the ring
+  const arcs = slices.reduce((list, slice) => {
+    const previous = list[list.length - 1]
+    const start = previous ? previous.start + previous.share : 0
+    return [...list, { ...slice, start, share: total > 0 ? (slice.total / total) * 100 : 0 }]
+  }, [])
+
+  return (
+    <div className="donut-chart">
+      {/* A radius of 100 / 2π makes the circumference 100, so dash lengths are percentages */}
+      <svg viewBox="0 0 42 42" role="img" aria-label="Spending by category">
+        <circle cx="21" cy="21" r="15.9155" fill="none" stroke="var(--border-color)" strokeWidth="6" />
+        {arcs.map((arc, index) => (
+          <circle
+            key={arc.category}
+            cx="21"
+            cy="21"
+            r="15.9155"
+            fill="none"
+            stroke={CHART_COLORS[index % CHART_COLORS.length]}
+            strokeWidth="6"
+            strokeDasharray={`${arc.share} ${100 - arc.share}`}
+            strokeDashoffset={25 - arc.start}
+          >
+            <title>{arc.category}: {money(arc.total)}</title>
+          </circle>
+        ))}
+      </svg>
+
+      <ul className="chart-legend">
+        {arcs.map((arc, index) => (
+          <li key={arc.category}>
+            <span className="legend-swatch" style={{ background: CHART_COLORS[index % CHART_COLORS.length] }} />
+            <span className="legend-label">{arc.category}</span>
+            <span>{money(arc.total)} · {Math.round(arc.share)}%</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// One bar per period, scaled to the largest
+function BarChart({ bars, money }) {
+  const max = Math.max(0, ...bars.map((bar) => bar.total))
+
+  return (
+    <div className="bar-chart">
+      <svg viewBox={`0 0 ${bars.length * 10} 50`} preserveAspectRatio="none" role="img" aria-label="Monthly totals">
+        {bars.map((bar, index) => {
+          const height = max > 0 ? (bar.total / max) * 48 : 0
+          return (
+            <rect key={bar.label} x={index * 10 + 1.5} y={50 - height} width="7" height={height} fill="var(--primary-color)">
+              <title>{bar.label}: {money(bar.total)}</title>
+            </rect>
+          )
+        })}
+      </svg>
+      <div className="bar-labels">
+        {bars.map((bar) => (
+          <span key={bar.label}>{bar.label}</span>
+        ))}
+      </div>
+    </div>
+  )
+}
+
+// Running totals by day of the month, one line per series
+function CumulativeChart({ series }) {
+  const days = 31
+  const max = Math.max(0, ...series.flatMap((line) => line.points))
+  const toPoints = (points) => points
+    .map((value, index) => `${(index / (days - 1)) * 100},${40 - (max > 0 ? (value / max) * 38 : 0)}`)
+    .join(' ')
+
+  return (
+    <div className="line-chart">
+      <svg viewBox="0 0 100 40" preserveAspectRatio="none" role="img" aria-label="This month against last month">
+        {series.map((line, index) => (
+          <polyline
+            key={line.label}
+            points={toPoints(line.points)}
+            fill="none"
+            stroke={CHART_COLORS[index % CHART_COLORS.length]}
+            strokeWidth="1"
+            vectorEffect="non-scaling-stroke"
+          />
+        ))}
+      </svg>
+      <ul className="chart-legend chart-legend-inline">
+        {series.map((line, index) => (
+          <li key={line.label}>
+            <span className="legend-swatch" style={{ background: CHART_COLORS[index % CHART_COLORS.length] }} />
+            <span className="legend-label">{line.label}</span>
+            <span>{line.caption}</span>
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// Running total of each day's spending
+const cumulativeTotals = (periods) => periods.reduce((list, period) => {
+  const previous = list.length > 0 ? list[list.length - 1] : 0
+  return [...list, Math.round((previous + period.total) * 100) / 100]
+}, [])
+
+// Dashboard tab: where the money goes, drawn from GET /api/reports/summary
+// rather than from the expense list, so it covers every expense
+function Dashboard({ apiFetch, withLedger }) {
+  const [monthly, setMonthly] = useState(null)
+  const [daily, setDaily] = useState(null)
+  const [error, setError] = useState('')
+
+  const fetchReports = useCallback(async () => {
+    const today = todayISO()
+
+    try {
+      const responses = await Promise.all([
+        apiFetch(withLedger(`/api/reports/summary?period=month&from=${monthStartISO(1 - DASHBOARD_MONTHS)}&to=${today}`)),
+        apiFetch(withLedger(`/api/reports/summary?period=day&from=${monthStartISO(-1)}&to=${today}&top=0`)),
+      ])
+      const [months, days] = await Promise.all(responses.map((response) => response.json()))
+      const failed = responses.findIndex((response) => !response.ok)
+
+      if (failed !== -1) {
+        throw new Error([months, days][failed].error || 'Failed to load reports')
+      }
+
+      setMonthly(months)
+      setDaily(days)
+      setError('')
+    } catch (err) {
+      setError(err.message || 'Failed to load reports')
+    }
+  }, [apiFetch, withLedger])
+
+  useEffect(() => {
+    fetchReports()
+  }, [fetchReports])
+
+  if (error) {
+    return (
+      <div className="expense-form-container">
+        <div className="error-message">{error}</div>
+      </div>
+    )
+  }
+
+  if (!monthly || !daily) {
+    return (
+      <div className="expense-form-container">
+        <p className="settings-hint">Loading dashboard...</p>
+      </div>
+    )
+  }
+
+  const money = (amount) => `${monthly.currency} ${amount.toFixed(2)}`
+  const thisMonthStart = monthStartISO(0)
+  const thisMonth = cumulativeTotals(daily.periods.filter((period) => period.start >= thisMonthStart))
+  const lastMonth = cumulativeTotals(daily.periods.filter((period) => period.start < thisMonthStart))
+  // Last month up to the same day, or all of it when it was shorter
+  const lastMonthToDate = lastMonth[Math.min(thisMonth.length, lastMonth.length) - 1] ?? 0
+  const bars = monthly.periods.map((period) => ({
+    label: new Date(`${period.start}T00:00:00`).toLocaleDateString('en-US', { month: 'short', year: '2-digit' }),
+    total: period.total,
+  }))
+
+  return (
+    <>
+      <div className="expense-form-container">
+        <h2>Spending by Category</h2>
+        <p className="settings-hint">
+          {money(monthly.total)} over the last {DASHBOARD_MONTHS} months, {money(monthly.average)} a month on average
+          {monthly.unconverted.length > 0 && ` (excludes ${monthly.unconverted.join(', ')}, no exchange rate)`}
+        </p>
+        {monthly.categories.length > 0 ? (
+          <DonutChart slices={monthly.categories} money={money} />
+        ) : (
+          <div className="empty-state">
+            <p>No spending in the last {DASHBOARD_MONTHS} months yet.</p>
+          </div>
+        )}
+      </div>
+
+      <div className="expense-form-container">
+        <h2>Monthly Totals</h2>
+        <BarChart bars={bars} money={money} />
+        {monthly.topItems.length > 0 && (
+          <>
+            <h3 className="chart-subheading">Top items</h3>
+            <ul className="balance-list">
+              {monthly.topItems.map((item) => (
+                <li key={item.itemName} className="balance-item">
+                  <span>{item.itemName} ({item.count})</span>
+                  <span>{money(item.total)}</span>
+                </li>
+              ))}
+            </ul>
+          </>
+        )}
+      </div>
+
+      <div className="expense-form-container">
+        <h2>This Month vs Last Month</h2>
+        <CumulativeChart
+          series={[
+            { label: 'This month', points: thisMonth, caption: `${money(thisMonth[thisMonth.length - 1] ?? 0)} so far` },
+            { label: 'Last month', points: lastMonth, caption: `${money(lastMonthToDate)} by this day` },
+          ]}
+        />
+      </div>
+
+      <ComparisonCard apiFetch={apiFetch} withLedger={withLedger} />
+    </>
+  )
+}
+
+// Periods the comparison card offers, each against the one before
+const COMPARE_PERIODS = [
+  { value: 'week', current: 'This week', previous: 'Last week' },
+  { value: 'month', current: 'This month', previous: 'Last month' },
+  { value: 'year', current: 'This year', previous: 'Last year' },
+]
+
+// Spending per category against the previous period; categories that
+// grew past the server's threshold, or are new, are highlighted
+function ComparisonCard({ apiFetch, withLedger }) {
+  const [period, setPeriod] = useState('month')
+  const [comparison, setComparison] = useState(null)
+  const [error, setError] = useState('')
+
+  const fetchComparison = useCallback(async () => {
+    try {
+      const response = await apiFetch(withLedger(`/api/reports/compare?period=${period}`))
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to compare spending')
+      }
+
+      setComparison(data)
+      setError('')
+    } catch (err) {
+      setError(err.message || 'Failed to compare spending')
+    }
+  }, [apiFetch, withLedger, period])
+
+  useEffect(() => {
+    fetchComparison()
+  }, [fetchComparison])
+
+  const labels = COMPARE_PERIODS.find((option) => option.value === period)
+  const money = (amount) => `${comparison.currency} ${amount.toFixed(2)}`
+  // The periods run only to today, so say which days each total covers
+  const day = (iso) => new Date(`${iso}T00:00:00`).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })
+  const range = ({ from, to }) => (from === to ? day(from) : `${day(from)} – ${day(to)}`)
+  const signed = (amount) => `${amount > 0 ? '+' : amount < 0 ? '-' : ''}${money(Math.abs(amount))}`
+  const growth = (row) => {
+    if (row.percent === null) {
+      return row.current > 0 ? 'new' : ''
+    }
+    return `${row.percent > 0 ? '+' : ''}${row.percent}%`
+  }
+
+  return (
+    <div className="expense-form-container">
+      <h2>Category Changes</h2>
+      <div className="form-group">
+        <label htmlFor="compare-period">Compare</label>
+        <select id="compare-period" value={period} onChange={(e) => setPeriod(e.target.value)}>
+          {COMPARE_PERIODS.map((option) => (
+            <option key={option.value} value={option.value}>
+              {option.current} vs {option.previous.toLowerCase()}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {error && <div className="error-message">{error}</div>}
+
+      {!error && !comparison && <p className="settings-hint">Loading comparison...</p>}
+
+      {!error && comparison && (
+        <>
+          <p className="settings-hint">
+            {money(comparison.current.total)} ({range(comparison.current)}) against {money(comparison.previous.total)} ({range(comparison.previous)})
+            {comparison.percent !== null && ` (${growth(comparison)})`}. Categories up more than {comparison.threshold}% are highlighted.
+            {comparison.unconverted.length > 0 && ` Excludes ${comparison.unconverted.join(', ')}, no exchange rate.`}
+          </p>
+          {comparison.categories.length > 0 ? (
+            <table className="comparison-table">
+              <thead>
+                <tr>
+                  <th scope="col">Category</th>
+                  <th scope="col">{labels.current}</th>
+                  <th scope="col">{labels.previous}</th>
+                  <th scope="col">Change</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.categories.map((row) => (
+                  <tr key={row.category} className={row.flagged ? 'comparison-flagged' : undefined}>
+                    <th scope="row">{row.category}</th>
+                    <td>{money(row.current)}</td>
+                    <td>{money(row.previous)}</td>
+                    <td>
+                      {signed(row.change)}
+                      {growth(row) && ` (${growth(row)})`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="empty-state">
+              <p>No spending in either period yet.</p>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  )
+}
+
+// Money coming in; it only shows up in the net balance, so the form just
+// asks the parent to refresh the summary after each entry
+function IncomeForm({ apiFetch, withLedger, accounts, currency, onAdded }) {
+  const [source, setSource] = useState('')
+  const [amount, setAmount] = useState('')
+  const [receivedOn, setReceivedOn] = useState(todayISO)
+  const [accountId, setAccountId] = useState('')
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSuccess('')
+
+    if (!source.trim()) {
+      setError('Source cannot be empty')
+      return
+    }
+
+    const numAmount = parseFloat(amount)
+    if (isNaN(numAmount) || numAmount < 0) {
+      setError('Income must be a positive number')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const response = await apiFetch(withLedger('/api/income'), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          source: source.trim(),
+          amount: numAmount,
+          receivedOn,
+          ...(accountId && { accountId: Number(accountId) }),
+        }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to add income')
+      }
+
+      setSuccess('✓ Income added!')
+      setSource('')
+      setAmount('')
+      setReceivedOn(todayISO())
+      setAccountId('')
+      onAdded()
+
+      setTimeout(() => setSuccess(''), 3000)
+    } catch (err) {
+      setError(err.message || 'Failed to add income')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  return (
+    <div className="expense-form-container">
+      <h2>Log Income</h2>
+
+      <form onSubmit={handleSubmit} className="expense-form">
+        <div className="form-group">
+          <label htmlFor="incomeSource">Source</label>
+          <input
+            type="text"
+            id="incomeSource"
+            value={source}
+            onChange={(e) => setSource(e.target.value)}
+            placeholder="e.g., Salary, Freelance"
+            disabled={loading}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="incomeAmount">Income ({currency})</label>
+          <input
+            type="number"
+            id="incomeAmount"
+            value={amount}
+            onChange={(e) => setAmount(e.target.value)}
+            placeholder="0.00"
+            step="0.01"
+            min="0"
+            disabled={loading}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="receivedOn">Received on</label>
+          <input
+            type="date"
+            id="receivedOn"
+            value={receivedOn}
+            onChange={(e) => setReceivedOn(e.target.value)}
+            disabled={loading}
+          />
+        </div>
+
+        {accounts.length > 0 && (
+          <div className="form-group">
+            <label htmlFor="incomeAccount">Received into</label>
+            <select
+              id="incomeAccount"
+              value={accountId}
+              onChange={(e) => setAccountId(e.target.value)}
+              disabled={loading}
+              className="category-select"
+            >
+              <option value="">No account</option>
+              {accounts.map((account) => (
+                <option key={account.id} value={account.id}>
+                  {account.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
+
+        {error && <div className="error-message">{error}</div>}
+        {success && <div className="success-message">{success}</div>}
+
+        <button type="submit" className="btn-primary" disabled={loading}>
+          {loading ? 'Adding...' : 'Add Income'}
+        </button>
+      </form>
+    </div>
+  )
+}
+
+// Accounts of the selected ledger with their balances, plus forms to add
+// an account and move money between two of them
+function AccountsCard({ apiFetch, withLedger, accounts, currency, canEdit, onChanged }) {
+  const [name, setName] = useState('')
+  const [kind, setKind] = useState('cash')
+  const [openingBalance, setOpeningBalance] = useState('')
+  const [fromId, setFromId] = useState('')
+  const [toId, setToId] = useState('')
+  const [transferAmount, setTransferAmount] = useState('')
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const kindLabels = Object.fromEntries(ACCOUNT_KIND_OPTIONS.map((option) => [option.value, option.label]))
+
+  // POST to the API, then report the outcome and refresh the balances
+  const submit = async (path, payload, message) => {
+    setError('')
+    setSuccess('')
+    setLoading(true)
+
+    try {
+      const response = await apiFetch(withLedger(path), {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(payload),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed')
+      }
+
+      setSuccess(message)
+      onChanged()
+      setTimeout(() => setSuccess(''), 3000)
+      return true
+    } catch (err) {
+      setError(err.message || 'Request failed')
+      return false
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleAddAccount = async (e) => {
+    e.preventDefault()
+
+    if (!name.trim()) {
+      setError('Account name cannot be empty')
+      return
+    }
+
+    const payload = { name: name.trim(), kind, openingBalance: parseFloat(openingBalance) || 0 }
+
+    if (await submit('/api/accounts', payload, `✓ ${payload.name} added`)) {
+      setName('')
+      setOpeningBalance('')
+    }
+  }
+
+  const handleTransfer = async (e) => {
+    e.preventDefault()
+
+    const numAmount = parseFloat(transferAmount)
+    if (!fromId || !toId || fromId === toId || isNaN(numAmount) || numAmount <= 0) {
+      setError('Choose two different accounts and a transfer greater than zero')
+      return
+    }
+
+    const payload = { fromAccountId: Number(fromId), toAccountId: Number(toId), amount: numAmount }
+
+    if (await submit('/api/transfers', payload, '✓ Transfer recorded')) {
+      setTransferAmount('')
+    }
+  }
+
+  return (
+    <div className="balances-container accounts-container">
+      <h2>Accounts</h2>
+
+      {accounts.length === 0 ? (
+        <p className="settings-hint">Add cash, mobile money or bank accounts to track what is left in each.</p>
+      ) : (
+        <ul className="balance-list">
+          {accounts.map((account) => (
+            <li key={account.id} className="balance-item">
+              <span>
+                {account.name} <span className="account-kind">{kindLabels[account.kind]}</span>
+              </span>
+              <span className={account.balance < 0 ? 'balance-owes' : 'balance-owed'}>
+                {account.currency ?? currency} {parseFloat(account.balance).toFixed(2)}
+                {account.unconverted?.length > 0 && (
+                  <span className="unconverted-note"> (excludes {account.unconverted.join(', ')})</span>
+                )}
+              </span>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {canEdit && (
+        <>
+          <form onSubmit={handleAddAccount} className="settings-form">
+            <input
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+              placeholder="e.g., MoMo wallet"
+              aria-label="Account name"
+              disabled={loading}
+            />
+            <select
+              value={kind}
+              onChange={(e) => setKind(e.target.value)}
+              aria-label="Account type"
+              className="category-select"
+              disabled={loading}
+            >
+              {ACCOUNT_KIND_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+            <input
+              type="number"
+              value={openingBalance}
+              onChange={(e) => setOpeningBalance(e.target.value)}
+              placeholder="0.00"
+              step="0.01"
+              aria-label="Opening balance"
+              disabled={loading}
+            />
+            <button type="submit" className="btn-primary" disabled={loading}>
+              Add Account
+            </button>
+          </form>
+
+          {accounts.length > 1 && (
+            <form onSubmit={handleTransfer} className="settings-form">
+              <select
+                value={fromId}
+                onChange={(e) => setFromId(e.target.value)}
+                aria-label="Transfer from"
+                className="category-select"
+                disabled={loading}
+              >
+                <option value="">From…</option>
+                {accounts.map((account) => (
+                  <option key={account.id} value={account.id}>
+                    {account.name}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={toId}
+                onChange={(e) => setToId(e.target.value)}
+                aria-label="Transfer to"
+                className="category-select"
+                disabled={loading}
+              >
+                <option value="">To…</option>
+                {accounts.map((account) => (
+                  <option key={account.id} value={account.id}>
+                    {account.name}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="number"
+                value={transferAmount}
+                onChange={(e) => setTransferAmount(e.target.value)}
+                placeholder="0.00"
+                step="0.01"
+                min="0"
+                aria-label={`Transfer (${currency})`}
+                disabled={loading}
+              />
+              <button type="submit" className="btn-primary" disabled={loading}>
+                Transfer
+              </button>
+            </form>
+          )}
+        </>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+    </div>
+  )
+}
+
+// Settings page: members of the selected ledger and new shared ledgers
+function LedgerSettings({ apiFetch, ledger, session, onLedgerCreated, onMembersChanged }) {
+  const [members, setMembers] = useState([])
+  const [inviteEmail, setInviteEmail] = useState('')
+  const [inviteRole, setInviteRole] = useState('editor')
+  const [ledgerName, setLedgerName] = useState('')
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+
+  const isOwner = ledger.role === 'owner'
+
+  const fetchMembers = useCallback(async () => {
+    try {
+      const response = await apiFetch(`/api/ledgers/${ledger.id}/members`)
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch members')
+      }
+
+      setMembers(data.members)
+    } catch (err) {
+      setError(err.message || 'Failed to load members')
+    }
+  }, [apiFetch, ledger.id])
+
+  useEffect(() => {
+    fetchMembers()
+  }, [fetchMembers])
+
+  // Send a membership change and refresh the list, showing any error
+  const changeMembers = async (path, options, message) => {
+    setError('')
+    setSuccess('')
+
+    try {
+      const response = await apiFetch(path, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to update members')
+      }
+
+      setSuccess(message)
+      fetchMembers()
+      onMembersChanged()
+      return true
+    } catch (err) {
+      setError(err.message || 'Failed to update members')
+      return false
+    }
+  }
+
+  const handleInvite = async (e) => {
+    e.preventDefault()
+
+    if (!inviteEmail.trim()) {
+      setError('Please enter the email of the person to invite')
+      return
+    }
+
+    const invited = await changeMembers(
+      `/api/ledgers/${ledger.id}/members`,
+      { method: 'POST', body: JSON.stringify({ email: inviteEmail.trim(), role: inviteRole }) },
+      `✓ ${inviteEmail.trim()} can now use ${ledger.name}`
+    )
+
+    if (invited) {
+      setInviteEmail('')
+    }
+  }
+
+  const handleRoleChange = (member, role) => changeMembers(
+    `/api/ledgers/${ledger.id}/members/${member.user_id}`,
+    { method: 'PATCH', body: JSON.stringify({ role }) },
+    `✓ ${member.email}'s role is now ${role}`
+  )
+
+  const handleRemove = (member) => {
+    if (!window.confirm(`Remove ${member.email} from ${ledger.name}?`)) {
+      return
+    }
+
+    changeMembers(
+      `/api/ledgers/${ledger.id}/members/${member.user_id}`,
+      { method: 'DELETE' },
+      `✓ ${member.email} was removed`
+    )
+  }
+
+  const handleCreateLedger = async (e) => {
+    e.preventDefault()
+    setError('')
+    setSuccess('')
+
+    if (!ledgerName.trim()) {
+      setError('Ledger name cannot be empty')
+      return
+    }
+
+    try {
+      const response = await apiFetch('/api/ledgers', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ name: ledgerName.trim() }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create ledger')
+      }
+
+      setLedgerName('')
+      onLedgerCreated(data.ledger)
+    } catch (err) {
+      setError(err.message || 'Failed to create ledger')
+    }
+  }
+
+  return (
+    <div className="expense-form-container">
+      <h2>Ledger: {ledger.name}</h2>
+      <p className="settings-hint">
+        Everyone in a ledger shares its expenses and budgets. Editors can change them, viewers can only look.
+      </p>
+
+      <ul className="token-list">
+        {members.map((member) => (
+          <li key={member.user_id} className="token-item">
+            <div className="token-info">
+              <span className="token-name">{member.email}</span>
+              {!isOwner && <span className="token-scope">{member.role}</span>}
+            </div>
+            {isOwner && (
+              <div className="member-actions">
+                <select
+                  value={member.role}
+                  onChange={(e) => handleRoleChange(member, e.target.value)}
+                  aria-label={`Role for ${member.email}`}
+                  className="category-select"
+                >
+                  {LEDGER_ROLE_OPTIONS.map((option) => (
+                    <option key={option.value} value={option.value}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {member.user_id !== session.user.id && (
+                  <button
+                    type="button"
+                    className="btn-revoke"
+                    onClick={() => handleRemove(member)}
+                    aria-label={`Remove ${member.email}`}
+                  >
+                    Remove
+                  </button>
+                )}
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+
+      {isOwner && (
+        <form onSubmit={handleInvite} className="expense-form settings-form">
+          <div className="form-group">
+            <label htmlFor="inviteEmail">Invite by email</label>
+            <input
+              type="email"
+              id="inviteEmail"
+              value={inviteEmail}
+              onChange={(e) => setInviteEmail(e.target.value)}
+              placeholder="partner@example.com"
+            />
+          </div>
+
+          <div className="form-group">
+            <label htmlFor="inviteRole">Role</label>
+            <select
+              id="inviteRole"
+              value={inviteRole}
+              onChange={(e) => setInviteRole(e.target.value)}
+              className="category-select"
+            >
+              {LEDGER_ROLE_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <button type="submit" className="btn-primary">Invite</button>
+        </form>
+      )}
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      <form onSubmit={handleCreateLedger} className="expense-form settings-form">
+        <div className="form-group">
+          <label htmlFor="ledgerName">New ledger name</label>
+          <input
+            type="text"
+            id="ledgerName"
+            value={ledgerName}
+            onChange={(e) => setLedgerName(e.target.value)}
+            placeholder="e.g., Household"
+          />
+        </div>
+
+        <button type="submit" className="btn-primary">Create Ledger</button>
+      </form>
+    </div>
+  )
+}
+
+// Settings page: the home currency totals are shown in, and the selected
+// ledger's exchange rates used to convert other currencies into it
+function CurrencySettings({ apiFetch, withLedger, homeCurrency, onChanged }) {
+  const [choice, setChoice] = useState(homeCurrency)
+  const [rates, setRates] = useState([])
+  const [rateLines, setRateLines] = useState('')
+  const [error, setError] = useState('')
+  const [success, setSuccess] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const fetchRates = useCallback(async () => {
+    try {
+      const response = await apiFetch(withLedger('/api/rates'))
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch exchange rates')
+      }
+
+      setRates(data.rates)
+    } catch (err) {
+      setError(err.message || 'Failed to load exchange rates')
+    }
+  }, [apiFetch, withLedger])
+
+  useEffect(() => {
+    fetchRates()
+  }, [fetchRates])
+
+  // PATCH or POST a JSON body, reporting the outcome
+  const send = async (path, method, body) => {
+    setError('')
+    setSuccess('')
+    setLoading(true)
+
+    try {
+      const response = await apiFetch(path, {
+        method,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(body),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Request failed')
+      }
+      return data
+    } catch (err) {
+      setError(err.message || 'Request failed')
+      return null
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleCurrency = async (e) => {
+    e.preventDefault()
+
+    const data = await send('/api/auth/me', 'PATCH', { homeCurrency: choice })
+
+    if (data) {
+      onChanged(data.user.homeCurrency)
+      setSuccess(`✓ Totals are now shown in ${data.user.homeCurrency}`)
+    }
+  }
+
+  // One rate per line: base,quote,rate,date (e.g. USD,GHS,15.40,2026-03-01)
+  const handleImport = async (e) => {
+    e.preventDefault()
+
+    const lines = rateLines.split('\n').map((line) => line.trim()).filter(Boolean)
+    if (lines.length === 0) {
+      setError('Enter at least one rate')
+      return
+    }
+
+    const imported = lines.map((line) => {
+      const [base, quote, rate, date] = line.split(',').map((part) => part.trim())
+      return { base, quote, rate, date }
+    })
+
+    const data = await send(withLedger('/api/rates/import'), 'POST', { rates: imported })
+
+    if (data) {
+      setSuccess(`✓ ${data.imported} exchange rates imported`)
+      setRateLines('')
+      fetchRates()
+    }
+  }
+
+  return (
+    <div className="expense-form-container">
+      <h2>Currency</h2>
+      <p className="settings-hint">
+        Totals are converted into your home currency at the rate in force on the day of each expense.
+        Exchange rates belong to the selected ledger.
+      </p>
+
+      <form onSubmit={handleCurrency} className="expense-form">
+        <div className="form-group">
+          <label htmlFor="homeCurrency">Home currency</label>
+          <select
+            id="homeCurrency"
+            value={choice}
+            onChange={(e) => setChoice(e.target.value)}
+            className="category-select"
+            disabled={loading}
+          >
+            {[...new Set([homeCurrency, ...CURRENCY_OPTIONS])].map((code) => (
+              <option key={code} value={code}>{code}</option>
+            ))}
+          </select>
+        </div>
+
+        <button type="submit" className="btn-primary" disabled={loading || choice === homeCurrency}>
+          Change currency
+        </button>
+      </form>
+
+      <form onSubmit={handleImport} className="expense-form settings-form">
+        <div className="form-group">
+          <label htmlFor="rateLines">Rates to import</label>
+          <textarea
+            id="rateLines"
+            value={rateLines}
+            onChange={(e) => setRateLines(e.target.value)}
+            placeholder="USD,GHS,15.40,2026-03-01"
+            rows={3}
+            disabled={loading}
+          />
+        </div>
+
+        <button type="submit" className="btn-primary" disabled={loading}>
+          Import rates
+        </button>
+      </form>
+
+      {error && <div className="error-message">{error}</div>}
+      {success && <div className="success-message">{success}</div>}
+
+      {rates.length > 0 && (
+        <ul className="balance-list settings-form">
+          {rates.map((rate) => (
+            <li key={`${rate.base}/${rate.quote}`} className="balance-item">
+              <span>1 {rate.base} = {rate.rate} {rate.quote}</span>
+              <span>{rate.rate_on}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// Settings page: personal API tokens for scripts and integrations
+function ApiTokenSettings({ apiFetch }) {
+  const [tokens, setTokens] = useState([])
+  const [name, setName] = useState('')
+  const [scope, setScope] = useState('read-write')
+  const [expiresIn, setExpiresIn] = useState('90')
+  const [newToken, setNewToken] = useState(null)
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const fetchTokens = useCallback(async () => {
+    try {
+      const response = await apiFetch('/api/tokens')
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to fetch API tokens')
+      }
+
+      setTokens(data.tokens)
+    } catch (err) {
+      setError(err.message || 'Failed to load API tokens')
+    }
+  }, [apiFetch])
+
+  useEffect(() => {
+    fetchTokens()
+  }, [fetchTokens])
+
+  const handleCreate = async (e) => {
+    e.preventDefault()
+    setError('')
+    setNewToken(null)
+
+    if (!name.trim()) {
+      setError('Token name cannot be empty')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const response = await apiFetch('/api/tokens', {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          name: name.trim(),
+          scope,
+          expiresInDays: expiresIn ? parseInt(expiresIn) : null,
+        }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to create API token')
+      }
+
+      // The server only returns the token this once
+      setNewToken({ name: data.apiToken.name, token: data.token })
+      setName('')
+      fetchTokens()
+    } catch (err) {
+      setError(err.message || 'Failed to create API token')
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const handleRevoke = async (token) => {
+    if (!window.confirm(`Revoke "${token.name}"? Scripts using it will stop working.`)) {
+      return
+    }
+
+    try {
+      const response = await apiFetch(`/api/tokens/${token.id}`, {
+        method: 'DELETE',
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || 'Failed to revoke API token')
+      }
+
+      fetchTokens()
+    } catch (err) {
+      setError(err.message || 'Failed to revoke API token')
+    }
+  }
+
+  return (
+    <div className="expense-form-container">
+      <h2>API Tokens</h2>
+      <p className="settings-hint">
+        Tokens let scripts and integrations use your account. Send one as
+        {' '}<code>Authorization: Bearer &lt;token&gt;</code>.
+      </p>
+
+      <form onSubmit={handleCreate} className="expense-form">
+        <div className="form-group">
+          <label htmlFor="tokenName">Token name</label>
+          <input
+            type="text"
+            id="tokenName"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="e.g., Telegram bot"
+            disabled={loading}
+          />
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="tokenScope">Access</label>
+          <select
+            id="tokenScope"
+            value={scope}
+            onChange={(e) => setScope(e.target.value)}
+            className="category-select"
+            disabled={loading}
+          >
+            {TOKEN_SCOPE_OPTIONS.map((option) => (
+              <option key={option.value} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div className="form-group">
+          <label htmlFor="tokenExpiry">Expires</label>
+          <select
+            id="tokenExpiry"
+            value={expiresIn}
+            onChange={(e) => setExpiresIn(e.target.value)}
+            className="category-select"
+            disabled={loading}
+          >
+            {TOKEN_EXPIRY_OPTIONS.map((option) => (
+              <option key={option.label} value={option.value}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {error && <div className="error-message">{error}</div>}
+        {newToken && (
+          <div className="success-message new-token">
+            <p>Copy &ldquo;{newToken.name}&rdquo; now; it will not be shown again.</p>
+            <code>{newToken.token}</code>
+          </div>
+        )}
+
+        <button type="submit" className="btn-primary" disabled={loading}>
+          {loading ? 'Creating...' : 'Create Token'}
+        </button>
+      </form>
+
+      {tokens.length === 0 ? (
+        <p className="settings-hint">No API tokens yet.</p>
+      ) : (
+        <ul className="token-list">
+          {tokens.map((token) => (
+            <li key={token.id} className="token-item">
+              <div className="token-info">
+                <span className="token-name">{token.name}</span>
+                <span className="token-scope">{token.scope === 'read' ? 'Read only' : 'Read & write'}</span>
+                <span className="token-meta">
+                  {token.last_used_at ? `Last used ${formatDate(token.last_used_at)}` : 'Never used'}
+                  {' · '}
+                  {token.expires_at ? `Expires ${formatDate(token.expires_at)}` : 'Never expires'}
+                </span>
+              </div>
+              <button
+                type="button"
+                className="btn-revoke"
+                onClick={() => handleRevoke(token)}
+                aria-label={`Revoke ${token.name}`}
+              >
+                Revoke
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  )
+}
+
+// Log in to an existing account or register a new one
+function AuthScreen({ onLogin }) {
+  const [mode, setMode] = useState('login')
+  const [email, setEmail] = useState('')
+  const [password, setPassword] = useState('')
+  const [error, setError] = useState('')
+  const [loading, setLoading] = useState(false)
+
+  const registering = mode === 'register'
+
+  const handleSubmit = async (e) => {
+    e.preventDefault()
+    setError('')
+
+    if (!email.trim() || !password) {
+      setError('Please enter your email and password')
+      return
+    }
+
+    if (registering && password.length < 8) {
+      setError('Password must be at least 8 characters')
+      return
+    }
+
+    setLoading(true)
+
+    try {
+      const response = await fetch(`${API_URL}/api/auth/${mode}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({ email: email.trim(), password }),
+      })
+
+      const data = await response.json()
+
+      if (!response.ok) {
+        throw new Error(data.error || (registering ? 'Failed to create account' : 'Failed to log in'))
+      }
+
+      onLogin({ token: data.token, user: data.user })
+    } catch (err) {
+      setError(err.message || (registering ? 'Failed to create account' : 'Failed to log in'))
+    } finally {
+      setLoading(false)
+    }
+  }
+
+  const toggleMode = () => {
+    setMode(registering ? 'login' : 'register')
+    setError('')
+  }
+
+  return (
+    <div className="app-container">
+      <header className="app-header">
+        <h1>💰 SpendWise</h1>
+        <p>Track your daily expenses</p>
+      </header>
+
+      <main className="auth-content">
+        <div className="expense-form-container auth-container">
+          <h2>{registering ? 'Create Account' : 'Log In'}</h2>
+
+          <form onSubmit={handleSubmit} className="expense-form">
+            <div className="form-group">
+              <label htmlFor="email">Email</label>
+              <input
+                type="email"
+                id="email"
+                value={email}
+                onChange={(e) => setEmail(e.target.value)}
+                autoComplete="email"
+                disabled={loading}
+              />
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="password">Password</label>
+              <input
+                type="password"
+                id="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete={registering ? 'new-password' : 'current-password'}
+                disabled={loading}
+              />
+            </div>
+
+            {error && <div className="error-message">{error}</div>}
+
+            <button type="submit" className="btn-primary" disabled={loading}>
+              {loading ? 'Please wait...' : registering ? 'Create Account' : 'Log In'}
+            </button>
+          </form>
+
+          <button type="button" className="btn-link" onClick={toggleMode} disabled={loading}>
+            {registering ? 'Already have an account? Log in' : 'New here? Create an account'}
+          </button>
+        </div>
+      </main>
+    </div>
+  )
+}
+
+// Shows the login screen until there is a session, then the tracker.
+// Logging out unmounts the tracker, so no expenses outlive the session.
+function App() {
+  const [session, setSession] = useState(loadSession)
+
+  const handleLogin = useCallback((newSession) => {
+    localStorage.setItem(SESSION_KEY, JSON.stringify(newSession))
+    setSession(newSession)
+  }, [])
+
+  const clearSession = useCallback(() => {
+    localStorage.removeItem(SESSION_KEY)
+    setSession(null)
+  }, [])
+
+  if (!session) {
+    return <AuthScreen onLogin={handleLogin} />
+  }
+
+  return <ExpenseTracker session={session} onLogout={clearSession} onSessionExpired={clearSession} />
+}
+
 export default App
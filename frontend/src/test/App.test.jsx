@@ -1,11 +1,87 @@
 import { describe, test, expect, beforeEach, afterEach, vi } from 'vitest';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import App from '../App';
 
 // Mock fetch globally
 globalThis.fetch = vi.fn();
 
+// Tests start logged in; the login screen has its own block below
+const TEST_TOKEN = 'test-session-token';
+const testSession = { token: TEST_TOKEN, user: { id: 1, email: 'sam@example.com' } };
+const authHeader = { Authorization: `Bearer ${TEST_TOKEN}` };
+
+// Matches the options of any request sent with the session token
+const withAuth = expect.objectContaining({ headers: expect.objectContaining(authHeader) });
+
+beforeEach(() => {
+  localStorage.setItem('spendwise.session', JSON.stringify(testSession));
+});
+
+afterEach(() => {
+  localStorage.clear();
+});
+
+// Categories as seeded by init.sql, returned by GET /api/categories on mount
+const mockCategories = [
+  { id: 1, name: 'Food', color: '#f59e0b', icon: '🍔' },
+  { id: 2, name: 'Transport', color: '#3b82f6', icon: '🚌' },
+  { id: 3, name: 'Entertainment', color: '#ec4899', icon: '🎬' },
+  { id: 4, name: 'Shopping', color: '#8b5cf6', icon: '🛍️' },
+  { id: 5, name: 'Bills', color: '#ef4444', icon: '🧾' },
+  { id: 6, name: 'Other', color: '#6b7280', icon: '📦' },
+];
+
+const categoriesResponse = () => ({
+  ok: true,
+  json: async () => ({ categories: mockCategories })
+});
+
+// No budgets set, as returned by GET /api/budgets/status on mount
+const budgetStatusResponse = () => ({
+  ok: true,
+  json: async () => ({ month: todayISO().slice(0, 7), budgets: [] })
+});
+
+// The user's personal ledger, as returned by GET /api/ledgers on mount
+const mockLedgers = [{ id: 1, name: 'Personal', role: 'owner', member_count: 1 }];
+
+const ledgersResponse = () => ({
+  ok: true,
+  json: async () => ({ ledgers: mockLedgers })
+});
+
+// No accounts yet, as returned by GET /api/accounts on mount
+const accountsResponse = () => ({
+  ok: true,
+  json: async () => ({ accounts: [] })
+});
+
+// Answer a request by URL, for tests that do not care about call order
+const mockApiResponse = (url) => {
+  if (url.includes('/api/categories')) return { categories: mockCategories };
+  if (url.includes('/api/tokens')) return { tokens: [] };
+  if (url.includes('/members')) return { members: [{ user_id: 1, email: 'sam@example.com', role: 'owner' }] };
+  if (url.includes('/api/ledgers')) return { ledgers: mockLedgers };
+  if (url.includes('/api/budgets/status')) return { month: todayISO().slice(0, 7), budgets: [] };
+  if (url.includes('/api/balances')) return { balances: [], transfers: [] };
+  if (url.includes('/api/accounts')) return { accounts: [] };
+  if (url.includes('/api/rates')) return { rates: [] };
+  if (url.includes('/total')) return { total: 0 };
+  if (url.includes('/api/reports/compare')) {
+    const today = todayISO()
+    return { current: { from: today, to: today, total: 0 }, previous: { from: today, to: today, total: 0 }, change: 0, percent: null, threshold: 20, categories: [], currency: 'GHS', unconverted: [] };
+  }
+  return { expenses: [] };
+};
+
+// Today's local date as YYYY-MM-DD (the Log Expense form's default date)
+const todayISO = () => {
+  const now = new Date();
+  const offset = now.getTimezoneOffset() * 60000;
+  return new Date(now.getTime() - offset).toISOString().slice(0, 10);
+};
+
 describe('User Story 1: Log Expense - Frontend UI', () => {
   beforeEach(() => {
     // Clear all mocks before each test
@@ -23,6 +99,10 @@ describe('User Story 1: Log Expense - Frontend UI', () => {
       ok: true,
       json: async () => ({ total: 0 })
     });
+    fetch.mockResolvedValueOnce(categoriesResponse());
+    fetch.mockResolvedValueOnce(budgetStatusResponse());
+    fetch.mockResolvedValueOnce(ledgersResponse());
+    fetch.mockResolvedValueOnce(accountsResponse());
   });
 
   describe('Acceptance Criteria #1: Input fields for Item Name and Amount', () => {
@@ -106,11 +186,13 @@ describe('User Story 1: Log Expense - Frontend UI', () => {
           method: 'POST',
           headers: {
             'Content-Type': 'application/json',
+            ...authHeader,
           },
           body: JSON.stringify({
             itemName: 'Lunch',
             amount: 25.50,
             category: 'Other',
+            spentOn: todayISO(),
           })
         })
       );
@@ -182,9 +264,11 @@ describe('User Story 1: Log Expense - Frontend UI', () => {
       });
 
       // Should not call POST API (only the initial GET calls from mount)
-      expect(fetch).toHaveBeenCalledTimes(2);
-      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses');
-      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total');
+      expect(fetch).toHaveBeenCalledTimes(6);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/categories', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/budgets/status', withAuth);
     });
 
     test('should show error for negative amount', async () => {
@@ -210,9 +294,11 @@ describe('User Story 1: Log Expense - Frontend UI', () => {
       });
 
       // Should not call POST API (only the initial GET calls from mount)
-      expect(fetch).toHaveBeenCalledTimes(2);
-      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses');
-      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total');
+      expect(fetch).toHaveBeenCalledTimes(6);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/categories', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/budgets/status', withAuth);
     });
 
     test('should show error message from server when API fails', async () => {
@@ -319,12 +405,16 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
       // Verify fetch was called
       await waitFor(() => {
-        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses');
+        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses', withAuth);
       });
     });
 
@@ -353,6 +443,10 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -400,6 +494,10 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 85.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -428,6 +526,10 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -446,6 +548,10 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -466,6 +572,10 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -493,6 +603,10 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 10.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -521,6 +635,10 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -581,7 +699,11 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         .mockResolvedValueOnce({
           ok: true,
           json: async () => ({ total: 0 })
-        });
+        })
+        .mockResolvedValueOnce(categoriesResponse())
+        .mockResolvedValueOnce(budgetStatusResponse())
+        .mockResolvedValueOnce(ledgersResponse())
+        .mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -607,7 +729,11 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         .mockResolvedValueOnce({
           ok: true,
           json: async () => ({ total: 30.50 })
-        });
+        })
+        .mockResolvedValueOnce(categoriesResponse())
+        .mockResolvedValueOnce(budgetStatusResponse())
+        .mockResolvedValueOnce(ledgersResponse())
+        .mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -632,7 +758,11 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         .mockResolvedValueOnce({
           ok: true,
           json: async () => ({ total: 99.99 })
-        });
+        })
+        .mockResolvedValueOnce(categoriesResponse())
+        .mockResolvedValueOnce(budgetStatusResponse())
+        .mockResolvedValueOnce(ledgersResponse())
+        .mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -642,7 +772,7 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
       });
     });
 
-    test('should not display total when no expenses exist', async () => {
+    test('should display a zero total when no expenses exist', async () => {
       globalThis.fetch = vi.fn()
         .mockResolvedValueOnce({
           ok: true,
@@ -651,7 +781,11 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         .mockResolvedValueOnce({
           ok: true,
           json: async () => ({ total: 0 })
-        });
+        })
+        .mockResolvedValueOnce(categoriesResponse())
+        .mockResolvedValueOnce(budgetStatusResponse())
+        .mockResolvedValueOnce(ledgersResponse())
+        .mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -659,7 +793,7 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         expect(screen.getByText(/no expenses yet/i)).toBeInTheDocument();
       });
 
-      expect(screen.queryByText(/total spending/i)).not.toBeInTheDocument();
+      expect(screen.getByText(/total spending/i).parentElement).toHaveTextContent('GHS 0.00');
     });
 
     test('AC #1: should update total when new expense is added', async () => {
@@ -680,6 +814,10 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
           ok: true,
           json: async () => ({ total: 10.00 })
         })
+        .mockResolvedValueOnce(categoriesResponse())
+        .mockResolvedValueOnce(budgetStatusResponse())
+        .mockResolvedValueOnce(ledgersResponse())
+        .mockResolvedValueOnce(accountsResponse())
         // POST new expense
         .mockResolvedValueOnce({
           ok: true,
@@ -738,7 +876,11 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         .mockResolvedValueOnce({
           ok: true,
           json: async () => ({ total: 1500.75 })
-        });
+        })
+        .mockResolvedValueOnce(categoriesResponse())
+        .mockResolvedValueOnce(budgetStatusResponse())
+        .mockResolvedValueOnce(ledgersResponse())
+        .mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -763,7 +905,11 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         .mockResolvedValueOnce({
           ok: false,
           json: async () => ({ error: 'Failed to fetch total' })
-        });
+        })
+        .mockResolvedValueOnce(categoriesResponse())
+        .mockResolvedValueOnce(budgetStatusResponse())
+        .mockResolvedValueOnce(ledgersResponse())
+        .mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -771,10 +917,8 @@ describe('User Story 2: View Expense List - Frontend UI', () => {
         expect(screen.getByText('Item')).toBeInTheDocument();
       });
 
-      // Total should still display with default 0 value
-      await waitFor(() => {
-        expect(screen.getByText(/total spending/i)).toBeInTheDocument();
-      });
+      // Without a summary there is no total to show
+      expect(screen.queryByText(/total spending/i)).not.toBeInTheDocument();
 
       consoleSpy.mockRestore();
     });
@@ -809,6 +953,10 @@ describe('User Story 4: Delete Expense - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -839,6 +987,10 @@ describe('User Story 4: Delete Expense - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -870,6 +1022,10 @@ describe('User Story 4: Delete Expense - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -901,6 +1057,10 @@ describe('User Story 4: Delete Expense - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -936,7 +1096,7 @@ describe('User Story 4: Delete Expense - Frontend UI', () => {
       await waitFor(() => {
         expect(fetch).toHaveBeenCalledWith(
           'http://localhost:5000/api/expenses/1',
-          { method: 'DELETE' }
+          { method: 'DELETE', headers: authHeader }
         );
       });
     });
@@ -962,6 +1122,10 @@ describe('User Story 4: Delete Expense - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -999,6 +1163,10 @@ describe('User Story 4: Delete Expense - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1066,6 +1234,10 @@ describe('User Story 4: Delete Expense - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1122,6 +1294,10 @@ describe('User Story 4: Delete Expense - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1170,6 +1346,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1188,6 +1368,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1217,6 +1401,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1238,6 +1426,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1283,7 +1475,8 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
             body: JSON.stringify({
               itemName: 'Lunch',
               amount: 25.50,
-              category: 'Food'
+              category: 'Food',
+              spentOn: todayISO()
             })
           })
         );
@@ -1302,6 +1495,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1353,6 +1550,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1371,6 +1572,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1398,6 +1603,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1425,7 +1634,7 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
 
       // Verify filtered fetch was called
       await waitFor(() => {
-        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?category=Food');
+        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?category=Food', withAuth);
       });
     });
 
@@ -1447,6 +1656,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1493,6 +1706,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1522,6 +1739,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1548,7 +1769,7 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
 
       // Verify filtered total fetch was called
       await waitFor(() => {
-        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total?category=Food');
+        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total?category=Food', withAuth);
       });
     });
 
@@ -1570,6 +1791,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1618,6 +1843,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1638,10 +1867,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
 
       await user.selectOptions(screen.getByLabelText(/filter by/i), 'Bills');
 
-      // Verify empty state and no total
+      // Verify empty state and a zero total
       await waitFor(() => {
         expect(screen.getByText(/no expenses yet/i)).toBeInTheDocument();
-        expect(screen.queryByText(/total spending/i)).not.toBeInTheDocument();
+        expect(screen.getByText(/total spending/i).parentElement).toHaveTextContent('GHS 0.00');
       });
     });
 
@@ -1662,6 +1891,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1733,6 +1966,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 55.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1788,7 +2025,7 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
 
       // Verify filter maintained
       await waitFor(() => {
-        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?category=Food');
+        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?category=Food', withAuth);
         expect(screen.getByLabelText(/filter by/i)).toHaveValue('Food');
       });
 
@@ -1812,6 +2049,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1890,6 +2131,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1910,6 +2155,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1940,6 +2189,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -1962,6 +2215,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2008,7 +2265,8 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
             body: JSON.stringify({
               itemName: 'Lunch',
               amount: 25.50,
-              category: 'Food'
+              category: 'Food',
+              spentOn: todayISO()
             })
           })
         );
@@ -2028,6 +2286,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 0 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2082,6 +2344,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2108,6 +2374,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2140,6 +2410,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2169,8 +2443,8 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
 
       // Verify filtered fetch was called
       await waitFor(() => {
-        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?category=Food');
-        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total?category=Food');
+        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?category=Food', withAuth);
+        expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total?category=Food', withAuth);
       });
     });
 
@@ -2193,6 +2467,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 45.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2245,6 +2523,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2278,6 +2560,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 45.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2330,6 +2616,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2352,10 +2642,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
       const filterSelect = screen.getByLabelText(/filter by/i);
       await user.selectOptions(filterSelect, 'Bills');
 
-      // Verify empty state and no total displayed
+      // Verify empty state and a zero total
       await waitFor(() => {
         expect(screen.getByText(/no expenses yet/i)).toBeInTheDocument();
-        expect(screen.queryByText(/total spending/i)).not.toBeInTheDocument();
+        expect(screen.getByText(/total spending/i).parentElement).toHaveTextContent('GHS 0.00');
       });
     });
 
@@ -2377,6 +2667,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 30.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2453,6 +2747,10 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
         ok: true,
         json: async () => ({ total: 25.50 })
       });
+      fetch.mockResolvedValueOnce(categoriesResponse());
+      fetch.mockResolvedValueOnce(budgetStatusResponse());
+      fetch.mockResolvedValueOnce(ledgersResponse());
+      fetch.mockResolvedValueOnce(accountsResponse());
 
       render(<App />);
 
@@ -2523,3 +2821,2216 @@ describe('User Story 5: Filter by Category - Frontend UI', () => {
     });
   });
 });
+
+describe('User Story 6: Edit Expense - Frontend UI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    // Mock GET /api/expenses with one expense
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        expenses: [
+          { id: 1, item_name: 'Lnch', amount: '25.50', category: 'Food', created_at: '2026-02-05T12:00:00Z' }
+        ]
+      })
+    });
+
+    // Mock GET /api/expenses/total
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ total: 25.50 })
+    });
+    fetch.mockResolvedValueOnce(categoriesResponse());
+    fetch.mockResolvedValueOnce(budgetStatusResponse());
+    fetch.mockResolvedValueOnce(ledgersResponse());
+    fetch.mockResolvedValueOnce(accountsResponse());
+  });
+
+  test('should render an edit button for each expense', async () => {
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: /edit lnch/i })).toBeInTheDocument();
+    });
+  });
+
+  test('should switch the row into edit mode with current values', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: /edit lnch/i }));
+
+    expect(screen.getByLabelText(/edit item name/i)).toHaveValue('Lnch');
+    expect(screen.getByLabelText(/edit amount/i)).toHaveValue(25.5);
+    expect(screen.getByLabelText(/edit category/i)).toHaveValue('Food');
+  });
+
+  test('should send PATCH request and refresh list when saved', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: /edit lnch/i }));
+
+    // Mock PATCH /api/expenses/1
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        message: 'Expense updated successfully',
+        expense: { id: 1, item_name: 'Lunch', amount: '25.50', category: 'Food' }
+      })
+    });
+
+    // Mock refreshed GET /api/expenses
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({
+        expenses: [
+          { id: 1, item_name: 'Lunch', amount: '25.50', category: 'Food', created_at: '2026-02-05T12:00:00Z' }
+        ]
+      })
+    });
+
+    // Mock refreshed GET /api/expenses/total
+    fetch.mockResolvedValueOnce({
+      ok: true,
+      json: async () => ({ total: 25.50 })
+    });
+
+    const nameInput = screen.getByLabelText(/edit item name/i);
+    await user.clear(nameInput);
+    await user.type(nameInput, 'Lunch');
+    await user.click(screen.getByRole('button', { name: /save/i }));
+
+    expect(fetch).toHaveBeenCalledWith(
+      'http://localhost:5000/api/expenses/1',
+      expect.objectContaining({
+        method: 'PATCH',
+        body: JSON.stringify({
+          itemName: 'Lunch',
+          amount: 25.5,
+          category: 'Food',
+        })
+      })
+    );
+
+    await waitFor(() => {
+      expect(screen.getByText('Lunch')).toBeInTheDocument();
+      expect(screen.getByText(/expense updated successfully/i)).toBeInTheDocument();
+    });
+    expect(screen.queryByLabelText(/edit item name/i)).not.toBeInTheDocument();
+  });
+
+  test('should validate edited values before sending', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: /edit lnch/i }));
+
+    await user.clear(screen.getByLabelText(/edit item name/i));
+    await user.click(screen.getByRole('button', { name: /save/i }));
+
+    expect(screen.getByText(/item name cannot be empty/i)).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledTimes(6);
+  });
+
+  test('should show server error and stay in edit mode', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: /edit lnch/i }));
+
+    // Mock PATCH returning 404
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      json: async () => ({ error: 'Expense not found' })
+    });
+
+    await user.click(screen.getByRole('button', { name: /save/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/expense not found/i)).toBeInTheDocument();
+    });
+    expect(screen.getByLabelText(/edit item name/i)).toBeInTheDocument();
+  });
+
+  test('should discard changes when cancelled', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: /edit lnch/i }));
+    await user.type(screen.getByLabelText(/edit item name/i), 'xyz');
+    await user.click(screen.getByRole('button', { name: /cancel/i }));
+
+    expect(screen.queryByLabelText(/edit item name/i)).not.toBeInTheDocument();
+    expect(screen.getByText('Lnch')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledTimes(6);
+  });
+});
+
+describe('User Story 7: Expense Date - Frontend UI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+  });
+
+  test('should render a date input defaulting to today', async () => {
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ expenses: [] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ total: 0 }) })
+      .mockResolvedValueOnce(categoriesResponse())
+      .mockResolvedValueOnce(budgetStatusResponse())
+      .mockResolvedValueOnce(ledgersResponse())
+      .mockResolvedValueOnce(accountsResponse());
+
+    render(<App />);
+
+    const dateInput = screen.getByLabelText(/^date$/i);
+    expect(dateInput).toHaveAttribute('type', 'date');
+    expect(dateInput).toHaveValue(todayISO());
+  });
+
+  test('should send the chosen date with the new expense', async () => {
+    const user = userEvent.setup();
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ expenses: [] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ total: 0 }) })
+      .mockResolvedValueOnce(categoriesResponse())
+      .mockResolvedValueOnce(budgetStatusResponse())
+      .mockResolvedValueOnce(ledgersResponse())
+      .mockResolvedValueOnce(accountsResponse())
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          message: 'Expense added successfully',
+          expense: { id: 1, item_name: 'Bus fare', amount: '5.00', spent_on: '2026-02-04' }
+        })
+      })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ expenses: [] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ total: 5 }) });
+
+    render(<App />);
+
+    await user.type(screen.getByLabelText(/item name/i), 'Bus fare');
+    await user.type(screen.getByLabelText(/amount/i), '5');
+    const dateInput = screen.getByLabelText(/^date$/i);
+    await user.clear(dateInput);
+    await user.type(dateInput, '2026-02-04');
+    await user.click(screen.getByRole('button', { name: /add expense/i }));
+
+    expect(fetch).toHaveBeenCalledWith(
+      'http://localhost:5000/api/expenses',
+      expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({
+          itemName: 'Bus fare',
+          amount: 5,
+          category: 'Other',
+          spentOn: '2026-02-04',
+        })
+      })
+    );
+
+    // Date resets to today after a successful submission
+    await waitFor(() => {
+      expect(dateInput).toHaveValue(todayISO());
+    });
+  });
+
+  test('should display spent_on instead of the insert time', async () => {
+    fetch
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          expenses: [
+            { id: 1, item_name: 'Bus fare', amount: '5.00', category: 'Transport', spent_on: '2026-02-04', created_at: '2026-02-05T09:00:00Z' }
+          ]
+        })
+      })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ total: 5 }) })
+      .mockResolvedValueOnce(categoriesResponse())
+      .mockResolvedValueOnce(budgetStatusResponse())
+      .mockResolvedValueOnce(ledgersResponse())
+      .mockResolvedValueOnce(accountsResponse());
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Feb 4, 2026')).toBeInTheDocument();
+    });
+  });
+});
+
+describe('User Story 8: Filter by Date Range - Frontend UI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    // Every list/total request in these tests can answer with the same data
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => mockApiResponse(url)
+    }));
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should render From and To date inputs next to the category filter', () => {
+    render(<App />);
+
+    expect(screen.getByLabelText(/^from$/i)).toHaveAttribute('type', 'date');
+    expect(screen.getByLabelText(/^to$/i)).toHaveAttribute('type', 'date');
+  });
+
+  test('should fetch list and total for the selected range', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText(/^from$/i), '2026-03-01');
+    await user.type(screen.getByLabelText(/^to$/i), '2026-03-31');
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?from=2026-03-01&to=2026-03-31', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total?from=2026-03-01&to=2026-03-31', withAuth);
+    });
+  });
+
+  test('should combine the date range with the category filter', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    // Category options arrive with GET /api/categories
+    await screen.findAllByRole('option', { name: 'Food' });
+    await user.selectOptions(screen.getByLabelText(/filter by/i), 'Food');
+    await user.type(screen.getByLabelText(/^from$/i), '2026-03-01');
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?category=Food&from=2026-03-01', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total?category=Food&from=2026-03-01', withAuth);
+    });
+  });
+
+  test('should clear the range and refetch everything', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText(/^from$/i), '2026-03-01');
+    fetch.mockClear();
+
+    await user.click(screen.getByRole('button', { name: /clear date range/i }));
+
+    expect(screen.getByLabelText(/^from$/i)).toHaveValue('');
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total', withAuth);
+    });
+  });
+});
+
+describe('User Story 9: Paginate Expense List - Frontend UI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+  });
+
+  test('should not show "Load more" when there is no next page', async () => {
+    fetch
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          expenses: [{ id: 1, item_name: 'Lunch', amount: '25.50', created_at: '2026-02-05T12:00:00Z' }],
+          nextCursor: null
+        })
+      })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ total: 25.50 }) })
+      .mockResolvedValueOnce(categoriesResponse())
+      .mockResolvedValueOnce(budgetStatusResponse())
+      .mockResolvedValueOnce(ledgersResponse())
+      .mockResolvedValueOnce(accountsResponse());
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(screen.getByText('Lunch')).toBeInTheDocument();
+    });
+    expect(screen.queryByRole('button', { name: /load more/i })).not.toBeInTheDocument();
+  });
+
+  test('should append the next page when "Load more" is clicked', async () => {
+    const user = userEvent.setup();
+
+    fetch
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          expenses: [{ id: 2, item_name: 'Dinner', amount: '45.00', created_at: '2026-02-05T18:00:00Z' }],
+          nextCursor: 'abc123'
+        })
+      })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ total: 70.50 }) })
+      .mockResolvedValueOnce(categoriesResponse())
+      .mockResolvedValueOnce(budgetStatusResponse())
+      .mockResolvedValueOnce(ledgersResponse())
+      .mockResolvedValueOnce(accountsResponse())
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          expenses: [{ id: 1, item_name: 'Lunch', amount: '25.50', created_at: '2026-02-05T12:00:00Z' }],
+          nextCursor: null
+        })
+      });
+
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: /load more/i }));
+
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?cursor=abc123', withAuth);
+
+    await waitFor(() => {
+      expect(screen.getByText('Lunch')).toBeInTheDocument();
+    });
+    expect(screen.getByText('Dinner')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /load more/i })).not.toBeInTheDocument();
+  });
+
+  test('should keep the active filter when loading more', async () => {
+    const user = userEvent.setup();
+
+    fetch
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ expenses: [] }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ total: 0 }) })
+      .mockResolvedValueOnce(categoriesResponse())
+      .mockResolvedValueOnce(budgetStatusResponse())
+      .mockResolvedValueOnce(ledgersResponse())
+      .mockResolvedValueOnce(accountsResponse())
+      .mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({
+          expenses: [{ id: 2, item_name: 'Dinner', amount: '45.00', category: 'Food', created_at: '2026-02-05T18:00:00Z' }],
+          nextCursor: 'next-page'
+        })
+      })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ total: 45 }) })
+      .mockResolvedValueOnce({ ok: true, json: async () => ({ expenses: [], nextCursor: null }) });
+
+    render(<App />);
+
+    // Category options arrive with GET /api/categories
+    await screen.findAllByRole('option', { name: 'Food' });
+    await user.selectOptions(screen.getByLabelText(/filter by/i), 'Food');
+    await user.click(await screen.findByRole('button', { name: /load more/i }));
+
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?category=Food&cursor=next-page', withAuth);
+  });
+});
+
+describe('User Story 10: Sort Expense List - Frontend UI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => mockApiResponse(url)
+    }));
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should show Date as the default, newest-first sort', () => {
+    render(<App />);
+
+    const sortGroup = screen.getByRole('group', { name: /sort expenses/i });
+    expect(sortGroup).toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Date ↓' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('should sort biggest amounts first when Amount is clicked', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(screen.getByRole('button', { name: 'Amount' }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?sort=-amount', withAuth);
+    });
+    expect(screen.getByRole('button', { name: 'Amount ↓' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('should toggle direction when the active sort is clicked again', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(screen.getByRole('button', { name: 'Name' }));
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?sort=item_name', withAuth);
+    });
+
+    await user.click(screen.getByRole('button', { name: 'Name ↑' }));
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?sort=-item_name', withAuth);
+    });
+  });
+
+  test('should not send sort to the total endpoint', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(screen.getByRole('button', { name: 'Amount' }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?sort=-amount', withAuth);
+    });
+    const totalCalls = fetch.mock.calls.filter(([url]) => url.includes('/total'));
+    expect(totalCalls.every(([url]) => !url.includes('sort='))).toBe(true);
+  });
+});
+
+describe('User Story 11: Search Expenses - Frontend UI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => mockApiResponse(url)
+    }));
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should render a search box in the Expense History header', () => {
+    render(<App />);
+
+    expect(screen.getByRole('searchbox', { name: /search expenses/i })).toBeInTheDocument();
+  });
+
+  test('should search once typing pauses, ranked by relevance', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByRole('searchbox', { name: /search expenses/i }), 'uber');
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?q=uber', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total?q=uber', withAuth);
+    });
+
+    // Debounced: no request for the partial terms
+    expect(fetch).not.toHaveBeenCalledWith('http://localhost:5000/api/expenses?q=u', withAuth);
+    expect(screen.getByRole('button', { name: 'Best match' })).toHaveAttribute('aria-pressed', 'true');
+  });
+
+  test('should combine the search with the category filter', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    // Category options arrive with GET /api/categories
+    await screen.findAllByRole('option', { name: 'Transport' });
+    await user.selectOptions(screen.getByLabelText(/filter by/i), 'Transport');
+    await user.type(screen.getByRole('searchbox', { name: /search expenses/i }), 'uber');
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?category=Transport&q=uber', withAuth);
+    });
+  });
+
+  test('should send an explicit sort chosen while searching', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByRole('searchbox', { name: /search expenses/i }), 'uber');
+    await screen.findByRole('button', { name: 'Best match' });
+    await user.click(screen.getByRole('button', { name: 'Date' }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?q=uber&sort=-spent_on', withAuth);
+    });
+  });
+
+  test('should show a no-match message and restore date order when cleared', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    const searchBox = screen.getByRole('searchbox', { name: /search expenses/i });
+    await user.type(searchBox, 'zzz');
+
+    await waitFor(() => {
+      expect(screen.getByText(/no expenses match/i)).toBeInTheDocument();
+    });
+
+    await user.clear(searchBox);
+
+    await waitFor(() => {
+      expect(screen.getByRole('button', { name: 'Date ↓' })).toHaveAttribute('aria-pressed', 'true');
+    });
+    expect(screen.queryByRole('button', { name: 'Best match' })).not.toBeInTheDocument();
+  });
+});
+
+describe('User Story 12: Categories - Frontend UI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should fill the category selects from the API', async () => {
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => (url.includes('/api/categories')
+        ? { categories: [...mockCategories, { id: 7, name: 'Travel', color: '#10b981', icon: '✈️' }] }
+        : mockApiResponse(url))
+    }));
+
+    render(<App />);
+
+    await screen.findAllByRole('option', { name: 'Travel' });
+
+    const formOptions = Array.from(screen.getByLabelText(/^category$/i).options).map(opt => opt.value);
+    const filterOptions = Array.from(screen.getByLabelText(/filter by/i).options).map(opt => opt.value);
+
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/categories', withAuth);
+    expect(formOptions).toEqual(['Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Other', 'Travel']);
+    expect(filterOptions).toEqual(['All', 'Food', 'Transport', 'Entertainment', 'Shopping', 'Bills', 'Other', 'Travel']);
+  });
+
+  test('should show the category colour and icon on each expense', async () => {
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => (url.includes('/api/expenses?') || url.endsWith('/api/expenses')
+        ? { expenses: [{ id: 1, item_name: 'Bus fare', amount: '5.00', category: 'Transport', spent_on: '2026-02-05' }] }
+        : mockApiResponse(url))
+    }));
+
+    render(<App />);
+
+    const badge = (await screen.findByText('🚌')).closest('.expense-category');
+    expect(badge).toHaveTextContent('Transport');
+    expect(badge).toHaveStyle({ backgroundColor: '#3b82f6' });
+  });
+});
+
+describe('User Story 14: Monthly Budgets - Frontend UI', () => {
+  const budgets = [
+    { id: 2, category: null, amount: 1000, spent: 420.5, remaining: 579.5, percent: 42, overBudget: false },
+    { id: 1, category: 'Food', amount: 300, spent: 325, remaining: -25, percent: 108, overBudget: true }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => (url.includes('/api/budgets/status')
+        ? { month: '2026-02', budgets }
+        : mockApiResponse(url))
+    }));
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should show a progress bar for each budget', async () => {
+    render(<App />);
+
+    const overall = await screen.findByRole('progressbar', { name: 'Overall budget' });
+    expect(overall).toHaveAttribute('aria-valuenow', '42');
+    expect(screen.getByText('GHS 420.50 of GHS 1000.00')).toBeInTheDocument();
+  });
+
+  test('should note spending left out for want of an exchange rate', async () => {
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => (url.includes('/api/budgets/status')
+        ? { month: '2026-02', currency: 'GHS', budgets: [{ ...budgets[0], unconverted: ['NGN'] }], unconverted: ['NGN'] }
+        : mockApiResponse(url))
+    }));
+
+    render(<App />);
+
+    const overall = await screen.findByRole('progressbar', { name: 'Overall budget' });
+    expect(overall.closest('.budget-item')).toHaveTextContent('Excludes NGN spending with no exchange rate');
+  });
+
+  test('should turn the bar red once a category goes over budget', async () => {
+    render(<App />);
+
+    const food = await screen.findByRole('progressbar', { name: 'Food budget' });
+    expect(food.closest('.budget-item')).toHaveClass('over-budget');
+    expect(screen.getByRole('progressbar', { name: 'Overall budget' }).closest('.budget-item'))
+      .not.toHaveClass('over-budget');
+  });
+
+  test('should hide the section when no budgets are set', async () => {
+    fetch.mockImplementation(async (url) => ({ ok: true, json: async () => mockApiResponse(url) }));
+
+    render(<App />);
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/budgets/status', withAuth);
+    });
+    expect(screen.queryByText(/monthly budgets/i)).not.toBeInTheDocument();
+  });
+
+  test('should refresh budget status after adding an expense', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await screen.findByRole('progressbar', { name: 'Food budget' });
+    await user.type(screen.getByLabelText(/item name/i), 'Lunch');
+    await user.type(screen.getByLabelText(/amount/i), '12');
+    await user.click(screen.getByRole('button', { name: /add expense/i }));
+
+    await waitFor(() => {
+      const statusCalls = fetch.mock.calls.filter(([url]) => url.includes('/api/budgets/status'));
+      expect(statusCalls).toHaveLength(2);
+    });
+  });
+});
+
+describe('User Story 15: Recurring Expenses - Frontend UI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url, options) => ({
+      ok: true,
+      json: async () => (options?.method === 'POST'
+        ? { message: 'Recurring expense added successfully', recurring: { id: 1 } }
+        : mockApiResponse(url))
+    }));
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should only show the repeat rule once "Make recurring" is ticked', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    expect(screen.queryByRole('combobox', { name: /repeats/i })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('checkbox', { name: /make recurring/i }));
+
+    expect(screen.getByRole('combobox', { name: /repeats/i })).toHaveValue('monthly');
+    expect(screen.getByLabelText(/starts on/i)).toHaveValue(todayISO());
+  });
+
+  test('should save a recurring template instead of a single expense', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await screen.findAllByRole('option', { name: 'Bills' });
+    await user.type(screen.getByLabelText(/item name/i), 'Rent');
+    await user.type(screen.getByLabelText(/amount/i), '1500');
+    await user.selectOptions(screen.getByLabelText(/^category$/i), 'Bills');
+    await user.click(screen.getByRole('checkbox', { name: /make recurring/i }));
+    await user.selectOptions(screen.getByRole('combobox', { name: /repeats/i }), 'weekly');
+    await user.click(screen.getByRole('button', { name: /add expense/i }));
+
+    await waitFor(() => {
+      expect(screen.getByText(/recurring expense added/i)).toBeInTheDocument();
+    });
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/recurring', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeader },
+      body: JSON.stringify({ itemName: 'Rent', amount: 1500, category: 'Bills', frequency: 'weekly', startDate: todayISO() })
+    });
+    expect(screen.getByRole('checkbox', { name: /make recurring/i })).not.toBeChecked();
+  });
+});
+
+describe('User Story 16: User Accounts - Frontend UI', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url) => {
+      if (url.includes('/api/auth/')) {
+        return {
+          ok: true,
+          json: async () => ({ user: testSession.user, token: 'new-session-token' })
+        };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should show the login screen and load nothing without a session', () => {
+    localStorage.clear();
+    render(<App />);
+
+    expect(screen.getByRole('heading', { name: 'Log In' })).toBeInTheDocument();
+    expect(screen.getByLabelText('Email')).toBeInTheDocument();
+    expect(screen.getByLabelText('Password')).toBeInTheDocument();
+    expect(screen.queryByText('Log Expense')).not.toBeInTheDocument();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should log in and load the user\'s expenses with the new token', async () => {
+    const user = userEvent.setup();
+    localStorage.clear();
+    render(<App />);
+
+    await user.type(screen.getByLabelText('Email'), 'sam@example.com');
+    await user.type(screen.getByLabelText('Password'), 'correct horse');
+    await user.click(screen.getByRole('button', { name: 'Log In' }));
+
+    expect(await screen.findByText('Log Expense')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/auth/login', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ email: 'sam@example.com', password: 'correct horse' })
+    }));
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses', {
+      headers: { Authorization: 'Bearer new-session-token' }
+    });
+    expect(JSON.parse(localStorage.getItem('spendwise.session')).token).toBe('new-session-token');
+  });
+
+  test('should register a new account', async () => {
+    const user = userEvent.setup();
+    localStorage.clear();
+    render(<App />);
+
+    await user.click(screen.getByRole('button', { name: 'New here? Create an account' }));
+    await user.type(screen.getByLabelText('Email'), 'sam@example.com');
+    await user.type(screen.getByLabelText('Password'), 'correct horse');
+    await user.click(screen.getByRole('button', { name: 'Create Account' }));
+
+    expect(await screen.findByText('Log Expense')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/auth/register', expect.objectContaining({
+      method: 'POST'
+    }));
+  });
+
+  test('should reject a short password before registering', async () => {
+    const user = userEvent.setup();
+    localStorage.clear();
+    render(<App />);
+
+    await user.click(screen.getByRole('button', { name: 'New here? Create an account' }));
+    await user.type(screen.getByLabelText('Email'), 'sam@example.com');
+    await user.type(screen.getByLabelText('Password'), 'short');
+    await user.click(screen.getByRole('button', { name: 'Create Account' }));
+
+    expect(screen.getByText('Password must be at least 8 characters')).toBeInTheDocument();
+    expect(fetch).not.toHaveBeenCalled();
+  });
+
+  test('should show the server error for wrong credentials', async () => {
+    const user = userEvent.setup();
+    localStorage.clear();
+    fetch.mockResolvedValueOnce({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: 'Invalid email or password' })
+    });
+    render(<App />);
+
+    await user.type(screen.getByLabelText('Email'), 'sam@example.com');
+    await user.type(screen.getByLabelText('Password'), 'wrong password');
+    await user.click(screen.getByRole('button', { name: 'Log In' }));
+
+    expect(await screen.findByText('Invalid email or password')).toBeInTheDocument();
+    expect(localStorage.getItem('spendwise.session')).toBeNull();
+  });
+
+  test('should show who is logged in and log out', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    expect(screen.getByText('sam@example.com')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Log out' }));
+
+    expect(await screen.findByRole('heading', { name: 'Log In' })).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/auth/logout', {
+      method: 'POST',
+      headers: authHeader
+    });
+    expect(localStorage.getItem('spendwise.session')).toBeNull();
+  });
+
+  test('should return to the login screen when the session has expired', async () => {
+    fetch.mockImplementation(async () => ({
+      ok: false,
+      status: 401,
+      json: async () => ({ error: 'Session expired or invalid, please log in again' })
+    }));
+    render(<App />);
+
+    expect(await screen.findByRole('heading', { name: 'Log In' })).toBeInTheDocument();
+    expect(localStorage.getItem('spendwise.session')).toBeNull();
+  });
+});
+
+describe('User Story 17: Personal API Tokens - Frontend UI', () => {
+  const mockTokens = [
+    { id: 1, name: 'Telegram bot', scope: 'read-write', expires_at: null, last_used_at: '2026-03-10T09:30:00Z', created_at: '2026-03-01T08:00:00Z' },
+    { id: 2, name: 'Sheet sync', scope: 'read', expires_at: '2026-06-01T08:00:00Z', last_used_at: null, created_at: '2026-03-02T08:00:00Z' },
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url, options) => {
+      if (url.endsWith('/api/tokens') && options?.method === 'POST') {
+        return {
+          ok: true,
+          json: async () => ({ apiToken: { id: 3, name: 'CI' }, token: 'sw_pat_secret123' })
+        };
+      }
+      if (url.includes('/api/tokens')) {
+        return { ok: true, json: async () => (options?.method === 'DELETE' ? { message: 'API token revoked successfully' } : { tokens: mockTokens }) };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  const openSettings = async (user) => {
+    render(<App />);
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    await screen.findByText('Telegram bot');
+  };
+
+  test('should list tokens with their access, last use and expiry', async () => {
+    const user = userEvent.setup();
+    await openSettings(user);
+
+    expect(screen.getByRole('heading', { name: 'API Tokens' })).toBeInTheDocument();
+    expect(screen.getByText('Sheet sync')).toBeInTheDocument();
+    expect(screen.getByText('Read only', { selector: '.token-scope' })).toBeInTheDocument();
+    expect(screen.getByText(/Never used/)).toBeInTheDocument();
+    expect(screen.getByText(/Last used Mar 10, 2026/)).toBeInTheDocument();
+    expect(screen.getByText(/Never expires/)).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/tokens', withAuth);
+  });
+
+  test('should create a token and show it once', async () => {
+    const user = userEvent.setup();
+    await openSettings(user);
+
+    await user.type(screen.getByLabelText('Token name'), 'CI');
+    await user.selectOptions(screen.getByLabelText('Access'), 'read');
+    await user.selectOptions(screen.getByLabelText('Expires'), 'Never');
+    await user.click(screen.getByRole('button', { name: 'Create Token' }));
+
+    expect(await screen.findByText('sw_pat_secret123')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/tokens', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ name: 'CI', scope: 'read', expiresInDays: null })
+    }));
+    expect(screen.getByLabelText('Token name')).toHaveValue('');
+  });
+
+  test('should revoke a token after confirming', async () => {
+    const user = userEvent.setup();
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    await openSettings(user);
+
+    await user.click(screen.getByRole('button', { name: 'Revoke Sheet sync' }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/tokens/2', {
+        method: 'DELETE',
+        headers: authHeader
+      });
+    });
+    window.confirm.mockRestore();
+  });
+
+  test('should go back to the expenses', async () => {
+    const user = userEvent.setup();
+    await openSettings(user);
+
+    await user.click(screen.getByRole('button', { name: 'Back to expenses' }));
+
+    expect(screen.getByText('Log Expense')).toBeInTheDocument();
+  });
+});
+
+describe('User Story 18: Shared Ledgers - Frontend UI', () => {
+  const sharedLedgers = [
+    { id: 1, name: 'Personal', role: 'owner', member_count: 1 },
+    { id: 2, name: 'Household', role: 'editor', member_count: 2 },
+    { id: 3, name: 'Parents', role: 'viewer', member_count: 3 },
+  ];
+  const householdExpense = {
+    id: 7, item_name: 'Groceries', amount: '80.00', category: 'Food',
+    spent_on: '2026-03-05', created_at: '2026-03-05T10:00:00Z', created_by: 'alex@example.com'
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    let ledgers = sharedLedgers;
+
+    fetch.mockImplementation(async (url, options) => {
+      if (url.endsWith('/api/ledgers') && options?.method === 'POST') {
+        const ledger = { id: 4, name: 'Trip', role: 'owner', member_count: 1 };
+        ledgers = [...sharedLedgers, ledger];
+        return { ok: true, json: async () => ({ ledger }) };
+      }
+      if (url.endsWith('/members') && options?.method === 'POST') {
+        return { ok: true, json: async () => ({ member: { user_id: 5, email: 'alex@example.com', role: 'viewer' } }) };
+      }
+      if (url.endsWith('/api/ledgers')) {
+        return { ok: true, json: async () => ({ ledgers }) };
+      }
+      if (/\/api\/expenses\?.*ledger=[23]/.test(url)) {
+        return { ok: true, json: async () => ({ expenses: [householdExpense] }) };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should scope the list, total, budgets and categories to the selected ledger', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    const switcher = await screen.findByRole('combobox', { name: 'Ledger' });
+    expect(switcher).toHaveValue('1');
+
+    await user.selectOptions(switcher, 'Household (editor)');
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?ledger=2', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total?ledger=2', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/budgets/status?ledger=2', withAuth);
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/categories?ledger=2', withAuth);
+    });
+    expect(await screen.findByText('Groceries')).toBeInTheDocument();
+    expect(screen.getByText(/added by alex@example.com/)).toBeInTheDocument();
+  });
+
+  test('should keep filters when switching ledgers', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await screen.findAllByRole('option', { name: 'Food' });
+    await user.selectOptions(screen.getByLabelText(/filter by/i), 'Food');
+    await user.selectOptions(await screen.findByRole('combobox', { name: 'Ledger' }), 'Household (editor)');
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?category=Food&ledger=2', withAuth);
+    });
+  });
+
+  test('should add expenses to the selected ledger', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.selectOptions(await screen.findByRole('combobox', { name: 'Ledger' }), 'Household (editor)');
+    await user.type(screen.getByLabelText(/item name/i), 'Milk');
+    await user.type(screen.getByLabelText(/amount/i), '4');
+    await user.click(screen.getByRole('button', { name: /add expense/i }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?ledger=2', expect.objectContaining({
+        method: 'POST'
+      }));
+    });
+  });
+
+  test('should make a viewer\'s ledger read-only', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.selectOptions(await screen.findByRole('combobox', { name: 'Ledger' }), 'Parents (viewer)');
+
+    expect(await screen.findByText('You have view-only access to Parents.')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /add expense/i })).not.toBeInTheDocument();
+    await screen.findByText('Groceries');
+    expect(screen.queryByRole('button', { name: 'Edit Groceries' })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: 'Delete Groceries' })).not.toBeInTheDocument();
+  });
+
+  test('should invite a member to the ledger', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await screen.findByRole('combobox', { name: 'Ledger' });
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    await screen.findByRole('heading', { name: 'Ledger: Personal' });
+
+    await user.type(screen.getByLabelText('Invite by email'), 'alex@example.com');
+    await user.selectOptions(screen.getByLabelText('Role'), 'viewer');
+    await user.click(screen.getByRole('button', { name: 'Invite' }));
+
+    expect(await screen.findByText('✓ alex@example.com can now use Personal')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/ledgers/1/members', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ email: 'alex@example.com', role: 'viewer' })
+    }));
+  });
+
+  test('should create a ledger and switch to it', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await screen.findByRole('combobox', { name: 'Ledger' });
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    await user.type(screen.getByLabelText('New ledger name'), 'Trip');
+    await user.click(screen.getByRole('button', { name: 'Create Ledger' }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/ledgers', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ name: 'Trip' })
+      }));
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/ledgers/4/members', withAuth);
+    });
+    expect(screen.getByRole('combobox', { name: 'Ledger' })).toHaveValue('4');
+  });
+});
+
+describe('User Story 19: Split Expenses - Frontend UI', () => {
+  const sharedLedgers = [
+    { id: 1, name: 'Personal', role: 'owner', member_count: 1 },
+    { id: 2, name: 'Household', role: 'owner', member_count: 3 },
+  ];
+  const householdMembers = [
+    { user_id: 1, email: 'sam@example.com', role: 'owner' },
+    { user_id: 5, email: 'alex@example.com', role: 'editor' },
+    { user_id: 6, email: 'jo@example.com', role: 'editor' },
+  ];
+  const householdBalances = {
+    balances: [
+      { userId: 1, email: 'sam@example.com', balance: 60 },
+      { userId: 5, email: 'alex@example.com', balance: -45 },
+      { userId: 6, email: 'jo@example.com', balance: -15 },
+    ],
+    transfers: [
+      { from: { userId: 5, email: 'alex@example.com' }, to: { userId: 1, email: 'sam@example.com' }, amount: 45 },
+      { from: { userId: 6, email: 'jo@example.com' }, to: { userId: 1, email: 'sam@example.com' }, amount: 15 },
+    ],
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url, options) => {
+      if (options?.method === 'POST') {
+        return { ok: true, json: async () => ({ message: 'Expense added successfully', expense: { id: 9 } }) };
+      }
+      if (url.endsWith('/api/ledgers')) {
+        return { ok: true, json: async () => ({ ledgers: sharedLedgers }) };
+      }
+      if (url.endsWith('/api/ledgers/2/members')) {
+        return { ok: true, json: async () => ({ members: householdMembers }) };
+      }
+      if (url.includes('/api/balances?ledger=2')) {
+        return { ok: true, json: async () => householdBalances };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  const openHousehold = async (user) => {
+    await user.selectOptions(await screen.findByRole('combobox', { name: 'Ledger' }), 'Household');
+    return screen.findByRole('checkbox', { name: /split this expense/i });
+  };
+
+  test('should only offer splitting in a shared ledger', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await screen.findByRole('combobox', { name: 'Ledger' });
+    expect(screen.queryByRole('checkbox', { name: /split this expense/i })).not.toBeInTheDocument();
+
+    expect(await openHousehold(user)).not.toBeChecked();
+    expect(fetch).not.toHaveBeenCalledWith('http://localhost:5000/api/balances', withAuth);
+  });
+
+  test('should split equally between the ticked members', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await openHousehold(user));
+    await user.click(await screen.findByRole('checkbox', { name: 'jo@example.com' }));
+    await user.type(screen.getByLabelText(/item name/i), 'Dinner');
+    await user.type(screen.getByLabelText(/amount/i), '90');
+    await user.click(screen.getByRole('button', { name: /add expense/i }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?ledger=2', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({
+          itemName: 'Dinner', amount: 90, category: 'Other', spentOn: todayISO(),
+          split: { method: 'equal', shares: [{ userId: 1 }, { userId: 5 }] }
+        })
+      }));
+    });
+    expect(screen.getByRole('checkbox', { name: /split this expense/i })).not.toBeChecked();
+  });
+
+  test('should send exact amounts for the members given one', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await openHousehold(user));
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Split method' }), 'exact');
+    await user.type(await screen.findByLabelText('Share for sam@example.com'), '30');
+    await user.type(screen.getByLabelText('Share for alex@example.com'), '60');
+    await user.type(screen.getByLabelText(/item name/i), 'Dinner');
+    await user.type(screen.getByLabelText(/^amount/i), '90');
+    await user.click(screen.getByRole('button', { name: /add expense/i }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?ledger=2', expect.objectContaining({
+        body: JSON.stringify({
+          itemName: 'Dinner', amount: 90, category: 'Other', spentOn: todayISO(),
+          split: { method: 'exact', shares: [{ userId: 1, amount: 30 }, { userId: 5, amount: 60 }] }
+        })
+      }));
+    });
+  });
+
+  test('should ask for participants before posting a split', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await openHousehold(user));
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Split method' }), 'percent');
+    await user.type(screen.getByLabelText(/item name/i), 'Dinner');
+    await user.type(screen.getByLabelText(/^amount/i), '90');
+    await user.click(screen.getByRole('button', { name: /add expense/i }));
+
+    expect(await screen.findByText('Choose who to split the expense with')).toBeInTheDocument();
+    expect(fetch).not.toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ method: 'POST' }));
+  });
+
+  test('should show balances and settle-up transfers for a shared ledger', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await openHousehold(user);
+
+    expect(await screen.findByRole('heading', { name: 'Balances' })).toBeInTheDocument();
+    expect(screen.getByText('is owed GHS 60.00')).toBeInTheDocument();
+    expect(screen.getByText('owes GHS 45.00')).toBeInTheDocument();
+    expect(screen.getByText('alex@example.com pays sam@example.com GHS 45.00')).toBeInTheDocument();
+    expect(screen.getByText('jo@example.com pays sam@example.com GHS 15.00')).toBeInTheDocument();
+  });
+});
+
+describe('User Story 20: Income - Frontend UI', () => {
+  const lunch = { id: 1, item_name: 'Lunch', amount: '420.50', category: 'Food', spent_on: '2026-03-05', created_at: '2026-03-05T10:00:00Z' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    let income = 1000;
+
+    fetch.mockImplementation(async (url, options) => {
+      if (url.endsWith('/api/income') && options?.method === 'POST') {
+        income += JSON.parse(options.body).amount;
+        return { ok: true, json: async () => ({ message: 'Income added successfully', income: { id: 1 } }) };
+      }
+      if (url.includes('/total')) {
+        return { ok: true, json: async () => ({ total: 420.5, income, net: income - 420.5 }) };
+      }
+      if (url.includes('/api/expenses')) {
+        return { ok: true, json: async () => ({ expenses: [lunch], nextCursor: null }) };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should show the net balance next to total spending', async () => {
+    render(<App />);
+
+    const netCard = (await screen.findByText('Net Balance')).parentElement;
+
+    await waitFor(() => {
+      expect(netCard).toHaveTextContent('GHS 579.50');
+    });
+    expect(netCard).toHaveTextContent('Income GHS 1000.00');
+    expect(netCard).not.toHaveClass('negative');
+    expect(screen.getByText(/total spending/i).parentElement).toHaveTextContent('GHS 420.50');
+  });
+
+  test('should log income and refresh the net balance', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await screen.findByText('Net Balance');
+    await user.type(screen.getByLabelText('Source'), 'Salary');
+    await user.type(screen.getByLabelText('Income (GHS)'), '500');
+    await user.click(screen.getByRole('button', { name: 'Add Income' }));
+
+    expect(await screen.findByText('✓ Income added!')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/income', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeader },
+      body: JSON.stringify({ source: 'Salary', amount: 500, receivedOn: todayISO() })
+    });
+    await waitFor(() => {
+      expect(screen.getByText('Net Balance').parentElement).toHaveTextContent('GHS 1079.50');
+    });
+  });
+
+  test('should mark a negative net balance', async () => {
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => (url.includes('/total')
+        ? { total: 420.5, income: 0, net: -420.5 }
+        : url.includes('/api/expenses') ? { expenses: [lunch], nextCursor: null } : mockApiResponse(url))
+    }));
+
+    render(<App />);
+
+    const netCard = (await screen.findByText('Net Balance')).parentElement;
+
+    await waitFor(() => {
+      expect(netCard).toHaveTextContent('GHS -420.50');
+    });
+    expect(netCard).toHaveClass('negative');
+  });
+
+  test('should not show a net balance while filtering by category', async () => {
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => (url.includes('/total')
+        ? { total: 420.5, income: url.includes('category=') ? null : 1000, net: url.includes('category=') ? null : 579.5 }
+        : url.includes('/api/expenses') ? { expenses: [lunch], nextCursor: null } : mockApiResponse(url))
+    }));
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await screen.findAllByRole('option', { name: 'Food' });
+    await user.selectOptions(screen.getByLabelText(/filter by/i), 'Food');
+
+    const netCard = screen.getByText('Net Balance').parentElement;
+
+    await waitFor(() => {
+      expect(netCard).toHaveTextContent('—');
+    });
+    expect(netCard).toHaveTextContent('Not shown while filtering by category or search; income has neither');
+    expect(netCard).not.toHaveClass('negative');
+  });
+
+  test('should show the net balance of a month with income and no spending', async () => {
+    fetch.mockImplementation(async (url) => ({
+      ok: true,
+      json: async () => (url.includes('/total')
+        ? { total: 0, income: 1500, net: 1500 }
+        : url.includes('/api/expenses') ? { expenses: [], nextCursor: null } : mockApiResponse(url))
+    }));
+
+    render(<App />);
+
+    const netCard = (await screen.findByText('Net Balance')).parentElement;
+
+    await waitFor(() => {
+      expect(netCard).toHaveTextContent('GHS 1500.00');
+    });
+    expect(screen.getByText('No expenses yet. Start tracking your spending!')).toBeInTheDocument();
+  });
+
+  test('should require a source', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(screen.getByLabelText('Income (GHS)'), '500');
+    await user.click(screen.getByRole('button', { name: 'Add Income' }));
+
+    expect(await screen.findByText('Source cannot be empty')).toBeInTheDocument();
+    expect(fetch).not.toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ method: 'POST' }));
+  });
+});
+
+describe('User Story 21: Accounts and Transfers - Frontend UI', () => {
+  const lunch = { id: 1, item_name: 'Lunch', amount: '42.00', category: 'Food', spent_on: '2026-03-05', created_at: '2026-03-05T10:00:00Z', account_name: 'Wallet' };
+  const mockAccounts = [
+    { id: 3, name: 'Wallet', kind: 'cash', opening_balance: 100, balance: 58 },
+    { id: 4, name: 'MoMo', kind: 'mobile_money', opening_balance: 0, balance: -12.5 }
+  ];
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url, options) => {
+      if (options?.method === 'POST') {
+        return { ok: true, status: 201, json: async () => ({ message: 'Created' }) };
+      }
+      if (url.includes('/api/accounts')) {
+        return { ok: true, json: async () => ({ accounts: mockAccounts }) };
+      }
+      if (url.includes('/api/expenses') && !url.includes('/total')) {
+        return { ok: true, json: async () => ({ expenses: [lunch], nextCursor: null }) };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should list each account with its running balance', async () => {
+    render(<App />);
+
+    const card = (await screen.findByRole('heading', { name: 'Accounts' })).parentElement;
+
+    await waitFor(() => {
+      expect(card).toHaveTextContent('Wallet CashGHS 58.00');
+    });
+    expect(card).toHaveTextContent('MoMo Mobile moneyGHS -12.50');
+    expect(await screen.findByText(/· Wallet/)).toBeInTheDocument();
+  });
+
+  test('should show each balance in the account\'s own currency', async () => {
+    fetch.mockImplementation(async (url) => (url.includes('/api/accounts')
+      ? { ok: true, json: async () => ({ accounts: [{ id: 5, name: 'Dollar card', kind: 'bank', opening_balance: 0, balance: 20, currency: 'USD', unconverted: ['NGN'] }] }) }
+      : { ok: true, json: async () => mockApiResponse(url) }));
+
+    render(<App />);
+
+    const card = (await screen.findByRole('heading', { name: 'Accounts' })).parentElement;
+
+    await waitFor(() => {
+      expect(card).toHaveTextContent('Dollar card BankUSD 20.00 (excludes NGN)');
+    });
+  });
+
+  test('should log an expense paid from the chosen account', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.selectOptions(await screen.findByLabelText('Paid from'), 'MoMo');
+    await user.type(screen.getByLabelText(/item name/i), 'Airtime');
+    await user.type(screen.getByLabelText(/amount/i), '10');
+    await user.click(screen.getByRole('button', { name: /add expense/i }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ itemName: 'Airtime', amount: 10, category: 'Other', spentOn: todayISO(), accountId: 4 })
+      }));
+    });
+    expect(screen.getByLabelText('Paid from')).toHaveValue('');
+  });
+
+  test('should filter the history by account', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.selectOptions(await screen.findByRole('combobox', { name: 'Account' }), 'Wallet');
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses?account=3', withAuth);
+    });
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/total?account=3', withAuth);
+  });
+
+  test('should add an account with an opening balance', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(await screen.findByLabelText('Account name'), 'Savings');
+    await user.selectOptions(screen.getByLabelText('Account type'), 'bank');
+    await user.type(screen.getByLabelText('Opening balance'), '250');
+    await user.click(screen.getByRole('button', { name: 'Add Account' }));
+
+    expect(await screen.findByText('✓ Savings added')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/accounts', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeader },
+      body: JSON.stringify({ name: 'Savings', kind: 'bank', openingBalance: 250 })
+    });
+  });
+
+  test('should move money between two accounts', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.selectOptions(await screen.findByLabelText('Transfer from'), 'Wallet');
+    await user.selectOptions(screen.getByLabelText('Transfer to'), 'MoMo');
+    await user.type(screen.getByLabelText('Transfer (GHS)'), '20');
+    await user.click(screen.getByRole('button', { name: 'Transfer' }));
+
+    expect(await screen.findByText('✓ Transfer recorded')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/transfers', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', ...authHeader },
+      body: JSON.stringify({ fromAccountId: 3, toAccountId: 4, amount: 20 })
+    });
+  });
+
+  test('should refuse a transfer into the same account', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.selectOptions(await screen.findByLabelText('Transfer from'), 'Wallet');
+    await user.selectOptions(screen.getByLabelText('Transfer to'), 'Wallet');
+    await user.type(screen.getByLabelText('Transfer (GHS)'), '20');
+    await user.click(screen.getByRole('button', { name: 'Transfer' }));
+
+    expect(await screen.findByText('Choose two different accounts and a transfer greater than zero')).toBeInTheDocument();
+    expect(fetch).not.toHaveBeenCalledWith('http://localhost:5000/api/transfers', expect.anything());
+  });
+});
+
+describe('User Story 22: Multi-currency - Frontend UI', () => {
+  const dinner = { id: 1, item_name: 'Dinner in Lagos', amount: '15000.00', currency: 'NGN', converted_amount: '112.50', category: 'Food', spent_on: '2026-03-05', created_at: '2026-03-05T10:00:00Z' };
+  const taxi = { id: 2, item_name: 'Taxi', amount: '20.00', currency: 'USD', converted_amount: null, category: 'Transport', spent_on: '2026-03-06', created_at: '2026-03-06T10:00:00Z' };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url, options) => {
+      if (options?.method === 'POST' && url.includes('/api/rates/import')) {
+        return { ok: true, json: async () => ({ message: 'Exchange rates imported successfully', imported: 2 }) };
+      }
+      if (options?.method === 'POST') {
+        return { ok: true, status: 201, json: async () => ({ message: 'Expense added successfully' }) };
+      }
+      if (options?.method === 'PATCH' && url.endsWith('/api/auth/me')) {
+        return { ok: true, json: async () => ({ user: { id: 1, email: 'sam@example.com', homeCurrency: JSON.parse(options.body).homeCurrency } }) };
+      }
+      if (url.includes('/api/rates')) {
+        return { ok: true, json: async () => ({ rates: [{ base: 'USD', quote: 'GHS', rate: 15.4, rate_on: '2026-03-01' }] }) };
+      }
+      if (url.includes('/total')) {
+        return { ok: true, json: async () => ({ total: 112.5, income: 0, net: -112.5, currency: 'GHS', unconverted: ['USD'] }) };
+      }
+      if (url.includes('/api/expenses')) {
+        return { ok: true, json: async () => ({ expenses: [dinner, taxi], nextCursor: null }) };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should show the original and the converted amount', async () => {
+    render(<App />);
+
+    const dinnerItem = (await screen.findByText('Dinner in Lagos')).closest('.expense-item');
+    expect(dinnerItem).toHaveTextContent('NGN 15000.00≈ GHS 112.50');
+    expect(screen.getByText('Taxi').closest('.expense-item')).toHaveTextContent('USD 20.00no exchange rate');
+  });
+
+  test('should say which currencies the total leaves out', async () => {
+    render(<App />);
+
+    const totalCard = (await screen.findByText(/total spending/i)).parentElement;
+
+    await waitFor(() => {
+      expect(totalCard).toHaveTextContent('GHS 112.50');
+    });
+    expect(totalCard).toHaveTextContent('Excludes USD (no exchange rate)');
+  });
+
+  test('should log an expense in another currency', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.selectOptions(await screen.findByLabelText('Currency'), 'USD');
+    expect(screen.getByLabelText(/amount/i)).toBe(screen.getByLabelText('Amount (USD)'));
+    await user.type(screen.getByLabelText(/item name/i), 'Hotel');
+    await user.type(screen.getByLabelText(/amount/i), '120');
+    await user.click(screen.getByRole('button', { name: /add expense/i }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses', expect.objectContaining({
+        method: 'POST',
+        body: JSON.stringify({ itemName: 'Hotel', amount: 120, category: 'Other', spentOn: todayISO(), currency: 'USD' })
+      }));
+    });
+    expect(screen.getByLabelText('Currency')).toHaveValue('GHS');
+  });
+
+  test('should change the home currency from the settings page', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    await user.selectOptions(await screen.findByLabelText('Home currency'), 'USD');
+    await user.click(screen.getByRole('button', { name: 'Change currency' }));
+
+    expect(await screen.findByText('✓ Totals are now shown in USD')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/auth/me', {
+      method: 'PATCH',
+      headers: { 'Content-Type': 'application/json', ...authHeader },
+      body: JSON.stringify({ homeCurrency: 'USD' })
+    });
+  });
+
+  test('should import exchange rates one per line', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+    expect(await screen.findByText('1 USD = 15.4 GHS')).toBeInTheDocument();
+
+    await user.type(screen.getByLabelText('Rates to import'), 'USD,GHS,15.5,2026-03-02{enter}NGN, GHS, 0.0075, 2026-03-02');
+    await user.click(screen.getByRole('button', { name: 'Import rates' }));
+
+    expect(await screen.findByText('✓ 2 exchange rates imported')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/rates/import', expect.objectContaining({
+      body: JSON.stringify({
+        rates: [
+          { base: 'USD', quote: 'GHS', rate: '15.5', date: '2026-03-02' },
+          { base: 'NGN', quote: 'GHS', rate: '0.0075', date: '2026-03-02' }
+        ]
+      })
+    }));
+  });
+
+  test('should show and import the selected ledger\'s exchange rates', async () => {
+    const ledgers = [...mockLedgers, { id: 2, name: 'Household', role: 'editor', member_count: 2 }];
+    const answer = fetch.getMockImplementation();
+    fetch.mockImplementation(async (url, options) => (url.endsWith('/api/ledgers')
+      ? { ok: true, json: async () => ({ ledgers }) }
+      : answer(url, options)));
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.selectOptions(await screen.findByRole('combobox', { name: 'Ledger' }), 'Household (editor)');
+    await user.click(screen.getByRole('button', { name: 'Settings' }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/rates?ledger=2', withAuth);
+    });
+
+    await user.type(await screen.findByLabelText('Rates to import'), 'USD,GHS,15.5,2026-03-02');
+    await user.click(screen.getByRole('button', { name: 'Import rates' }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/rates/import?ledger=2', expect.objectContaining({ method: 'POST' }));
+    });
+  });
+});
+
+describe('User Story 23: CSV Export - Frontend UI', () => {
+  const lunch = { id: 1, item_name: 'Lunch', amount: '25.50', category: 'Food', spent_on: '2026-03-05', created_at: '2026-03-05T10:00:00Z' };
+  const csv = 'Date,Item,Category,Amount,Currency,Account,Added by\r\n2026-03-05,Lunch,Food,25.50,GHS,,sam@example.com\r\n';
+  let clickedLinks;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url) => {
+      if (url.includes('/api/expenses/export')) {
+        return { ok: true, blob: async () => new Blob([csv], { type: 'text/csv' }) };
+      }
+      if (url.includes('/api/expenses') && !url.includes('/total')) {
+        return { ok: true, json: async () => ({ expenses: [lunch], nextCursor: null }) };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+
+    // jsdom cannot save files, so record the links that would have been followed
+    clickedLinks = [];
+    URL.createObjectURL = vi.fn(() => 'blob:spendwise-export');
+    URL.revokeObjectURL = vi.fn();
+    vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () {
+      clickedLinks.push({ href: this.href, download: this.download });
+    });
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+    vi.restoreAllMocks();
+  });
+
+  test('should download the filtered expenses as a CSV file', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.selectOptions(await screen.findByLabelText(/filter by/i), 'Food');
+    await user.click(screen.getByRole('button', { name: 'Download CSV' }));
+
+    await waitFor(() => {
+      expect(clickedLinks).toEqual([{ href: 'blob:spendwise-export', download: `spendwise-expenses-${todayISO()}.csv` }]);
+    });
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/export?category=Food&format=csv', withAuth);
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:spendwise-export');
+  });
+
+  test('should ask for CSV when no filter is set', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: 'Download CSV' }));
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/export?format=csv', withAuth);
+    });
+  });
+
+  test('should show an error when the export fails', async () => {
+    fetch.mockImplementation(async (url) => (url.includes('/api/expenses/export')
+      ? { ok: false, json: async () => ({ error: 'Failed to export expenses' }) }
+      : { ok: true, json: async () => mockApiResponse(url) }));
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: 'Download CSV' }));
+
+    expect(await screen.findByText('Failed to export expenses')).toBeInTheDocument();
+    expect(clickedLinks).toEqual([]);
+  });
+});
+
+describe('User Story 24: CSV Import - Frontend UI', () => {
+  const csv = 'Date,Description,Debit\n2026-03-02,Trotro,4.50\n2026-03-03,Refund,-4\n';
+  const preview = {
+    dryRun: true,
+    headers: ['Date', 'Description', 'Debit'],
+    columns: { name: 'Description', amount: 'Debit', category: null, date: 'Date', currency: null },
+    valid: 1,
+    invalid: 1,
+    rows: [
+      { line: 2, values: { itemName: 'Trotro', amount: 4.5, category: 'Other', spentOn: '2026-03-02' } },
+      { line: 3, error: 'Amount must be a positive number' },
+    ],
+  };
+  const csvFile = () => new File([csv], 'statement.csv', { type: 'text/csv' });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+
+    fetch.mockImplementation(async (url) => {
+      if (url.includes('/api/expenses/import')) {
+        return url.includes('dryRun=true')
+          ? { ok: true, json: async () => preview }
+          : { ok: true, status: 201, json: async () => ({ message: 'Expenses imported successfully', imported: 1, skipped: 1, errors: [preview.rows[1]] }) };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should preview the file with the detected columns before saving', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: 'Import' }));
+    await user.upload(screen.getByLabelText('CSV file'), csvFile());
+
+    expect(await screen.findByText('1 rows ready to import, 1 with errors')).toBeInTheDocument();
+    expect(screen.getByText('Trotro')).toBeInTheDocument();
+    expect(screen.getByText('Amount must be a positive number')).toBeInTheDocument();
+    expect(screen.getByLabelText('Amount column')).toHaveValue('Debit');
+    expect(screen.getByLabelText('Category column')).toHaveValue('');
+
+    expect(fetch).toHaveBeenCalledWith(
+      'http://localhost:5000/api/expenses/import?dryRun=true',
+      expect.objectContaining({ method: 'POST', body: csv, headers: expect.objectContaining({ 'Content-Type': 'text/csv' }) })
+    );
+  });
+
+  test('should preview again when a column is chosen by hand', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: 'Import' }));
+    await user.upload(screen.getByLabelText('CSV file'), csvFile());
+    await user.selectOptions(await screen.findByLabelText('Category column'), 'Description');
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith(
+        'http://localhost:5000/api/expenses/import?name=Description&amount=Debit&category=Description&date=Date&dryRun=true',
+        expect.anything()
+      );
+    });
+  });
+
+  test('should import the valid rows and refresh the expenses', async () => {
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: 'Import' }));
+    await user.upload(screen.getByLabelText('CSV file'), csvFile());
+    await user.click(await screen.findByRole('button', { name: 'Import 1 expenses' }));
+
+    expect(await screen.findByText('✓ Imported 1 expenses, skipped 1 rows with errors')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith(
+      'http://localhost:5000/api/expenses/import?name=Description&amount=Debit&date=Date',
+      expect.objectContaining({ method: 'POST', body: csv })
+    );
+    expect(fetch.mock.calls.filter(([url]) => url.includes('/api/expenses/total'))).toHaveLength(2);
+
+    await user.click(screen.getByRole('button', { name: 'Back to expenses' }));
+    expect(await screen.findByText('Log Expense')).toBeInTheDocument();
+  });
+
+  test('should show the currency read from a currency column', async () => {
+    const withCurrency = {
+      ...preview,
+      headers: ['Date', 'Item', 'Amount', 'Currency'],
+      columns: { name: 'Item', amount: 'Amount', category: null, date: 'Date', currency: 'Currency' },
+      rows: [{ line: 2, values: { itemName: 'Hotel', amount: 120, category: 'Other', spentOn: '2026-03-05', currency: 'USD' } }],
+    };
+    fetch.mockImplementation(async (url) => (url.includes('/api/expenses/import')
+      ? { ok: true, json: async () => withCurrency }
+      : { ok: true, json: async () => mockApiResponse(url) }));
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: 'Import' }));
+    await user.upload(screen.getByLabelText('CSV file'), csvFile());
+
+    expect(await screen.findByText('USD 120.00')).toBeInTheDocument();
+    expect(screen.getByLabelText('Currency column')).toHaveValue('Currency');
+  });
+
+  test('should ask for the columns it cannot find', async () => {
+    fetch.mockImplementation(async (url) => (url.includes('/api/expenses/import')
+      ? { ok: false, json: async () => ({ error: 'Choose the CSV columns holding the name and amount', headers: ['When', 'What', 'Paid'] }) }
+      : { ok: true, json: async () => mockApiResponse(url) }));
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('button', { name: 'Import' }));
+    await user.upload(screen.getByLabelText('CSV file'), csvFile());
+
+    expect(await screen.findByText('Choose the CSV columns holding the name and amount')).toBeInTheDocument();
+    expect(screen.getByLabelText('Name column')).toHaveValue('');
+    expect(within(screen.getByLabelText('Amount column')).getByRole('option', { name: 'Paid' })).toBeInTheDocument();
+    expect(screen.queryByRole('table')).not.toBeInTheDocument();
+  });
+});
+
+describe('User Story 26: Mobile Money SMS - Frontend UI', () => {
+  const draft = {
+    provider: 'MTN MoMo', transactionId: 'sms:mtn-momo:52437891234', reference: '52437891234', itemName: 'JOHN DOE', amount: 1040,
+    currency: 'GHS', spentOn: '2026-03-02', category: 'Other', duplicate: false,
+  };
+  const message = 'Your payment of GHS 1,040.00 to JOHN DOE has been completed. Financial Transaction Id: 52437891234.';
+
+  const mockSms = (parsed, saved = { ok: true, status: 201 }) => {
+    fetch.mockImplementation(async (url, options) => {
+      if (url.includes('/api/expenses/parse-sms')) {
+        return { ok: true, json: async () => parsed };
+      }
+      if (url.endsWith('/api/expenses') && options?.method === 'POST') {
+        return { ...saved, json: async () => (saved.ok ? { expense: { id: 3 } } : { error: 'That transaction has already been logged' }) };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should read pasted messages into drafts', async () => {
+    mockSms({ drafts: [draft], unrecognised: [{ message: 'Your data bundle expires today.', reason: 'Not from a supported provider' }] });
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(await screen.findByLabelText('SMS messages'), message);
+    await user.click(screen.getByRole('button', { name: 'Read SMS' }));
+
+    expect(await screen.findByText('JOHN DOE')).toBeInTheDocument();
+    expect(screen.getByText('GHS 1040.00')).toBeInTheDocument();
+    expect(screen.getByText(/ID 52437891234$/)).toBeInTheDocument();
+    expect(screen.getByText('Not from a supported provider')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/parse-sms', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ text: message }),
+    }));
+  });
+
+  test('should log a confirmed draft with its transaction ID', async () => {
+    mockSms({ drafts: [draft], unrecognised: [] });
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(await screen.findByLabelText('SMS messages'), message);
+    await user.click(screen.getByRole('button', { name: 'Read SMS' }));
+    await user.click(await screen.findByRole('button', { name: 'Confirm' }));
+
+    expect(await screen.findByText('✓ Logged JOHN DOE')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses', expect.objectContaining({
+      method: 'POST',
+      body: JSON.stringify({ itemName: 'JOHN DOE', amount: 1040, category: 'Other', spentOn: '2026-03-02', currency: 'GHS', transactionId: 'sms:mtn-momo:52437891234' }),
+    }));
+    expect(screen.queryByRole('button', { name: 'Confirm' })).not.toBeInTheDocument();
+  });
+
+  test('should not offer to log a payment twice', async () => {
+    mockSms({ drafts: [draft, { ...draft, transactionId: '1', itemName: 'KOFI SHOP', duplicate: true }], unrecognised: [] }, { ok: false, status: 409 });
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(await screen.findByLabelText('SMS messages'), message);
+    await user.click(screen.getByRole('button', { name: 'Read SMS' }));
+
+    expect(await screen.findByText('Already logged')).toBeInTheDocument();
+    expect(screen.getAllByRole('button', { name: 'Confirm' })).toHaveLength(1);
+
+    await user.click(screen.getByRole('button', { name: 'Confirm' }));
+
+    expect(await screen.findByText('That transaction has already been logged')).toBeInTheDocument();
+    expect(screen.getAllByText('Already logged')).toHaveLength(2);
+  });
+
+  test('should drop a dismissed draft', async () => {
+    mockSms({ drafts: [draft], unrecognised: [] });
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.type(await screen.findByLabelText('SMS messages'), message);
+    await user.click(screen.getByRole('button', { name: 'Read SMS' }));
+    await user.click(await screen.findByRole('button', { name: 'Dismiss' }));
+
+    expect(screen.queryByText('JOHN DOE')).not.toBeInTheDocument();
+  });
+});
+
+describe('User Story 28: Dashboard - Frontend UI', () => {
+  // First day of the month `offset` months from now, as YYYY-MM-DD
+  const monthStart = (offset) => {
+    const now = new Date();
+    const date = new Date(now.getFullYear(), now.getMonth() + offset, 1);
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-01`;
+  };
+
+  const monthly = {
+    period: 'month', currency: 'GHS', total: 400, count: 9, average: 33.33, unconverted: [],
+    periods: [{ start: monthStart(-1), total: 150, count: 4, categories: [] }, { start: monthStart(0), total: 250, count: 5, categories: [] }],
+    categories: [{ category: 'Bills', total: 300, count: 2 }, { category: 'Food', total: 100, count: 7 }],
+    topItems: [{ itemName: 'Rent', total: 280, count: 1 }],
+  };
+  const daily = {
+    period: 'day', currency: 'GHS', total: 80, count: 3, average: 2, unconverted: [], categories: [], topItems: [],
+    periods: [
+      { start: monthStart(-1), total: 20, count: 1, categories: [] },
+      { start: monthStart(-1).replace(/01$/, '02'), total: 10, count: 1, categories: [] },
+      { start: monthStart(0), total: 50, count: 1, categories: [] },
+    ],
+  };
+
+  const mockReports = (response) => {
+    fetch.mockImplementation(async (url) => {
+      if (url.includes('/api/reports/summary')) {
+        return response ?? { ok: true, json: async () => (url.includes('period=day') ? daily : monthly) };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should open on Log & History and load reports only for the dashboard', async () => {
+    mockReports();
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    expect(await screen.findByRole('tab', { name: 'Log & History' })).toHaveAttribute('aria-selected', 'true');
+    expect(fetch.mock.calls.some(([url]) => url.includes('/api/reports'))).toBe(false);
+
+    await user.click(screen.getByRole('tab', { name: 'Dashboard' }));
+
+    expect(await screen.findByText('GHS 400.00 over the last 12 months, GHS 33.33 a month on average')).toBeInTheDocument();
+    expect(fetch).toHaveBeenCalledWith(
+      `http://localhost:5000/api/reports/summary?period=month&from=${monthStart(-11)}&to=${todayISO()}`,
+      withAuth
+    );
+    expect(fetch).toHaveBeenCalledWith(
+      `http://localhost:5000/api/reports/summary?period=day&from=${monthStart(-1)}&to=${todayISO()}&top=0`,
+      withAuth
+    );
+    expect(screen.queryByRole('heading', { name: 'Log Expense' })).not.toBeInTheDocument();
+  });
+
+  test('should draw the category breakdown, monthly totals and month comparison', async () => {
+    mockReports();
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('tab', { name: 'Dashboard' }));
+
+    expect(await screen.findByRole('img', { name: 'Spending by category' })).toBeInTheDocument();
+    expect(screen.getByText('GHS 300.00 · 75%')).toBeInTheDocument();
+    expect(screen.getByText('GHS 100.00 · 25%')).toBeInTheDocument();
+    expect(screen.getByRole('img', { name: 'Monthly totals' }).querySelectorAll('rect')).toHaveLength(2);
+    expect(screen.getByText('Rent (1)')).toBeInTheDocument();
+    expect(screen.getByText('GHS 50.00 so far')).toBeInTheDocument();
+    expect(screen.getByText('GHS 20.00 by this day')).toBeInTheDocument();
+  });
+
+  test('should go back to the log', async () => {
+    mockReports();
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('tab', { name: 'Dashboard' }));
+    await screen.findByText('Spending by Category');
+    await user.click(screen.getByRole('tab', { name: 'Log & History' }));
+
+    expect(screen.getByRole('heading', { name: 'Log Expense' })).toBeInTheDocument();
+  });
+
+  test('should show an error when the reports fail', async () => {
+    mockReports({ ok: false, json: async () => ({ error: 'Failed to build spending report' }) });
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('tab', { name: 'Dashboard' }));
+
+    expect(await screen.findByText('Failed to build spending report')).toBeInTheDocument();
+  });
+});
+
+describe('User Story 29: Period Comparison - Frontend UI', () => {
+  const comparison = {
+    current: { from: '2026-03-01', to: '2026-03-18', total: 240 },
+    previous: { from: '2026-02-01', to: '2026-02-18', total: 400 },
+    change: -160, percent: -40, threshold: 20, currency: 'GHS', unconverted: [],
+    categories: [
+      { category: 'Transport', current: 90, previous: 50, change: 40, percent: 80, flagged: true },
+      { category: 'Food', current: 110, previous: 100, change: 10, percent: 10, flagged: false },
+      { category: 'Entertainment', current: 40, previous: 0, change: 40, percent: null, flagged: true },
+    ],
+  };
+  const summary = {
+    period: 'month', currency: 'GHS', total: 0, count: 0, average: 0, unconverted: [], periods: [], categories: [], topItems: [],
+  };
+
+  const mockComparison = (response) => {
+    fetch.mockImplementation(async (url) => {
+      if (url.includes('/api/reports/compare')) {
+        return response ?? { ok: true, json: async () => comparison };
+      }
+      if (url.includes('/api/reports/summary')) {
+        return { ok: true, json: async () => summary };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+  });
+
+  test('should compare this month with last month by category', async () => {
+    mockComparison();
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('tab', { name: 'Dashboard' }));
+
+    const table = await screen.findByRole('table');
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/reports/compare?period=month', withAuth);
+    expect(within(table).getByRole('columnheader', { name: 'This month' })).toBeInTheDocument();
+    expect(within(table).getByRole('columnheader', { name: 'Last month' })).toBeInTheDocument();
+    expect(screen.getByText(/GHS 240\.00 \(Mar 1 – Mar 18\) against GHS 400\.00 \(Feb 1 – Feb 18\) \(-40%\)/)).toBeInTheDocument();
+
+    const transport = within(table).getByRole('row', { name: /Transport/ });
+    expect(transport).toHaveClass('comparison-flagged');
+    expect(within(transport).getByText('+GHS 40.00 (+80%)')).toBeInTheDocument();
+    expect(within(table).getByRole('row', { name: /Food/ })).not.toHaveClass('comparison-flagged');
+    expect(within(table).getByText('+GHS 40.00 (new)')).toBeInTheDocument();
+  });
+
+  test('should switch to weekly comparison', async () => {
+    mockComparison();
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('tab', { name: 'Dashboard' }));
+    await screen.findByRole('table');
+    await user.selectOptions(screen.getByLabelText('Compare'), 'week');
+
+    await waitFor(() => {
+      expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/reports/compare?period=week', withAuth);
+    });
+    expect(screen.getByRole('columnheader', { name: 'Last week' })).toBeInTheDocument();
+  });
+
+  test('should show an error when the comparison fails', async () => {
+    mockComparison({ ok: false, json: async () => ({ error: 'Failed to compare spending' }) });
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await user.click(await screen.findByRole('tab', { name: 'Dashboard' }));
+
+    expect(await screen.findByText('Failed to compare spending')).toBeInTheDocument();
+    expect(screen.queryByRole('table')).not.toBeInTheDocument();
+  });
+});
+
+describe('User Story 30: Spending Anomalies - Frontend UI', () => {
+  const warning = {
+    type: 'unusual_amount',
+    message: 'GHS 2500.00 is much more than the usual GHS 25.00 for Food. Was it typed correctly?',
+    median: 25,
+    score: 417.3,
+  };
+
+  const mockAdd = (warnings, deleteResponse) => {
+    fetch.mockImplementation(async (url, options) => {
+      if (url.endsWith('/api/expenses') && options?.method === 'POST') {
+        return {
+          ok: true,
+          json: async () => ({ message: 'Expense added successfully', expense: { id: 51, item_name: 'Lunch', amount: '2500.00' }, warnings }),
+        };
+      }
+      if (options?.method === 'DELETE') {
+        return deleteResponse ?? { ok: true, json: async () => ({ message: 'Expense deleted successfully' }) };
+      }
+      return { ok: true, json: async () => mockApiResponse(url) };
+    });
+  };
+
+  const addLunch = async (user) => {
+    await user.type(await screen.findByLabelText('Item Name'), 'Lunch');
+    await user.type(screen.getByLabelText('Amount (GHS)'), '2500');
+    await user.click(screen.getByRole('button', { name: 'Add Expense' }));
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    fetch.mockClear();
+    vi.spyOn(window, 'confirm');
+  });
+
+  afterEach(() => {
+    fetch.mockReset();
+    vi.restoreAllMocks();
+  });
+
+  test('should warn about an unusual amount and undo it in one click', async () => {
+    mockAdd([warning]);
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await addLunch(user);
+
+    const banner = await screen.findByRole('alert');
+    expect(banner).toHaveTextContent(warning.message);
+
+    await user.click(within(banner).getByRole('button', { name: 'Undo' }));
+
+    expect(fetch).toHaveBeenCalledWith('http://localhost:5000/api/expenses/51', expect.objectContaining({ method: 'DELETE' }));
+    expect(window.confirm).not.toHaveBeenCalled();
+    expect(await screen.findByText('✓ Removed Lunch')).toBeInTheDocument();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('should keep the expense when the amount was right', async () => {
+    mockAdd([warning]);
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await addLunch(user);
+    await user.click(within(await screen.findByRole('alert')).getByRole('button', { name: 'Keep it' }));
+
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+    expect(fetch.mock.calls.some(([, options]) => options?.method === 'DELETE')).toBe(false);
+  });
+
+  test('should show no banner without warnings', async () => {
+    mockAdd([]);
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await addLunch(user);
+
+    expect(await screen.findByText('✓ Expense added successfully!')).toBeInTheDocument();
+    expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  });
+
+  test('should keep the banner when the undo fails', async () => {
+    mockAdd([warning], { ok: false, json: async () => ({ error: 'Expense not found' }) });
+
+    const user = userEvent.setup();
+    render(<App />);
+
+    await addLunch(user);
+    await user.click(within(await screen.findByRole('alert')).getByRole('button', { name: 'Undo' }));
+
+    expect(await screen.findByText('Expense not found')).toBeInTheDocument();
+    expect(screen.getByRole('alert')).toBeInTheDocument();
+  });
+});